@@ -218,7 +218,7 @@ for IP in "${DEVICES[@]}"; do
         set -e
         
         # Create plugin directory if it doesn't exist
-        PLUGIN_DIR="/data/plugins/audio_interface"
+        PLUGIN_DIR="/data/plugins/music_service"
         if [ ! -d "$PLUGIN_DIR" ]; then
             echo "Creating plugin directory: $PLUGIN_DIR"
             mkdir -p "$PLUGIN_DIR"
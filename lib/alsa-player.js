@@ -0,0 +1,473 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const monotonicClock = require('./monotonic-clock');
+const pcmFormat = require('./pcm-format');
+
+// ALSA sample format names (aplay -f) for our PCM sample formats
+const ALSA_FORMATS = {
+  s16: 'S16_LE',
+  s24: 'S24_3LE',
+  s24_32: 'S32_LE', // Left-justified 24-in-32 plays as 32-bit with a zero low byte
+  s32: 'S32_LE',
+  f32: 'FLOAT_LE'
+};
+
+/**
+ * ALSA Player Module
+ * Plays decoded PCM straight to an ALSA device by piping it to aplay, bypassing MPD and the
+ * local HTTP relay. The device buffer is fixed at start (--buffer-time) and the negotiated
+ * hardware parameters are read back from aplay's verbose output, so the output latency is
+ * known instead of depending on MPD's buffering.
+ *
+ * The sound card's playback position (hw_ptr of aplay's PCM in /proc/asound) gives the audio
+ * still queued ahead of it (getPlayoutDelay), which drift correction steers on.
+ *
+ * Drop-in replacement for AudioPlayer (start/play/stop/clearBuffer/isActive/getCapabilities).
+ */
+class AlsaPlayer {
+  constructor(config = {}) {
+    this.config = {
+      sampleRate: config.sampleRate || 48000,
+      channels: config.channels || 2,
+      bitDepth: config.bitDepth || 16,
+      device: config.device || 'default', // ALSA PCM device, e.g. 'hw:0,0' or 'default'
+      bufferTimeMs: config.bufferTimeMs || 100, // Requested ALSA buffer size
+      periodTimeMs: config.periodTimeMs || 25, // Requested ALSA period size
+      command: config.command || 'aplay', // Sink executable
+      commandArgs: config.commandArgs || [], // Extra arguments placed before the aplay options
+      startTimeout: config.startTimeout || 2000, // Max wait for the device to open
+      maxBacklogMs: config.maxBacklogMs || 100, // Drop chunks when the pipe holds more than this (a few chunks)
+      outputSampleFormat: config.outputSampleFormat || null, // Convert to this sample format (null = as received)
+      procRoot: config.procRoot || '/proc/asound', // Where the kernel reports PCM status
+      positionIntervalMs: config.positionIntervalMs || 100, // How often the playback position is read
+      ...config
+    };
+
+    this.logger = config.logger || console;
+
+    this.inputSampleFormat = pcmFormat.SAMPLE_FORMATS.s16; // Layout of the PCM passed to play()
+    this.sampleFormat = pcmFormat.SAMPLE_FORMATS.s16; // Layout written to the device
+    this.format = null;
+    this.process = null;
+    this.isPlaying = false;
+
+    // Hardware parameters reported by aplay -v
+    this.hwParams = null; // { rate, bufferSize, periodSize }
+    this.stderrBuffer = '';
+
+    // Playback position (see getPlayoutDelay)
+    this.pcmPath = null; // /proc/asound/cardX/pcmYp/subZ of aplay's hardware PCM
+    this.hwRate = null; // Rate the card runs at (differs from ours when the plug layer resamples)
+    this.framesWritten = 0; // Frames handed to the sink since start
+    this.playedBase = 0; // Frames played before the current hw_ptr count started (underrun recovery)
+    this.lastHwPtr = 0;
+    this.positionWarned = false;
+    this.position = null; // Latest reading: { playedFrames, atMs }
+    this.positionTimer = null;
+    this.positionReading = null; // Pending refreshPosition()
+  }
+
+  /**
+   * Start playback: spawn the sink and wait until the device is open
+   * Rejects if the device cannot be opened with this format, so the caller can fall back
+   */
+  async start(format) {
+    if (this.isPlaying) {
+      this.logger.warn('[AlsaPlayer] Already playing');
+      return;
+    }
+
+    this.config.sampleRate = format.sample_rate || this.config.sampleRate;
+    this.config.channels = format.channels || this.config.channels;
+    this.inputSampleFormat = pcmFormat.fromStreamFormat(format);
+    this.sampleFormat = this.config.outputSampleFormat
+      ? pcmFormat.getSampleFormat(this.config.outputSampleFormat)
+      : this.inputSampleFormat;
+    this.config.bitDepth = this.sampleFormat.validBits;
+    this.format = format;
+    this.hwParams = null;
+    this.stderrBuffer = '';
+    this.pcmPath = null;
+    this.hwRate = null;
+    this.framesWritten = 0;
+    this.playedBase = 0;
+    this.lastHwPtr = 0;
+    this.positionWarned = false;
+    this.position = null;
+
+    const args = [...this.config.commandArgs, ...this.buildArgs()];
+    this.logger.info(`[AlsaPlayer] Starting ${this.config.command} ${args.join(' ')}`);
+
+    const child = spawn(this.config.command, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    this.process = child;
+
+    child.stdin.on('error', (error) => {
+      // EPIPE when the sink exits while we are writing - reported by the exit handler
+      this.logger.debug(`[AlsaPlayer] stdin error: ${error.message}`);
+    });
+    child.stderr.on('data', (data) => {
+      this.handleStderr(data.toString());
+    });
+
+    try {
+      await this.waitForDevice(child);
+    } catch (error) {
+      this.process = null;
+      this.isPlaying = false;
+      if (child.exitCode === null) {
+        child.kill();
+      }
+      throw error;
+    }
+
+    child.on('close', (code, signal) => {
+      if (this.process !== child) {
+        return;
+      }
+      this.logger.warn(`[AlsaPlayer] Sink exited (code: ${code}, signal: ${signal})${this.stderrBuffer ? `: ${this.stderrBuffer.trim()}` : ''}`);
+      this.process = null;
+      this.isPlaying = false;
+      this.stopPositionTimer();
+    });
+
+    this.isPlaying = true;
+    this.positionTimer = setInterval(() => this.refreshPosition(), this.config.positionIntervalMs);
+    this.logger.info(`[AlsaPlayer] Playing to ${this.config.device}: ${this.config.sampleRate}Hz ${this.config.channels}ch ${this.inputSampleFormat.id}${this.sampleFormat !== this.inputSampleFormat ? ` -> ${this.sampleFormat.id}` : ''}, output latency ${this.getOutputLatency().toFixed(1)}ms`);
+  }
+
+  /**
+   * aplay arguments for the current format
+   */
+  buildArgs() {
+    return [
+      '-v', // Print the negotiated hardware parameters (buffer/period size)
+      '-D', this.config.device,
+      '-t', 'raw',
+      '-f', ALSA_FORMATS[this.sampleFormat.id],
+      '-c', String(this.config.channels),
+      '-r', String(this.config.sampleRate),
+      '-B', String(Math.round(this.config.bufferTimeMs * 1000)),
+      '-F', String(Math.round(this.config.periodTimeMs * 1000)),
+      '-'
+    ];
+  }
+
+  /**
+   * Resolve once the sink reported its hardware parameters (device open), reject if it exits
+   * first. A sink that stays silent is assumed to be running after startTimeout.
+   */
+  waitForDevice(child) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const finish = (error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timeout);
+        clearInterval(poll);
+        child.removeListener('error', onError);
+        child.removeListener('close', onExit);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+      const onError = (error) => {
+        finish(new Error(`Failed to start ${this.config.command}: ${error.message}`));
+      };
+      const onExit = (code) => {
+        finish(new Error(`ALSA device ${this.config.device} failed to open (exit code ${code})${this.stderrBuffer ? `: ${this.stderrBuffer.trim()}` : ''}`));
+      };
+      const timeout = setTimeout(() => {
+        this.logger.warn(`[AlsaPlayer] No hardware parameters from ${this.config.command} after ${this.config.startTimeout}ms, assuming requested buffer time`);
+        finish();
+      }, this.config.startTimeout);
+      const poll = setInterval(() => {
+        if (this.hwParams) {
+          finish();
+        }
+      }, 10);
+
+      child.once('error', onError);
+      child.once('close', onExit); // After stderr is drained, so the error message is complete
+    });
+  }
+
+  /**
+   * Collect aplay's verbose output and parse the hardware setup from it
+   */
+  handleStderr(text) {
+    this.stderrBuffer = (this.stderrBuffer + text).slice(-4096);
+    if (!this.pcmPath) {
+      const pcm = this.stderrBuffer.match(/Hardware PCM card (\d+) '[^']*' device (\d+) subdevice (\d+)/);
+      if (pcm) {
+        this.pcmPath = path.join(this.config.procRoot, `card${pcm[1]}`, `pcm${pcm[2]}p`, `sub${pcm[3]}`);
+      }
+    }
+    if (this.hwParams) {
+      return;
+    }
+
+    const rate = this.stderrBuffer.match(/^\s*rate\s*:\s*(\d+)/m);
+    const bufferSize = this.stderrBuffer.match(/^\s*buffer_size\s*:\s*(\d+)/m);
+    const periodSize = this.stderrBuffer.match(/^\s*period_size\s*:\s*(\d+)/m);
+    if (rate && bufferSize) {
+      this.hwParams = {
+        rate: Number(rate[1]),
+        bufferSize: Number(bufferSize[1]),
+        periodSize: periodSize ? Number(periodSize[1]) : null
+      };
+      this.logger.info(`[AlsaPlayer] Hardware parameters: rate=${this.hwParams.rate}, buffer_size=${this.hwParams.bufferSize}, period_size=${this.hwParams.periodSize}`);
+    }
+  }
+
+  /**
+   * Output latency in milliseconds: audio written now is heard after this long
+   * aplay starts the device once its buffer is full and keeps it full, so this is the device
+   * buffer (from the negotiated hardware parameters, else the requested buffer time). Audio
+   * waiting in the pipe is not counted: it only builds up while the sink stalls, and play() caps it
+   * at maxBacklogMs so it can't leave playback late by more than a few chunks.
+   */
+  getOutputLatency() {
+    return this.hwParams && this.hwParams.rate
+      ? this.hwParams.bufferSize / this.hwParams.rate * 1000
+      : this.config.bufferTimeMs;
+  }
+
+  /**
+   * Audio written but not yet heard, measured from the sound card's playback position
+   * Frames played are the card's hw_ptr (the kernel refreshes it from the driver when the status
+   * is read), so a card clock that runs fast or slow shows up here - unlike getOutputLatency(),
+   * the nominal device buffer. Uses the latest reading of refreshPosition(), so it costs nothing
+   * per chunk.
+   * @returns {{delayMs: number, atMs: number}|null} Audio queued ahead of the card (including
+   *   everything written since) at local monotonic time atMs; null while the device is not
+   *   running or its position can't be read (PCM opened by another process such as dmix, no
+   *   /proc/asound)
+   */
+  getPlayoutDelay() {
+    if (!this.isPlaying || !this.position) {
+      return null;
+    }
+    const queuedFrames = Math.max(0, this.framesWritten - this.position.playedFrames);
+    return { delayMs: queuedFrames / this.config.sampleRate * 1000, atMs: this.position.atMs };
+  }
+
+  /**
+   * Read the playback position of aplay's PCM (every positionIntervalMs while playing)
+   * @returns {Promise<void>}
+   */
+  refreshPosition() {
+    if (!this.positionReading) {
+      this.positionReading = this.readPosition().finally(() => {
+        this.positionReading = null;
+      });
+    }
+    return this.positionReading;
+  }
+
+  /**
+   * Stop reading the playback position and forget the last reading
+   */
+  stopPositionTimer() {
+    if (this.positionTimer) {
+      clearInterval(this.positionTimer);
+      this.positionTimer = null;
+    }
+    this.position = null;
+  }
+
+  /**
+   * Take one position reading: hw_ptr (rebased after underruns) at local monotonic time
+   */
+  async readPosition() {
+    const child = this.process;
+    if (!this.isPlaying || !child || !this.pcmPath) {
+      return;
+    }
+
+    const atMs = monotonicClock.nowMs();
+    const framesWritten = this.framesWritten;
+    const backlogFrames = this.getBacklogMs() * this.config.sampleRate / 1000;
+    const status = await this.readPcmStatus();
+    if (this.process !== child) {
+      return; // Stopped or restarted while reading
+    }
+
+    if (!status || status.owner_pid !== String(child.pid)) {
+      if (!this.positionWarned) {
+        this.positionWarned = true;
+        this.logger.info(`[AlsaPlayer] Playback position of ${this.pcmPath} not available${status ? ` (PCM owned by process ${status.owner_pid})` : ''}, drift correction disabled`);
+      }
+      this.position = null;
+      return;
+    }
+    if (status.state !== 'RUNNING') {
+      this.position = null; // Not started yet (fills its buffer first) or recovering from an underrun
+      return;
+    }
+
+    const ratio = this.config.sampleRate / (this.hwRate || this.config.sampleRate);
+    const hwPtr = Number(status.hw_ptr);
+    const delayFrames = Number(status.delay) * ratio;
+
+    if (hwPtr < this.lastHwPtr) {
+      // Underrun: the PCM was restarted and hw_ptr counts from 0 again. The sink had run dry, so
+      // what is queued now is the device buffer plus our pipe backlog
+      this.playedBase = framesWritten - delayFrames - backlogFrames - hwPtr * ratio;
+      this.logger.debug(`[AlsaPlayer] Device restarted after an underrun, position rebased`);
+    }
+    this.lastHwPtr = hwPtr;
+
+    this.position = { playedFrames: this.playedBase + hwPtr * ratio, atMs };
+  }
+
+  /**
+   * Read the kernel's status of aplay's PCM (key: value lines)
+   * @returns {Promise<Object|null>} e.g. { state: 'RUNNING', owner_pid: '123', hw_ptr: '4800', delay: '960' }
+   */
+  async readPcmStatus() {
+    try {
+      if (!this.hwRate) {
+        const hwParams = (await fs.promises.readFile(path.join(this.pcmPath, 'hw_params'), 'utf8')).match(/^rate:\s*(\d+)/m);
+        this.hwRate = hwParams ? Number(hwParams[1]) : null;
+      }
+      const status = {};
+      for (const line of (await fs.promises.readFile(path.join(this.pcmPath, 'status'), 'utf8')).split('\n')) {
+        const match = line.match(/^\s*([a-z_]+)\s*:\s*(.*?)\s*$/);
+        if (match) {
+          status[match[1]] = match[2];
+        }
+      }
+      return status;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Duration of PCM queued in the pipe but not yet taken by the sink
+   */
+  getBacklogMs() {
+    if (!this.process || !this.process.stdin) {
+      return 0;
+    }
+    const bytesPerSecond = pcmFormat.frameSize(this.sampleFormat, this.config.channels) * this.config.sampleRate;
+    return this.process.stdin.writableLength / bytesPerSecond * 1000;
+  }
+
+  /**
+   * Get the PCM formats this output can play
+   * aplay converts through the ALSA plug layer when the device itself cannot
+   * @returns {{sampleRates: number[], bitDepths: number[], channels: number[]}}
+   */
+  getCapabilities() {
+    return {
+      sampleRates: [192000, 176400, 96000, 88200, 48000, 44100],
+      bitDepths: [24, 16],
+      channels: [1, 2]
+    };
+  }
+
+  /**
+   * Play PCM audio data
+   * @param {Buffer} pcmData - PCM audio data to play
+   */
+  async play(pcmData) {
+    if (!this.isPlaying || !this.process) {
+      return;
+    }
+
+    // A partial frame would misalign every following sample
+    if (!pcmFormat.isAligned(pcmData, this.inputSampleFormat, this.config.channels)) {
+      this.logger.warn(`[AlsaPlayer] Dropping ${pcmData.length} byte chunk: not a whole number of ${this.inputSampleFormat.id} frames (${this.config.channels}ch)`);
+      return;
+    }
+
+    // The sink is not keeping up - queueing more would only add latency
+    if (this.getBacklogMs() > this.config.maxBacklogMs) {
+      if (!this._backlogWarningCount) this._backlogWarningCount = 0;
+      this._backlogWarningCount++;
+      if (this._backlogWarningCount <= 5 || this._backlogWarningCount % 100 === 0) {
+        this.logger.warn(`[AlsaPlayer] Sink backlog over ${this.config.maxBacklogMs}ms, dropping chunk (warning #${this._backlogWarningCount})`);
+      }
+      return;
+    }
+
+    this.process.stdin.write(pcmFormat.convert(pcmData, this.inputSampleFormat, this.sampleFormat));
+    this.framesWritten += pcmData.length / pcmFormat.frameSize(this.inputSampleFormat, this.config.channels);
+  }
+
+  /**
+   * Stop playback and wait for the sink to exit
+   * The sink gets one device buffer to play out what it already has, unless discarding
+   * @param {boolean} [discard] - Stop immediately, dropping queued audio
+   */
+  async stop(discard = false) {
+    const child = this.process;
+    this.process = null;
+    this.isPlaying = false;
+    this.stopPositionTimer();
+    if (!child) {
+      return;
+    }
+
+    await new Promise((resolve) => {
+      if (child.exitCode !== null || child.signalCode !== null) {
+        resolve();
+        return;
+      }
+      const drainMs = discard ? 0 : this.config.bufferTimeMs + 100;
+      const terminate = setTimeout(() => child.kill('SIGTERM'), drainMs);
+      const kill = setTimeout(() => child.kill('SIGKILL'), drainMs + 1000);
+      child.once('exit', () => {
+        clearTimeout(terminate);
+        clearTimeout(kill);
+        resolve();
+      });
+      // End of input: aplay plays out its buffer and exits
+      child.stdin.end();
+    });
+    this.logger.info('[AlsaPlayer] Stopped playback');
+  }
+
+  /**
+   * Cleanup resources
+   */
+  async cleanup() {
+    await this.stop();
+  }
+
+  /**
+   * Clear buffered audio (for seek/stream clear)
+   * Restarts the sink so audio already queued in the pipe and device buffer is discarded
+   */
+  clearBuffer() {
+    if (!this.isPlaying || !this.format) {
+      return Promise.resolve();
+    }
+    const format = this.format;
+    return this.stop(true)
+      .then(() => this.start(format))
+      .then(() => {
+        this.logger.info('[AlsaPlayer] Buffer cleared (sink restarted)');
+      })
+      .catch((error) => {
+        this.logger.error('[AlsaPlayer] Failed to restart sink after clear:', error);
+      });
+  }
+
+  /**
+   * Check if currently playing
+   */
+  isActive() {
+    return this.isPlaying;
+  }
+}
+
+module.exports = AlsaPlayer;
@@ -0,0 +1,180 @@
+'use strict';
+
+const http = require('http');
+const { getLocalAddress, formatHost } = require('./network-address');
+
+// Image types by leading bytes (the server sends the format negotiated in client/hello, but
+// the bytes are authoritative)
+const IMAGE_SIGNATURES = [
+  { contentType: 'image/jpeg', matches: (data) => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff },
+  { contentType: 'image/png', matches: (data) => data.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: 'image/bmp', matches: (data) => data[0] === 0x42 && data[1] === 0x4d }
+];
+
+/**
+ * Artwork Server Module
+ * Caches images received over the artwork role (binary message types 8-11, one per channel)
+ * and serves them over HTTP, so Volumio can show them as albumart when the server sends
+ * artwork as binary instead of an artwork_url.
+ *
+ * Unlike the audio stream server this listens on all interfaces: the URL ends up in the
+ * Volumio UI and is loaded by browsers on other machines.
+ */
+class ArtworkServer {
+  constructor(config = {}) {
+    this.config = {
+      port: config.port || 0, // 0 = auto-assign
+      host: config.host || '0.0.0.0', // Listen address
+      interfaceName: config.interfaceName || null, // Interface whose address goes in URLs (null = first found)
+      ...config
+    };
+
+    this.logger = config.logger || console;
+
+    this.images = new Map(); // channel -> { data, contentType, version }
+    this.version = 0; // Bumped per image so URLs change with the picture (defeats browser caching)
+    this.httpServer = null;
+    this.port = null;
+  }
+
+  /**
+   * Start the HTTP server
+   */
+  start() {
+    if (this.httpServer) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => {
+        this.handleRequest(req, res);
+      });
+
+      server.once('error', (error) => {
+        this.logger.error('[ArtworkServer] HTTP server error:', error);
+        this.httpServer = null;
+        reject(error);
+      });
+
+      server.listen(this.config.port, this.config.host, () => {
+        this.port = server.address().port;
+        this.logger.info(`[ArtworkServer] Serving artwork on port ${this.port}`);
+        resolve();
+      });
+      this.httpServer = server;
+    });
+  }
+
+  /**
+   * Stop the HTTP server and drop cached images
+   */
+  stop() {
+    this.clear();
+    const server = this.httpServer;
+    this.httpServer = null;
+    this.port = null;
+    if (!server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * Serve GET /artwork/<channel>; the query string (version) is ignored
+   */
+  handleRequest(req, res) {
+    const match = /^\/artwork\/(\d+)(\?.*)?$/.exec(req.url);
+    const image = match ? this.images.get(Number(match[1])) : null;
+
+    if ((req.method !== 'GET' && req.method !== 'HEAD') || !image) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': image.contentType,
+      'Content-Length': image.data.length,
+      'Cache-Control': 'no-cache',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(req.method === 'HEAD' ? undefined : image.data);
+  }
+
+  /**
+   * Cache the image for a channel
+   * @param {number} channel - Artwork channel (0-3, binary type minus 8)
+   * @param {Buffer|null} data - Encoded image; empty or null clears the channel
+   * @returns {boolean} True if the image was stored
+   */
+  setImage(channel, data) {
+    if (!data || data.length === 0) {
+      if (this.images.delete(channel)) {
+        this.logger.info(`[ArtworkServer] Artwork cleared on channel ${channel}`);
+      }
+      return false;
+    }
+
+    const contentType = ArtworkServer.detectContentType(data);
+    if (!contentType) {
+      this.logger.warn(`[ArtworkServer] Ignoring ${data.length} byte artwork on channel ${channel}: unknown image format`);
+      return false;
+    }
+
+    this.version++;
+    this.images.set(channel, { data: Buffer.from(data), contentType, version: this.version });
+    this.logger.info(`[ArtworkServer] Artwork on channel ${channel}: ${contentType}, ${data.length} bytes`);
+    return true;
+  }
+
+  /**
+   * Drop all cached images
+   */
+  clear() {
+    this.images.clear();
+  }
+
+  /**
+   * Image type from its leading bytes
+   * @param {Buffer} data - Encoded image
+   * @returns {string|null} MIME type, null if not a known image format
+   */
+  static detectContentType(data) {
+    const signature = IMAGE_SIGNATURES.find((candidate) => data.length >= 8 && candidate.matches(data));
+    return signature ? signature.contentType : null;
+  }
+
+  /**
+   * URL of the cached image for a channel
+   * @param {number} [channel] - Artwork channel
+   * @returns {string|null} URL reachable from the network, null if nothing is cached or the server is not running
+   */
+  getUrl(channel = 0) {
+    const image = this.images.get(channel);
+    if (!image || !this.port) {
+      return null;
+    }
+    return `http://${formatHost(this.getHostAddress())}:${this.port}/artwork/${channel}?v=${image.version}`;
+  }
+
+  /**
+   * Address to put in URLs: the configured public host, else our address on the configured
+   * interface (IPv4 preferred)
+   */
+  getHostAddress() {
+    if (this.config.publicHost) {
+      return this.config.publicHost;
+    }
+    if (this.config.host !== '0.0.0.0') {
+      return this.config.host;
+    }
+    return getLocalAddress(this.config.interfaceName);
+  }
+}
+
+module.exports = ArtworkServer;
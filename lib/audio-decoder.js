@@ -1,6 +1,7 @@
 'use strict';
 
-const { spawn } = require('child_process');
+const FlacDecoder = require('./flac-decoder');
+const pcmFormat = require('./pcm-format');
 
 /**
  * Audio Decoder Module
@@ -9,7 +10,7 @@ const { spawn } = require('child_process');
  * Supports:
  * - WASM Opus decoder (opus-decoder) - primary method
  * - Native Opus decoder (sendspin-js) - fallback
- * - FLAC command-line tool - for FLAC decoding
+ * - Built-in FLAC frame decoder (no external binary)
  */
 class AudioDecoder {
   constructor(config = {}) {
@@ -25,8 +26,72 @@ class AudioDecoder {
     this.logger = config.logger || console;
     this.decoder = null;
     this.isInitialized = false;
-    this.decodingProcess = null; // For FLAC only
+    this.flacDecoder = null; // For FLAC only
     this.currentStreamFormat = null;
+    this.outputSampleFormat = null; // Sample format of decoded PCM for the current stream
+    this.opusAvailable = this.checkOpusAvailable(); // Resolved once: formats are re-read on every client/hello
+  }
+
+  /**
+   * Get the stream formats this decoder can decode, in order of preference
+   * FLAC and PCM are handled in-process; Opus needs the opus-decoder module
+   * @returns {Array<{codec: string, channels: number, sample_rate: number, bit_depth: number}>}
+   */
+  getSupportedFormats() {
+    const sampleRates = [192000, 176400, 96000, 88200, 48000, 44100];
+    const bitDepths = [24, 16];
+    const formats = [];
+
+    // Lossless first: FLAC needs far less bandwidth than PCM for the same quality
+    for (const codec of ['flac', 'pcm']) {
+      for (const sampleRate of sampleRates) {
+        for (const bitDepth of bitDepths) {
+          formats.push({ codec, channels: 2, sample_rate: sampleRate, bit_depth: bitDepth });
+        }
+      }
+    }
+
+    // Opus fallback (48kHz only - Opus spec requirement)
+    if (this.isOpusAvailable()) {
+      formats.push({ codec: 'opus', channels: 2, sample_rate: 48000, bit_depth: 16 });
+    }
+
+    return formats;
+  }
+
+  /**
+   * Whether the Opus decoder module is installed
+   */
+  isOpusAvailable() {
+    return this.opusAvailable;
+  }
+
+  /**
+   * Look up the Opus decoder module, warning if it is missing
+   */
+  checkOpusAvailable() {
+    try {
+      require.resolve('opus-decoder');
+      return true;
+    } catch (error) {
+      this.logger.warn('[AudioDecoder] opus-decoder module not available, not advertising Opus');
+      return false;
+    }
+  }
+
+  /**
+   * Get the PCM layout this decoder produces for a stream format
+   * @param {Object} format - Stream format from stream/start
+   * @returns {{sample_rate: number, channels: number, bit_depth: number, sample_format: string}}
+   */
+  getOutputFormat(format) {
+    const sampleFormat = pcmFormat.fromStreamFormat(format);
+    return {
+      sample_rate: format.sample_rate || this.config.sampleRate,
+      channels: format.channels || this.config.channels,
+      bit_depth: sampleFormat.validBits,
+      sample_format: sampleFormat.id
+    };
   }
 
   /**
@@ -37,6 +102,9 @@ class AudioDecoder {
       return;
     }
 
+    // Reject bit depths we cannot represent before touching any state
+    this.outputSampleFormat = pcmFormat.fromStreamFormat(format);
+
     // Update format
     this.currentStreamFormat = format;
     this.config.codec = format.codec || this.config.codec;
@@ -90,26 +158,32 @@ class AudioDecoder {
 
   /**
    * Initialize FLAC decoder
+   * Uses the stream header from codec_header (base64 "fLaC" + STREAMINFO) when the server sends one
    */
   async initializeFLAC() {
-    // Use flac command-line tool
     try {
-      this.decodingProcess = spawn('flac', [
-        '-d', // decode
-        '-c', // output to stdout
-        '-f', // force overwrite
-        '-' // read from stdin
-      ], {
-        stdio: ['pipe', 'pipe', 'ignore']
+      // Frames that disagree with stream/start are rejected rather than played as noise
+      this.flacDecoder = new FlacDecoder({
+        logger: this.logger,
+        expectedFormat: {
+          sampleRate: this.config.sampleRate,
+          channels: this.config.channels,
+          bitsPerSample: this.config.bitDepth
+        }
       });
 
-      this.decodingProcess.on('error', (error) => {
-        this.logger.error('[AudioDecoder] FLAC decoder error:', error);
-      });
+      const codecHeader = this.currentStreamFormat.codec_header;
+      if (codecHeader) {
+        const header = Buffer.isBuffer(codecHeader) ? codecHeader : Buffer.from(codecHeader, 'base64');
+        this.flacDecoder.setHeader(header);
+      } else {
+        this.logger.info('[AudioDecoder] No FLAC codec_header in stream/start, relying on frame headers');
+      }
 
       this.isInitialized = true;
-      this.logger.info('[AudioDecoder] Using FLAC command-line decoder');
+      this.logger.info('[AudioDecoder] Using built-in FLAC decoder');
     } catch (error) {
+      this.flacDecoder = null;
       throw new Error(`Failed to initialize FLAC decoder: ${error.message}`);
     }
   }
@@ -128,7 +202,17 @@ class AudioDecoder {
 
     // PCM pass-through
     if (this.config.codec === 'pcm') {
-      return Buffer.isBuffer(encodedData) ? encodedData : Buffer.from(encodedData);
+      const pcmData = Buffer.isBuffer(encodedData) ? encodedData : Buffer.from(encodedData);
+      if (!pcmFormat.isAligned(pcmData, this.outputSampleFormat, this.config.channels)) {
+        throw new Error(`PCM chunk of ${pcmData.length} bytes is not a whole number of ${this.outputSampleFormat.id} frames (${this.config.channels}ch) - does not match stream/start format`);
+      }
+      return pcmData;
+    }
+
+    // FLAC: each chunk holds complete frames and decodes to exactly that chunk's audio
+    if (this.config.codec === 'flac' && this.flacDecoder) {
+      const flacData = Buffer.isBuffer(encodedData) ? encodedData : Buffer.from(encodedData);
+      return this.flacDecoder.decode(flacData);
     }
 
     // WASM decoder (Opus)
@@ -192,10 +276,7 @@ class AudioDecoder {
    * Cleanup decoder resources
    */
   cleanup() {
-    if (this.decodingProcess) {
-      this.decodingProcess.kill();
-      this.decodingProcess = null;
-    }
+    this.flacDecoder = null;
     
     if (this.decoder && typeof this.decoder.destroy === 'function') {
       this.decoder.destroy();
@@ -207,6 +288,7 @@ class AudioDecoder {
     
     this.isInitialized = false;
     this.currentStreamFormat = null;
+    this.outputSampleFormat = null;
   }
 }
 
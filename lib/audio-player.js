@@ -2,6 +2,11 @@
 
 const http = require('http');
 const { Readable } = require('stream');
+const pcmFormat = require('./pcm-format');
+
+// WAVE_FORMAT_EXTENSIBLE SubFormat GUIDs (KSDATAFORMAT_SUBTYPE_PCM / _IEEE_FLOAT)
+const SUBFORMAT_PCM = Buffer.from('0100000000001000800000aa00389b71', 'hex');
+const SUBFORMAT_IEEE_FLOAT = Buffer.from('0300000000001000800000aa00389b71', 'hex');
 
 /**
  * Audio Player Module
@@ -19,8 +24,16 @@ class AudioPlayer {
       channels: config.channels || 2,
       bitDepth: config.bitDepth || 16,
       streamPort: config.streamPort || 0, // 0 = auto-assign
+      outputSampleFormat: config.outputSampleFormat || null, // Convert to this sample format (null = as received)
+      service: config.service || 'webradio', // music_service plugin whose clearAddPlayTrack plays the stream URL
+      outputLatencyMs: config.outputLatencyMs !== undefined ? config.outputLatencyMs : 500, // Estimated MPD pipeline delay
+      ensureVolume: config.ensureVolume !== false, // Unmute / raise a zero volume on start (off when volume is synced elsewhere)
       ...config
     };
+
+    // Sample format of incoming PCM and of the WAV stream (set in start())
+    this.inputSampleFormat = pcmFormat.SAMPLE_FORMATS.s16;
+    this.outputSampleFormat = pcmFormat.SAMPLE_FORMATS.s16;
     
     this.logger = config.logger || console;
     this.commandRouter = config.commandRouter || null;
@@ -52,8 +65,18 @@ class AudioPlayer {
     this.config.bitDepth = format.bit_depth || this.config.bitDepth;
 
     try {
+      // Incoming PCM layout (format.sample_format from the decoder, else derived from the stream format)
+      this.inputSampleFormat = pcmFormat.fromStreamFormat(format);
+      this.outputSampleFormat = this.config.outputSampleFormat
+        ? pcmFormat.getSampleFormat(this.config.outputSampleFormat)
+        : this.inputSampleFormat;
+      this.config.bitDepth = this.outputSampleFormat.validBits;
+      this.logger.info(`[AudioPlayer] Sample format: ${this.inputSampleFormat.id}${this.outputSampleFormat !== this.inputSampleFormat ? ` -> ${this.outputSampleFormat.id}` : ''}`);
+
       // Ensure volume is set before starting playback
-      await this.ensureVolume();
+      if (this.config.ensureVolume) {
+        await this.ensureVolume();
+      }
       
       // Create HTTP stream server
       await this.createStreamServer();
@@ -116,22 +139,50 @@ class AudioPlayer {
     }
   }
 
+  /**
+   * Get the PCM formats this output can play
+   * MPD reads the WAV stream, so anything WAV can carry is playable up to 192kHz
+   * @returns {{sampleRates: number[], bitDepths: number[], channels: number[]}}
+   */
+  getCapabilities() {
+    return {
+      sampleRates: [192000, 176400, 96000, 88200, 48000, 44100],
+      bitDepths: [24, 16],
+      channels: [1, 2]
+    };
+  }
+
+  /**
+   * Output latency in milliseconds: audio pushed now is heard after this long
+   * MPD gives no feedback on the stream URL, so this is the configured estimate. The stream is
+   * written in real time, so MPD's ALSA output buffer (buffer_time, 500ms by default) dominates;
+   * the HTTP relay and MPD's input buffer add little.
+   */
+  getOutputLatency() {
+    return this.config.outputLatencyMs;
+  }
+
   /**
    * Create WAV header for PCM audio
    * For streaming, we use 0xFFFFFFFF to indicate unknown size
+   * Anything other than 16-bit mono/stereo integer PCM uses WAVE_FORMAT_EXTENSIBLE, which is
+   * the only way to describe 24-in-32 (valid bits != container bits) and float unambiguously
    * @returns {Buffer} WAV header buffer
    */
   createWAVHeader() {
     const sampleRate = this.config.sampleRate;
     const channels = this.config.channels;
-    const bitDepth = this.config.bitDepth;
-    const byteRate = sampleRate * channels * (bitDepth / 8);
-    const blockAlign = channels * (bitDepth / 8);
+    const sampleFormat = this.outputSampleFormat;
+    const containerBits = sampleFormat.bytesPerSample * 8;
+    const byteRate = sampleRate * channels * sampleFormat.bytesPerSample;
+    const blockAlign = channels * sampleFormat.bytesPerSample;
+    const extensible = sampleFormat.float || containerBits > 16 || channels > 2;
     // For streaming WAV, use 0xFFFFFFFF for both file size and data size (unknown/streaming)
     const dataSize = 0xFFFFFFFF;
     const fileSize = 0xFFFFFFFF; // Also use 0xFFFFFFFF for file size in streaming mode
     
-    const header = Buffer.allocUnsafe(44);
+    const fmtSize = extensible ? 40 : 16;
+    const header = Buffer.alloc(28 + fmtSize);
     let offset = 0;
     
     // RIFF header
@@ -141,13 +192,22 @@ class AudioPlayer {
     
     // fmt chunk
     header.write('fmt ', offset); offset += 4;
-    header.writeUInt32LE(16, offset); offset += 4; // fmt chunk size (16 for PCM)
-    header.writeUInt16LE(1, offset); offset += 2; // audio format (1 = PCM)
+    header.writeUInt32LE(fmtSize, offset); offset += 4; // fmt chunk size (16 for PCM, 40 for extensible)
+    header.writeUInt16LE(extensible ? 0xFFFE : 1, offset); offset += 2; // audio format (1 = PCM, 0xFFFE = extensible)
     header.writeUInt16LE(channels, offset); offset += 2;
     header.writeUInt32LE(sampleRate, offset); offset += 4;
     header.writeUInt32LE(byteRate, offset); offset += 4;
     header.writeUInt16LE(blockAlign, offset); offset += 2;
-    header.writeUInt16LE(bitDepth, offset); offset += 2;
+    header.writeUInt16LE(containerBits, offset); offset += 2;
+
+    if (extensible) {
+      header.writeUInt16LE(22, offset); offset += 2; // cbSize
+      header.writeUInt16LE(sampleFormat.validBits, offset); offset += 2;
+      // Speaker positions: FL+FR for stereo, FC for mono, first N positions otherwise
+      const channelMask = channels === 1 ? 0x4 : (2 ** channels) - 1;
+      header.writeUInt32LE(channelMask, offset); offset += 4;
+      (sampleFormat.float ? SUBFORMAT_IEEE_FLOAT : SUBFORMAT_PCM).copy(header, offset); offset += 16;
+    }
     
     // data chunk
     header.write('data', offset); offset += 4;
@@ -203,7 +263,7 @@ class AudioPlayer {
 
         // Send WAV header first, then pipe audio stream
         const wavHeader = this.createWAVHeader();
-        this.logger.info(`[AudioPlayer] Sending WAV header: ${this.config.sampleRate}Hz, ${this.config.channels}ch, ${this.config.bitDepth}bit (${wavHeader.length} bytes)`);
+        this.logger.info(`[AudioPlayer] Sending WAV header: ${this.config.sampleRate}Hz, ${this.config.channels}ch, ${this.outputSampleFormat.id} (${wavHeader.length} bytes)`);
         
         // Write header directly to response
         if (!res.write(wavHeader)) {
@@ -271,10 +331,12 @@ class AudioPlayer {
 
     try {
       // Create track metadata for MPD
-      // Use 'webradio' service so it uses webradio plugin's clearAddPlayTrack method
+      // The service's clearAddPlayTrack loads the URL into MPD (webradio by default, or the
+      // Sendspin plugin itself when it owns playback)
+      const { service } = this.config;
       const track = {
         uri: this.streamUrl,
-        service: 'webradio', // Must be 'webradio' to use webradio plugin's clearAddPlayTrack
+        service: service,
         name: 'Sendspin Stream',
         title: 'Sendspin Stream',
         artist: 'Sendspin',
@@ -286,16 +348,16 @@ class AudioPlayer {
       this.logger.info(`[AudioPlayer] Track metadata: ${JSON.stringify(track)}`);
       this.logger.info(`[AudioPlayer] Available methods: executeOnPlugin=${!!this.commandRouter.executeOnPlugin}, replaceAndPlay=${!!this.commandRouter.replaceAndPlay}`);
 
-      // Call webradio plugin's clearAddPlayTrack directly to bypass URI explosion
+      // Call the service plugin's clearAddPlayTrack directly to bypass URI explosion
       // This avoids the addQueueItems -> explodeUri path that fails for HTTP URLs
       if (this.commandRouter.executeOnPlugin) {
-        this.logger.info('[AudioPlayer] Calling webradio plugin clearAddPlayTrack directly...');
+        this.logger.info(`[AudioPlayer] Calling ${service} plugin clearAddPlayTrack directly...`);
         try {
-          await this.commandRouter.executeOnPlugin('music_service', 'webradio', 'clearAddPlayTrack', track);
-          this.logger.info('[AudioPlayer] Added stream to MPD via webradio clearAddPlayTrack');
+          await this.commandRouter.executeOnPlugin('music_service', service, 'clearAddPlayTrack', track);
+          this.logger.info(`[AudioPlayer] Added stream to MPD via ${service} clearAddPlayTrack`);
           return;
         } catch (error) {
-          this.logger.error('[AudioPlayer] webradio clearAddPlayTrack failed:', error);
+          this.logger.error(`[AudioPlayer] ${service} clearAddPlayTrack failed:`, error);
           // Continue to fallback
         }
       }
@@ -420,10 +482,17 @@ class AudioPlayer {
       }
     }
 
+    // A partial frame would misalign every following sample in the WAV stream
+    if (!pcmFormat.isAligned(pcmData, this.inputSampleFormat, this.config.channels)) {
+      this.logger.warn(`[AudioPlayer] Dropping ${pcmData.length} byte chunk: not a whole number of ${this.inputSampleFormat.id} frames (${this.config.channels}ch)`);
+      return;
+    }
+
     try {
       // Push data to the readable stream
       // This will be piped to the HTTP response
-      const pushed = this.audioStream.push(pcmData);
+      const outputData = pcmFormat.convert(pcmData, this.inputSampleFormat, this.outputSampleFormat);
+      const pushed = this.audioStream.push(outputData);
       
       // Log first few chunks and then periodically
       if (!this._playCount) this._playCount = 0;
@@ -472,7 +541,9 @@ class AudioPlayer {
 
     try {
       // Stop MPD playback if possible
-      if (this.commandRouter && this.commandRouter.volumioStop) {
+      // A service other than webradio owns the state machine and stops MPD itself - going
+      // through volumioStop would route back into that service's stop()
+      if (this.config.service === 'webradio' && this.commandRouter && this.commandRouter.volumioStop) {
         try {
           await this.commandRouter.volumioStop();
         } catch (error) {
@@ -1,28 +1,45 @@
 'use strict';
 
+const monotonicClock = require('./monotonic-clock');
+
 /**
  * Timestamp-based playback scheduler
  * Schedules audio buffers for precise playback timing using clock synchronization
+ *
+ * Output latency model: a buffer handed to the player is heard only after the output pipeline
+ * (HTTP relay + MPD, or the ALSA device buffer) has played what is ahead of it, plus any static
+ * delay of the speakers themselves (DSP, AV receiver). Buffers are therefore released at
+ * playAt - outputLatencyMs - staticDelayMs, so they are heard at playAt. The callback still
+ * receives playAt, the time the buffer should be heard.
  */
 class AudioScheduler {
-  constructor(clockSync, bufferMs, logger = console) {
+  /**
+   * @param {ClockSync} clockSync - Clock synchronization
+   * @param {number} bufferMs - Audio to buffer before starting playback (ms)
+   * @param {Object} [logger] - Logger
+   * @param {Object} [format] - PCM format of scheduled buffers (see setFormat)
+   */
+  constructor(clockSync, bufferMs, logger = console, format = {}) {
     this.clockSync = clockSync;
     this.logger = logger;
     this.bufferMs = bufferMs;
     
-    // Chunk timing (must match server constants)
-    this.ChunkDurationMs = 20; // 20ms chunks
+    // PCM format of scheduled buffers (chunk durations are derived from it)
+    this.sampleRate = 48000;
+    this.channels = 2;
+    this.bytesPerSample = 2;
+    this.setFormat(format);
     
-    // Calculate buffer target (number of chunks to buffer before starting playback)
-    this.bufferTarget = Math.max(1, Math.floor(bufferMs / this.ChunkDurationMs));
+    // Buffer target (amount of audio to buffer before starting playback)
+    this.bufferTarget = Math.max(1, bufferMs);
     
-    // Maximum queue size to prevent memory issues on slow machines
-    // If queue exceeds this, we'll drop the oldest chunks
-    // Set to match bufferMs: 11000ms / 20ms = 550 chunks, but add some headroom
-    this.maxQueueSize = Math.min(600, Math.floor(bufferMs / this.ChunkDurationMs) + 50); // ~2MB buffer + headroom
+    // Maximum queued audio to prevent memory issues on slow machines
+    // If the queue exceeds this, new chunks are dropped
+    this.maxQueueMs = bufferMs + 1000; // Buffer target + 1s headroom
     
     // Priority queue for audio buffers (min-heap by PlayAt time)
     this.bufferQueue = [];
+    this.queuedMs = 0; // Total duration of queued buffers
     
     // State
     this.buffering = true; // Start in buffering mode
@@ -36,6 +53,11 @@ class AudioScheduler {
     this.lastReceiveTime = null; // When we last received a chunk
     this.consecutiveDrops = 0; // Count of consecutive dropped chunks
     
+    // Delay between handing a buffer to the output and it being heard (reported by the player)
+    // Buffers are released this much before their playAt
+    this.outputLatencyMs = 0;
+    this.staticDelayMs = 0; // User-configured delay after our output (speaker DSP, AV receiver)
+    
     // Statistics
     this.stats = {
       received: 0,
@@ -44,6 +66,74 @@ class AudioScheduler {
     };
   }
 
+  /**
+   * Set the PCM format of scheduled buffers
+   * @param {Object} format - Stream format (sample_rate, channels, bit_depth)
+   * @param {number} [bytesPerSample] - Bytes per sample in the PCM buffers (defaults to bit_depth / 8)
+   */
+  setFormat(format, bytesPerSample) {
+    this.sampleRate = format.sample_rate || this.sampleRate;
+    this.channels = format.channels || this.channels;
+    this.bytesPerSample = bytesPerSample || (format.bit_depth ? Math.ceil(format.bit_depth / 8) : this.bytesPerSample);
+  }
+  
+  /**
+   * Set the output latency reported by the audio player
+   * @param {number} latencyMs - Time from handing a buffer to the output until it is heard (ms)
+   */
+  setOutputLatency(latencyMs) {
+    const outputLatencyMs = Math.max(0, Number(latencyMs) || 0);
+    if (Math.abs(outputLatencyMs - this.outputLatencyMs) >= 1) {
+      this.logger.info(`[AudioScheduler] Output latency ${outputLatencyMs.toFixed(1)}ms, releasing buffers that much early`);
+    }
+    this.outputLatencyMs = outputLatencyMs;
+  }
+  
+  /**
+   * Set the amount of audio to buffer before starting playback
+   * Applies from the next buffering phase (stream start, clear or recovery); the queue limit
+   * follows immediately
+   * @param {number} bufferMs - Buffer target in milliseconds
+   */
+  setBufferTarget(bufferMs) {
+    this.bufferMs = bufferMs;
+    this.bufferTarget = Math.max(1, bufferMs);
+    this.maxQueueMs = bufferMs + 1000;
+    this.logger.info(`[AudioScheduler] Buffer target ${this.bufferTarget}ms`);
+  }
+  
+  /**
+   * Set the static delay of the playback device (after our output)
+   * Applies to buffers not yet released, so it can change while the stream is running
+   * @param {number} delayMs - Delay in milliseconds
+   */
+  setStaticDelay(delayMs) {
+    const staticDelayMs = Math.max(0, Number(delayMs) || 0);
+    if (staticDelayMs !== this.staticDelayMs) {
+      this.logger.info(`[AudioScheduler] Static delay ${staticDelayMs}ms`);
+    }
+    this.staticDelayMs = staticDelayMs;
+  }
+  
+  /**
+   * Local time at which a buffer must be handed to the player to be heard at its playAt
+   * @param {Object} buffer - Scheduled buffer
+   * @returns {number} Release time (local monotonic ms)
+   */
+  getReleaseTime(buffer) {
+    return buffer.playAt - this.outputLatencyMs - this.staticDelayMs;
+  }
+  
+  /**
+   * Get the playback duration of a PCM buffer
+   * @param {Buffer} audioData - PCM audio samples
+   * @returns {number} Duration in milliseconds
+   */
+  getChunkDuration(audioData) {
+    const frames = Math.floor(audioData.length / (this.channels * this.bytesPerSample));
+    return (frames / this.sampleRate) * 1000;
+  }
+  
   /**
    * Schedule an audio buffer for playback
    * @param {Buffer} audioData - PCM audio samples
@@ -51,22 +141,22 @@ class AudioScheduler {
    */
   schedule(audioData, timestamp) {
     // Update last receive time
-    this.lastReceiveTime = Date.now();
+    this.lastReceiveTime = monotonicClock.nowMs();
     
-    // Convert server timestamp to local playback time
-    const serverUnixTime = this.clockSync.serverToUnixTime(timestamp);
-    const playAt = new Date(serverUnixTime / 1000); // Convert microseconds to milliseconds for Date constructor
-    
-    // Check if chunk is already too late (before scheduling)
-    const now = new Date();
-    const delayMs = playAt - now;
+    // Convert server timestamp to local playback time (monotonic ms - immune to system clock steps)
+    const playAt = this.clockSync.serverToLocalTime(timestamp) / 1000;
     
     const buffer = {
       timestamp: timestamp,
       playAt: playAt,
+      durationMs: this.getChunkDuration(audioData),
       samples: audioData
     };
     
+    // Check if chunk is already too late to release (before scheduling)
+    const now = monotonicClock.nowMs();
+    const delayMs = this.getReleaseTime(buffer) - now;
+    
     this.stats.received++;
     
     // Log first 10 chunks and then every 50th chunk for debugging
@@ -76,7 +166,7 @@ class AudioScheduler {
       const syncStats = this.clockSync.getStats();
       const queueSize = this.bufferQueue.length;
       
-      this.logger.info(`[AudioScheduler] Chunk #${this.stats.received}: ${audioData.length} bytes, timestamp=${timestamp}μs, serverNow=${serverNow}μs, diff=${diff}μs (${(diff / 1000).toFixed(1)}ms), playAt=${playAt.toISOString()}, delay=${delayMs.toFixed(1)}ms, queue=${queueSize}, buffering=${this.buffering}, rtt=${syncStats.rtt}μs, quality=${syncStats.quality}`);
+      this.logger.info(`[AudioScheduler] Chunk #${this.stats.received}: ${audioData.length} bytes (${buffer.durationMs.toFixed(1)}ms), timestamp=${timestamp}μs, serverNow=${serverNow}μs, diff=${diff}μs (${(diff / 1000).toFixed(1)}ms), playAt=${new Date(monotonicClock.toUnixMicros(playAt * 1000) / 1000).toISOString()}, delay=${delayMs.toFixed(1)}ms, queue=${queueSize}, buffering=${this.buffering}, rtt=${syncStats.rtt}μs, quality=${syncStats.quality}`);
     }
     
     // Check if chunk is already too late before adding to queue
@@ -95,12 +185,12 @@ class AudioScheduler {
     // Check if queue is too large (slow machine can't keep up)
     // When queue is full, drop new chunks to prevent unbounded growth
     // The processQueue() method will eventually catch up and play/drop queued chunks
-    if (this.bufferQueue.length >= this.maxQueueSize) {
+    if (this.queuedMs + buffer.durationMs > this.maxQueueMs) {
       this.stats.dropped++;
       this.consecutiveDrops++;
       if (this.stats.received % 50 === 0) {
         const syncStats = this.clockSync.getStats();
-        this.logger.warn(`[AudioScheduler] Queue full (${this.bufferQueue.length} >= ${this.maxQueueSize}), dropping new chunk #${this.stats.received}. Machine may be too slow. Sync: ${syncStats.quality}, RTT: ${syncStats.rtt}μs`);
+        this.logger.warn(`[AudioScheduler] Queue full (${this.queuedMs.toFixed(0)}ms >= ${this.maxQueueMs}ms), dropping new chunk #${this.stats.received}. Machine may be too slow. Sync: ${syncStats.quality}, RTT: ${syncStats.rtt}μs`);
       }
       return; // Don't add to queue - let processQueue() catch up
     }
@@ -110,7 +200,7 @@ class AudioScheduler {
     
     // Log queue size after insertion for first few chunks
     if (this.stats.received <= 10) {
-      this.logger.info(`[AudioScheduler] Chunk #${this.stats.received} added to queue: queue size=${this.bufferQueue.length}`);
+      this.logger.info(`[AudioScheduler] Chunk #${this.stats.received} added to queue: queue size=${this.bufferQueue.length} (${this.queuedMs.toFixed(1)}ms)`);
     }
   }
 
@@ -119,6 +209,7 @@ class AudioScheduler {
    */
   insertBuffer(buffer) {
     this.bufferQueue.push(buffer);
+    this.queuedMs += buffer.durationMs;
     this.bubbleUp(this.bufferQueue.length - 1);
   }
 
@@ -185,6 +276,9 @@ class AudioScheduler {
     if (this.bufferQueue.length > 0) {
       this.bufferQueue[0] = last;
       this.bubbleDown(0);
+      this.queuedMs -= top.durationMs;
+    } else {
+      this.queuedMs = 0; // Avoid accumulating rounding errors
     }
     
     return top;
@@ -201,7 +295,7 @@ class AudioScheduler {
     
     this.running = true;
     this.onBufferReady = onBufferReady;
-    this.bufferStartTime = Date.now();
+    this.bufferStartTime = monotonicClock.nowMs();
     this.lastPlayTime = null;
     this.lastReceiveTime = null;
     this.consecutiveDrops = 0;
@@ -216,7 +310,7 @@ class AudioScheduler {
       this.checkForHang();
     }, 1000);
     
-    this.logger.info(`[AudioScheduler] Started scheduler (buffer target: ${this.bufferTarget} chunks)`);
+    this.logger.info(`[AudioScheduler] Started scheduler (buffer target: ${this.bufferTarget}ms)`);
   }
 
   /**
@@ -225,28 +319,27 @@ class AudioScheduler {
   processQueue() {
     // Check if we're still buffering at startup
     if (this.buffering) {
-      if (this.bufferQueue.length >= this.bufferTarget) {
-        this.logger.info(`[AudioScheduler] Startup buffering complete: ${this.bufferQueue.length} chunks ready (target: ${this.bufferTarget})`);
+      if (this.queuedMs >= this.bufferTarget) {
+        this.logger.info(`[AudioScheduler] Startup buffering complete: ${this.queuedMs.toFixed(0)}ms ready in ${this.bufferQueue.length} chunks (target: ${this.bufferTarget}ms)`);
         this.buffering = false;
       } else {
         // Still buffering, don't start playback yet
         // Log every 100ms to show progress
         if (this.bufferQueue.length > 0 && this.stats.received % 5 === 0) {
-          this.logger.debug(`[AudioScheduler] Buffering: ${this.bufferQueue.length}/${this.bufferTarget} chunks`);
+          this.logger.debug(`[AudioScheduler] Buffering: ${this.queuedMs.toFixed(0)}/${this.bufferTarget}ms`);
         }
         return;
       }
     }
     
-    const now = new Date();
+    const now = monotonicClock.nowMs();
     let buffersPlayed = 0;
     
     while (this.bufferQueue.length > 0) {
       const buffer = this.peek();
       if (!buffer) break;
       
-      const delay = buffer.playAt - now;
-      const delayMs = delay;
+      const delayMs = this.getReleaseTime(buffer) - now;
       
       if (delayMs > 50) {
         // Too early (>50ms), wait
@@ -268,7 +361,7 @@ class AudioScheduler {
         // Ready to play (within ±50ms window)
         const readyBuffer = this.pop();
         this.stats.played++;
-        this.lastPlayTime = Date.now();
+        this.lastPlayTime = monotonicClock.nowMs();
         this.consecutiveDrops = 0; // Reset drop counter when we successfully play
         
         // Log first few buffers and then periodically
@@ -277,7 +370,7 @@ class AudioScheduler {
         }
         
         if (this.onBufferReady) {
-          this.onBufferReady(readyBuffer.samples);
+          this.onBufferReady(readyBuffer.samples, readyBuffer.playAt);
           buffersPlayed++;
         } else {
           this.logger.warn('[AudioScheduler] Buffer ready but no callback registered!');
@@ -302,14 +395,14 @@ class AudioScheduler {
       return;
     }
     
-    const now = Date.now();
+    const now = monotonicClock.nowMs();
     const syncStats = this.clockSync.getStats();
     
     // 1. Check if buffering is taking too long (>5 seconds)
     if (this.buffering && this.bufferStartTime) {
       const bufferingDuration = now - this.bufferStartTime;
       if (bufferingDuration > 5000) {
-        this.logger.warn(`[AudioScheduler] HANG DETECTED: Buffering for ${(bufferingDuration/1000).toFixed(1)}s (target: ${this.bufferTarget}, have: ${this.bufferQueue.length}). Forcing playback start.`);
+        this.logger.warn(`[AudioScheduler] HANG DETECTED: Buffering for ${(bufferingDuration/1000).toFixed(1)}s (target: ${this.bufferTarget}ms, have: ${this.queuedMs.toFixed(0)}ms). Forcing playback start.`);
         this.buffering = false; // Force start playback
         this.bufferStartTime = null;
       }
@@ -338,8 +431,8 @@ class AudioScheduler {
     }
     
     // 4. Check if we have a large queue but nothing is playing (>5 seconds)
-    if (!this.buffering && this.bufferQueue.length > 10 && this.lastPlayTime && (now - this.lastPlayTime) > 5000) {
-      this.logger.warn(`[AudioScheduler] HANG DETECTED: Large queue (${this.bufferQueue.length}) but no playback for ${((now - this.lastPlayTime)/1000).toFixed(1)}s. Attempting recovery.`);
+    if (!this.buffering && this.queuedMs > 200 && this.lastPlayTime && (now - this.lastPlayTime) > 5000) {
+      this.logger.warn(`[AudioScheduler] HANG DETECTED: Large queue (${this.queuedMs.toFixed(0)}ms) but no playback for ${((now - this.lastPlayTime)/1000).toFixed(1)}s. Attempting recovery.`);
       this.attemptRecovery();
     }
   }
@@ -354,11 +447,12 @@ class AudioScheduler {
     // Clear the queue
     const droppedCount = this.bufferQueue.length;
     this.bufferQueue = [];
+    this.queuedMs = 0;
     this.stats.dropped += droppedCount;
     
     // Reset buffering state
     this.buffering = true;
-    this.bufferStartTime = Date.now();
+    this.bufferStartTime = monotonicClock.nowMs();
     this.consecutiveDrops = 0;
     
     // If clock sync is lost, log a warning (we can't fix it here, but the client should handle it)
@@ -385,6 +479,7 @@ class AudioScheduler {
     
     this.running = false;
     this.bufferQueue = [];
+    this.queuedMs = 0;
     this.buffering = true;
     this.bufferStartTime = null;
     this.lastPlayTime = null;
@@ -399,6 +494,7 @@ class AudioScheduler {
    */
   clear() {
     this.bufferQueue = [];
+    this.queuedMs = 0;
     this.buffering = true;
     this.logger.info('[AudioScheduler] Buffers cleared, re-entering buffering mode');
   }
@@ -410,7 +506,9 @@ class AudioScheduler {
     return {
       received: this.stats.received,
       played: this.stats.played,
-      dropped: this.stats.dropped
+      dropped: this.stats.dropped,
+      outputLatencyMs: this.outputLatencyMs,
+      staticDelayMs: this.staticDelayMs
     };
   }
 
@@ -418,7 +516,7 @@ class AudioScheduler {
    * Get current buffer depth in milliseconds
    */
   getBufferDepth() {
-    return this.bufferQueue.length * this.ChunkDurationMs;
+    return Math.round(this.queuedMs);
   }
 }
 
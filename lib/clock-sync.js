@@ -1,50 +1,86 @@
 'use strict';
 
+const monotonicClock = require('./monotonic-clock');
+
 /**
  * Clock synchronization with server
- * Tracks server loop origin and RTT for synchronized audio playback
+ * Continuously estimates the server clock offset and drift (NTP-style) for synchronized audio playback
+ *
+ * Uses a two-state Kalman filter over [offset, drift]:
+ * - offset: server loop time minus local monotonic time (microseconds)
+ * - drift: rate of change of offset (microseconds per microsecond, reported as ppm)
+ * Each sample is weighted by its RTT - the measurement error of an NTP exchange is at most RTT/2
  */
 class ClockSync {
   constructor(logger = console) {
     this.logger = logger;
-    this.serverLoopStartUnix = null; // Unix microseconds when server loop started
+
+    // Filter tuning
+    this.maxRtt = 100000; // Discard samples with RTT above 100ms
+    this.offsetProcessVariance = 0.01; // µs² per µs of elapsed time (~100µs std dev per second)
+    this.driftProcessVariance = 1e-19; // per µs of elapsed time (~0.3ppm std dev per second)
+    this.initialDriftVariance = 1e-8; // (100ppm)² - crystal oscillators rarely exceed this
+
+    this.reset();
+  }
+
+  /**
+   * Forget the estimate (connection closed, new session)
+   * The offset and drift belong to one server clock: another server, or the same one after a
+   * restart, starts from a new loop time, and filtering across the jump would take minutes
+   */
+  reset() {
+    this.serverLoopStartUnix = null; // Local monotonic microseconds when server loop started (-offset)
     this.rtt = 0; // Latest round-trip time in microseconds
     this.quality = 'lost'; // 'good', 'degraded', or 'lost'
-    this.lastSync = null; // Date of last successful sync
+    this.lastSync = null; // Monotonic ms of last successful sync
     this.sampleCount = 0;
     this.synced = false; // True after first successful sync
+
+    // Filter state
+    this.offset = 0; // Server loop µs minus local monotonic µs at lastUpdateTime
+    this.drift = 0; // Offset change per local µs
+    this.lastUpdateTime = null; // Local monotonic µs of the last filter update
+    // Covariance matrix [[offsetVar, covariance], [covariance, driftVar]]
+    this.offsetVariance = 0;
+    this.covariance = 0;
+    this.driftVariance = 0;
   }
 
   /**
    * Process a server/time response
-   * @param {number} t1 - Client send time (Unix microseconds)
+   * @param {number} t1 - Client send time (monotonic microseconds)
    * @param {number} t2 - Server receive time (server loop microseconds)
    * @param {number} t3 - Server send time (server loop microseconds)
-   * @param {number} t4 - Client receive time (Unix microseconds)
+   * @param {number} t4 - Client receive time (monotonic microseconds)
    */
   processSyncResponse(t1, t2, t3, t4) {
     // Calculate RTT: (total round-trip) - (server processing time)
     const rtt = (t4 - t1) - (t3 - t2);
 
-    this.rtt = rtt;
-    this.lastSync = new Date();
-
-    // Discard samples with high RTT (network congestion)
-    if (rtt > 100000) { // 100ms
+    // Discard samples with high RTT (network congestion) - they don't count as a sync
+    if (rtt > this.maxRtt) {
       this.logger.debug(`[ClockSync] Discarding sync sample: high RTT ${rtt}μs`);
       return;
     }
 
-    // On first successful sync, compute when the server loop started in Unix µs
-    // t2 is server_received (server loop µs), t4 is our Unix µs
+    this.rtt = rtt;
+    this.lastSync = monotonicClock.nowMs();
+
+    // NTP offset estimate at the midpoint of the exchange
+    const measuredOffset = ((t2 - t1) + (t3 - t4)) / 2;
+    const midpoint = (t1 + t4) / 2;
+    // Symmetric-path assumption means the true offset is within ±RTT/2 of the measurement
+    const maxError = Math.max(rtt, 1) / 2;
+
+    this.updateFilter(measuredOffset, maxError, midpoint);
+    this.serverLoopStartUnix = -this.offset;
+    this.sampleCount++;
+
     if (!this.synced) {
-      // Use Date.now() * 1000 to get Unix microseconds (not process.hrtime which is monotonic)
-      const nowUnix = Date.now() * 1000;
-      this.serverLoopStartUnix = nowUnix - t2;
       this.synced = true;
       this.quality = 'good';
-      this.sampleCount++;
-      this.logger.info(`[ClockSync] Clock sync established: serverLoopStart=${this.serverLoopStartUnix}, nowUnix=${nowUnix}, t2=${t2}, rtt=${rtt}μs`);
+      this.logger.info(`[ClockSync] Clock sync established: offset=${this.offset.toFixed(0)}μs, serverLoopStart=${this.serverLoopStartUnix.toFixed(0)}, t2=${t2}, rtt=${rtt}μs`);
       return;
     }
 
@@ -55,21 +91,74 @@ class ClockSync {
       this.quality = 'degraded';
     }
 
-    this.sampleCount++;
-
     if (this.sampleCount < 10) {
-      this.logger.debug(`[ClockSync] Sync #${this.sampleCount}: rtt=${rtt}μs, quality=${this.quality}`);
+      this.logger.debug(`[ClockSync] Sync #${this.sampleCount}: rtt=${rtt}μs, offset=${this.offset.toFixed(0)}μs, drift=${(this.drift * 1e6).toFixed(2)}ppm, error=${Math.sqrt(this.offsetVariance).toFixed(0)}μs, quality=${this.quality}`);
     }
   }
 
+  /**
+   * Kalman filter predict + update step for one offset measurement
+   * @param {number} measuredOffset - Measured offset in microseconds
+   * @param {number} maxError - Measurement error bound in microseconds
+   * @param {number} time - Local monotonic microseconds of the measurement
+   */
+  updateFilter(measuredOffset, maxError, time) {
+    const measurementVariance = maxError * maxError;
+
+    // First sample - take the measurement as-is
+    if (this.lastUpdateTime === null) {
+      this.offset = measuredOffset;
+      this.drift = 0;
+      this.offsetVariance = measurementVariance;
+      this.covariance = 0;
+      this.driftVariance = this.initialDriftVariance;
+      this.lastUpdateTime = time;
+      return;
+    }
+
+    // Predict: advance offset by the current drift estimate
+    const dt = Math.max(0, time - this.lastUpdateTime);
+    this.offset += this.drift * dt;
+    this.offsetVariance += 2 * this.covariance * dt + this.driftVariance * dt * dt + this.offsetProcessVariance * dt;
+    this.covariance += this.driftVariance * dt;
+    this.driftVariance += this.driftProcessVariance * dt;
+
+    // Update: blend in the measurement, weighted by its variance (low RTT = high weight)
+    const innovation = measuredOffset - this.offset;
+    const innovationVariance = this.offsetVariance + measurementVariance;
+    const offsetGain = this.offsetVariance / innovationVariance;
+    const driftGain = this.covariance / innovationVariance;
+
+    this.offset += offsetGain * innovation;
+    this.drift += driftGain * innovation;
+
+    const offsetVariance = this.offsetVariance;
+    const covariance = this.covariance;
+    this.offsetVariance = (1 - offsetGain) * offsetVariance;
+    this.covariance = (1 - offsetGain) * covariance;
+    this.driftVariance -= driftGain * covariance;
+
+    this.lastUpdateTime = time;
+  }
+
+  /**
+   * Get estimated offset (server minus local) at a local time
+   * @param {number} localTime - Local monotonic microseconds
+   * @returns {number} Offset in microseconds
+   */
+  offsetAt(localTime) {
+    return this.offset + this.drift * (localTime - this.lastUpdateTime);
+  }
+
   /**
    * Get sync statistics
-   * @returns {{rtt: number, quality: string}}
+   * @returns {{rtt: number, quality: string, offset: number, drift: number, error: number, samples: number}}
+   * offset is server minus local time (μs), drift is in ppm, error is the offset standard deviation (μs)
    */
   getStats() {
     // Check if sync is stale (>5 seconds since last sync)
     if (this.lastSync) {
-      const timeSinceSync = Date.now() - this.lastSync.getTime();
+      const timeSinceSync = monotonicClock.nowMs() - this.lastSync;
       if (timeSinceSync > 5000) {
         this.quality = 'lost';
       }
@@ -77,53 +166,67 @@ class ClockSync {
 
     return {
       rtt: this.rtt,
-      quality: this.quality
+      quality: this.quality,
+      offset: this.synced ? Math.round(this.offset) : 0,
+      drift: this.synced ? this.drift * 1e6 : 0,
+      error: this.synced ? Math.sqrt(this.offsetVariance) : null,
+      samples: this.sampleCount
     };
   }
 
   /**
-   * Convert server timestamp (loop microseconds) to Unix microseconds
+   * Convert server timestamp (loop microseconds) to local monotonic microseconds
    * @param {number} serverTime - Server loop time in microseconds
-   * @returns {number} Unix microseconds
+   * @returns {number} Local monotonic microseconds
    */
-  serverToUnixTime(serverTime) {
+  serverToLocalTime(serverTime) {
     // Check if sync is still valid
     const stats = this.getStats();
     if (stats.quality === 'lost') {
       // Clock sync is lost - don't use broken conversion
       // Instead, estimate based on current time and assume chunks are ~500ms in the future
-      const nowUnix = Date.now() * 1000; // Unix microseconds
-      const estimatedPlayTime = nowUnix + 500000; // 500ms in the future
+      const nowLocal = monotonicClock.nowMicros();
+      const estimatedPlayTime = nowLocal + 500000; // 500ms in the future
       
       // Only log this occasionally to avoid spam (every 100 chunks or first 5)
       if (!this._syncLostWarningCount) this._syncLostWarningCount = 0;
       this._syncLostWarningCount++;
       if (this._syncLostWarningCount <= 5 || this._syncLostWarningCount % 100 === 0) {
-        this.logger.warn(`[ClockSync] Sync LOST - using estimated time: serverTime=${serverTime}μs -> estimated=${estimatedPlayTime}μs (now=${nowUnix}μs) (warning #${this._syncLostWarningCount})`);
+        this.logger.warn(`[ClockSync] Sync LOST - using estimated time: serverTime=${serverTime}μs -> estimated=${estimatedPlayTime}μs (now=${nowLocal}μs) (warning #${this._syncLostWarningCount})`);
       }
       return estimatedPlayTime;
     }
     
     // If we haven't synced yet, assume server time = client time
     if (!this.synced) {
-      const nowUnix = Date.now() * 1000; // Unix microseconds
-      this.logger.warn(`[ClockSync] Converting server time without sync! serverTime=${serverTime}μs, using now=${nowUnix}μs`);
-      return nowUnix;
+      const nowLocal = monotonicClock.nowMicros();
+      this.logger.warn(`[ClockSync] Converting server time without sync! serverTime=${serverTime}μs, using now=${nowLocal}μs`);
+      return nowLocal;
     }
 
-    // Convert server loop µs to Unix µs
-    const unixTime = this.serverLoopStartUnix + serverTime;
+    // Convert server loop µs to local µs: solve local = server - (offset + drift * (local - lastUpdate))
+    const localTime = (serverTime - this.offset + this.drift * this.lastUpdateTime) / (1 + this.drift);
     
     // Validate conversion - if it's clearly wrong (more than 1 hour off), something is broken
-    const nowUnix = Date.now() * 1000; // Unix microseconds
-    const diff = unixTime - nowUnix;
+    const nowLocal = monotonicClock.nowMicros();
+    const diff = localTime - nowLocal;
     if (Math.abs(diff) > 3600000000) { // >1 hour difference
-      this.logger.error(`[ClockSync] BROKEN conversion detected: serverTime=${serverTime}μs -> unixTime=${unixTime}μs, now=${nowUnix}μs, diff=${diff}μs (${(diff/1000000).toFixed(1)}s), serverLoopStart=${this.serverLoopStartUnix}. Using estimated time instead.`);
+      this.logger.error(`[ClockSync] BROKEN conversion detected: serverTime=${serverTime}μs -> localTime=${localTime}μs, now=${nowLocal}μs, diff=${diff}μs (${(diff/1000000).toFixed(1)}s), serverLoopStart=${this.serverLoopStartUnix}. Using estimated time instead.`);
       // Use estimated time instead
-      return nowUnix + 500000; // 500ms in the future
+      return nowLocal + 500000; // 500ms in the future
     }
     
-    return unixTime;
+    return localTime;
+  }
+
+  /**
+   * Convert server timestamp (loop microseconds) to Unix microseconds
+   * Only for protocol fields and logs - use serverToLocalTime() for scheduling
+   * @param {number} serverTime - Server loop time in microseconds
+   * @returns {number} Unix microseconds
+   */
+  serverToUnixTime(serverTime) {
+    return monotonicClock.toUnixMicros(this.serverToLocalTime(serverTime));
   }
 
   /**
@@ -131,14 +234,14 @@ class ClockSync {
    * @returns {number} Server loop time in microseconds
    */
   serverMicrosNow() {
+    const nowLocal = monotonicClock.nowMicros();
     if (!this.synced) {
-      // Before sync, return Unix time (approximation)
-      return Date.now() * 1000; // Unix microseconds
+      // Before sync, return local time (approximation)
+      return nowLocal;
     }
 
-    // Convert current Unix time to server loop time
-    const nowUnix = Date.now() * 1000; // Unix microseconds
-    return nowUnix - this.serverLoopStartUnix;
+    // Convert current local time to server loop time
+    return nowLocal + this.offsetAt(nowLocal);
   }
 
   /**
@@ -151,4 +254,3 @@ class ClockSync {
 }
 
 module.exports = ClockSync;
-
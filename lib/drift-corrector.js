@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Playout drift correction
+ * Sits between the scheduler and the audio player and keeps the output sample stream aligned
+ * with the server's timestamps by inserting or dropping single frames.
+ *
+ * The error comes from the output device: the player reports how much audio it has queued
+ * ahead of the sound card (written but not yet heard, from the card's playback position), so
+ * the buffer about to be written is heard at atMs + delayMs. Comparing that to the buffer's
+ * scheduled playAt gives the playout error - a sound card clock running fast or slow shows up
+ * as a shrinking or growing queue. A PI controller turns the error into a small rate correction
+ * (ppm), applied one frame at a time. Outputs that cannot measure their position (MPD) get no
+ * correction.
+ */
+class DriftCorrector {
+  constructor(config = {}) {
+    this.logger = config.logger || console;
+
+    this.maxCorrectionPpm = config.maxCorrectionPpm || 500; // Max rate change (0.05%)
+    this.deadbandMs = config.deadbandMs !== undefined ? config.deadbandMs : 0.5; // Ignore errors below this
+    this.resyncThresholdMs = config.resyncThresholdMs || 50; // Leave larger errors to the scheduler
+    this.proportionalGain = 100; // ppm per ms of error (corrects an error in ~10s)
+    this.integralGain = 3; // ppm per ms·s of accumulated error (removes steady-state drift)
+    this.smoothing = 0.05; // EMA factor for the measured error
+
+    this.sampleRate = 48000;
+    this.channels = 2;
+    this.bytesPerSample = 2;
+
+    this.reset();
+  }
+
+  /**
+   * Configure for a stream format
+   * @param {Object} format - Stream format (sample_rate, channels, bit_depth)
+   * @param {number} [bytesPerSample] - Bytes per sample in the PCM buffers (defaults to bit_depth / 8)
+   */
+  configure(format, bytesPerSample) {
+    this.sampleRate = format.sample_rate || this.sampleRate;
+    this.channels = format.channels || this.channels;
+    this.bytesPerSample = bytesPerSample || Math.ceil((format.bit_depth || 16) / 8);
+    this.reset();
+  }
+
+  /**
+   * Reset the controller and statistics (stream start, stream clear)
+   */
+  reset() {
+    this.resetController();
+    this.measured = false; // Whether the last buffer had a device measurement
+    this.outOfRange = false; // Whether the last error was too large to slew
+
+    this.stats = {
+      framesInserted: 0,
+      framesDropped: 0,
+      resyncs: 0
+    };
+  }
+
+  /**
+   * Forget the measured error and the correction built up from it
+   */
+  resetController() {
+    this.errorMs = 0; // Smoothed playout error (positive = output is behind target)
+    this.integral = 0; // Accumulated error (ms·s)
+    this.correctionPpm = 0; // Current correction (positive = dropping frames to catch up)
+    this.pendingFrames = 0; // Fractional frames owed to the correction
+  }
+
+  /**
+   * Correct a buffer that is about to be played
+   * @param {Buffer} pcmData - Decoded PCM (interleaved frames)
+   * @param {number} playAt - Target play time of the first frame (local monotonic ms)
+   * @param {{delayMs: number, atMs: number}|null} playout - Audio queued ahead of the sound card
+   *   at local monotonic time atMs (from the output's getPlayoutDelay()), null if not measurable
+   * @returns {Buffer} PCM with at most one frame inserted or dropped
+   */
+  process(pcmData, playAt, playout) {
+    const frameSize = this.channels * this.bytesPerSample;
+    const frames = Math.floor(pcmData.length / frameSize);
+    if (frames < 2 || playAt === undefined || playAt === null) {
+      return pcmData;
+    }
+
+    if (!playout) {
+      // Nothing to measure the sound card against (device not running yet, MPD output)
+      if (this.measured) {
+        this.logger.info('[DriftCorrector] Output position unavailable, correction paused');
+      }
+      this.measured = false;
+      this.resetController();
+      return pcmData;
+    }
+    this.measured = true;
+
+    // When will this buffer actually be heard, given what the device still has queued?
+    const rawErrorMs = playout.atMs + playout.delayMs - playAt;
+
+    if (Math.abs(rawErrorMs) > this.resyncThresholdMs) {
+      // Too far off to slew (gap after dropped chunks, clock sync jump, device underrun) - the
+      // scheduler's window deals with it; start over once the error is back in range
+      if (!this.outOfRange) {
+        this.logger.info(`[DriftCorrector] Playout error ${rawErrorMs.toFixed(1)}ms exceeds ${this.resyncThresholdMs}ms, resyncing`);
+        this.stats.resyncs++;
+      }
+      this.outOfRange = true;
+      this.resetController();
+      return pcmData;
+    }
+    this.outOfRange = false;
+
+    this.updateCorrection(rawErrorMs, frames / this.sampleRate);
+    this.pendingFrames += frames * this.correctionPpm / 1e6;
+
+    if (this.pendingFrames >= 1) {
+      this.pendingFrames -= 1;
+      this.stats.framesDropped++;
+      return this.dropFrame(pcmData, frames, frameSize);
+    }
+    if (this.pendingFrames <= -1) {
+      this.pendingFrames += 1;
+      this.stats.framesInserted++;
+      return this.insertFrame(pcmData, frames, frameSize);
+    }
+    return pcmData;
+  }
+
+  /**
+   * Update the PI controller from a new error measurement
+   * @param {number} rawErrorMs - Measured playout error in ms
+   * @param {number} durationSec - Duration of the buffer being played
+   */
+  updateCorrection(rawErrorMs, durationSec) {
+    this.errorMs += this.smoothing * (rawErrorMs - this.errorMs);
+
+    const error = Math.abs(this.errorMs) < this.deadbandMs ? 0 : this.errorMs;
+
+    // Anti-windup: the integral alone may never exceed the max correction
+    const integralLimit = this.maxCorrectionPpm / this.integralGain;
+    this.integral = Math.max(-integralLimit, Math.min(integralLimit, this.integral + error * durationSec));
+
+    const ppm = this.proportionalGain * error + this.integralGain * this.integral;
+    this.correctionPpm = Math.max(-this.maxCorrectionPpm, Math.min(this.maxCorrectionPpm, ppm));
+  }
+
+  /**
+   * Remove the middle frame of a buffer
+   */
+  dropFrame(pcmData, frames, frameSize) {
+    const offset = Math.floor(frames / 2) * frameSize;
+    return Buffer.concat([
+      pcmData.subarray(0, offset),
+      pcmData.subarray(offset + frameSize)
+    ]);
+  }
+
+  /**
+   * Duplicate the middle frame of a buffer
+   */
+  insertFrame(pcmData, frames, frameSize) {
+    const offset = Math.floor(frames / 2) * frameSize;
+    return Buffer.concat([
+      pcmData.subarray(0, offset + frameSize),
+      pcmData.subarray(offset)
+    ]);
+  }
+
+  /**
+   * Get correction statistics
+   * @returns {{measured: boolean, errorMs: number, correctionPpm: number, framesInserted: number, framesDropped: number, resyncs: number}}
+   */
+  getStats() {
+    return {
+      measured: this.measured,
+      errorMs: this.errorMs,
+      correctionPpm: this.correctionPpm,
+      framesInserted: this.stats.framesInserted,
+      framesDropped: this.stats.framesDropped,
+      resyncs: this.stats.resyncs
+    };
+  }
+}
+
+module.exports = DriftCorrector;
@@ -0,0 +1,590 @@
+'use strict';
+
+/**
+ * FLAC frame decoder
+ * Pure JavaScript decoder for the FLAC frames carried in Sendspin audio chunks.
+ *
+ * Each chunk is decoded on its own and synchronously, so the PCM returned for a chunk is exactly
+ * the audio of the frames it contained and stays tied to that chunk's timestamp. Stream parameters
+ * come from the STREAMINFO block in the stream/start codec_header, or from an in-band "fLaC" header.
+ */
+
+// Block sizes for frame header codes 0-15 (0 reserved, 6/7 read from the end of the header)
+const BLOCK_SIZES = [0, 192, 576, 1152, 2304, 4608, null, null, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+
+// Sample rates for frame header codes 0-11 (0 = from STREAMINFO, 12-14 read from the end of the header)
+const SAMPLE_RATES = [0, 88200, 176400, 192000, 8000, 16000, 22050, 24000, 32000, 44100, 48000, 96000];
+
+// Sample sizes for frame header codes 0-7 (0 = from STREAMINFO, 3 reserved)
+const SAMPLE_SIZES = [0, 8, 12, null, 16, 20, 24, 32];
+
+// Channel assignments (codes 0-7 are independent channels)
+const LEFT_SIDE = 8;
+const SIDE_RIGHT = 9;
+const MID_SIDE = 10;
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+  let crc8 = i;
+  let crc16 = i << 8;
+  for (let bit = 0; bit < 8; bit++) {
+    crc8 = (crc8 & 0x80) ? ((crc8 << 1) ^ 0x07) & 0xff : (crc8 << 1) & 0xff;
+    crc16 = (crc16 & 0x8000) ? ((crc16 << 1) ^ 0x8005) & 0xffff : (crc16 << 1) & 0xffff;
+  }
+  CRC8_TABLE[i] = crc8;
+  CRC16_TABLE[i] = crc16;
+}
+
+/**
+ * Thrown when a chunk ends in the middle of a frame
+ */
+class IncompleteFrameError extends Error {
+  constructor() {
+    super('Incomplete FLAC frame');
+    this.name = 'IncompleteFrameError';
+  }
+}
+
+/**
+ * MSB-first bit reader over a Buffer
+ */
+class BitReader {
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.bytePos = offset;
+    this.bitPos = 0;
+  }
+
+  readBits(count) {
+    let value = 0;
+    while (count > 0) {
+      if (this.bytePos >= this.buffer.length) {
+        throw new IncompleteFrameError();
+      }
+      const available = 8 - this.bitPos;
+      const take = Math.min(available, count);
+      const bits = (this.buffer[this.bytePos] >> (available - take)) & ((1 << take) - 1);
+      value = value * (1 << take) + bits;
+      this.bitPos += take;
+      if (this.bitPos === 8) {
+        this.bitPos = 0;
+        this.bytePos++;
+      }
+      count -= take;
+    }
+    return value;
+  }
+
+  readSigned(count) {
+    if (count === 0) {
+      return 0;
+    }
+    const value = this.readBits(count);
+    return value >= 2 ** (count - 1) ? value - 2 ** count : value;
+  }
+
+  /**
+   * Count zero bits up to and including the next one bit
+   */
+  readUnary() {
+    let zeros = 0;
+    for (;;) {
+      if (this.bytePos >= this.buffer.length) {
+        throw new IncompleteFrameError();
+      }
+      const remaining = this.buffer[this.bytePos] & (0xff >> this.bitPos);
+      if (remaining === 0) {
+        zeros += 8 - this.bitPos;
+        this.bitPos = 0;
+        this.bytePos++;
+        continue;
+      }
+      // Position of the highest set bit among the remaining bits
+      const leading = Math.clz32(remaining) - 24 - this.bitPos;
+      zeros += leading;
+      this.bitPos += leading + 1;
+      if (this.bitPos === 8) {
+        this.bitPos = 0;
+        this.bytePos++;
+      }
+      return zeros;
+    }
+  }
+
+  alignToByte() {
+    if (this.bitPos !== 0) {
+      this.bitPos = 0;
+      this.bytePos++;
+    }
+  }
+}
+
+class FlacDecoder {
+  constructor(config = {}) {
+    this.logger = config.logger || console;
+    this.streamInfo = null; // Parsed STREAMINFO (sampleRate, channels, bitsPerSample, ...)
+    this.expectedFormat = config.expectedFormat || null; // Format announced in stream/start (sampleRate, channels, bitsPerSample)
+
+    this.stats = {
+      frames: 0,
+      samples: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Parse a FLAC stream header ("fLaC" marker followed by metadata blocks)
+   * @param {Buffer} header - Stream header (e.g. codec_header from stream/start)
+   * @returns {number} Number of header bytes consumed
+   */
+  setHeader(header) {
+    if (header.length < 4 || header.toString('latin1', 0, 4) !== 'fLaC') {
+      throw new Error('Invalid FLAC header: missing fLaC marker');
+    }
+
+    let offset = 4;
+    let isLast = false;
+    while (!isLast) {
+      if (offset + 4 > header.length) {
+        throw new Error('Invalid FLAC header: truncated metadata block');
+      }
+      isLast = (header[offset] & 0x80) !== 0;
+      const blockType = header[offset] & 0x7f;
+      const length = header.readUIntBE(offset + 1, 3);
+      offset += 4;
+      if (offset + length > header.length) {
+        throw new Error('Invalid FLAC header: truncated metadata block');
+      }
+      if (blockType === 0) {
+        this.streamInfo = this.parseStreamInfo(header.subarray(offset, offset + length));
+        this.logger.info(`[FlacDecoder] Stream info: ${this.streamInfo.sampleRate}Hz, ${this.streamInfo.channels}ch, ${this.streamInfo.bitsPerSample}bit`);
+        this.checkFormat(this.streamInfo, 'STREAMINFO');
+      }
+      offset += length;
+    }
+
+    return offset;
+  }
+
+  /**
+   * Parse a STREAMINFO metadata block
+   */
+  parseStreamInfo(block) {
+    if (block.length < 34) {
+      throw new Error('Invalid FLAC STREAMINFO block');
+    }
+    const reader = new BitReader(block);
+    const minBlockSize = reader.readBits(16);
+    const maxBlockSize = reader.readBits(16);
+    reader.readBits(24); // min frame size
+    reader.readBits(24); // max frame size
+    const sampleRate = reader.readBits(20);
+    const channels = reader.readBits(3) + 1;
+    const bitsPerSample = reader.readBits(5) + 1;
+    return { minBlockSize, maxBlockSize, sampleRate, channels, bitsPerSample };
+  }
+
+  /**
+   * Decode every frame in a chunk
+   * @param {Buffer} chunk - One or more complete FLAC frames (may start with a stream header)
+   * @returns {Buffer} Interleaved little-endian PCM (bit depth rounded up to whole bytes)
+   */
+  decode(chunk) {
+    let offset = 0;
+
+    // Some servers send the stream header in-band instead of in codec_header
+    if (chunk.length >= 4 && chunk.toString('latin1', 0, 4) === 'fLaC') {
+      offset = this.setHeader(chunk);
+    }
+
+    const outputs = [];
+    while (offset < chunk.length) {
+      try {
+        const frame = this.decodeFrame(chunk, offset);
+        outputs.push(frame.pcm);
+        offset = frame.end;
+      } catch (error) {
+        this.stats.errors++;
+        if (error instanceof IncompleteFrameError) {
+          this.logger.warn(`[FlacDecoder] Dropping ${chunk.length - offset} bytes of incomplete frame data`);
+          break;
+        }
+        throw error;
+      }
+    }
+
+    return outputs.length === 1 ? outputs[0] : Buffer.concat(outputs);
+  }
+
+  /**
+   * Decode a single frame
+   * @param {Buffer} buffer - Buffer containing the frame
+   * @param {number} offset - Offset of the frame sync code
+   * @returns {{pcm: Buffer, end: number, blockSize: number, sampleRate: number, channels: number, bitsPerSample: number}}
+   */
+  decodeFrame(buffer, offset) {
+    const header = this.readFrameHeader(buffer, offset);
+    const reader = header.reader;
+    const { blockSize, channelAssignment, bitsPerSample } = header;
+    const channels = channelAssignment < LEFT_SIDE ? channelAssignment + 1 : 2;
+    this.checkFormat({ sampleRate: header.sampleRate, channels, bitsPerSample }, 'Frame');
+
+    const samples = [];
+    for (let ch = 0; ch < channels; ch++) {
+      // Side channels carry one extra bit
+      let channelBits = bitsPerSample;
+      if ((channelAssignment === LEFT_SIDE && ch === 1) ||
+          (channelAssignment === SIDE_RIGHT && ch === 0) ||
+          (channelAssignment === MID_SIDE && ch === 1)) {
+        channelBits++;
+      }
+      samples.push(this.readSubframe(reader, blockSize, channelBits));
+    }
+
+    this.decorrelate(samples, channelAssignment, blockSize);
+
+    reader.alignToByte();
+    const crcEnd = reader.bytePos;
+    const expectedCrc = reader.readBits(16);
+    if (this.crc16(buffer, offset, crcEnd) !== expectedCrc) {
+      throw new Error('FLAC frame CRC-16 mismatch');
+    }
+
+    this.stats.frames++;
+    this.stats.samples += blockSize;
+
+    return {
+      pcm: this.interleave(samples, blockSize, bitsPerSample),
+      end: reader.bytePos,
+      blockSize,
+      sampleRate: header.sampleRate,
+      channels,
+      bitsPerSample
+    };
+  }
+
+  /**
+   * Check decoded parameters against the format announced in stream/start
+   * @param {{sampleRate: number, channels: number, bitsPerSample: number}} actual - Parameters to check
+   * @param {string} source - What the parameters came from (for the error message)
+   */
+  checkFormat(actual, source) {
+    const expected = this.expectedFormat;
+    if (!expected) {
+      return;
+    }
+    if ((actual.sampleRate && actual.sampleRate !== expected.sampleRate) ||
+        actual.channels !== expected.channels ||
+        actual.bitsPerSample !== expected.bitsPerSample) {
+      throw new Error(`${source} format ${actual.sampleRate}Hz/${actual.channels}ch/${actual.bitsPerSample}bit does not match stream/start ${expected.sampleRate}Hz/${expected.channels}ch/${expected.bitsPerSample}bit`);
+    }
+  }
+
+  /**
+   * Read and validate a frame header
+   */
+  readFrameHeader(buffer, offset) {
+    const reader = new BitReader(buffer, offset);
+    if (reader.readBits(15) !== 0x7ffc) {
+      throw new Error(`FLAC frame sync not found at offset ${offset}`);
+    }
+    reader.readBits(1); // blocking strategy (fixed/variable) - numbering is not used
+
+    const blockSizeCode = reader.readBits(4);
+    const sampleRateCode = reader.readBits(4);
+    const channelAssignment = reader.readBits(4);
+    const sampleSizeCode = reader.readBits(3);
+    reader.readBits(1); // reserved
+
+    if (channelAssignment > MID_SIDE) {
+      throw new Error(`Invalid FLAC channel assignment: ${channelAssignment}`);
+    }
+
+    // UTF-8 style coded frame/sample number
+    const first = reader.readBits(8);
+    let extraBytes = 0;
+    for (let mask = 0x80; first & mask; mask >>= 1) {
+      extraBytes++;
+    }
+    for (let i = 1; i < extraBytes; i++) {
+      reader.readBits(8);
+    }
+
+    let blockSize = BLOCK_SIZES[blockSizeCode];
+    if (blockSizeCode === 6) {
+      blockSize = reader.readBits(8) + 1;
+    } else if (blockSizeCode === 7) {
+      blockSize = reader.readBits(16) + 1;
+    }
+    if (!blockSize) {
+      throw new Error(`Invalid FLAC block size code: ${blockSizeCode}`);
+    }
+
+    let sampleRate = SAMPLE_RATES[sampleRateCode];
+    if (sampleRateCode === 12) {
+      sampleRate = reader.readBits(8) * 1000;
+    } else if (sampleRateCode === 13) {
+      sampleRate = reader.readBits(16);
+    } else if (sampleRateCode === 14) {
+      sampleRate = reader.readBits(16) * 10;
+    } else if (sampleRateCode === 15) {
+      throw new Error('Invalid FLAC sample rate code: 15');
+    }
+    if (!sampleRate && this.streamInfo) {
+      sampleRate = this.streamInfo.sampleRate;
+    }
+
+    let bitsPerSample = SAMPLE_SIZES[sampleSizeCode];
+    if (bitsPerSample === null) {
+      throw new Error(`Invalid FLAC sample size code: ${sampleSizeCode}`);
+    }
+    if (!bitsPerSample) {
+      if (!this.streamInfo) {
+        throw new Error('FLAC frame needs STREAMINFO for its sample size, but no stream header was received');
+      }
+      bitsPerSample = this.streamInfo.bitsPerSample;
+    }
+
+    const headerEnd = reader.bytePos;
+    const expectedCrc = reader.readBits(8);
+    if (this.crc8(buffer, offset, headerEnd) !== expectedCrc) {
+      throw new Error('FLAC frame header CRC-8 mismatch');
+    }
+
+    return { reader, blockSize, sampleRate, channelAssignment, bitsPerSample };
+  }
+
+  /**
+   * Read one subframe
+   * @returns {Int32Array|Float64Array} Decoded samples
+   */
+  readSubframe(reader, blockSize, bitsPerSample) {
+    reader.readBits(1); // zero padding
+    const type = reader.readBits(6);
+
+    // Wasted bits-per-sample
+    let wastedBits = 0;
+    if (reader.readBits(1)) {
+      wastedBits = reader.readUnary() + 1;
+    }
+    const bits = bitsPerSample - wastedBits;
+
+    // Side channels of 32-bit streams do not fit in an Int32Array
+    const samples = bitsPerSample > 31 ? new Float64Array(blockSize) : new Int32Array(blockSize);
+
+    if (type === 0) {
+      samples.fill(reader.readSigned(bits));
+    } else if (type === 1) {
+      for (let i = 0; i < blockSize; i++) {
+        samples[i] = reader.readSigned(bits);
+      }
+    } else if (type >= 8 && type <= 12) {
+      this.readFixedSubframe(reader, samples, type & 0x07, bits);
+    } else if (type >= 32) {
+      this.readLpcSubframe(reader, samples, (type & 0x1f) + 1, bits);
+    } else {
+      throw new Error(`Invalid FLAC subframe type: ${type}`);
+    }
+
+    if (wastedBits > 0) {
+      const scale = 2 ** wastedBits;
+      for (let i = 0; i < blockSize; i++) {
+        samples[i] *= scale;
+      }
+    }
+
+    return samples;
+  }
+
+  /**
+   * Read a FIXED subframe (fixed polynomial predictor)
+   */
+  readFixedSubframe(reader, samples, order, bits) {
+    for (let i = 0; i < order; i++) {
+      samples[i] = reader.readSigned(bits);
+    }
+    this.readResidual(reader, samples, order);
+
+    for (let i = order; i < samples.length; i++) {
+      switch (order) {
+        case 1:
+          samples[i] += samples[i - 1];
+          break;
+        case 2:
+          samples[i] += 2 * samples[i - 1] - samples[i - 2];
+          break;
+        case 3:
+          samples[i] += 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3];
+          break;
+        case 4:
+          samples[i] += 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4];
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Read an LPC subframe (linear predictor with quantized coefficients)
+   */
+  readLpcSubframe(reader, samples, order, bits) {
+    for (let i = 0; i < order; i++) {
+      samples[i] = reader.readSigned(bits);
+    }
+
+    const precision = reader.readBits(4) + 1;
+    if (precision === 16) {
+      throw new Error('Invalid FLAC LPC coefficient precision');
+    }
+    const shift = reader.readSigned(5);
+    if (shift < 0) {
+      throw new Error('Invalid FLAC LPC shift');
+    }
+    const coefficients = new Array(order);
+    for (let i = 0; i < order; i++) {
+      coefficients[i] = reader.readSigned(precision);
+    }
+
+    this.readResidual(reader, samples, order);
+
+    // Predictions can exceed 32 bits, so stay in doubles (exact up to 2^53)
+    const divisor = 2 ** shift;
+    for (let i = order; i < samples.length; i++) {
+      let sum = 0;
+      for (let j = 0; j < order; j++) {
+        sum += coefficients[j] * samples[i - j - 1];
+      }
+      samples[i] += Math.floor(sum / divisor);
+    }
+  }
+
+  /**
+   * Read Rice-coded residuals into samples[order..]
+   */
+  readResidual(reader, samples, order) {
+    const method = reader.readBits(2);
+    if (method > 1) {
+      throw new Error(`Invalid FLAC residual coding method: ${method}`);
+    }
+    const parameterBits = method === 0 ? 4 : 5;
+    const escapeCode = method === 0 ? 15 : 31;
+
+    const partitionOrder = reader.readBits(4);
+    const partitions = 1 << partitionOrder;
+    const partitionSize = samples.length >> partitionOrder;
+    if (partitionSize < order) {
+      throw new Error('Invalid FLAC residual partition order');
+    }
+
+    let index = order;
+    for (let p = 0; p < partitions; p++) {
+      const count = p === 0 ? partitionSize - order : partitionSize;
+      const parameter = reader.readBits(parameterBits);
+
+      if (parameter === escapeCode) {
+        const rawBits = reader.readBits(5);
+        for (let i = 0; i < count; i++) {
+          samples[index++] = reader.readSigned(rawBits);
+        }
+        continue;
+      }
+
+      for (let i = 0; i < count; i++) {
+        const value = reader.readUnary() * (2 ** parameter) + reader.readBits(parameter);
+        // Zigzag decode without 32-bit overflow
+        samples[index++] = value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+      }
+    }
+  }
+
+  /**
+   * Undo inter-channel decorrelation in place
+   */
+  decorrelate(samples, channelAssignment, blockSize) {
+    if (channelAssignment === LEFT_SIDE) {
+      const [left, side] = samples;
+      const right = new Int32Array(blockSize);
+      for (let i = 0; i < blockSize; i++) {
+        right[i] = left[i] - side[i];
+      }
+      samples[1] = right;
+    } else if (channelAssignment === SIDE_RIGHT) {
+      const [side, right] = samples;
+      const left = new Int32Array(blockSize);
+      for (let i = 0; i < blockSize; i++) {
+        left[i] = side[i] + right[i];
+      }
+      samples[0] = left;
+    } else if (channelAssignment === MID_SIDE) {
+      const [mid, side] = samples;
+      const left = new Int32Array(blockSize);
+      const right = new Int32Array(blockSize);
+      for (let i = 0; i < blockSize; i++) {
+        const sum = mid[i] * 2 + Math.abs(side[i] % 2);
+        left[i] = (sum + side[i]) / 2;
+        right[i] = (sum - side[i]) / 2;
+      }
+      samples[0] = left;
+      samples[1] = right;
+    }
+  }
+
+  /**
+   * Interleave channels into little-endian PCM
+   * Samples are stored in whole bytes; sizes like 12 and 20 bits are left-justified
+   */
+  interleave(samples, blockSize, bitsPerSample) {
+    const channels = samples.length;
+    const bytesPerSample = Math.ceil(bitsPerSample / 8);
+    const shift = 2 ** (bytesPerSample * 8 - bitsPerSample);
+    const pcm = Buffer.allocUnsafe(blockSize * channels * bytesPerSample);
+
+    let offset = 0;
+    for (let i = 0; i < blockSize; i++) {
+      for (let ch = 0; ch < channels; ch++) {
+        const sample = samples[ch][i] * shift;
+        if (bytesPerSample === 1) {
+          pcm.writeUInt8(sample + 128, offset); // 8-bit PCM is unsigned
+        } else {
+          pcm.writeIntLE(sample, offset, bytesPerSample);
+        }
+        offset += bytesPerSample;
+      }
+    }
+
+    return pcm;
+  }
+
+  crc8(buffer, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+      crc = CRC8_TABLE[crc ^ buffer[i]];
+    }
+    return crc;
+  }
+
+  crc16(buffer, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+      crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ buffer[i]];
+    }
+    return crc;
+  }
+
+  /**
+   * Get decoder statistics
+   */
+  getStats() {
+    return {
+      frames: this.stats.frames,
+      samples: this.stats.samples,
+      errors: this.stats.errors
+    };
+  }
+}
+
+FlacDecoder.IncompleteFrameError = IncompleteFrameError;
+
+module.exports = FlacDecoder;
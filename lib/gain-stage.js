@@ -0,0 +1,159 @@
+'use strict';
+
+const pcmFormat = require('./pcm-format');
+
+// Full-scale limits of the integer sample formats (as stored, not left-justified)
+const SAMPLE_LIMITS = {
+  s16: { min: -32768, max: 32767 },
+  s24: { min: -8388608, max: 8388607 },
+  s24_32: { min: -8388608, max: 8388607 },
+  s32: { min: -2147483648, max: 2147483647 }
+};
+
+const clamp = (value, limits) => Math.max(limits.min, Math.min(limits.max, Math.round(value)));
+
+/**
+ * Software volume and mute
+ * Sits between drift correction and the audio player and scales the PCM itself, for outputs
+ * without a usable mixer (Volumio mixer 'None', no hardware volume).
+ *
+ * Volume 1-100 maps linearly onto a dB range (minDb at 1, 0 dB at 100), which sounds even
+ * across the slider; volume 0 and mute are silence. Gain changes are ramped over rampMs so a
+ * step does not click (zipper noise).
+ */
+class GainStage {
+  constructor(config = {}) {
+    this.logger = config.logger || console;
+
+    this.minDb = config.minDb !== undefined ? config.minDb : -60; // Gain at volume 1
+    this.rampMs = config.rampMs !== undefined ? config.rampMs : 50; // Duration of a gain change
+
+    this.sampleFormat = pcmFormat.SAMPLE_FORMATS.s16;
+    this.channels = 2;
+    this.sampleRate = 48000;
+
+    this.volume = 100;
+    this.muted = false;
+    this.gain = 1; // Gain applied to the last frame
+    this.targetGain = 1;
+    this.rampStep = 0; // Gain change per frame while ramping
+  }
+
+  /**
+   * Configure for the decoded PCM layout
+   * @param {string|Object} sampleFormat - PCM sample format (see pcm-format)
+   * @param {number} channels - Interleaved channels
+   * @param {number} sampleRate - Frames per second
+   */
+  configure(sampleFormat, channels, sampleRate) {
+    this.sampleFormat = pcmFormat.getSampleFormat(sampleFormat);
+    this.channels = channels || this.channels;
+    this.sampleRate = sampleRate || this.sampleRate;
+    // New stream - start at the target, nothing to ramp from
+    this.gain = this.targetGain;
+    this.rampStep = 0;
+  }
+
+  /**
+   * Set volume and mute
+   * @param {number} volume - Volume 0-100
+   * @param {boolean} muted - Mute state
+   */
+  setVolume(volume, muted) {
+    this.volume = Math.max(0, Math.min(100, Number(volume) || 0));
+    this.muted = Boolean(muted);
+    const targetGain = this.muted ? 0 : GainStage.volumeToGain(this.volume, this.minDb);
+    if (targetGain === this.targetGain) {
+      return;
+    }
+    this.targetGain = targetGain;
+    const rampFrames = Math.max(1, Math.round(this.rampMs / 1000 * this.sampleRate));
+    this.rampStep = (this.targetGain - this.gain) / rampFrames;
+    this.logger.info(`[GainStage] Volume ${this.volume}${this.muted ? ' (muted)' : ''}: ${this.targetGain > 0 ? `${(20 * Math.log10(this.targetGain)).toFixed(1)}dB` : 'silent'}`);
+  }
+
+  /**
+   * Linear gain for a volume
+   * @param {number} volume - Volume 0-100
+   * @param {number} minDb - Gain in dB at volume 1
+   * @returns {number} Gain factor (0 for volume 0)
+   */
+  static volumeToGain(volume, minDb) {
+    if (volume <= 0) {
+      return 0;
+    }
+    const db = minDb * (100 - volume) / 99;
+    return Math.pow(10, db / 20);
+  }
+
+  /**
+   * Apply the current gain to a buffer
+   * @param {Buffer} pcmData - Interleaved PCM in the configured sample format
+   * @returns {Buffer} Scaled PCM (the input buffer at unity gain)
+   */
+  process(pcmData) {
+    if (this.rampStep === 0 && this.gain === 1) {
+      return pcmData;
+    }
+
+    const bytesPerSample = this.sampleFormat.bytesPerSample;
+    const frameSize = bytesPerSample * this.channels;
+    const frames = Math.floor(pcmData.length / frameSize);
+    const output = Buffer.allocUnsafe(frames * frameSize);
+    const limits = SAMPLE_LIMITS[this.sampleFormat.id];
+
+    for (let frame = 0; frame < frames; frame++) {
+      if (this.rampStep !== 0) {
+        this.gain += this.rampStep;
+        if ((this.rampStep > 0 && this.gain >= this.targetGain) || (this.rampStep < 0 && this.gain <= this.targetGain)) {
+          this.gain = this.targetGain;
+          this.rampStep = 0;
+        }
+      }
+      const offset = frame * frameSize;
+      for (let channel = 0; channel < this.channels; channel++) {
+        this.scaleSample(pcmData, output, offset + channel * bytesPerSample, this.gain, limits);
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Scale one sample with rounding and clipping
+   */
+  scaleSample(input, output, offset, gain, limits) {
+    switch (this.sampleFormat.id) {
+      case 's16':
+        output.writeInt16LE(clamp(input.readInt16LE(offset) * gain, limits), offset);
+        break;
+      case 's24':
+        output.writeIntLE(clamp(input.readIntLE(offset, 3) * gain, limits), offset, 3);
+        break;
+      case 's24_32':
+        // Left-justified: scale the 24 valid bits, keep the low byte zero
+        output.writeInt32LE(clamp((input.readInt32LE(offset) >> 8) * gain, limits) * 256, offset);
+        break;
+      case 's32':
+        output.writeInt32LE(clamp(input.readInt32LE(offset) * gain, limits), offset);
+        break;
+      case 'f32':
+        output.writeFloatLE(input.readFloatLE(offset) * gain, offset);
+        break;
+      default:
+        throw new Error(`Unsupported PCM sample format: ${this.sampleFormat.id}`);
+    }
+  }
+
+  /**
+   * @returns {{volume: number, muted: boolean, gainDb: number|null}} Current state (gainDb null when silent)
+   */
+  getStats() {
+    return {
+      volume: this.volume,
+      muted: this.muted,
+      gainDb: this.targetGain > 0 ? 20 * Math.log10(this.targetGain) : null
+    };
+  }
+}
+
+module.exports = GainStage;
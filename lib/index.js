@@ -1,15 +1,47 @@
 'use strict';
 
 const fs = require('fs');
+const net = require('net');
 const path = require('path');
 const kew = require('kew');
 const vconf = require('v-conf');
+const LevelLogger = require('./level-logger');
+const { getInterfaceAddresses } = require('./network-address');
+
+// Audio output backends: MPD playing the local HTTP stream, or PCM piped straight to ALSA
+const OUTPUT_BACKENDS = ['mpd', 'alsa'];
+
+// Sample formats the output can convert to ('' = as received: 16-bit, or packed 24-bit for hi-res)
+const OUTPUT_SAMPLE_FORMATS = ['', 's16', 's24', 's24_32', 's32', 'f32'];
+
+// Upper bound for the user-configured static delay (speaker DSP / AV receiver)
+const MAX_STATIC_DELAY_MS = 5000;
+
+// How long a volume we applied for the server is expected back from the mixer
+const VOLUME_ECHO_WINDOW_MS = 3000;
+
+// Where server volume is applied: Volumio's mixer, the PCM itself, or software when the mixer is 'None'
+const VOLUME_CONTROLS = ['auto', 'mixer', 'software'];
+
+// Jitter buffer (audio buffered before playback starts): default and accepted range
+const DEFAULT_BUFFER_MS = 11000; // ~2MB at 48kHz stereo 16-bit
+const MIN_BUFFER_MS = 500;
+const MAX_BUFFER_MS = 30000;
+
+// Player names are advertised as mDNS instance names (one DNS label)
+const MAX_PLAYER_NAME_LENGTH = 63;
+
+// Sendspin server port when the configured address has none
+const DEFAULT_SERVER_PORT = 8927;
+
+// Linux network interface names (IFNAMSIZ - 1 characters)
+const INTERFACE_NAME_PATTERN = /^[A-Za-z0-9_.:-]{1,15}$/;
 
 class ControllerSendspin {
   constructor(context) {
     this.context = context;
     this.commandRouter = this.context.coreCommand;
-    this.logger = this.context.logger;
+    this.logger = new LevelLogger(this.context.logger); // Level set from config in onVolumioStart
     this.loggerPrefix = '[Sendspin]';
     
     // Config will be loaded in onVolumioStart
@@ -21,12 +53,30 @@ class ControllerSendspin {
     this.audioDecoder = null;
     // Audio player instance (for playing received audio via MPD)
     this.audioPlayer = null;
+    // Serves artwork received as binary messages (artwork role) for albumart
+    this.artworkServer = null;
+    // Publishes visualizer frames (visualizer role) to local displays
+    this.visualizerServer = null;
     // Current stream format for incoming audio
     this.currentStreamFormat = null;
+    // PCM layout the audio player was started with (see getPlayerFormat)
+    this.playerFormat = null;
     // Current metadata (title, artist, album, artwork, etc.)
     this.currentMetadata = null;
     // Playback state tracking
     this.currentPlaybackState = 'idle'; // 'playing', 'paused', 'idle', 'stopped'
+    // Formats that failed to start in the current fallback chain (cleared once playback starts)
+    this.failedFormats = [];
+    // True while this plugin holds Volumio's state machine (volatile mode)
+    this.ownsPlayback = false;
+    // Volumio MPD plugin (plays the local stream URL)
+    this.mpdPlugin = null;
+    // True when server volume is applied to the PCM instead of Volumio's mixer
+    this.softwareVolume = false;
+    // Volume/mute values recently applied to the mixer for the server ({ volume, muted, at }) -
+    // the mixer reports them back through volumioupdatevolume and they must not be echoed
+    this.appliedVolumes = [];
+    this.volumeCallbackRegistered = false;
   }
 
   onVolumioStart() {
@@ -37,6 +87,7 @@ class ControllerSendspin {
     const configFile = this.commandRouter.pluginManager.getConfigurationFile(this.context, 'config.json');
     this.config = new vconf();
     this.config.loadFile(configFile);
+    this.logger.setLevel(this.config.get('logLevel') || 'info');
     
     return kew.resolve();
   }
@@ -69,27 +120,93 @@ class ControllerSendspin {
         
         // Initialize audio decoder and player
         const AudioDecoder = require('./audio-decoder');
-        const AudioPlayer = require('./audio-player');
         const SendspinClient = require('./sendspin-client');
-        const os = require('os');
+        const ArtworkServer = require('./artwork-server');
+        const VisualizerServer = require('./visualizer-server');
         
         self.audioDecoder = new AudioDecoder({
           logger: self.logger
         });
         
-        self.audioPlayer = new AudioPlayer({
-          commandRouter: self.commandRouter,
+        self.audioPlayer = self.createAudioPlayer();
+        
+        // Network interface for mDNS, outbound connections and the URLs we hand out (null = all)
+        const interfaceName = self.config && typeof self.config.get === 'function'
+          ? self.config.get('networkInterface') || null
+          : null;
+        
+        // Artwork the server sends as images instead of URLs - without it only artwork_url is shown
+        self.artworkServer = new ArtworkServer({
+          interfaceName: interfaceName,
           logger: self.logger
         });
+        try {
+          await self.artworkServer.start();
+        } catch (error) {
+          self.logger.warn(`${self.loggerPrefix} Artwork server unavailable, binary artwork will not be shown:`, error.message || error);
+        }
+        
+        // Visualizer frames for local displays (UI widget, level meter) - optional, like artwork
+        const visualizerPort = self.config && typeof self.config.get === 'function'
+          ? Number(self.config.get('visualizerPort'))
+          : NaN;
+        self.visualizerServer = new VisualizerServer({
+          port: Number.isInteger(visualizerPort) ? visualizerPort : undefined, // Default 8928
+          interfaceName: interfaceName,
+          logger: self.logger
+        });
+        try {
+          await self.visualizerServer.start();
+        } catch (error) {
+          self.logger.warn(`${self.loggerPrefix} Visualizer server unavailable:`, error.message || error);
+        }
+        
+        // Follow Volumio's mixer (registered once - Volumio has no way to remove callbacks)
+        // Without a usable mixer, volume is applied to the PCM and starts at full scale
+        self.registerVolumeCallback();
+        self.softwareVolume = self.useSoftwareVolume();
+        const volumioVolume = self.softwareVolume ? null : self.getVolumioVolume();
+        
+        // Player name shown to servers (defaults to the device hostname)
+        const playerName = (self.config && typeof self.config.get === 'function' && self.config.get('playerName'))
+          || self.getDefaultPlayerName();
         
-        // Get device name for player
-        const deviceName = os.hostname().split('.')[0];
+        // Jitter buffer size
+        const configuredBufferMs = self.config && typeof self.config.get === 'function'
+          ? Number(self.config.get('bufferMs'))
+          : NaN;
+        const bufferMs = configuredBufferMs >= MIN_BUFFER_MS && configuredBufferMs <= MAX_BUFFER_MS
+          ? configuredBufferMs
+          : DEFAULT_BUFFER_MS;
         
         // Get server address from config (optional - null means auto-discover)
         const serverAddr = self.config && typeof self.config.get === 'function'
           ? self.config.get('serverAddr') || null
           : null;
         
+        // Discovered server chosen in the settings (by server id), null = first server found
+        const serverId = self.config && typeof self.config.get === 'function'
+          ? self.config.get('serverId') || null
+          : null;
+        
+        // Get format limits from config (advertised formats never exceed these)
+        const maxSampleRate = self.config && typeof self.config.get === 'function'
+          ? Number(self.config.get('maxSampleRate')) || null
+          : null;
+        const maxBitDepth = self.config && typeof self.config.get === 'function'
+          ? Number(self.config.get('maxBitDepth')) || null
+          : null;
+        
+        // Level metering interval (0 disables) - readings go to the plugin state and visualizer endpoint
+        const meterIntervalMs = self.config && typeof self.config.get === 'function'
+          ? Number(self.config.get('meterIntervalMs'))
+          : NaN;
+        
+        // Delay of the speakers after our output (DSP, AV receiver) - compensated by the scheduler
+        const staticDelayMs = self.config && typeof self.config.get === 'function'
+          ? Number(self.config.get('staticDelayMs')) || 0
+          : 0;
+        
         // Get or generate persistent client ID
         // This ensures Music Assistant sees the same device across restarts
         let clientId = null;
@@ -113,22 +230,39 @@ class ControllerSendspin {
         // Initialize Sendspin client (connects to server)
         self.sendspinPlayer = new SendspinClient({
           serverAddr: serverAddr, // null = auto-discover via mDNS
-          playerName: deviceName,
+          serverId: serverId, // Preferred discovered server
+          interfaceName: interfaceName,
+          playerName: playerName,
           clientId: clientId, // Persistent client ID
-          bufferMs: 11000, // Jitter buffer size: ~2MB at 48kHz stereo 16-bit (11000ms = ~2MB / 192KB/s)
-          volume: 100, // Initial volume
+          bufferMs: bufferMs, // Jitter buffer size
+          volume: volumioVolume ? volumioVolume.volume : 100, // Start from the mixer's volume
+          muted: volumioVolume ? volumioVolume.muted : false,
+          softwareVolume: self.softwareVolume, // Apply volume/mute to the PCM instead of the mixer
           decoder: self.audioDecoder, // Pass decoder to client for decoding before scheduling
+          player: self.audioPlayer, // Output capabilities limit the advertised formats
+          maxSampleRate: maxSampleRate,
+          maxBitDepth: maxBitDepth,
+          staticDelayMs: staticDelayMs,
+          meterIntervalMs: Number.isFinite(meterIntervalMs) ? meterIntervalMs : undefined,
           logger: self.logger,
           onStreamStart: async (format) => {
             self.logger.info(`${self.loggerPrefix} Stream started: ${format.codec} ${format.sample_rate}Hz`);
             // Initialize playback state to 'playing' when stream starts
             self.currentPlaybackState = 'playing';
-            await self.startAudioPlayback(format);
+            try {
+              await self.startAudioPlayback(format);
+              self.failedFormats = [];
+            } catch (error) {
+              await self.requestFallbackFormat(format, error);
+            }
             self.broadcastState();
           },
           onStreamEnd: async () => {
             self.logger.info(`${self.loggerPrefix} Stream ended`);
             await self.stopAudioPlayback();
+            if (self.visualizerServer) {
+              self.visualizerServer.setActive(false);
+            }
             self.broadcastState();
           },
           onStreamClear: () => {
@@ -161,18 +295,13 @@ class ControllerSendspin {
             
             self.logger.info(`${self.loggerPrefix} Metadata check: hasTitle=${hasTitle}, hasArtist=${hasArtist}, title="${metadata?.title || 'null'}", artist="${metadata?.artist || 'null'}"`);
             
-            // Only log and update if we have valid metadata
             if (metadata && (hasTitle || hasArtist)) {
               self.logger.info(`${self.loggerPrefix} Metadata: ${metadata.artist || 'Unknown'} - ${metadata.title || 'Unknown'} (${metadata.album || 'Unknown'})`);
-              
-              // Update Volumio's now playing state with metadata
-              self.logger.info(`${self.loggerPrefix} Calling updateNowPlaying with metadata`);
-              self.updateNowPlaying(metadata);
             } else {
-              self.logger.warn(`${self.loggerPrefix} Received metadata but it's empty or invalid (title="${metadata?.title}", artist="${metadata?.artist}"), skipping update`);
+              self.logger.warn(`${self.loggerPrefix} Received metadata without title or artist (title="${metadata?.title}", artist="${metadata?.artist}")`);
             }
             
-            // Always broadcast plugin state (even if metadata is empty)
+            // Push the now playing state (title, artist, artwork, progress) to Volumio
             self.broadcastState();
           },
           onStateChange: (state) => {
@@ -182,6 +311,29 @@ class ControllerSendspin {
             // Handle playback state changes from server (playing/paused/stopped)
             self.logger.info(`${self.loggerPrefix} Playback state changed: ${playbackState}`);
             self.handlePlaybackStateChange(playbackState);
+          },
+          onVolumeChange: (volume) => {
+            // Server volume/mute command - apply it to Volumio's mixer
+            self.applyVolume(volume);
+          },
+          onArtwork: (channel, image) => {
+            // Binary artwork (null clears the channel) - shown when metadata has no artwork_url
+            if (self.artworkServer) {
+              self.artworkServer.setImage(channel, image);
+              self.broadcastState();
+            }
+          },
+          onVisualizerFrame: (type, payload) => {
+            // Visualizer frame, due now (in step with the audio being heard)
+            if (self.visualizerServer) {
+              self.visualizerServer.publish(type, payload);
+            }
+          },
+          onLevels: (reading) => {
+            // Locally measured levels - for meters when the server sends no visualizer data
+            if (self.visualizerServer) {
+              self.visualizerServer.publishLevels(reading);
+            }
           }
         });
         
@@ -235,8 +387,27 @@ class ControllerSendspin {
         // Stop audio playback (stops player and cleans up decoder)
         await self.stopAudioPlayback();
         
-        // Clear any remaining state
+        if (self.artworkServer) {
+          try {
+            await self.artworkServer.stop();
+          } catch (error) {
+            self.logger.warn(`${self.loggerPrefix} Error stopping artwork server:`, error);
+          }
+          self.artworkServer = null;
+        }
+        if (self.visualizerServer) {
+          try {
+            await self.visualizerServer.stop();
+          } catch (error) {
+            self.logger.warn(`${self.loggerPrefix} Error stopping visualizer server:`, error);
+          }
+          self.visualizerServer = null;
+        }
+        
+        // Clear any remaining state and hand the state machine back to Volumio
         self.currentStreamFormat = null;
+        self.currentPlaybackState = 'idle';
+        self.releasePlayback();
         
         self.logger.info(`${self.loggerPrefix} Sendspin plugin stopped`);
         defer.resolve();
@@ -288,8 +459,17 @@ class ControllerSendspin {
    */
   async startAudioPlayback(format) {
     if (this.audioPlayer && this.audioPlayer.isActive()) {
-      this.logger.warn(`${this.loggerPrefix} Audio playback already active`);
-      return;
+      // A new stream/start while playing (format change, requestFormat): the output has to be
+      // reopened unless it already plays this PCM layout
+      const playerFormat = this.getPlayerFormat(format);
+      const running = this.playerFormat;
+      if (running && ['sample_rate', 'channels', 'bit_depth', 'sample_format'].every(key => running[key] === playerFormat[key])) {
+        this.logger.warn(`${this.loggerPrefix} Audio playback already active`);
+        return;
+      }
+      this.logger.info(`${this.loggerPrefix} Stream format changed to ${format.codec} ${format.sample_rate}Hz/${format.bit_depth}bit, restarting audio output`);
+      await this.audioPlayer.stop();
+      this.playerFormat = null;
     }
 
     try {
@@ -315,16 +495,19 @@ class ControllerSendspin {
       // Recreate audio player if it was cleaned up
       if (!this.audioPlayer) {
         this.logger.info(`${this.loggerPrefix} Recreating audio player (was null)`);
-        const AudioPlayer = require('./audio-player');
-        this.audioPlayer = new AudioPlayer({
-          commandRouter: this.commandRouter,
-          logger: this.logger
-        });
+        this.audioPlayer = this.createAudioPlayer();
       }
       
-      // Start player
+      // Start player with the decoder's PCM layout (e.g. 16-bit for Opus, packed 24-bit for hi-res)
       if (this.audioPlayer) {
-        await this.audioPlayer.start(format);
+        const playerFormat = this.getPlayerFormat(format);
+        await this.audioPlayer.start(playerFormat);
+        this.playerFormat = playerFormat;
+        
+        // No MPD track (and no clearAddPlayTrack) with direct ALSA output - take over here
+        if (this.getOutputBackend() === 'alsa') {
+          this.takePlayback();
+        }
       } else {
         this.logger.error(`${this.loggerPrefix} Failed to create audio player!`);
         throw new Error('Failed to create audio player');
@@ -337,6 +520,92 @@ class ControllerSendspin {
       throw error;
     }
   }
+  
+  /**
+   * PCM layout the audio player is started with for a stream format: the decoder's output
+   * (e.g. 16-bit for Opus, packed 24-bit for hi-res)
+   */
+  getPlayerFormat(format) {
+    return this.audioDecoder && typeof this.audioDecoder.getOutputFormat === 'function'
+      ? { ...format, ...this.audioDecoder.getOutputFormat(format) }
+      : format;
+  }
+  
+  /**
+   * Ask the server for another format after the decoder or output failed to start
+   * Walks down the client's fallback list (e.g. FLAC -> PCM, 192kHz -> 48kHz) without retrying
+   * a format that already failed
+   */
+  async requestFallbackFormat(format, error) {
+    this.failedFormats.push(format);
+    await this.stopAudioPlayback();
+    
+    const fallback = this.sendspinPlayer
+      ? this.sendspinPlayer.getFallbackFormat(format, this.failedFormats)
+      : null;
+    if (!fallback) {
+      this.logger.error(`${this.loggerPrefix} Cannot play ${format.codec} ${format.sample_rate}Hz/${format.bit_depth}bit (${error.message}) and no fallback format is left`);
+      this.failedFormats = [];
+      return;
+    }
+    
+    this.logger.warn(`${this.loggerPrefix} Cannot play ${format.codec} ${format.sample_rate}Hz/${format.bit_depth}bit (${error.message}), requesting ${fallback.codec} ${fallback.sample_rate}Hz/${fallback.bit_depth}bit`);
+    try {
+      await this.sendspinPlayer.requestFormat(fallback);
+    } catch (requestError) {
+      this.logger.error(`${this.loggerPrefix} Format request failed:`, requestError.message || requestError);
+    }
+  }
+  
+  /**
+   * Output backend from config: 'mpd' (local HTTP stream played by MPD) or 'alsa' (direct)
+   */
+  getOutputBackend() {
+    const backend = this.config && typeof this.config.get === 'function'
+      ? this.config.get('outputBackend')
+      : null;
+    return OUTPUT_BACKENDS.includes(backend) ? backend : 'mpd';
+  }
+  
+  /**
+   * Output sample format from config (e.g. 's24_32' for DACs that only take 32-bit containers),
+   * null to play the decoded PCM as it is
+   */
+  getOutputSampleFormat() {
+    const sampleFormat = this.config && typeof this.config.get === 'function'
+      ? this.config.get('outputSampleFormat')
+      : null;
+    return OUTPUT_SAMPLE_FORMATS.includes(sampleFormat) && sampleFormat ? sampleFormat : null;
+  }
+  
+  /**
+   * Create the audio player for the configured output backend
+   */
+  createAudioPlayer() {
+    if (this.getOutputBackend() === 'alsa') {
+      const AlsaPlayer = require('./alsa-player');
+      const device = this.config.get('alsaDevice') || 'default';
+      this.logger.info(`${this.loggerPrefix} Using direct ALSA output on ${device}`);
+      return new AlsaPlayer({
+        logger: this.logger,
+        device: device,
+        outputSampleFormat: this.getOutputSampleFormat()
+      });
+    }
+    
+    const AudioPlayer = require('./audio-player');
+    const mpdLatencyMs = this.config && typeof this.config.get === 'function'
+      ? Number(this.config.get('mpdLatencyMs'))
+      : NaN;
+    return new AudioPlayer({
+      commandRouter: this.commandRouter,
+      logger: this.logger,
+      service: 'sendspin', // Stream URL is played through our own clearAddPlayTrack
+      ensureVolume: false, // Mixer volume and mute follow the Sendspin server
+      outputSampleFormat: this.getOutputSampleFormat(),
+      outputLatencyMs: mpdLatencyMs >= 0 ? mpdLatencyMs : undefined // Configured MPD pipeline delay
+    });
+  }
 
   /**
    * Stop audio playback and cleanup all audio resources
@@ -359,6 +628,7 @@ class ControllerSendspin {
       }
       // Don't set to null - will be reused in startAudioPlayback
     }
+    this.playerFormat = null;
     
     // Cleanup decoder but keep instance for reuse
     if (this.audioDecoder) {
@@ -370,6 +640,11 @@ class ControllerSendspin {
       // Don't set to null - will be reused in startAudioPlayback
     }
     
+    // Stop MPD reading the (now closed) stream URL
+    if (this.ownsPlayback) {
+      this.setOutputState('stop');
+    }
+    
     // Clear stream format
     this.currentStreamFormat = null;
   }
@@ -397,7 +672,9 @@ class ControllerSendspin {
     if (!this.audioPlayer.isActive() && this.currentStreamFormat) {
       this.logger.warn(`${this.loggerPrefix} Audio player not active, attempting to restart...`);
       try {
-        await this.audioPlayer.start(this.currentStreamFormat);
+        const playerFormat = this.getPlayerFormat(this.currentStreamFormat);
+        await this.audioPlayer.start(playerFormat);
+        this.playerFormat = playerFormat;
       } catch (error) {
         this.logger.error(`${this.loggerPrefix} Failed to restart audio player:`, error);
         return;
@@ -459,6 +736,42 @@ class ControllerSendspin {
       const uiconf = fs.readFileSync(path.join(__dirname, 'UIConfig.json'), 'utf8');
       const config = JSON.parse(uiconf);
       
+      // Show the saved settings as the selected options / input values
+      if (this.config && typeof this.config.get === 'function') {
+        for (const section of config.sections || []) {
+          for (const element of section.content || []) {
+            if (['serverAddr', 'playerName', 'alsaDevice'].includes(element.id)) {
+              element.value = this.config.get(element.id) || element.value;
+              continue;
+            }
+            if (element.id === 'staticDelayMs') {
+              element.value = Number(this.config.get('staticDelayMs')) || 0;
+              continue;
+            }
+            if (element.id === 'serverId') {
+              this.addServerOptions(element);
+              continue;
+            }
+            if (element.id === 'networkInterface') {
+              this.addInterfaceOptions(element);
+              continue;
+            }
+            if (element.id === 'bufferMs') {
+              element.value = Number(this.config.get('bufferMs')) || DEFAULT_BUFFER_MS;
+              continue;
+            }
+            if (element.element !== 'select' || !['maxSampleRate', 'maxBitDepth', 'outputBackend', 'outputSampleFormat', 'volumeControl', 'logLevel'].includes(element.id)) {
+              continue;
+            }
+            const saved = this.config.get(element.id);
+            const option = element.options.find(o => String(o.value) === String(saved));
+            if (option) {
+              element.value = option;
+            }
+          }
+        }
+      }
+      
       // Volumio's i18n system will automatically handle TRANSLATE.* strings
       // if the i18n module and translation files are present
       // The translation files are in lib/i18n/strings_*.json
@@ -501,11 +814,190 @@ class ControllerSendspin {
           this.config.set('enabled', data.enabled);
         }
         // server_url is no longer needed - client advertises via mDNS
+        
+        // Settings sent in client/hello or used to connect: the client reconnects with them (the
+        // plugin keeps running)
+        const sessionChanges = {};
+        
+        // Format limits (select elements send {value, label}) - the formats in client/hello
+        for (const key of ['maxSampleRate', 'maxBitDepth']) {
+          if (data[key] === undefined) {
+            continue;
+          }
+          const value = Number(data[key] && data[key].value !== undefined ? data[key].value : data[key]);
+          if (!value) {
+            this.logger.warn(`${this.loggerPrefix} Ignoring invalid ${key}: ${JSON.stringify(data[key])}`);
+            continue;
+          }
+          if (Number(this.config.get(key)) !== value) {
+            this.config.set(key, value);
+            sessionChanges[key] = value;
+          }
+        }
 
+        // Output backend (select), ALSA device and output sample format - stored once the current
+        // output has stopped
+        const outputSettings = {};
+        if (data.outputBackend !== undefined) {
+          const backend = data.outputBackend && data.outputBackend.value !== undefined
+            ? data.outputBackend.value
+            : data.outputBackend;
+          if (!OUTPUT_BACKENDS.includes(backend)) {
+            this.logger.warn(`${this.loggerPrefix} Ignoring invalid outputBackend: ${JSON.stringify(data.outputBackend)}`);
+          } else if (this.getOutputBackend() !== backend) {
+            outputSettings.outputBackend = backend;
+          }
+        }
+        if (data.alsaDevice !== undefined) {
+          const device = String(data.alsaDevice).trim() || 'default';
+          if ((this.config.get('alsaDevice') || 'default') !== device) {
+            outputSettings.alsaDevice = device;
+          }
+        }
+        if (data.outputSampleFormat !== undefined) {
+          const sampleFormat = String(data.outputSampleFormat && data.outputSampleFormat.value !== undefined
+            ? data.outputSampleFormat.value
+            : data.outputSampleFormat || '');
+          if (!OUTPUT_SAMPLE_FORMATS.includes(sampleFormat)) {
+            this.logger.warn(`${this.loggerPrefix} Ignoring invalid outputSampleFormat: ${JSON.stringify(data.outputSampleFormat)}`);
+          } else if ((this.config.get('outputSampleFormat') || '') !== sampleFormat) {
+            outputSettings.outputSampleFormat = sampleFormat;
+          }
+        }
+        const outputChanged = outputSettings.outputBackend !== undefined
+          || outputSettings.outputSampleFormat !== undefined
+          || (outputSettings.alsaDevice !== undefined && (outputSettings.outputBackend || this.getOutputBackend()) === 'alsa');
+        
+        // Volume control (select) - chosen when the client is created
+        let volumeControlChanged = false;
+        if (data.volumeControl !== undefined) {
+          const volumeControl = data.volumeControl && data.volumeControl.value !== undefined
+            ? data.volumeControl.value
+            : data.volumeControl;
+          if (!VOLUME_CONTROLS.includes(volumeControl)) {
+            this.logger.warn(`${this.loggerPrefix} Ignoring invalid volumeControl: ${JSON.stringify(data.volumeControl)}`);
+          } else if ((this.config.get('volumeControl') || 'auto') !== volumeControl) {
+            this.config.set('volumeControl', volumeControl);
+            volumeControlChanged = true;
+          }
+        }
+        
+        // Server address and player name
+        if (data.serverAddr !== undefined) {
+          const serverAddr = this.normalizeServerAddress(data.serverAddr);
+          if (serverAddr === null) {
+            this.logger.warn(`${this.loggerPrefix} Ignoring invalid serverAddr: ${JSON.stringify(data.serverAddr)}`);
+          } else if ((this.config.get('serverAddr') || '') !== serverAddr) {
+            this.config.set('serverAddr', serverAddr);
+            sessionChanges.serverAddr = serverAddr || null; // null = auto-discover
+          }
+        }
+        if (data.playerName !== undefined) {
+          const playerName = String(data.playerName).trim();
+          if (!this.isValidPlayerName(playerName)) {
+            this.logger.warn(`${this.loggerPrefix} Ignoring invalid playerName: ${JSON.stringify(data.playerName)}`);
+          } else if ((this.config.get('playerName') || '') !== playerName) {
+            this.config.set('playerName', playerName);
+            sessionChanges.playerName = playerName || this.getDefaultPlayerName();
+          }
+        }
+        
+        // Discovered server (select) - remembered by server id, so it is found again after an
+        // address change
+        if (data.serverId !== undefined) {
+          const serverId = String(data.serverId && data.serverId.value !== undefined
+            ? data.serverId.value
+            : data.serverId || '');
+          if ((this.config.get('serverId') || '') !== serverId) {
+            const server = serverId ? this.getDiscoveredServers().find(s => s.id === serverId) : null;
+            this.config.set('serverId', serverId);
+            this.config.set('serverName', server ? server.name : '');
+            sessionChanges.serverId = serverId || null; // null = first server found
+          }
+        }
+        
+        // Network interface (select) - mDNS sockets and the connection are reopened on it
+        if (data.networkInterface !== undefined) {
+          const interfaceName = String(data.networkInterface && data.networkInterface.value !== undefined
+            ? data.networkInterface.value
+            : data.networkInterface || '');
+          if (interfaceName && !INTERFACE_NAME_PATTERN.test(interfaceName)) {
+            this.logger.warn(`${this.loggerPrefix} Ignoring invalid networkInterface: ${JSON.stringify(data.networkInterface)}`);
+          } else if ((this.config.get('networkInterface') || '') !== interfaceName) {
+            this.config.set('networkInterface', interfaceName);
+            sessionChanges.interfaceName = interfaceName || null; // null = all interfaces
+            for (const server of [this.artworkServer, this.visualizerServer]) {
+              if (server && server.config) {
+                server.config.interfaceName = interfaceName || null;
+              }
+            }
+          }
+        }
+        
+        // Buffer size - used from the next buffering phase, no reconnect needed
+        if (data.bufferMs !== undefined) {
+          const bufferMs = Number(data.bufferMs);
+          if (!Number.isInteger(bufferMs) || bufferMs < MIN_BUFFER_MS || bufferMs > MAX_BUFFER_MS) {
+            this.logger.warn(`${this.loggerPrefix} Ignoring invalid bufferMs: ${JSON.stringify(data.bufferMs)}`);
+          } else if ((Number(this.config.get('bufferMs')) || DEFAULT_BUFFER_MS) !== bufferMs) {
+            this.config.set('bufferMs', bufferMs);
+            if (this.sendspinPlayer && typeof this.sendspinPlayer.setBufferSize === 'function') {
+              this.sendspinPlayer.setBufferSize(bufferMs);
+            }
+          }
+        }
+        
+        // Log level (select) - every module shares this.logger
+        if (data.logLevel !== undefined) {
+          const logLevel = data.logLevel && data.logLevel.value !== undefined
+            ? data.logLevel.value
+            : data.logLevel;
+          if (!LevelLogger.LOG_LEVELS.includes(logLevel)) {
+            this.logger.warn(`${this.loggerPrefix} Ignoring invalid logLevel: ${JSON.stringify(data.logLevel)}`);
+          } else if ((this.config.get('logLevel') || 'info') !== logLevel) {
+            this.config.set('logLevel', logLevel);
+            this.logger.setLevel(logLevel);
+            this.logger.info(`${this.loggerPrefix} Log level set to ${logLevel}`);
+          }
+        }
+        
+        // Static delay - applied to the running stream, no reconnect needed
+        if (data.staticDelayMs !== undefined) {
+          const staticDelayMs = Number(data.staticDelayMs);
+          if (!Number.isInteger(staticDelayMs) || staticDelayMs < 0 || staticDelayMs > MAX_STATIC_DELAY_MS) {
+            this.logger.warn(`${this.loggerPrefix} Ignoring invalid staticDelayMs: ${JSON.stringify(data.staticDelayMs)}`);
+          } else if ((Number(this.config.get('staticDelayMs')) || 0) !== staticDelayMs) {
+            this.config.set('staticDelayMs', staticDelayMs);
+            if (this.sendspinPlayer && typeof this.sendspinPlayer.setStaticDelay === 'function') {
+              this.sendspinPlayer.setStaticDelay(staticDelayMs);
+            }
+          }
+        }
+        
         // Check if enabled state changed
         const isEnabled = this.config.get('enabled') !== false;
+        const running = wasEnabled === isEnabled && isEnabled && Boolean(this.sendspinPlayer);
         
-        if (wasEnabled !== isEnabled) {
+        // The current output is stopped with the backend it was started with
+        if (running && outputChanged) {
+          await this.stopAudioPlayback();
+        }
+        for (const key of Object.keys(outputSettings)) {
+          this.config.set(key, outputSettings[key]);
+        }
+        
+        if (running && volumeControlChanged) {
+          // Volume control is chosen when the client is created - restart to switch it
+          this.logger.info(`${this.loggerPrefix} Volume control changed, restarting client...`);
+          try {
+            await this.onStop();
+            await this.onStart();
+          } catch (error) {
+            this.logger.error(`${this.loggerPrefix} Failed to restart after settings change:`, error);
+          }
+        } else if (running && (outputChanged || Object.keys(sessionChanges).length > 0)) {
+          await this.reconnectClient(sessionChanges, outputChanged);
+        } else if (wasEnabled !== isEnabled) {
           if (isEnabled) {
             // Plugin was enabled - start the client
             this.logger.info(`${this.loggerPrefix} Plugin enabled, starting client...`);
@@ -539,49 +1031,188 @@ class ControllerSendspin {
     
     return defer.promise;
   }
+  
+  /**
+   * Validate a manual server address and add the default port if it has none
+   * @param {string} value - host, host:port, IPv6 address or [IPv6]:port; blank for auto-discovery
+   * @returns {string|null} Normalized address ('' for auto-discovery), null if invalid
+   */
+  normalizeServerAddress(value) {
+    const address = String(value === null ? '' : value).trim();
+    if (!address) {
+      return '';
+    }
+    if (net.isIPv6(address)) {
+      return `[${address}]:${DEFAULT_SERVER_PORT}`; // Bare IPv6 literal - no port possible
+    }
+    const match = /^([A-Za-z0-9](?:[A-Za-z0-9.-]*[A-Za-z0-9])?|\[[0-9A-Fa-f:.]+\])(?::(\d{1,5}))?$/.exec(address);
+    if (!match || (match[1].startsWith('[') && !net.isIPv6(match[1].slice(1, -1)))) {
+      return null;
+    }
+    const port = match[2] !== undefined ? Number(match[2]) : DEFAULT_SERVER_PORT;
+    if (port < 1 || port > 65535) {
+      return null;
+    }
+    return `${match[1]}:${port}`;
+  }
+  
+  /**
+   * Servers found on the network by the running client
+   * @returns {Array<Object>} See ServerDiscovery.getServers()
+   */
+  getDiscoveredServers() {
+    if (!this.sendspinPlayer || typeof this.sendspinPlayer.getDiscoveredServers !== 'function') {
+      return [];
+    }
+    return this.sendspinPlayer.getDiscoveredServers();
+  }
+  
+  /**
+   * Fill the server select with the servers on the network
+   * The saved server stays selectable (by its last known name) while it is not found
+   * @param {Object} element - serverId select from UIConfig.json (first option: automatic)
+   */
+  addServerOptions(element) {
+    const savedId = this.config.get('serverId') || '';
+    const options = [element.options[0]];
+    for (const server of this.getDiscoveredServers()) {
+      options.push({ value: server.id, label: `${server.name} (${server.address})` });
+    }
+    if (savedId && !options.some(option => option.value === savedId)) {
+      options.push({ value: savedId, label: `${this.config.get('serverName') || savedId} (not found)` });
+    }
+    element.options = options;
+    element.value = options.find(option => option.value === savedId) || options[0];
+  }
+  
+  /**
+   * Fill the network interface select with the interfaces that have an address
+   * The saved interface stays selectable while it is down
+   * @param {Object} element - networkInterface select from UIConfig.json (first option: all)
+   */
+  addInterfaceOptions(element) {
+    const savedName = this.config.get('networkInterface') || '';
+    const interfaces = new Map();
+    for (const addr of getInterfaceAddresses()) {
+      interfaces.set(addr.name, [...(interfaces.get(addr.name) || []), addr.address]);
+    }
+    const options = [element.options[0]];
+    for (const [name, addresses] of interfaces) {
+      options.push({ value: name, label: `${name} (${addresses.join(', ')})` });
+    }
+    if (savedName && !interfaces.has(savedName)) {
+      options.push({ value: savedName, label: `${savedName} (no address)` });
+    }
+    element.options = options;
+    element.value = options.find(option => option.value === savedName) || options[0];
+  }
+  
+  /**
+   * Check a player name: blank (use the hostname) or one DNS label without control characters
+   */
+  isValidPlayerName(name) {
+    return Buffer.byteLength(name) <= MAX_PLAYER_NAME_LENGTH && !/[\x00-\x1f\x7f.]/.test(name);
+  }
+  
+  /**
+   * Player name when none is configured: the device hostname
+   */
+  getDefaultPlayerName() {
+    return require('os').hostname().split('.')[0];
+  }
+  
+  /**
+   * Apply connection settings without restarting the plugin
+   * Playback stops and the client reconnects with a new client/hello; the server then starts a
+   * new stream (in formats the new output supports, if it was replaced)
+   * @param {Object} changes - Client settings that changed (serverAddr, serverId, interfaceName, playerName, maxSampleRate, maxBitDepth)
+   * @param {boolean} replaceOutput - Create the audio player for the configured output backend
+   */
+  async reconnectClient(changes, replaceOutput) {
+    await this.stopAudioPlayback();
+    if (replaceOutput) {
+      this.audioPlayer = this.createAudioPlayer();
+      this.sendspinPlayer.player = this.audioPlayer; // Capabilities limit the formats in client/hello
+    }
+    this.logger.info(`${this.loggerPrefix} ${replaceOutput ? 'Audio output' : 'Connection settings'} changed, reconnecting client...`);
+    try {
+      await this.sendspinPlayer.reconfigure(changes);
+    } catch (error) {
+      this.logger.error(`${this.loggerPrefix} Failed to reconnect after settings change:`, error);
+    }
+  }
 
   getConfigurationFiles() {
     return ['config.json'];
   }
 
+  /**
+   * Volumio music_service state
+   * While a Sendspin session owns playback this is the single source of truth for Volumio's
+   * state machine (pushed via broadcastState). Session details (connection, server, stream
+   * format) are included for the plugin UI.
+   */
   getState() {
-    const self = this;
-    const baseState = {
-      status: 'disconnected',
-      serverAddress: null,
-      currentStreamFormat: null,
-      audioStreamActive: false,
-      metadata: null
-    };
+    const metadata = this.currentMetadata || {};
+    const progress = metadata.progress || null;
+    const format = this.currentStreamFormat;
+    const clientConfig = (this.sendspinPlayer && this.sendspinPlayer.config) || {};
+    const volume = clientConfig.volume !== undefined ? clientConfig.volume : 100;
+    const muted = clientConfig.muted || false;
     
-    if (this.sendspinPlayer) {
-      baseState.status = this.sendspinPlayer.isConnected ? 'connected' : 'disconnected';
-      baseState.serverAddress = this.sendspinPlayer.serverAddress || null;
-      baseState.currentStreamFormat = this.currentStreamFormat;
-      baseState.audioStreamActive = this.audioPlayer && this.audioPlayer.isActive();
-      baseState.metadata = this.currentMetadata;
+    return {
+      // Volumio player state
+      status: this.getPlaybackStatus(),
+      service: 'sendspin',
+      trackType: 'sendspin',
+      uri: 'sendspin://stream',
+      title: metadata.title || '',
+      artist: metadata.artist || '',
+      album: metadata.album || '',
+      albumartist: metadata.albumArtist || '',
+      albumart: this.getArtworkUrl(metadata.artworkUrl),
+      year: metadata.year ? Number(metadata.year) : null,
+      tracknumber: metadata.track ? Number(metadata.track) : null,
+      seek: progress && progress.trackProgress ? progress.trackProgress : 0, // ms
+      duration: progress && progress.trackDuration ? Math.round(progress.trackDuration / 1000) : 0, // seconds
+      samplerate: format ? `${format.sample_rate / 1000} kHz` : '',
+      bitdepth: format ? `${format.bit_depth} bit` : '',
+      channels: format ? format.channels : 0,
+      random: metadata.shuffle === true,
+      repeat: metadata.repeat === 'all' || metadata.repeat === 'one',
+      repeatSingle: metadata.repeat === 'one',
+      volume: Number(volume),
+      mute: Boolean(muted),
+      stream: !progress || !progress.trackDuration,
       
-      // If we have metadata and are connected, re-push it to Volumio
-      // This ensures metadata persists across page refreshes
-      if (this.currentMetadata && this.sendspinPlayer.isConnected && this.commandRouter) {
-        const hasTitle = this.currentMetadata.title && this.currentMetadata.title !== '';
-        const hasArtist = this.currentMetadata.artist && this.currentMetadata.artist !== '';
-        
-        if (hasTitle || hasArtist) {
-          this.logger.info(`${this.loggerPrefix} getState() called - re-pushing metadata to ensure it persists: ${this.currentMetadata.artist || 'Unknown'} - ${this.currentMetadata.title || 'Unknown'}`);
-          // Re-push metadata to Volumio so it's available after page refresh
-          this.updateNowPlaying(this.currentMetadata);
-        }
-      }
-    }
-    
-    return baseState;
+      // Sendspin session
+      connection: this.sendspinPlayer && this.sendspinPlayer.isConnected ? 'connected' : 'disconnected',
+      serverAddress: this.sendspinPlayer ? this.sendspinPlayer.serverAddress || null : null,
+      server: this.sendspinPlayer ? this.sendspinPlayer.serverInfo || null : null, // { id, name, version, activeRoles } from server/hello
+      currentStreamFormat: format,
+      audioStreamActive: Boolean(this.audioPlayer && this.audioPlayer.isActive()),
+      visualizerUrl: (this.visualizerServer && this.visualizerServer.getUrl()) || null, // ws:// endpoint for level/spectrum displays
+      levels: this.sendspinPlayer && typeof this.sendspinPlayer.getLevels === 'function' ? this.sendspinPlayer.getLevels() : null, // null = no audio flowing
+      metadata: this.currentMetadata
+    };
   }
   
   /**
-   * Update Volumio's now playing state with metadata
-   * This makes the track info and album art visible in the Volumio UI
+   * Artwork URL for Volumio: the metadata artwork_url if valid, else the locally served image
+   * from the artwork role (channel 0), else an empty string
    */
+  getArtworkUrl(artworkUrl) {
+    if (artworkUrl) {
+      try {
+        new URL(artworkUrl); // This will throw if invalid
+        return artworkUrl;
+      } catch (error) {
+        this.logger.warn(`${this.loggerPrefix} Invalid artwork URL format: "${artworkUrl}", error: ${error.message}`);
+      }
+    }
+    return (this.artworkServer && this.artworkServer.getUrl(0)) || '';
+  }
+  
   /**
    * Get current playback status for Volumio
    * Maps server playback states to Volumio status values
@@ -600,157 +1231,321 @@ class ControllerSendspin {
     }
   }
 
+  /**
+   * Volumio music_service: play a track of this service
+   * Called by AudioPlayer with the local stream URL. Takes ownership of Volumio's state machine
+   * (volatile mode, MPD updates not consumed) and plays the URL through MPD.
+   */
+  clearAddPlayTrack(track) {
+    this.logger.info(`${this.loggerPrefix} clearAddPlayTrack: ${track.uri}`);
+    this.takePlayback();
+    
+    const mpdPlugin = this.getMpdPlugin();
+    if (!mpdPlugin) {
+      this.logger.error(`${this.loggerPrefix} MPD plugin not available, cannot play ${track.uri}`);
+      return kew.reject(new Error('MPD plugin not available'));
+    }
+    
+    return mpdPlugin.sendMpdCommand('stop', [])
+      .then(() => mpdPlugin.sendMpdCommand('clear', []))
+      .then(() => mpdPlugin.sendMpdCommand(`add "${track.uri}"`, []))
+      .then(() => mpdPlugin.sendMpdCommand('play', []))
+      .then(() => {
+        this.broadcastState();
+      });
+  }
+  
+  /**
+   * Volumio transport controls
+   * Forwarded to the Sendspin server as controller commands; the resulting playback state
+   * comes back through group/update and is mirrored on MPD by handlePlaybackStateChange.
+   * Commands that would not change the current state are skipped.
+   */
+  play() {
+    return this.resume();
+  }
+  
+  resume() {
+    if (this.currentPlaybackState === 'playing') {
+      return kew.resolve();
+    }
+    return this.sendTransportCommand('play');
+  }
+  
+  pause() {
+    if (this.currentPlaybackState === 'paused') {
+      return kew.resolve();
+    }
+    return this.sendTransportCommand('pause');
+  }
+  
+  stop() {
+    if (this.currentPlaybackState === 'stopped' || this.currentPlaybackState === 'idle') {
+      return kew.resolve();
+    }
+    return this.sendTransportCommand('stopPlayback');
+  }
+  
+  next() {
+    return this.sendTransportCommand('next');
+  }
+  
+  previous() {
+    return this.sendTransportCommand('previous');
+  }
+  
+  /**
+   * @param {number} position - Position in milliseconds
+   */
+  seek(position) {
+    return this.sendTransportCommand('seek', Number(position) || 0);
+  }
+  
+  /**
+   * Call a controller method on the Sendspin client
+   * Never rejects - a missing connection or unsupported command is logged and ignored
+   */
+  sendTransportCommand(method, ...args) {
+    if (!this.sendspinPlayer) {
+      this.logger.warn(`${this.loggerPrefix} Cannot ${method}: client not running`);
+      return kew.resolve();
+    }
+    try {
+      this.logger.info(`${this.loggerPrefix} Transport command: ${method}${args.length ? ` ${args.join(', ')}` : ''}`);
+      this.sendspinPlayer[method](...args);
+    } catch (error) {
+      this.logger.error(`${this.loggerPrefix} Error sending ${method}:`, error);
+    }
+    return kew.resolve();
+  }
+  
   /**
    * Handle playback state changes from server
+   * Mirrors the state on MPD and pushes it to Volumio - the server decides, Volumio follows
    */
   handlePlaybackStateChange(playbackState) {
     this.currentPlaybackState = playbackState;
     
-    // Update Volumio's playback state
-    if (this.commandRouter) {
-      try {
-        const status = this.getPlaybackStatus();
-        
-        // Note: volumioPlay/volumioPause/volumioStop don't return promises, so use try-catch
-        if (status === 'pause' && this.commandRouter.volumioPause) {
-          this.logger.info(`${this.loggerPrefix} Pausing Volumio playback`);
-          try {
-            this.commandRouter.volumioPause();
-          } catch (error) {
-            this.logger.warn(`${this.loggerPrefix} Error pausing Volumio:`, error);
-          }
-        } else if (status === 'play' && this.commandRouter.volumioPlay) {
-          this.logger.info(`${this.loggerPrefix} Resuming Volumio playback`);
-          try {
-            this.commandRouter.volumioPlay();
-          } catch (error) {
-            this.logger.warn(`${this.loggerPrefix} Error resuming Volumio:`, error);
-          }
-        } else if (status === 'stop' && this.commandRouter.volumioStop) {
-          this.logger.info(`${this.loggerPrefix} Stopping Volumio playback`);
-          try {
-            this.commandRouter.volumioStop();
-          } catch (error) {
-            this.logger.warn(`${this.loggerPrefix} Error stopping Volumio:`, error);
-          }
-        }
-        
-        // Update now playing state to reflect new status
-        // Note: Don't stop audio player on pause - MPD will handle pausing the stream
-        // The audio player should remain active so chunks can continue to be buffered
-        if (this.currentMetadata) {
-          this.updateNowPlaying(this.currentMetadata);
-        }
-      } catch (error) {
-        this.logger.error(`${this.loggerPrefix} Error handling playback state change:`, error);
-      }
+    if (this.ownsPlayback) {
+      this.setOutputState(this.getPlaybackStatus());
     }
+    this.broadcastState();
   }
 
-  updateNowPlaying(metadata) {
-    this.logger.info(`${this.loggerPrefix} updateNowPlaying called with metadata: ${JSON.stringify(metadata, null, 2)}`);
-    
-    if (!metadata) {
-      this.logger.warn(`${this.loggerPrefix} updateNowPlaying: metadata is null/undefined, returning early`);
+  /**
+   * Take over Volumio's state machine for the Sendspin session
+   */
+  takePlayback() {
+    if (this.ownsPlayback) {
       return;
     }
-    
-    if (!this.commandRouter) {
-      this.logger.warn(`${this.loggerPrefix} updateNowPlaying: commandRouter is null/undefined, returning early`);
+    const stateMachine = this.commandRouter && this.commandRouter.stateMachine;
+    if (!stateMachine) {
+      this.logger.warn(`${this.loggerPrefix} State machine not available, cannot take over playback state`);
       return;
     }
     
     try {
-      // Get volume/mute from Sendspin client (more reliable than volumioGetState)
-      let volume = 100;
-      let mute = false;
-      if (this.sendspinPlayer) {
-        volume = this.sendspinPlayer.config.volume || 100;
-        mute = this.sendspinPlayer.config.muted || false;
-      }
-      
-      // Extract metadata fields with detailed logging
-      const title = metadata.title || null;
-      const artist = metadata.artist || null;
-      const album = metadata.album || null;
-      let artworkUrl = metadata.artworkUrl || null;
-      
-      // Validate artwork URL format
-      if (artworkUrl) {
-        // Check if it's a valid URL format
-        try {
-          new URL(artworkUrl); // This will throw if invalid
-          this.logger.info(`${this.loggerPrefix} updateNowPlaying: Valid artwork URL: "${artworkUrl}"`);
-        } catch (error) {
-          this.logger.warn(`${this.loggerPrefix} updateNowPlaying: Invalid artwork URL format: "${artworkUrl}", error: ${error.message}`);
-          artworkUrl = null; // Don't use invalid URLs
-        }
-      } else {
-        this.logger.info(`${this.loggerPrefix} updateNowPlaying: No artwork URL provided in metadata`);
-      }
-      
-      this.logger.info(`${this.loggerPrefix} updateNowPlaying: title="${title}", artist="${artist}", album="${album}", artworkUrl="${artworkUrl || 'none'}"`);
-      
-      // Build state update with ALL required fields
-      // CRITICAL: All fields must have explicit values (never undefined) to prevent Volumio crashes
-      const stateUpdate = {
+      // Our pushed state is authoritative - ignore MPD's view of the stream URL
+      stateMachine.setConsumeUpdateService(undefined);
+      stateMachine.setVolatile({
         service: 'sendspin',
-        title: title || 'Unknown Title',
-        artist: artist || 'Unknown Artist',
-        album: album || '',
-        albumart: artworkUrl || '', // Use empty string if no artwork
-        uri: 'sendspin://stream',
-        type: 'webradio',
-        trackType: 'sendspin',
-        status: this.getPlaybackStatus(), // Use actual playback status from server
-        position: (metadata.progress && metadata.progress.trackProgress) ? metadata.progress.trackProgress : 0,
-        duration: (metadata.progress && metadata.progress.trackDuration) ? metadata.progress.trackDuration : 0,
-        samplerate: this.currentStreamFormat ? String(this.currentStreamFormat.sample_rate) : '',
-        bitdepth: this.currentStreamFormat ? String(this.currentStreamFormat.bit_depth) : '',
-        channels: this.currentStreamFormat ? String(this.currentStreamFormat.channels) : '',
-        // REQUIRED fields - must be explicit values, never undefined
-        volume: Number(volume), // Ensure it's a number
-        mute: Boolean(mute)     // Ensure it's a boolean
-      };
-      
-      // Add optional fields only if they have values (to avoid undefined)
-      if (metadata.albumArtist) {
-        stateUpdate.albumartist = metadata.albumArtist;
-      }
-      if (metadata.year) {
-        stateUpdate.year = Number(metadata.year);
-      }
-      if (metadata.track) {
-        stateUpdate.tracknumber = Number(metadata.track);
-      }
-      
-      // Log the full state update before sending
-      this.logger.info(`${this.loggerPrefix} updateNowPlaying: Sending state update to Volumio: ${JSON.stringify(stateUpdate, null, 2)}`);
-      
-      // Log the full state update before sending (but truncate artwork URL if very long)
-      const logStateUpdate = { ...stateUpdate };
-      if (logStateUpdate.albumart && logStateUpdate.albumart.length > 100) {
-        logStateUpdate.albumart = logStateUpdate.albumart.substring(0, 100) + '...';
+        callback: this.unsetVolatile.bind(this)
+      });
+      this.ownsPlayback = true;
+      this.logger.info(`${this.loggerPrefix} Took over Volumio playback state`);
+    } catch (error) {
+      this.logger.error(`${this.loggerPrefix} Error taking over playback state:`, error);
+    }
+  }
+
+  /**
+   * Give Volumio's state machine back (session ended or plugin stopping)
+   */
+  releasePlayback() {
+    if (!this.ownsPlayback) {
+      return;
+    }
+    this.ownsPlayback = false;
+    try {
+      this.commandRouter.stateMachine.unSetVolatile();
+      this.logger.info(`${this.loggerPrefix} Released Volumio playback state`);
+    } catch (error) {
+      this.logger.error(`${this.loggerPrefix} Error releasing playback state:`, error);
+    }
+  }
+  
+  /**
+   * Called by Volumio when another source takes over the state machine
+   */
+  unsetVolatile() {
+    if (this.ownsPlayback) {
+      this.logger.info(`${this.loggerPrefix} Another source took over playback`);
+    }
+    this.ownsPlayback = false;
+  }
+  
+  /**
+   * Apply a Volumio status to the MPD output playing the stream URL
+   * @param {string} status - 'play', 'pause' or 'stop'
+   */
+  setOutputState(status) {
+    if (this.getOutputBackend() !== 'mpd') {
+      return; // Direct output follows the server's audio, there is no MPD track to control
+    }
+    const mpdPlugin = this.getMpdPlugin();
+    if (!mpdPlugin) {
+      return;
+    }
+    const command = status === 'play' ? ['pause', ['0']] : status === 'pause' ? ['pause', ['1']] : ['stop', []];
+    try {
+      mpdPlugin.sendMpdCommand(command[0], command[1]).fail((error) => {
+        this.logger.warn(`${this.loggerPrefix} MPD ${command[0]} failed:`, error);
+      });
+    } catch (error) {
+      this.logger.warn(`${this.loggerPrefix} Error controlling MPD:`, error);
+    }
+  }
+  
+  /**
+   * Current volume and mute state of Volumio's mixer
+   * @returns {{volume: number, muted: boolean}|null} Null if not available
+   */
+  getVolumioVolume() {
+    try {
+      const state = this.commandRouter && typeof this.commandRouter.volumioGetState === 'function'
+        ? this.commandRouter.volumioGetState()
+        : null;
+      if (!state || typeof state.volume !== 'number') {
+        return null;
       }
-      this.logger.info(`${this.loggerPrefix} updateNowPlaying: Sending state update to Volumio: ${JSON.stringify(logStateUpdate, null, 2)}`);
-      
-      // Update Volumio's state with track info
-      // This will display the metadata in the UI
-      try {
-        this.commandRouter.volumioPushState(stateUpdate);
-        this.logger.info(`${this.loggerPrefix} Updated now playing: ${stateUpdate.artist} - ${stateUpdate.title}${stateUpdate.albumart ? ` (artwork: ${stateUpdate.albumart.substring(0, 50)}...)` : ' (no artwork)'}`);
-      } catch (error) {
-        this.logger.error(`${this.loggerPrefix} Error calling volumioPushState:`, error);
-        // Log the state update that failed
-        this.logger.error(`${this.loggerPrefix} Failed state update was: ${JSON.stringify(logStateUpdate, null, 2)}`);
+      return { volume: state.volume, muted: Boolean(state.mute) };
+    } catch (error) {
+      this.logger.warn(`${this.loggerPrefix} Could not read Volumio volume:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Whether server volume is applied to the PCM (software gain) instead of Volumio's mixer
+   * 'auto' uses software gain when Volumio's mixer type is 'None'
+   */
+  useSoftwareVolume() {
+    const configured = this.config && typeof this.config.get === 'function'
+      ? this.config.get('volumeControl')
+      : null;
+    const volumeControl = VOLUME_CONTROLS.includes(configured) ? configured : 'auto';
+    if (volumeControl !== 'auto') {
+      return volumeControl === 'software';
+    }
+    
+    try {
+      const mixerType = this.commandRouter && typeof this.commandRouter.executeOnPlugin === 'function'
+        ? this.commandRouter.executeOnPlugin('audio_interface', 'alsa_controller', 'getConfigParam', 'mixer_type')
+        : null;
+      if (mixerType === 'None') {
+        this.logger.info(`${this.loggerPrefix} Volumio mixer is None, using software volume`);
+        return true;
       }
     } catch (error) {
-      this.logger.error(`${this.loggerPrefix} Error updating now playing state:`, error);
+      this.logger.warn(`${this.loggerPrefix} Could not read Volumio mixer type:`, error);
     }
+    return false;
   }
-
+  
+  /**
+   * Subscribe to Volumio volume changes (UI, hardware buttons, other plugins)
+   */
+  registerVolumeCallback() {
+    if (this.volumeCallbackRegistered || !this.commandRouter || typeof this.commandRouter.addCallback !== 'function') {
+      return;
+    }
+    this.commandRouter.addCallback('volumioupdatevolume', this.onVolumioVolumeChange.bind(this));
+    this.volumeCallbackRegistered = true;
+  }
+  
+  /**
+   * Apply a server volume/mute command to Volumio's mixer
+   * @param {{volume: number, muted: boolean}} volume - New volume state from the server
+   */
+  applyVolume({ volume, muted }) {
+    if (this.softwareVolume) {
+      return; // Applied to the PCM by the client's gain stage
+    }
+    if (!this.commandRouter || typeof this.commandRouter.volumiosetvolume !== 'function') {
+      this.logger.warn(`${this.loggerPrefix} Volumio mixer not available, cannot apply volume ${volume}`);
+      return;
+    }
+    
+    const current = this.getVolumioVolume();
+    if (current && current.muted === muted && (muted || current.volume === volume)) {
+      return; // Mixer already there
+    }
+    
+    // Remember what we set so the mixer's update is not sent back to the server
+    const now = Date.now();
+    this.appliedVolumes = this.appliedVolumes.filter(entry => now - entry.at < VOLUME_ECHO_WINDOW_MS);
+    this.appliedVolumes.push({ volume, muted, at: now });
+    
+    this.logger.info(`${this.loggerPrefix} Applying server volume to mixer: volume=${volume}, muted=${muted}`);
+    try {
+      // Setting a volume also unmutes
+      this.commandRouter.volumiosetvolume(muted ? 'mute' : volume);
+    } catch (error) {
+      this.logger.error(`${this.loggerPrefix} Error setting Volumio volume:`, error);
+    }
+  }
+  
+  /**
+   * Volumio volume change: report it to the server unless we caused it
+   * @param {{vol: number, mute: boolean}} vol - Volumio volume state
+   */
+  onVolumioVolumeChange(vol) {
+    if (!this.sendspinPlayer || this.softwareVolume || !vol || typeof vol.vol !== 'number') {
+      return;
+    }
+    const muted = Boolean(vol.mute);
+    // A muted mixer may report 0 - keep the volume the server knows
+    const clientConfig = this.sendspinPlayer.config || {};
+    const volume = muted && clientConfig.volume !== undefined ? clientConfig.volume : vol.vol;
+    
+    // Our own change coming back (possibly behind a newer one) - do not echo it
+    const now = Date.now();
+    this.appliedVolumes = this.appliedVolumes.filter(entry => now - entry.at < VOLUME_ECHO_WINDOW_MS);
+    const echo = this.appliedVolumes.findIndex(entry => entry.muted === muted && (muted || entry.volume === vol.vol));
+    if (echo !== -1) {
+      this.appliedVolumes.splice(0, echo + 1);
+      this.logger.debug(`${this.loggerPrefix} Ignoring mixer update caused by server volume: volume=${vol.vol}, muted=${muted}`);
+      return;
+    }
+    
+    if (typeof this.sendspinPlayer.setVolume === 'function') {
+      this.sendspinPlayer.setVolume(volume, muted);
+    }
+  }
+  
+  getMpdPlugin() {
+    if (!this.mpdPlugin) {
+      const pluginManager = this.commandRouter && this.commandRouter.pluginManager;
+      if (pluginManager && typeof pluginManager.getPlugin === 'function') {
+        this.mpdPlugin = pluginManager.getPlugin('music_service', 'mpd') || null;
+      }
+    }
+    return this.mpdPlugin;
+  }
+  
+  /**
+   * Push our state to Volumio while we own playback
+   */
   broadcastState() {
-    this.commandRouter.servicePushState('sendspin', this.getState());
+    if (!this.ownsPlayback || !this.commandRouter) {
+      return;
+    }
+    try {
+      this.commandRouter.servicePushState(this.getState(), 'sendspin');
+    } catch (error) {
+      this.logger.error(`${this.loggerPrefix} Error pushing state:`, error);
+    }
   }
 }
 
@@ -0,0 +1,67 @@
+'use strict';
+
+// Most to least severe - a level lets through itself and everything before it
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * Logger with its own level
+ * Wraps Volumio's logger (shared by the whole system) so the plugin's verbosity can be
+ * changed on its own, at runtime: every module holds this object, so setLevel() applies
+ * everywhere at once.
+ */
+class LevelLogger {
+  /**
+   * @param {Object} logger - Underlying logger (error/warn/info/debug)
+   * @param {string} [level] - One of LOG_LEVELS
+   */
+  constructor(logger, level = 'info') {
+    this.logger = logger;
+    this.level = 'info';
+    this.setLevel(level);
+  }
+
+  /**
+   * @param {string} level - One of LOG_LEVELS (unknown levels are ignored)
+   * @returns {boolean} True if the level is valid
+   */
+  setLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+      return false;
+    }
+    this.level = level;
+    return true;
+  }
+
+  /**
+   * Check if messages at a level are passed on
+   */
+  isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.level);
+  }
+
+  log(level, args) {
+    if (this.isEnabled(level) && this.logger && typeof this.logger[level] === 'function') {
+      this.logger[level](...args);
+    }
+  }
+
+  error(...args) {
+    this.log('error', args);
+  }
+
+  warn(...args) {
+    this.log('warn', args);
+  }
+
+  info(...args) {
+    this.log('info', args);
+  }
+
+  debug(...args) {
+    this.log('debug', args);
+  }
+}
+
+LevelLogger.LOG_LEVELS = LOG_LEVELS;
+
+module.exports = LevelLogger;
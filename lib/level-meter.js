@@ -0,0 +1,159 @@
+'use strict';
+
+const pcmFormat = require('./pcm-format');
+const monotonicClock = require('./monotonic-clock');
+
+/**
+ * Level metering on the scheduled PCM
+ * Measures what leaves the AudioScheduler (before drift correction and software volume), so
+ * readings reflect the stream itself. Every intervalMs of audio it reports per-channel RMS and
+ * peak in dBFS, whether any sample hit full scale (clipping) and how long the stream has been
+ * digital silence (all samples zero).
+ *
+ * Readings only appear while audio is released for playback, so a missing or stale reading
+ * also means no audio is flowing.
+ */
+class LevelMeter {
+  constructor(config = {}) {
+    this.logger = config.logger || console;
+
+    this.intervalMs = config.intervalMs || 100; // Audio per reading
+    this.silenceMs = config.silenceMs || 10000; // Digital silence longer than this is reported
+    this.floorDb = config.floorDb !== undefined ? config.floorDb : -120; // Reported for silence
+
+    this.onReading = null; // Called with each reading
+
+    this.sampleFormat = pcmFormat.SAMPLE_FORMATS.s16;
+    this.channels = 2;
+    this.sampleRate = 48000;
+
+    this.reading = null; // Last reading
+    this.readingTime = null; // Monotonic ms of the last reading
+    this.silentMs = 0; // Length of the current run of digital silence
+    this.clipping = false;
+    this.resetInterval();
+  }
+
+  /**
+   * Configure for the PCM layout and start over
+   * @param {string|Object} sampleFormat - PCM sample format (see pcm-format)
+   * @param {number} channels - Interleaved channels
+   * @param {number} sampleRate - Frames per second
+   */
+  configure(sampleFormat, channels, sampleRate) {
+    this.sampleFormat = pcmFormat.getSampleFormat(sampleFormat);
+    this.channels = channels || this.channels;
+    this.sampleRate = sampleRate || this.sampleRate;
+    this.reset();
+  }
+
+  /**
+   * Forget the current interval, silence run and last reading (stream start/end)
+   */
+  reset() {
+    this.reading = null;
+    this.readingTime = null;
+    this.silentMs = 0;
+    this.clipping = false;
+    this.resetInterval();
+  }
+
+  /**
+   * Clear the per-interval accumulators
+   */
+  resetInterval() {
+    this.frames = 0;
+    this.sumSquares = new Array(this.channels).fill(0);
+    this.peaks = new Array(this.channels).fill(0);
+    this.clippedSamples = 0;
+    this.nonZero = false;
+  }
+
+  /**
+   * Measure a buffer of PCM (the buffer is not modified)
+   * @param {Buffer} pcmData - Interleaved PCM in the configured sample format
+   */
+  process(pcmData) {
+    const bytesPerSample = this.sampleFormat.bytesPerSample;
+    const frameSize = bytesPerSample * this.channels;
+    const frames = Math.floor(pcmData.length / frameSize);
+    const intervalFrames = Math.max(1, Math.round(this.intervalMs / 1000 * this.sampleRate));
+    // Largest positive sample of the format (left-justified); the negative limit is always -2^31
+    const clipLevel = (Math.pow(2, this.sampleFormat.validBits - 1) - 1) * Math.pow(2, 32 - this.sampleFormat.validBits);
+
+    for (let frame = 0; frame < frames; frame++) {
+      const offset = frame * frameSize;
+      for (let channel = 0; channel < this.channels; channel++) {
+        const value = pcmFormat.readSample(pcmData, offset + channel * bytesPerSample, this.sampleFormat);
+        if (value !== 0) {
+          this.nonZero = true;
+          if (value >= clipLevel || value <= -pcmFormat.INT32_SCALE) {
+            this.clippedSamples++;
+          }
+          const sample = value / pcmFormat.INT32_SCALE;
+          this.sumSquares[channel] += sample * sample;
+          this.peaks[channel] = Math.max(this.peaks[channel], Math.abs(sample));
+        }
+      }
+      this.frames++;
+      if (this.frames >= intervalFrames) {
+        this.emitReading();
+      }
+    }
+  }
+
+  /**
+   * Turn the accumulated interval into a reading
+   */
+  emitReading() {
+    const toDb = (value) => (value > 0 ? Math.max(this.floorDb, 20 * Math.log10(value)) : this.floorDb);
+    const intervalMs = this.frames / this.sampleRate * 1000;
+
+    this.silentMs = this.nonZero ? 0 : this.silentMs + intervalMs;
+    const silence = this.silentMs >= this.silenceMs;
+    if (silence && (!this.reading || !this.reading.silence)) {
+      this.logger.warn(`[LevelMeter] Digital silence for ${(this.silentMs / 1000).toFixed(1)}s`);
+    } else if (!silence && this.reading && this.reading.silence) {
+      this.logger.info('[LevelMeter] Audio resumed after digital silence');
+    }
+
+    const clipping = this.clippedSamples > 0;
+    if (clipping && !this.clipping) {
+      this.logger.warn(`[LevelMeter] Clipping: ${this.clippedSamples} samples at full scale`);
+    }
+    this.clipping = clipping;
+
+    this.reading = {
+      rms: this.sumSquares.map((sum) => toDb(Math.sqrt(sum / this.frames))),
+      peak: this.peaks.map(toDb),
+      clipping: clipping,
+      clippedSamples: this.clippedSamples,
+      silence: silence,
+      silentMs: Math.round(this.silentMs),
+      timestamp: Date.now()
+    };
+    this.readingTime = monotonicClock.nowMs();
+    this.resetInterval();
+
+    if (this.onReading) {
+      try {
+        this.onReading(this.reading);
+      } catch (error) {
+        this.logger.error('[LevelMeter] Error in reading callback:', error);
+      }
+    }
+  }
+
+  /**
+   * Last reading, if audio is still flowing
+   * @returns {Object|null} { rms, peak (dBFS per channel), clipping, clippedSamples, silence, silentMs, timestamp }, null when no audio was measured recently
+   */
+  getReading() {
+    if (!this.reading || monotonicClock.nowMs() - this.readingTime > Math.max(1000, this.intervalMs * 3)) {
+      return null;
+    }
+    return this.reading;
+  }
+}
+
+module.exports = LevelMeter;
@@ -0,0 +1,525 @@
+'use strict';
+
+const monotonicClock = require('./monotonic-clock');
+const { getInterfaceAddresses } = require('./network-address');
+
+// DNS-SD service type enumeration (RFC 6763 section 9)
+const SERVICE_ENUMERATION_NAME = '_services._dns-sd._udp.local';
+
+// Record TTL in seconds (RFC 6762 recommends 120 for host records; used for all so a player that
+// disappears without goodbyes drops out of server lists quickly)
+const DEFAULT_TTL = 120;
+
+// Probing (RFC 6762 section 8.1): random 0-250ms delay, then three probes 250ms apart
+const PROBE_INTERVAL_MS = 250;
+const PROBE_COUNT = 3;
+
+// Lost a simultaneous probe tiebreak: probe again after a second (section 8.2)
+const TIEBREAK_DELAY_MS = 1000;
+
+// 15 conflicts within 10 seconds: wait 5 seconds before probing again (section 8.1)
+const MAX_CONFLICTS = 15;
+const CONFLICT_WINDOW_MS = 10000;
+const CONFLICT_BACKOFF_MS = 5000;
+
+// Announcements (section 8.3): right after probing, then after 1 and a further 2 seconds
+const ANNOUNCE_DELAYS_MS = [1000, 2000];
+
+// Random delay for answers with shared records (PTR), so responders don't collide (section 6)
+const MIN_SHARED_ANSWER_DELAY_MS = 20;
+const MAX_SHARED_ANSWER_DELAY_MS = 120;
+
+// Legacy unicast answers (queries not from port 5353) carry at most a 10 second TTL (section 6.7)
+const MDNS_PORT = 5353;
+const LEGACY_UNICAST_TTL = 10;
+
+// Longest wait for goodbye packets to go out when stopping
+const GOODBYE_TIMEOUT_MS = 500;
+
+// Record type codes, for the probe tiebreak
+const TYPE_CODES = { A: 1, TXT: 16, AAAA: 28, SRV: 33 };
+
+/**
+ * mDNS Responder Module
+ * Publishes one DNS-SD service (PTR, SRV, TXT and the host's A/AAAA records) the way RFC 6762
+ * asks of a responder:
+ * - probes for the service and host name before using them, and picks "Name (2)" / "host-2"
+ *   when another device already owns them (also when a conflict shows up later)
+ * - announces three times (0s, 1s, 3s) instead of repeating forever
+ * - answers only questions for its own records, skipping answers the querier already has
+ * - sends goodbyes (TTL 0) when stopped and for addresses that went away
+ */
+class MdnsResponder {
+  /**
+   * @param {Object} config
+   * @param {Object} config.transport - MdnsTransport to send and listen on
+   * @param {string} config.serviceType - e.g. _sendspin._tcp.local
+   * @param {string} config.instanceName - Preferred service instance name (player name)
+   * @param {string} config.hostname - Preferred host name, without .local
+   * @param {number} config.port - Service port
+   * @param {string[]} [config.txt] - TXT entries (key=value)
+   * @param {Array<{address: string, family: string}>} config.addresses - Addresses to publish
+   * @param {number} [config.ttl] - Record TTL in seconds
+   * @param {Object} [config.logger]
+   */
+  constructor(config) {
+    this.serviceType = config.serviceType;
+    this.baseInstanceName = config.instanceName;
+    this.baseHostname = config.hostname;
+    this.instanceName = this.baseInstanceName;
+    this.hostname = this.baseHostname;
+    this.port = config.port;
+    this.txt = config.txt || [];
+    this.addresses = config.addresses || [];
+    this.ttl = config.ttl || DEFAULT_TTL;
+    this.logger = config.logger || console;
+
+    this.state = 'stopped'; // 'probing', 'announcing', 'announced', 'restarting'
+    this.timers = new Set();
+    this.conflictTimes = []; // Recent conflicts, for the rate limit
+    this.instanceSuffix = 1; // Next rename: "Name (2)", ...
+    this.hostSuffix = 1; // Next rename: "host-2", ...
+    this.restarts = 0; // Counts restart() calls, so only the latest one resumes
+
+    this.setTransport(config.transport);
+  }
+
+  get serviceName() {
+    return `${this.instanceName}.${this.serviceType}`;
+  }
+
+  get targetName() {
+    return `${this.hostname}.local`;
+  }
+
+  /**
+   * Probe for the names, then announce
+   */
+  start() {
+    this.clearTimers();
+    this.conflictTimes = [];
+    this.probe(Math.random() * PROBE_INTERVAL_MS);
+  }
+
+  /**
+   * Stop answering and send goodbyes for everything announced
+   * @returns {Promise<void>} Resolves once the goodbyes are sent (or after a short timeout)
+   */
+  async stop() {
+    const announced = this.state !== 'stopped' && this.state !== 'probing';
+    this.clearTimers();
+    this.state = 'stopped';
+
+    if (announced) {
+      await this.sendGoodbyes(this.transport, this.getRecords(0));
+      this.logger.info(`[MdnsResponder] Sent goodbye for ${this.serviceName}`);
+    }
+  }
+
+  /**
+   * Publish on new sockets / addresses after a network change: goodbyes for the addresses that
+   * went away (on the old sockets), then probe and announce again
+   * @param {Object} transport - New MdnsTransport (the caller closes the old one afterwards)
+   * @param {Array<{address: string, family: string}>} addresses - Addresses to publish now
+   * @returns {Promise<void>}
+   */
+  async restart(transport, addresses) {
+    const announced = this.state === 'announcing' || this.state === 'announced';
+    const removed = this.addresses.filter(addr => !addresses.some(other => other.address === addr.address));
+    const restart = ++this.restarts;
+    this.clearTimers();
+    this.state = 'restarting';
+
+    if (announced && removed.length > 0) {
+      await this.sendGoodbyes(this.transport, this.getAddressRecords(removed, 0));
+    }
+    if (this.state !== 'restarting' || restart !== this.restarts) {
+      return; // Stopped or restarted again meanwhile
+    }
+
+    this.addresses = addresses;
+    this.setTransport(transport);
+    this.start();
+  }
+
+  /**
+   * Listen for queries and responses on a transport
+   */
+  setTransport(transport) {
+    this.transport = transport;
+    transport.on('query', (query, rinfo) => {
+      try {
+        this.handleQuery(query, rinfo);
+      } catch (error) {
+        this.logger.warn('[MdnsResponder] Error handling mDNS query:', error.message || error);
+      }
+    });
+    transport.on('response', (response, rinfo) => {
+      try {
+        this.handleResponse(response, rinfo);
+      } catch (error) {
+        this.logger.warn('[MdnsResponder] Error handling mDNS response:', error.message || error);
+      }
+    });
+  }
+
+  /**
+   * Send probe number `count` after `delayMs` (announce after the last one)
+   */
+  probe(delayMs, count = 0) {
+    this.state = 'probing';
+    this.schedule(delayMs, () => {
+      if (count === PROBE_COUNT) {
+        this.announce();
+        return;
+      }
+      this.transport.query({
+        questions: [
+          { name: this.serviceName, type: 'ANY' },
+          { name: this.targetName, type: 'ANY' }
+        ],
+        authorities: [this.getSrvRecord(this.ttl), this.getTxtRecord(this.ttl), ...this.getAddressRecords(this.addresses, this.ttl)]
+      });
+      this.probe(PROBE_INTERVAL_MS, count + 1);
+    });
+  }
+
+  /**
+   * Send announcement number `count`, the next one after its delay
+   */
+  announce(count = 0) {
+    this.state = 'announcing';
+    this.transport.respond({ answers: this.getRecords(this.ttl) });
+
+    if (count === 0) {
+      const addressList = this.addresses.map(addr => addr.address).join(', ');
+      this.logger.info(`[MdnsResponder] Advertising ${this.serviceName} on port ${this.port} (host ${this.targetName}: ${addressList})`);
+    }
+
+    if (count < ANNOUNCE_DELAYS_MS.length) {
+      this.schedule(ANNOUNCE_DELAYS_MS[count], () => this.announce(count + 1));
+    } else {
+      this.state = 'announced';
+    }
+  }
+
+  /**
+   * Answer the questions about our records; while probing, check for a simultaneous probe
+   * @param {Object} query - multicast-dns query packet
+   * @param {Object} [rinfo] - Sender (with the receiving instance, see MdnsTransport)
+   */
+  handleQuery(query, rinfo) {
+    if (this.state === 'stopped' || this.state === 'restarting' || this.isOwnPacket(rinfo)) {
+      return;
+    }
+
+    if (this.state === 'probing') {
+      this.checkSimultaneousProbe(query.authorities || []);
+      return;
+    }
+
+    const answers = [];
+    const additionals = [];
+    const addressRecords = this.getAddressRecords(this.addresses, this.ttl);
+    for (const question of query.questions || []) {
+      const name = (question.name || '').toLowerCase();
+      const type = question.type;
+      const any = type === 'ANY';
+
+      if (name === this.serviceType.toLowerCase() && (type === 'PTR' || any)) {
+        answers.push(this.getPtrRecord(this.ttl));
+        additionals.push(this.getSrvRecord(this.ttl), this.getTxtRecord(this.ttl), ...addressRecords);
+      } else if (name === SERVICE_ENUMERATION_NAME && (type === 'PTR' || any)) {
+        answers.push({ name: SERVICE_ENUMERATION_NAME, type: 'PTR', data: this.serviceType, ttl: this.ttl });
+      } else if (name === this.serviceName.toLowerCase()) {
+        if (type === 'SRV' || any) {
+          answers.push(this.getSrvRecord(this.ttl));
+          additionals.push(...addressRecords);
+        }
+        if (type === 'TXT' || any) {
+          answers.push(this.getTxtRecord(this.ttl));
+        }
+      } else if (name === this.targetName.toLowerCase()) {
+        answers.push(...addressRecords.filter(record => record.type === type || any));
+      }
+    }
+
+    // Known-answer suppression: skip answers the querier has with at least half their TTL left
+    const known = query.answers || [];
+    const needed = unique(answers).filter(record => !known.some(other =>
+      sameRecord(record, other) && other.ttl >= record.ttl / 2));
+    if (needed.length === 0) {
+      return;
+    }
+    const extra = unique(additionals).filter(record => !needed.some(other => sameRecord(record, other)));
+
+    if (rinfo && rinfo.port && rinfo.port !== MDNS_PORT) {
+      // Legacy unicast query (a plain DNS resolver): reply directly, echoing id and questions
+      const cap = record => Object.assign({}, record, { ttl: Math.min(record.ttl, LEGACY_UNICAST_TTL), flush: false });
+      this.transport.respond({
+        id: query.id,
+        questions: query.questions,
+        answers: needed.map(cap),
+        additionals: extra.map(cap)
+      }, rinfo);
+      return;
+    }
+
+    const shared = needed.some(record => record.type === 'PTR');
+    const delayMs = shared ? MIN_SHARED_ANSWER_DELAY_MS + Math.random() * (MAX_SHARED_ANSWER_DELAY_MS - MIN_SHARED_ANSWER_DELAY_MS) : 0;
+    this.schedule(delayMs, () => {
+      this.transport.respond({ answers: needed, additionals: extra }, rinfo && rinfo.mdns ? { mdns: rinfo.mdns } : undefined);
+      this.logger.debug(`[MdnsResponder] Answered mDNS query for ${needed.map(record => `${record.name} ${record.type}`).join(', ')}`);
+    });
+  }
+
+  /**
+   * Look for another device's records on our names
+   * @param {Object} response - multicast-dns response packet
+   * @param {Object} [rinfo] - Sender
+   */
+  handleResponse(response, rinfo) {
+    if (this.state === 'stopped' || this.state === 'restarting' || this.isOwnPacket(rinfo)) {
+      return;
+    }
+
+    const records = [...(response.answers || []), ...(response.additionals || [])];
+    const serviceName = this.serviceName.toLowerCase();
+    const targetName = this.targetName.toLowerCase();
+    let instanceConflict = false;
+    let hostConflict = false;
+
+    for (const record of records) {
+      const name = (record.name || '').toLowerCase();
+      if (record.ttl === 0) {
+        continue;
+      }
+      if (name === serviceName && (record.type === 'SRV' || record.type === 'TXT')) {
+        const ours = record.type === 'SRV' ? this.getSrvRecord(this.ttl) : this.getTxtRecord(this.ttl);
+        instanceConflict = instanceConflict || !sameRecord(record, ours);
+      } else if (name === targetName && (record.type === 'A' || record.type === 'AAAA')) {
+        hostConflict = hostConflict || !this.addresses.some(addr => addr.address === record.data);
+      }
+    }
+
+    if (instanceConflict || hostConflict) {
+      this.handleConflict(instanceConflict, hostConflict);
+    }
+  }
+
+  /**
+   * Simultaneous probe tiebreak (RFC 6762 section 8.2): compare the records proposed for each
+   * name; the lexicographically later set wins, the loser probes again after a second
+   * @param {Array<Object>} authorities - Records in the other device's probe
+   */
+  checkSimultaneousProbe(authorities) {
+    for (const name of [this.serviceName, this.targetName]) {
+      const theirs = authorities.filter(record => (record.name || '').toLowerCase() === name.toLowerCase());
+      if (theirs.length === 0) {
+        continue;
+      }
+      const ours = name === this.serviceName
+        ? [this.getSrvRecord(this.ttl), this.getTxtRecord(this.ttl)]
+        : this.getAddressRecords(this.addresses, this.ttl);
+
+      if (compareRecordSets(ours, theirs) < 0) {
+        this.logger.info(`[MdnsResponder] Another device is probing for ${name}, probing again in ${TIEBREAK_DELAY_MS}ms`);
+        this.clearTimers();
+        this.probe(TIEBREAK_DELAY_MS);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Another device owns our name: pick the next one and probe again (rate limited)
+   */
+  handleConflict(instanceConflict, hostConflict) {
+    const previous = this.state;
+    this.clearTimers();
+
+    // A conflict after announcing may be stale data in the network - probing settles it, and we
+    // rename if the other device defends the name
+    if (previous === 'probing') {
+      if (instanceConflict) {
+        this.instanceSuffix++;
+        const name = `${this.baseInstanceName} (${this.instanceSuffix})`;
+        this.logger.warn(`[MdnsResponder] Service name "${this.instanceName}" is already in use, renaming to "${name}"`);
+        this.instanceName = name;
+      }
+      if (hostConflict) {
+        this.hostSuffix++;
+        const hostname = `${this.baseHostname}-${this.hostSuffix}`;
+        this.logger.warn(`[MdnsResponder] Host name ${this.targetName} is already in use, renaming to ${hostname}.local`);
+        this.hostname = hostname;
+      }
+    } else {
+      this.logger.warn(`[MdnsResponder] Conflicting records for ${instanceConflict ? this.serviceName : this.targetName}, probing again`);
+    }
+
+    const now = monotonicClock.nowMs();
+    this.conflictTimes = this.conflictTimes.filter(time => now - time < CONFLICT_WINDOW_MS);
+    this.conflictTimes.push(now);
+    const delayMs = this.conflictTimes.length >= MAX_CONFLICTS ? CONFLICT_BACKOFF_MS : Math.random() * PROBE_INTERVAL_MS;
+    this.probe(delayMs);
+  }
+
+  /**
+   * Whether a packet came from this device (multicast loopback delivers our own packets)
+   */
+  isOwnPacket(rinfo) {
+    if (!rinfo || !rinfo.address) {
+      return false;
+    }
+    const address = rinfo.address.split('%')[0];
+    return getInterfaceAddresses().some(addr => addr.address === address);
+  }
+
+  /**
+   * All records we publish
+   * @param {number} ttl - TTL in seconds (0 for goodbyes)
+   */
+  getRecords(ttl) {
+    return [
+      this.getPtrRecord(ttl),
+      this.getSrvRecord(ttl),
+      this.getTxtRecord(ttl),
+      ...this.getAddressRecords(this.addresses, ttl)
+    ];
+  }
+
+  getPtrRecord(ttl) {
+    return { name: this.serviceType, type: 'PTR', data: this.serviceName, ttl };
+  }
+
+  getSrvRecord(ttl) {
+    return {
+      name: this.serviceName,
+      type: 'SRV',
+      flush: true,
+      data: { port: this.port, target: this.targetName, priority: 0, weight: 0 },
+      ttl
+    };
+  }
+
+  getTxtRecord(ttl) {
+    return { name: this.serviceName, type: 'TXT', flush: true, data: this.txt.map(entry => Buffer.from(entry)), ttl };
+  }
+
+  getAddressRecords(addresses, ttl) {
+    return addresses.map(addr => ({
+      name: this.targetName,
+      type: addr.family === 'IPv6' ? 'AAAA' : 'A',
+      flush: true,
+      data: addr.address,
+      ttl
+    }));
+  }
+
+  /**
+   * Send TTL 0 records, waiting at most GOODBYE_TIMEOUT_MS
+   */
+  sendGoodbyes(transport, records) {
+    let timer = null;
+    return Promise.race([
+      Promise.resolve(transport.respond({ answers: records })),
+      new Promise(resolve => {
+        timer = setTimeout(resolve, GOODBYE_TIMEOUT_MS);
+      })
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  schedule(delayMs, callback) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delayMs);
+    this.timers.add(timer);
+  }
+
+  clearTimers() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+/**
+ * Record data in a comparable form: TXT entries as strings
+ */
+function recordData(record) {
+  return Array.isArray(record.data) ? record.data.map(entry => entry.toString()) : record.data;
+}
+
+/**
+ * Same name, type and data (TTL and cache-flush bit aside)
+ */
+function sameRecord(a, b) {
+  return (a.name || '').toLowerCase() === (b.name || '').toLowerCase() &&
+    a.type === b.type &&
+    JSON.stringify(recordData(a)) === JSON.stringify(recordData(b));
+}
+
+/**
+ * Drop duplicate records
+ */
+function unique(records) {
+  return records.filter((record, index) => records.findIndex(other => sameRecord(record, other)) === index);
+}
+
+/**
+ * Record data as on the wire, for the probe tiebreak (types we publish; others compare empty)
+ */
+function encodeRdata(record) {
+  switch (record.type) {
+    case 'A':
+      return Buffer.from(String(record.data).split('.').map(Number));
+    case 'AAAA': {
+      const halves = String(record.data).split('%')[0].split('::');
+      const head = halves[0] ? halves[0].split(':') : [];
+      const tail = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+      const groups = [...head, ...new Array(Math.max(0, 8 - head.length - tail.length)).fill('0'), ...tail];
+      const bytes = Buffer.alloc(16);
+      groups.slice(0, 8).forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16) || 0, index * 2));
+      return bytes;
+    }
+    case 'SRV': {
+      const header = Buffer.alloc(6);
+      header.writeUInt16BE(record.data.priority || 0, 0);
+      header.writeUInt16BE(record.data.weight || 0, 2);
+      header.writeUInt16BE(record.data.port || 0, 4);
+      const labels = String(record.data.target).split('.').filter(Boolean)
+        .map(label => Buffer.concat([Buffer.from([Buffer.byteLength(label)]), Buffer.from(label)]));
+      return Buffer.concat([header, ...labels, Buffer.from([0])]);
+    }
+    case 'TXT':
+      return Buffer.concat([].concat(record.data || []).map(entry => {
+        const text = Buffer.from(entry);
+        return Buffer.concat([Buffer.from([text.length]), text]);
+      }));
+    default:
+      return Buffer.alloc(0);
+  }
+}
+
+/**
+ * Compare two record sets the way RFC 6762 section 8.2.1 orders them: sorted by type then
+ * rdata, compared pairwise, the longer set winning a tie
+ * @returns {number} Negative if `a` loses to `b`, positive if it wins, 0 if identical
+ */
+function compareRecordSets(a, b) {
+  const compareRecords = (x, y) => ((TYPE_CODES[x.type] || 0) - (TYPE_CODES[y.type] || 0)) ||
+    Buffer.compare(encodeRdata(x), encodeRdata(y));
+  const sortedA = [...a].sort(compareRecords);
+  const sortedB = [...b].sort(compareRecords);
+  for (let i = 0; i < Math.min(sortedA.length, sortedB.length); i++) {
+    const result = compareRecords(sortedA[i], sortedB[i]);
+    if (result !== 0) {
+      return result;
+    }
+  }
+  return sortedA.length - sortedB.length;
+}
+
+module.exports = MdnsResponder;
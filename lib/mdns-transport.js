@@ -0,0 +1,135 @@
+'use strict';
+
+const mdns = require('multicast-dns');
+const { getInterfaceAddresses } = require('./network-address');
+
+// mDNS multicast group for IPv6 (IPv4 uses multicast-dns' default 224.0.0.251)
+const IPV6_MDNS_GROUP = 'ff02::fb';
+
+/**
+ * mDNS Transport Module
+ * multicast-dns instances for IPv4 and, where the device has IPv6 addresses, IPv6 - behind the
+ * single-instance API the advertiser and discovery use (on, query, respond, destroy).
+ *
+ * With an interface name, both sockets are limited to that interface; otherwise IPv4 joins the
+ * group on every interface (multicast-dns re-checks every 5 seconds) and IPv6 on the interfaces
+ * present when the transport is created - recreate it when interfaces change.
+ */
+class MdnsTransport {
+  /**
+   * @param {Object} [config]
+   * @param {string|null} [config.interfaceName] - Network interface to use (null = all)
+   * @param {Object} [config.logger]
+   */
+  constructor(config = {}) {
+    this.interfaceName = config.interfaceName || null;
+    this.logger = config.logger || console;
+    this.instances = [];
+
+    const addresses = getInterfaceAddresses(this.interfaceName);
+    const ipv4 = addresses.find(addr => addr.family === 'IPv4');
+    const ipv6Interfaces = [...new Set(addresses.filter(addr => addr.family === 'IPv6').map(addr => addr.name))];
+
+    // IPv4 - also without any address yet (the bound interface may come up later)
+    if (!this.interfaceName || ipv4) {
+      this.open('IPv4', this.interfaceName ? { interface: ipv4.address } : {});
+    }
+
+    if (ipv6Interfaces.length > 0) {
+      const interfaces = ipv6Interfaces.map(name => `::%${name}`);
+      this.open('IPv6', {
+        type: 'udp6',
+        ip: IPV6_MDNS_GROUP,
+        interface: interfaces.length === 1 ? interfaces[0] : interfaces,
+        bind: '::'
+      });
+    }
+
+    if (this.instances.length === 0) {
+      this.logger.warn(`[MdnsTransport] No usable addresses on interface ${this.interfaceName}`);
+    }
+  }
+
+  /**
+   * Create one multicast-dns instance
+   */
+  open(family, options) {
+    try {
+      const instance = mdns(options);
+      instance.on('error', (error) => {
+        this.logger.warn(`[MdnsTransport] ${family} mDNS error:`, error.message || error);
+      });
+      instance.on('warning', (error) => {
+        this.logger.debug(`[MdnsTransport] ${family} mDNS warning:`, error.message || error);
+      });
+      this.instances.push(instance);
+    } catch (error) {
+      this.logger.warn(`[MdnsTransport] Failed to open ${family} mDNS socket:`, error.message || error);
+    }
+  }
+
+  /**
+   * Listen on every socket ('query', 'response'). rinfo gets the receiving instance as `mdns`,
+   * for answering on the same socket
+   */
+  on(event, handler) {
+    for (const instance of this.instances) {
+      instance.on(event, (packet, rinfo) => handler(packet, Object.assign({}, rinfo, { mdns: instance })));
+    }
+    return this;
+  }
+
+  /**
+   * Send a query on every socket
+   */
+  query(...args) {
+    for (const instance of this.instances) {
+      try {
+        instance.query(...args);
+      } catch (error) {
+        this.logger.warn('[MdnsTransport] Error sending mDNS query:', error.message || error);
+      }
+    }
+  }
+
+  /**
+   * Send a response on every socket, or on the one in rinfo (to rinfo's address and port if set,
+   * else to the group)
+   * @param {Object} response - multicast-dns response packet
+   * @param {Object} [rinfo] - { mdns, address, port } from a received packet
+   * @returns {Promise<void>} Resolves once sent (errors are logged, not thrown)
+   */
+  respond(response, rinfo) {
+    const instances = rinfo && rinfo.mdns ? [rinfo.mdns] : this.instances;
+    const target = rinfo && rinfo.address && rinfo.port ? { address: rinfo.address, port: rinfo.port } : null;
+    return Promise.all(instances.map(instance => new Promise((resolve) => {
+      const done = (error) => {
+        if (error) {
+          this.logger.warn('[MdnsTransport] Error sending mDNS response:', error.message || error);
+        }
+        resolve();
+      };
+      try {
+        instance.respond(response, target, done);
+      } catch (error) {
+        done(error);
+      }
+    }))).then(() => {});
+  }
+
+  /**
+   * Close every socket
+   */
+  destroy() {
+    for (const instance of this.instances) {
+      try {
+        instance.destroy();
+      } catch (error) {
+        this.logger.warn('[MdnsTransport] Error destroying mDNS instance:', error.message || error);
+      }
+    }
+    this.instances = [];
+  }
+}
+
+module.exports = MdnsTransport;
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Monotonic time source for clock sync and playback scheduling
+ *
+ * Date.now() follows the system clock, which NTP can step forwards or backwards at any time.
+ * All sync and scheduling math uses process.hrtime instead; wall-clock time is only derived
+ * from it for protocol fields and logs that need Unix microseconds.
+ */
+
+/**
+ * Get monotonic time in microseconds
+ * @returns {number} Monotonic microseconds (arbitrary origin)
+ */
+function nowMicros() {
+  return Number(process.hrtime.bigint() / 1000n);
+}
+
+/**
+ * Get monotonic time in milliseconds (same origin as nowMicros)
+ * @returns {number} Monotonic milliseconds with sub-millisecond precision
+ */
+function nowMs() {
+  return Number(process.hrtime.bigint()) / 1e6;
+}
+
+/**
+ * Convert a monotonic timestamp to Unix microseconds using the current wall clock
+ * @param {number} monotonicMicros - Monotonic microseconds
+ * @returns {number} Unix microseconds
+ */
+function toUnixMicros(monotonicMicros) {
+  return Date.now() * 1000 + (monotonicMicros - nowMicros());
+}
+
+module.exports = {
+  nowMicros,
+  nowMs,
+  toUnixMicros
+};
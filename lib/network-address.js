@@ -0,0 +1,90 @@
+'use strict';
+
+const net = require('net');
+const os = require('os');
+
+/**
+ * Non-internal addresses of this device
+ * @param {string|null} [interfaceName] - Only this network interface (null = all)
+ * @returns {Array<{name: string, address: string, family: string}>} family is 'IPv4' or 'IPv6'
+ */
+function getInterfaceAddresses(interfaceName = null) {
+  const interfaces = typeof os.networkInterfaces === 'function' ? os.networkInterfaces() : {};
+  const addresses = [];
+  for (const ifaceName in interfaces) {
+    if (interfaceName && ifaceName !== interfaceName) {
+      continue;
+    }
+    for (const addr of interfaces[ifaceName] || []) {
+      // Node 18.0-18.3 reports the family as a number
+      const family = addr.family === 4 ? 'IPv4' : addr.family === 6 ? 'IPv6' : addr.family;
+      if (!addr.internal && (family === 'IPv4' || family === 'IPv6')) {
+        addresses.push({ name: ifaceName, address: addr.address, family });
+      }
+    }
+  }
+  return addresses;
+}
+
+/**
+ * Check for an IPv6 link-local address (fe80::/10) - only usable together with a zone index,
+ * which URLs can't carry
+ */
+function isLinkLocal(address) {
+  return /^fe[89ab][0-9a-f]:/i.test(address);
+}
+
+/**
+ * Address other machines on the LAN can reach this device at, for URLs we hand out
+ * (artwork, visualizer)
+ * @param {string|null} [interfaceName] - Only this network interface (null = all)
+ * @returns {string} First IPv4 address, else the first routable IPv6 address, else the hostname
+ */
+function getLocalAddress(interfaceName = null) {
+  const addresses = getInterfaceAddresses(interfaceName);
+  const ipv4 = addresses.find(addr => addr.family === 'IPv4');
+  if (ipv4) {
+    return ipv4.address;
+  }
+  const ipv6 = addresses.find(addr => addr.family === 'IPv6' && !isLinkLocal(addr.address));
+  return ipv6 ? ipv6.address : os.hostname();
+}
+
+/**
+ * Split a host:port address (IPv6 hosts in brackets: [fe80::1]:8927)
+ * @param {string} address - Address to split
+ * @returns {{host: string, port: number|null}} Host without brackets, null port if there is none
+ */
+function parseHostPort(address) {
+  const match = /^\[([^\]]+)\](?::(\d+))?$/.exec(address) || /^([^:]*)(?::(\d+))?$/.exec(address);
+  if (!match) {
+    return { host: address, port: null }; // Bare IPv6 address
+  }
+  return { host: match[1], port: match[2] !== undefined ? Number(match[2]) : null };
+}
+
+/**
+ * Host as written in a URL or host:port address: IPv6 literals in brackets
+ * @param {string} host - Host name, IPv4 or IPv6 address
+ */
+function formatHost(host) {
+  return net.isIPv6(host) ? `[${host}]` : host;
+}
+
+/**
+ * Build a host:port address
+ * @param {string} host - Host name, IPv4 or IPv6 address
+ * @param {number} port - Port
+ */
+function formatHostPort(host, port) {
+  return `${formatHost(host)}:${port}`;
+}
+
+module.exports = {
+  getInterfaceAddresses,
+  getLocalAddress,
+  isLinkLocal,
+  parseHostPort,
+  formatHost,
+  formatHostPort
+};
@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * PCM sample formats
+ * Describes the sample layouts that flow between decoder, scheduler and output, and converts
+ * between them. All formats are little-endian and interleaved.
+ *
+ * - s16: 16-bit signed
+ * - s24: 24-bit signed, packed in 3 bytes (Sendspin PCM/FLAC at bit_depth 24)
+ * - s24_32: 24-bit signed in a 32-bit container, left-justified (WAV convention, low byte zero)
+ * - s32: 32-bit signed
+ * - f32: 32-bit IEEE float in [-1, 1]
+ */
+
+const SAMPLE_FORMATS = {
+  s16: { id: 's16', bytesPerSample: 2, validBits: 16, float: false },
+  s24: { id: 's24', bytesPerSample: 3, validBits: 24, float: false },
+  s24_32: { id: 's24_32', bytesPerSample: 4, validBits: 24, float: false },
+  s32: { id: 's32', bytesPerSample: 4, validBits: 32, float: false },
+  f32: { id: 'f32', bytesPerSample: 4, validBits: 32, float: true }
+};
+
+const INT32_SCALE = 2147483648; // 2^31
+
+/**
+ * Look up a sample format
+ * @param {string|Object} format - Sample format id or descriptor
+ * @returns {{id: string, bytesPerSample: number, validBits: number, float: boolean}}
+ */
+function getSampleFormat(format) {
+  const descriptor = typeof format === 'string' ? SAMPLE_FORMATS[format] : format;
+  if (!descriptor || !SAMPLE_FORMATS[descriptor.id]) {
+    throw new Error(`Unsupported PCM sample format: ${JSON.stringify(format)}`);
+  }
+  return SAMPLE_FORMATS[descriptor.id];
+}
+
+/**
+ * Get the sample format of decoded audio for a stream/start format
+ * Opus always decodes to 16-bit; PCM and FLAC keep the stream's bit depth
+ * @param {Object} format - Stream format (codec, bit_depth, optional sample_format)
+ * @returns {{id: string, bytesPerSample: number, validBits: number, float: boolean}}
+ */
+function fromStreamFormat(format) {
+  if (format.sample_format) {
+    return getSampleFormat(format.sample_format);
+  }
+  if (format.codec === 'opus') {
+    return SAMPLE_FORMATS.s16;
+  }
+  switch (format.bit_depth || 16) {
+    case 16:
+      return SAMPLE_FORMATS.s16;
+    case 24:
+      return SAMPLE_FORMATS.s24;
+    case 32:
+      return SAMPLE_FORMATS.s32;
+    default:
+      throw new Error(`Unsupported bit depth for ${format.codec || 'pcm'}: ${format.bit_depth}`);
+  }
+}
+
+/**
+ * Bytes per interleaved frame
+ */
+function frameSize(sampleFormat, channels) {
+  return getSampleFormat(sampleFormat).bytesPerSample * channels;
+}
+
+/**
+ * Check that a buffer holds a whole number of frames
+ * A partial frame would shift every following sample in a continuous stream and play as noise
+ */
+function isAligned(buffer, sampleFormat, channels) {
+  return buffer.length % frameSize(sampleFormat, channels) === 0;
+}
+
+/**
+ * Read a sample as a left-justified 32-bit integer
+ */
+function readSample(buffer, offset, format) {
+  switch (format.id) {
+    case 's16':
+      return buffer.readInt16LE(offset) * 65536;
+    case 's24':
+      return buffer.readIntLE(offset, 3) * 256;
+    case 's24_32':
+    case 's32':
+      return buffer.readInt32LE(offset);
+    case 'f32':
+      return Math.max(-INT32_SCALE, Math.min(INT32_SCALE - 1, Math.round(buffer.readFloatLE(offset) * INT32_SCALE)));
+    default:
+      throw new Error(`Unsupported PCM sample format: ${format.id}`);
+  }
+}
+
+/**
+ * Write a left-justified 32-bit integer sample (truncating to the target precision)
+ */
+function writeSample(buffer, offset, value, format) {
+  switch (format.id) {
+    case 's16':
+      buffer.writeInt16LE(Math.floor(value / 65536), offset);
+      break;
+    case 's24':
+      buffer.writeIntLE(Math.floor(value / 256), offset, 3);
+      break;
+    case 's24_32':
+      buffer.writeInt32LE(Math.floor(value / 256) * 256, offset);
+      break;
+    case 's32':
+      buffer.writeInt32LE(value, offset);
+      break;
+    case 'f32':
+      buffer.writeFloatLE(value / INT32_SCALE, offset);
+      break;
+    default:
+      throw new Error(`Unsupported PCM sample format: ${format.id}`);
+  }
+}
+
+/**
+ * Convert PCM between sample formats
+ * @param {Buffer} buffer - Interleaved PCM
+ * @param {string|Object} from - Source sample format
+ * @param {string|Object} to - Target sample format
+ * @returns {Buffer} Converted PCM (the input buffer when the formats match)
+ */
+function convert(buffer, from, to) {
+  const source = getSampleFormat(from);
+  const target = getSampleFormat(to);
+  if (source.id === target.id) {
+    return buffer;
+  }
+
+  const samples = Math.floor(buffer.length / source.bytesPerSample);
+  const output = Buffer.allocUnsafe(samples * target.bytesPerSample);
+  for (let i = 0; i < samples; i++) {
+    const value = readSample(buffer, i * source.bytesPerSample, source);
+    writeSample(output, i * target.bytesPerSample, value, target);
+  }
+  return output;
+}
+
+module.exports = {
+  SAMPLE_FORMATS,
+  getSampleFormat,
+  fromStreamFormat,
+  frameSize,
+  isAligned,
+  readSample,
+  convert,
+  INT32_SCALE
+};
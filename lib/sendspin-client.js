@@ -1,11 +1,51 @@
 'use strict';
 
+const net = require('net');
 const WebSocket = require('ws');
-const mdns = require('multicast-dns');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const ClockSync = require('./clock-sync');
+const monotonicClock = require('./monotonic-clock');
 const AudioScheduler = require('./audio-scheduler');
+const DriftCorrector = require('./drift-corrector');
+const GainStage = require('./gain-stage');
+const VisualizerScheduler = require('./visualizer-scheduler');
+const LevelMeter = require('./level-meter');
+const ServerDiscovery = require('./server-discovery');
+const MdnsTransport = require('./mdns-transport');
+const MdnsResponder = require('./mdns-responder');
+const pcmFormat = require('./pcm-format');
+const { getInterfaceAddresses, parseHostPort, formatHostPort } = require('./network-address');
+
+// Roles requested in client/hello (the server answers with the subset it activated)
+const SUPPORTED_ROLES = ['player@v1', 'controller@v1', 'metadata@v1', 'artwork@v1', 'visualizer@v1'];
+
+// Repeat modes accepted by setRepeat(), mapped to controller commands
+const REPEAT_COMMANDS = {
+  off: 'repeat_off',
+  one: 'repeat_one',
+  all: 'repeat_all'
+};
+
+// Visualizer data we can hold ahead of playback (advertised as buffer_capacity)
+const VISUALIZER_BUFFER_CAPACITY = 1048576;
+
+// Server port when an address has none
+const DEFAULT_SERVER_PORT = 8927;
+
+// How often local addresses are checked for changes (re-advertised when they change)
+const INTERFACE_CHECK_INTERVAL_MS = 5000;
+
+// Longest wait for artwork to reach its display time (guards against a bad timestamp)
+const MAX_ARTWORK_DELAY_MS = 30000;
+
+/**
+ * Advertised addresses as a comparable string
+ * @param {Array<{address: string}>} addresses - From getInterfaceAddresses()
+ */
+function getAddressSignature(addresses) {
+  return addresses.map(addr => addr.address).sort().join(', ');
+}
 
 /**
  * Sendspin Protocol client that connects to servers
@@ -15,11 +55,16 @@ class SendspinClient {
   constructor(config = {}) {
     this.config = {
       serverAddr: config.serverAddr || null, // Manual server address (host:port) or null for discovery
+      serverId: config.serverId || null, // Discovered server to connect to (see ServerDiscovery), null for the first found
+      interfaceName: config.interfaceName || null, // Network interface for mDNS and outbound connections, null for all
       playerName: config.playerName || config.clientName || `${os.hostname().split('.')[0]}-sendspin-player`,
       bufferMs: config.bufferMs || 150, // Jitter buffer size in milliseconds
-      volume: config.volume || 100, // Initial volume 0-100
+      volume: config.volume !== undefined ? config.volume : 100, // Initial volume 0-100
       muted: config.muted || false, // Initial mute state
+      staticDelayMs: Math.max(0, Math.round(Number(config.staticDelayMs) || 0)), // Delay added after our output (speaker DSP, AV receiver)
       discoveryTimeout: config.discoveryTimeout || 10000, // Server discovery timeout in ms
+      maxSampleRate: config.maxSampleRate || null, // Highest sample rate to advertise (null = no limit)
+      maxBitDepth: config.maxBitDepth || null, // Highest bit depth to advertise (null = no limit)
       deviceInfo: config.deviceInfo || {
         productName: 'Sendspin Volumio Player',
         manufacturer: 'Volumio',
@@ -33,6 +78,8 @@ class SendspinClient {
     this.isConnected = false;
     this.currentStreamFormat = null;
     this.serverAddress = null;
+    this.serverInfo = null; // From server/hello: { id, name, version, activeRoles }
+    this.controllerState = null; // From server/state: { supportedCommands, volume, muted }
     
     // Callbacks
     this.onAudioChunk = config.onAudioChunk || null;
@@ -42,6 +89,11 @@ class SendspinClient {
     this.onStateChange = config.onStateChange || null;
     this.onMetadata = config.onMetadata || null;
     this.onPlaybackStateChange = config.onPlaybackStateChange || null; // Callback for playback state changes
+    this.onVolumeChange = config.onVolumeChange || null; // Callback for server volume/mute commands ({ volume, muted })
+    this.onArtwork = config.onArtwork || null; // Callback for binary artwork (channel, image Buffer or null to clear)
+    this.artworkTimers = new Set(); // Artwork waiting for its display time
+    this.onVisualizerFrame = config.onVisualizerFrame || null; // Callback for visualizer frames when due (type, payload)
+    this.onLevels = config.onLevels || null; // Callback for level meter readings (see LevelMeter)
     
     // Current metadata
     this.currentMetadata = null;
@@ -49,12 +101,20 @@ class SendspinClient {
     // Playback state tracking
     this.playbackState = 'idle'; // 'playing', 'paused', 'idle', 'stopped'
     
-    // mDNS discovery
-    this.mdnsInstance = null;
-    this.mdnsAdvertiseInstance = null; // Separate instance for advertising
-    this.discoveryCanceled = false;
+    // mDNS discovery (runs while started, so the server list stays current)
+    this.discovery = new ServerDiscovery({ interfaceName: this.config.interfaceName, logger: this.config.logger });
+    this.discoveredServer = null; // Discovered server of the outbound connection
+    this.serverIdentity = null; // { id, serviceName } of the last server connected, to find it after an address change
+    this.mdnsAdvertiseInstance = null; // Separate sockets for advertising (MdnsTransport)
+    this.mdnsResponder = null; // Publishes the player's records on mdnsAdvertiseInstance
+    this.interfaceSignature = null; // Advertised addresses, to notice changes
+    this.interfaceCheckInterval = null;
     this.advertisePort = config.advertisePort || 8927; // Port for mDNS advertisement
-    this.advertiseInterval = null; // Interval for periodic announcements
+    
+    // Inbound WebSocket server (server-initiated connections on the advertised port)
+    this.wsServer = null;
+    this.acceptConnections = config.acceptConnections !== false; // Listen for servers connecting to us
+    this.connectionSource = null; // 'outbound' (we connected) or 'inbound' (server connected to us)
     
     // Client ID (UUID) - use provided one or generate new
     // This should be persisted across restarts to maintain device identity
@@ -69,9 +129,49 @@ class SendspinClient {
     // Audio scheduler
     this.scheduler = null;
     
+    // Playout drift correction between scheduler and player
+    this.driftCorrection = config.driftCorrection !== false;
+    this.driftCorrector = new DriftCorrector({ logger: this.config.logger });
+    
+    // Software volume/mute on the PCM (for outputs without a usable mixer)
+    this.softwareVolume = config.softwareVolume === true;
+    this.gainStage = new GainStage({ logger: this.config.logger });
+    this.gainStage.setVolume(this.config.volume, this.config.muted);
+    
+    // Visualizer frames, held until the audio they describe is heard
+    this.visualizerScheduler = new VisualizerScheduler(this.clockSync, {
+      capacityBytes: VISUALIZER_BUFFER_CAPACITY,
+      logger: this.config.logger
+    });
+    this.visualizerScheduler.onFrame = (type, payload) => {
+      if (this.onVisualizerFrame) {
+        this.onVisualizerFrame(type, payload);
+      }
+    };
+    
+    // Level metering of the scheduled PCM (meterIntervalMs 0 disables)
+    this.metering = config.meterIntervalMs !== 0;
+    this.levelMeter = new LevelMeter({
+      intervalMs: config.meterIntervalMs,
+      silenceMs: config.meterSilenceMs,
+      logger: this.config.logger
+    });
+    this.levelMeter.onReading = (reading) => {
+      if (this.onLevels) {
+        this.onLevels(reading);
+      }
+    };
+    
     // Audio decoder (will be initialized on stream/start)
     this.decoder = config.decoder || null;
     
+    // Audio output (only queried for capabilities - playback goes through onAudioChunk)
+    this.player = config.player || null;
+    
+    // Outstanding stream/request-format (resolved by the next stream/start)
+    this.pendingFormatRequest = null;
+    this.formatRequestTimeout = config.formatRequestTimeout || 10000;
+    
     // Reconnection state
     this.shouldReconnect = false; // Set to true when start() is called, false when stop() is called
     this.reconnectAttempts = 0;
@@ -79,6 +179,7 @@ class SendspinClient {
     this.maxReconnectAttempts = Infinity; // Keep trying indefinitely
     this.reconnectDelay = 1000; // Start with 1 second delay
     this.maxReconnectDelay = 30000; // Max 30 seconds between attempts
+    this.rediscoverAfter = config.rediscoverAfter || 3; // Failed attempts before leaving the server's last address
   }
 
   /**
@@ -91,22 +192,40 @@ class SendspinClient {
       this.reconnectAttempts = 0;
       this.reconnectDelay = 1000; // Reset delay
       
+      // Listen for server-initiated connections before advertising the port
+      if (this.acceptConnections) {
+        this.startServer();
+      }
+      
       // Start mDNS advertisement so servers can discover this player
       this.startMDNSAdvertisement();
+      if (!this.interfaceCheckInterval) {
+        this.interfaceCheckInterval = setInterval(() => this.checkNetworkInterfaces(), INTERFACE_CHECK_INTERVAL_MS);
+      }
+      
+      // Browse for servers - also in manual mode, to list them in the settings
+      this.discovery.start();
       
       // Determine server address
       if (this.config.serverAddr) {
         // Use manual server address
         this.serverAddress = this.config.serverAddr;
+        this.discoveredServer = null;
         this.config.logger.info(`[SendspinClient] Using manual server address: ${this.serverAddress}`);
       } else {
         // Discover server via mDNS
         this.config.logger.info('[SendspinClient] Starting server discovery...');
-        this.serverAddress = await this.discoverServer();
+        const discoveredAddress = await this.discoverServer();
+        if (this.hasActiveSession()) {
+          // A server connected to us while we were still browsing
+          this.config.logger.info(`[SendspinClient] Server connected to us during discovery (${this.serverAddress}), skipping outbound connection`);
+          return;
+        }
+        this.serverAddress = discoveredAddress;
         if (!this.serverAddress) {
           throw new Error('No server found after discovery timeout');
         }
-        this.config.logger.info(`[SendspinClient] Discovered server at ${this.serverAddress}`);
+        this.config.logger.info(`[SendspinClient] Discovered server "${this.discoveredServer.name}" at ${this.serverAddress}`);
       }
       
       // Connect to server
@@ -129,209 +248,294 @@ class SendspinClient {
   }
   
   /**
-   * Start mDNS advertisement for this player
-   * Advertises as _sendspin._tcp.local so servers can discover this player
-   * Sends unsolicited announcements periodically (not just responding to queries)
+   * Start WebSocket server for server-initiated connections
+   * Servers that discover us via mDNS connect to ws://<our-ip>:<advertisePort>/sendspin
    */
-  startMDNSAdvertisement() {
+  startServer() {
+    if (this.wsServer) {
+      return; // Already listening
+    }
+    
     try {
-      this.mdnsAdvertiseInstance = mdns();
+      this.wsServer = new WebSocket.Server({
+        port: this.advertisePort,
+        path: '/sendspin'
+      });
       
-      // Get local IP addresses
-      const interfaces = os.networkInterfaces();
-      const localIPs = [];
+      this.wsServer.on('listening', () => {
+        this.config.logger.info(`[SendspinClient] Listening for server connections on port ${this.advertisePort} (path: /sendspin)`);
+      });
       
-      for (const ifaceName in interfaces) {
-        const iface = interfaces[ifaceName];
-        for (const addr of iface) {
-          // Only include IPv4 addresses that are not loopback
-          if (addr.family === 'IPv4' && !addr.internal) {
-            localIPs.push(addr.address);
-          }
-        }
-      }
+      this.wsServer.on('connection', (ws, req) => {
+        this.handleIncomingConnection(ws, req);
+      });
       
-      if (localIPs.length === 0) {
-        this.config.logger.warn('[SendspinClient] No local IP addresses found for mDNS advertisement');
+      this.wsServer.on('error', (error) => {
+        // Don't throw - outbound connections still work without the listener
+        this.config.logger.warn(`[SendspinClient] WebSocket server error on port ${this.advertisePort}:`, error.message || error);
+      });
+    } catch (error) {
+      this.config.logger.warn('[SendspinClient] Failed to start WebSocket server:', error);
+      this.wsServer = null;
+    }
+  }
+  
+  /**
+   * Stop WebSocket server for server-initiated connections
+   */
+  stopServer() {
+    if (!this.wsServer) {
+      return;
+    }
+    
+    try {
+      this.wsServer.close();
+    } catch (error) {
+      this.config.logger.warn('[SendspinClient] Error closing WebSocket server:', error);
+    }
+    this.wsServer = null;
+  }
+  
+  /**
+   * Check if a server session is active or being established (inbound or outbound)
+   * @returns {boolean}
+   */
+  hasActiveSession() {
+    return !!this.ws;
+  }
+  
+  /**
+   * Handle a server connecting to us on the advertised port
+   * Only one server session is allowed at a time - additional servers are refused
+   * @param {WebSocket} ws - Accepted WebSocket connection
+   * @param {http.IncomingMessage} req - HTTP upgrade request
+   */
+  handleIncomingConnection(ws, req) {
+    const remoteAddress = req && req.socket
+      ? `${req.socket.remoteAddress}:${req.socket.remotePort}`
+      : 'unknown';
+    
+    if (this.hasActiveSession()) {
+      this.config.logger.warn(`[SendspinClient] Refusing server connection from ${remoteAddress}: already connected to ${this.serverAddress} (${this.connectionSource})`);
+      try {
+        ws.close(1013, 'Already connected to a server');
+      } catch (error) {
+        this.config.logger.debug('[SendspinClient] Error closing refused connection (ignored):', error.message || error);
+      }
+      return;
+    }
+    
+    this.config.logger.info(`[SendspinClient] Server connected from ${remoteAddress}`);
+    
+    // Inbound session takes over - stop any pending outbound reconnection
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+    this.discovery.cancelWaits();
+    
+    this.ws = ws;
+    this.serverAddress = remoteAddress;
+    this.connectionSource = 'inbound';
+    this.isConnected = true;
+    
+    this.ws.on('message', (data, isBinary) => {
+      this.handleSocketMessage(data, isBinary);
+    });
+    
+    this.ws.on('error', (error) => {
+      this.config.logger.error('[SendspinClient] WebSocket error (server-initiated connection):', error);
+    });
+    
+    this.ws.on('close', (code, reason) => {
+      // Ignore close events from a socket that has already been replaced
+      if (this.ws !== ws) {
         return;
       }
       
-      // Use first non-loopback IP as primary
-      const primaryIP = localIPs[0];
-      const hostname = os.hostname().split('.')[0]; // Remove domain if present
-      const serviceName = `${this.config.playerName}._sendspin._tcp.local`;
-      const targetName = `${hostname}.local`;
+      this.config.logger.info(`[SendspinClient] Server-initiated connection closed (code: ${code}, reason: ${reason || 'none'})`);
+      this.ws = null;
+      this.isConnected = false;
+      this.currentStreamFormat = null;
+      this.connectionSource = null;
+      this.serverInfo = null;
+      this.controllerState = null;
+      this.rejectFormatRequest(new Error('Connection closed'));
+      this.clearArtworkTimers();
+      this.visualizerScheduler.clear();
+      this.clockSync.reset();
       
-      // Helper function to build announcement response
-      const buildAnnouncement = () => {
-        const additionals = [
-          {
-            name: serviceName,
-            type: 'SRV',
-            data: {
-              port: this.advertisePort,
-              target: targetName,
-              priority: 0,
-              weight: 0
-            },
-            ttl: 120
-          },
-          {
-            name: serviceName,
-            type: 'TXT',
-            data: [Buffer.from('path=/sendspin')],
-            ttl: 120
-          }
-        ];
-        
-        // Add A records for each local IP
-        for (const ip of localIPs) {
-          additionals.push({
-            name: targetName,
-            type: 'A',
-            data: ip,
-            ttl: 120
-          });
-        }
-        
-        return {
-          answers: [
-            {
-              name: '_sendspin._tcp.local',
-              type: 'PTR',
-              data: serviceName,
-              ttl: 120
-            }
-          ],
-          additionals: additionals
-        };
-      };
+      if (this.onStateChange) {
+        this.onStateChange({ connected: false });
+      }
       
-      // Send initial announcement immediately
-      const sendAnnouncement = () => {
-        try {
-          this.mdnsAdvertiseInstance.respond(buildAnnouncement());
-          this.config.logger.debug(`[SendspinClient] Sent mDNS announcement for player: ${serviceName} at ${primaryIP}:${this.advertisePort}`);
-        } catch (error) {
-          this.config.logger.warn('[SendspinClient] Error sending mDNS announcement:', error);
-        }
-      };
+      // Fall back to our own outbound connection attempts until a server connects again
+      if (this.shouldReconnect) {
+        this.reconnectAttempts = 0;
+        this.serverAddress = this.config.serverAddr || null;
+        this.scheduleReconnect();
+      }
+    });
+    
+    // Client always speaks first, regardless of who opened the connection
+    try {
+      this.sendClientHello();
+    } catch (error) {
+      this.config.logger.error('[SendspinClient] Error sending client/hello:', error);
+    }
+    
+    if (this.onStateChange) {
+      this.onStateChange({ connected: true });
+    }
+  }
+  
+  /**
+   * Start mDNS advertisement for this player
+   * Advertises as _sendspin._tcp.local so servers can discover this player, with A and AAAA
+   * records for the addresses of the configured interface (all interfaces by default).
+   * MdnsResponder probes for the names first (renaming on conflict), announces, then only answers
+   * queries for our records
+   */
+  startMDNSAdvertisement() {
+    try {
+      this.mdnsAdvertiseInstance = new MdnsTransport({
+        interfaceName: this.config.interfaceName,
+        logger: this.config.logger
+      });
       
-      // Send initial announcement
-      sendAnnouncement();
+      // Get local IP addresses (re-advertised when they change, see checkNetworkInterfaces)
+      const localAddresses = getInterfaceAddresses(this.config.interfaceName);
+      this.interfaceSignature = getAddressSignature(localAddresses);
       
-      // Send periodic announcements every 10 seconds (mDNS spec recommends 10-60 seconds)
-      this.advertiseInterval = setInterval(() => {
-        sendAnnouncement();
-      }, 10000);
+      if (localAddresses.length === 0) {
+        this.config.logger.warn(`[SendspinClient] No local IP addresses found for mDNS advertisement${this.config.interfaceName ? ` on ${this.config.interfaceName}` : ''}`);
+        return;
+      }
       
-      // Also respond to queries for _sendspin._tcp.local
-      this.mdnsAdvertiseInstance.on('query', (query) => {
-        // Check if query is for _sendspin._tcp.local
-        const questions = query.questions || [];
-        for (const question of questions) {
-          if (question.type === 'PTR' && question.name === '_sendspin._tcp.local') {
-            // Respond with our service
-            this.mdnsAdvertiseInstance.respond(buildAnnouncement());
-            this.config.logger.debug(`[SendspinClient] Responded to mDNS query for player: ${serviceName}`);
-          }
-        }
+      this.mdnsResponder = new MdnsResponder({
+        transport: this.mdnsAdvertiseInstance,
+        serviceType: '_sendspin._tcp.local',
+        instanceName: this.config.playerName,
+        hostname: os.hostname().split('.')[0], // Remove domain if present
+        port: this.advertisePort,
+        txt: ['path=/sendspin'],
+        addresses: localAddresses,
+        logger: this.config.logger
       });
-      
-      this.config.logger.info(`[SendspinClient] Started mDNS advertisement: ${serviceName} on port ${this.advertisePort} (IP: ${primaryIP})`);
+      this.mdnsResponder.start();
     } catch (error) {
       this.config.logger.warn('[SendspinClient] Failed to start mDNS advertisement:', error);
       // Don't throw - advertisement is nice to have but not critical
     }
   }
   
+  /**
+   * Stop mDNS advertisement (sends goodbyes so servers drop the player right away)
+   * @returns {Promise<void>}
+   */
+  async stopMDNSAdvertisement() {
+    const responder = this.mdnsResponder;
+    const transport = this.mdnsAdvertiseInstance;
+    this.mdnsResponder = null;
+    this.mdnsAdvertiseInstance = null;
+    
+    if (responder) {
+      try {
+        await responder.stop();
+      } catch (error) {
+        this.config.logger.warn('[SendspinClient] Error sending mDNS goodbye:', error);
+      }
+    }
+    
+    if (transport) {
+      try {
+        transport.destroy();
+      } catch (error) {
+        this.config.logger.warn('[SendspinClient] Error destroying mDNS advertisement instance:', error);
+      }
+    }
+  }
+  
+  /**
+   * Re-advertise and reopen the discovery sockets when our addresses change (DHCP lease,
+   * Wi-Fi joining, IPv6 address assigned after startup)
+   */
+  checkNetworkInterfaces() {
+    const addresses = getInterfaceAddresses(this.config.interfaceName);
+    const signature = getAddressSignature(addresses);
+    if (signature === this.interfaceSignature) {
+      return;
+    }
+    
+    this.config.logger.info(`[SendspinClient] Network addresses changed (${this.interfaceSignature || 'none'} -> ${signature || 'none'}), re-advertising`);
+    this.interfaceSignature = signature;
+    
+    if (this.mdnsResponder && addresses.length > 0) {
+      // Goodbyes for the old addresses go out on the old sockets, then probe on the new ones
+      const oldTransport = this.mdnsAdvertiseInstance;
+      this.mdnsAdvertiseInstance = new MdnsTransport({
+        interfaceName: this.config.interfaceName,
+        logger: this.config.logger
+      });
+      this.mdnsResponder.restart(this.mdnsAdvertiseInstance, addresses)
+        .catch(error => this.config.logger.warn('[SendspinClient] Error re-advertising:', error))
+        .then(() => oldTransport.destroy());
+    } else {
+      this.stopMDNSAdvertisement().then(() => {
+        // Unless stop() ran meanwhile
+        if (this.interfaceCheckInterval && !this.mdnsAdvertiseInstance) {
+          this.startMDNSAdvertisement();
+        }
+      });
+    }
+    this.discovery.restartTransport();
+  }
+  
   /**
    * Discover Sendspin server via mDNS
-   * Browses for _sendspin-server._tcp.local services
+   * Waits for the preferred server (config.serverId) or, without one, the first server found
+   * @returns {Promise<string|null>} Server address (host:port), null if none found in time
    */
   async discoverServer() {
-    return new Promise((resolve, reject) => {
-      this.discoveryCanceled = false;
-      this.mdnsInstance = mdns();
-      
-      const timeout = setTimeout(() => {
-        this.discoveryCanceled = true;
-        if (this.mdnsInstance) {
-          this.mdnsInstance.destroy();
-          this.mdnsInstance = null;
-        }
-        resolve(null); // Timeout - no server found
-      }, this.config.discoveryTimeout);
-      
-      const discoveredServers = new Set(); // Track discovered servers to avoid duplicates
-      
-      // Browse for servers in a loop
-      const browse = () => {
-        if (this.discoveryCanceled) {
-          clearTimeout(timeout);
-          return;
-        }
-        
-        const entries = [];
-        
-        // Query for _sendspin-server._tcp.local
-        this.mdnsInstance.on('response', (response) => {
-          if (this.discoveryCanceled) return;
-          
-          // Process answers
-          if (response.answers) {
-            for (const answer of response.answers) {
-              if (answer.type === 'PTR' && answer.name === '_sendspin-server._tcp.local') {
-                // Found a server service
-                const serviceName = answer.data;
-                
-                // Look for SRV record
-                for (const additional of response.additionals || []) {
-                  if (additional.name === serviceName && additional.type === 'SRV') {
-                    const port = additional.data.port;
-                    const target = additional.data.target;
-                    
-                    // Look for A record for the target
-                    for (const addr of response.additionals || []) {
-                      if (addr.name === target && addr.type === 'A') {
-                        const host = addr.data;
-                        const serverKey = `${host}:${port}`;
-                        
-                        if (!discoveredServers.has(serverKey)) {
-                          discoveredServers.add(serverKey);
-                          this.config.logger.info(`[SendspinClient] Discovered server: ${serviceName} at ${host}:${port}`);
-                          
-                          // Found a server - resolve and cleanup
-                          clearTimeout(timeout);
-                          this.discoveryCanceled = true;
-                          if (this.mdnsInstance) {
-                            this.mdnsInstance.destroy();
-                            this.mdnsInstance = null;
-                          }
-                          resolve(`${host}:${port}`);
-                          return;
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        });
-        
-        // Send query
-        this.mdnsInstance.query('_sendspin-server._tcp.local', 'PTR');
-        
-        // Continue browsing after timeout if no server found yet
-        if (!this.discoveryCanceled) {
-          setTimeout(browse, 3000); // Query every 3 seconds
-        }
-      };
-      
-      // Start browsing
-      browse();
-    });
+    this.discovery.start();
+    
+    const serverId = this.config.serverId;
+    if (serverId) {
+      this.config.logger.info(`[SendspinClient] Looking for server ${serverId}...`);
+    }
+    const server = await this.discovery.waitForServer(serverId, this.config.discoveryTimeout);
+    if (!server) {
+      if (serverId && this.discovery.getServers().length > 0) {
+        const others = this.discovery.getServers().map(other => `"${other.name}" (${other.id})`).join(', ');
+        this.config.logger.warn(`[SendspinClient] Server ${serverId} not found, other servers on the network: ${others}`);
+      }
+      return null;
+    }
+    
+    this.discoveredServer = server;
+    return server.address;
+  }
+  
+  /**
+   * Our address on the configured interface to connect to a host from
+   * @param {string} host - Server host (IPv6 connections need an IPv6 source address)
+   * @returns {string|null} null without a configured interface (the OS picks the route)
+   */
+  getLocalAddressFor(host) {
+    if (!this.config.interfaceName) {
+      return null;
+    }
+    const family = net.isIPv6(host) ? 'IPv6' : 'IPv4';
+    const addr = getInterfaceAddresses(this.config.interfaceName).find(candidate => candidate.family === family);
+    return addr ? addr.address : null;
+  }
+  
+  /**
+   * Servers currently on the network
+   * @returns {Array<Object>} See ServerDiscovery.getServers()
+   */
+  getDiscoveredServers() {
+    return this.discovery.getServers();
   }
   
   /**
@@ -339,7 +543,9 @@ class SendspinClient {
    */
   async connect() {
     return new Promise((resolve, reject) => {
-      const url = `ws://${this.serverAddress}/sendspin`;
+      // IPv6 literals go in brackets (a bare IPv6 address has no port)
+      const { host, port } = parseHostPort(this.serverAddress);
+      const url = `ws://${formatHostPort(host, port || DEFAULT_SERVER_PORT)}/sendspin`;
       this.config.logger.info(`[SendspinClient] Connecting to ${url}`);
       
       let timeoutCleared = false;
@@ -417,7 +623,9 @@ class SendspinClient {
         }
       }, 10000);
       
-      this.ws = new WebSocket(url);
+      // Leave through the configured interface (an address of the server's family)
+      const localAddress = this.getLocalAddressFor(host);
+      this.ws = localAddress ? new WebSocket(url, { localAddress }) : new WebSocket(url);
       
       this.ws.on('open', async () => {
         if (connectionResolved) {
@@ -428,6 +636,7 @@ class SendspinClient {
         this.config.logger.info('[SendspinClient] WebSocket connected');
         this.config.logger.debug(`[SendspinClient] WebSocket readyState: ${this.ws.readyState}, protocol: ${this.ws.protocol || 'none'}`);
         this.isConnected = true;
+        this.connectionSource = 'outbound';
         
         // Send client/hello after connection
         try {
@@ -446,24 +655,7 @@ class SendspinClient {
       });
       
       this.ws.on('message', (data, isBinary) => {
-        // Track total messages received
-        if (!this._totalMessagesReceived) this._totalMessagesReceived = 0;
-        this._totalMessagesReceived++;
-        
-        if (isBinary) {
-          // Binary message - audio chunk
-          // Log first 10 and every 100th to track flow
-          if (this._totalMessagesReceived <= 10 || this._totalMessagesReceived % 100 === 0) {
-            this.config.logger.info(`[SendspinClient] <<< WebSocket binary message #${this._totalMessagesReceived}: ${data.length} bytes`);
-          } else {
-            this.config.logger.debug(`[SendspinClient] <<< WebSocket binary message #${this._totalMessagesReceived}: ${data.length} bytes`);
-          }
-          this.handleBinaryMessage(data);
-        } else {
-          // Text message - protocol message
-          this.config.logger.debug(`[SendspinClient] <<< WebSocket text message #${this._totalMessagesReceived}: ${data.length} bytes`);
-          this.handleTextMessage(data.toString());
-        }
+        this.handleSocketMessage(data, isBinary);
       });
       
       this.ws.on('error', (error) => {
@@ -494,6 +686,13 @@ class SendspinClient {
         this.config.logger.info(`[SendspinClient] WebSocket disconnected (code: ${code}, reason: ${reason || 'none'})`);
         this.isConnected = false;
         this.currentStreamFormat = null;
+        this.connectionSource = null;
+        this.serverInfo = null;
+        this.controllerState = null;
+        this.rejectFormatRequest(new Error('Connection closed'));
+        this.clearArtworkTimers();
+        this.visualizerScheduler.clear();
+        this.clockSync.reset();
         
         // Only reject if connection wasn't already established
         if (!connectionResolved && code !== 1000) {
@@ -518,6 +717,32 @@ class SendspinClient {
     });
   }
 
+  
+  /**
+   * Handle a message from the server socket (shared by outbound and inbound connections)
+   * @param {Buffer|string} data - Message data
+   * @param {boolean} isBinary - True for binary frames
+   */
+  handleSocketMessage(data, isBinary) {
+    // Track total messages received
+    if (!this._totalMessagesReceived) this._totalMessagesReceived = 0;
+    this._totalMessagesReceived++;
+    
+    if (isBinary) {
+      // Binary message - audio chunk
+      // Log first 10 and every 100th to track flow
+      if (this._totalMessagesReceived <= 10 || this._totalMessagesReceived % 100 === 0) {
+        this.config.logger.info(`[SendspinClient] <<< WebSocket binary message #${this._totalMessagesReceived}: ${data.length} bytes`);
+      } else {
+        this.config.logger.debug(`[SendspinClient] <<< WebSocket binary message #${this._totalMessagesReceived}: ${data.length} bytes`);
+      }
+      this.handleBinaryMessage(data);
+    } else {
+      // Text message - protocol message
+      this.config.logger.debug(`[SendspinClient] <<< WebSocket text message #${this._totalMessagesReceived}: ${data.length} bytes`);
+      this.handleTextMessage(data.toString());
+    }
+  }
 
   /**
    * Schedule a reconnection attempt with exponential backoff
@@ -554,18 +779,23 @@ class SendspinClient {
         return;
       }
       
+      if (this.hasActiveSession()) {
+        this.config.logger.debug(`[SendspinClient] Reconnection skipped: session already active (${this.connectionSource})`);
+        return;
+      }
+      
       try {
         this.config.logger.info(`[SendspinClient] Attempting reconnection #${this.reconnectAttempts}...`);
         
-        // If we don't have a server address (was discovered), rediscover
-        if (!this.config.serverAddr && !this.serverAddress) {
-          this.config.logger.info('[SendspinClient] Rediscovering server...');
-          this.serverAddress = await this.discoverServer();
-          if (!this.serverAddress) {
-            this.config.logger.warn('[SendspinClient] Server not found during reconnection, will retry...');
-            this.scheduleReconnect();
-            return;
-          }
+        // Find the server again (it may have a new address) or, in discovery mode, another one
+        await this.resolveServerAddress();
+        if (this.hasActiveSession()) {
+          return; // A server connected to us during discovery
+        }
+        if (!this.serverAddress) {
+          this.config.logger.warn('[SendspinClient] Server not found during reconnection, will retry...');
+          this.scheduleReconnect();
+          return;
         }
         
         // Attempt to reconnect
@@ -582,6 +812,69 @@ class SendspinClient {
       }
     }, delay);
   }
+  
+  /**
+   * Pick the address for a reconnection attempt
+   * The server we were connected to is looked up in the discovery list by server id or mDNS
+   * service name, so an address change (DHCP) is followed. A manual address is only left after
+   * rediscoverAfter failed attempts. In discovery mode the server is looked for from scratch when
+   * there is no address, or after that many failures (the preferred server, else any server).
+   */
+  async resolveServerAddress() {
+    const manual = Boolean(this.config.serverAddr);
+    const failed = this.reconnectAttempts > this.rediscoverAfter;
+    this.discovery.restartQueries(); // Fresh answers for the next attempt
+    
+    if (!manual || failed) {
+      const server = this.findKnownServer();
+      if (server) {
+        if (!this.isServerAddress(server)) {
+          this.config.logger.info(`[SendspinClient] Server "${server.name}" (${server.id}) changed address: ${this.serverAddress || 'unknown'} -> ${server.address}`);
+          this.serverAddress = server.address;
+          this.discoveredServer = server;
+        }
+        return;
+      }
+    }
+    
+    if (!manual && (!this.serverAddress || failed)) {
+      if (this.serverAddress) {
+        this.config.logger.info(`[SendspinClient] No connection to ${this.serverAddress} after ${this.reconnectAttempts - 1} attempts, rediscovering server...`);
+      } else {
+        this.config.logger.info('[SendspinClient] Rediscovering server...');
+      }
+      this.serverAddress = await this.discoverServer();
+    }
+  }
+  
+  /**
+   * Find the server to reconnect to in the discovery list: the preferred server in discovery
+   * mode, else the last server we were connected to
+   * @returns {Object|null} Server from ServerDiscovery.getServers()
+   */
+  findKnownServer() {
+    if (!this.config.serverAddr && this.config.serverId) {
+      return this.discovery.findServer(this.config.serverId);
+    }
+    if (!this.serverIdentity) {
+      return null;
+    }
+    return (this.serverIdentity.id && this.discovery.findServer(this.serverIdentity.id))
+      || (this.serverIdentity.serviceName && this.discovery.findServer(this.serverIdentity.serviceName))
+      || null;
+  }
+  
+  /**
+   * Check if the current server address is one the server advertises
+   * @param {Object} server - Server from ServerDiscovery.getServers()
+   */
+  isServerAddress(server) {
+    if (!this.serverAddress) {
+      return false;
+    }
+    const { host, port } = parseHostPort(this.serverAddress);
+    return port === server.port && server.addresses.includes(host);
+  }
 
   /**
    * Stop the client: send goodbye and close connection
@@ -596,9 +889,6 @@ class SendspinClient {
       this.reconnectTimeout = null;
     }
     
-    // Cancel discovery if in progress
-    this.discoveryCanceled = true;
-    
     // Stop clock sync loop
     this.stopClockSyncLoop();
     
@@ -608,30 +898,19 @@ class SendspinClient {
       this.scheduler = null;
     }
     
-    // Stop mDNS discovery
-    if (this.mdnsInstance) {
-      try {
-        this.mdnsInstance.destroy();
-      } catch (error) {
-        this.config.logger.warn('[SendspinClient] Error destroying mDNS discovery instance:', error);
-      }
-      this.mdnsInstance = null;
-    }
+    // Stop mDNS discovery (cancels a discovery in progress)
+    this.discovery.stop();
+    this.discoveredServer = null;
     
-    // Stop mDNS advertisement
-    if (this.advertiseInterval) {
-      clearInterval(this.advertiseInterval);
-      this.advertiseInterval = null;
-    }
+    // Stop accepting server-initiated connections
+    this.stopServer();
     
-    if (this.mdnsAdvertiseInstance) {
-      try {
-        this.mdnsAdvertiseInstance.destroy();
-      } catch (error) {
-        this.config.logger.warn('[SendspinClient] Error destroying mDNS advertisement instance:', error);
-      }
-      this.mdnsAdvertiseInstance = null;
+    // Stop mDNS advertisement
+    if (this.interfaceCheckInterval) {
+      clearInterval(this.interfaceCheckInterval);
+      this.interfaceCheckInterval = null;
     }
+    await this.stopMDNSAdvertisement();
 
     // Send goodbye message before closing
     if (this.ws && this.isConnected) {
@@ -655,31 +934,155 @@ class SendspinClient {
     }
 
     this.isConnected = false;
+    this.connectionSource = null;
     this.currentStreamFormat = null;
     this.serverAddress = null;
+    this.serverInfo = null;
+    this.controllerState = null;
     this.initialSyncComplete = false;
     this.pendingSyncRequests.clear();
+    this.rejectFormatRequest(new Error('Client stopped'));
+    this.clearArtworkTimers();
+    this.visualizerScheduler.clear();
+    this.clockSync.reset();
     
     this.config.logger.info('[SendspinClient] Client stopped');
   }
 
+  /**
+   * Build the formats to advertise in client/hello
+   * Decoder formats (or PCM pass-through without a decoder), filtered by what the output can
+   * play and by the configured max sample rate and bit depth
+   * @returns {Array<{codec: string, channels: number, sample_rate: number, bit_depth: number}>}
+   */
+  getSupportedFormats() {
+    let formats;
+    if (this.decoder && typeof this.decoder.getSupportedFormats === 'function') {
+      formats = this.decoder.getSupportedFormats();
+    } else {
+      formats = [
+        { codec: 'pcm', channels: 2, sample_rate: 48000, bit_depth: 16 },
+        { codec: 'pcm', channels: 2, sample_rate: 44100, bit_depth: 16 }
+      ];
+    }
+    
+    const output = this.player && typeof this.player.getCapabilities === 'function'
+      ? this.player.getCapabilities()
+      : null;
+    const { maxSampleRate, maxBitDepth } = this.config;
+    
+    const supported = formats.filter((format) => {
+      if (output && (!output.sampleRates.includes(format.sample_rate) ||
+          !output.bitDepths.includes(format.bit_depth) ||
+          !output.channels.includes(format.channels))) {
+        return false;
+      }
+      if (maxSampleRate && format.sample_rate > maxSampleRate) {
+        return false;
+      }
+      if (maxBitDepth && format.bit_depth > maxBitDepth) {
+        return false;
+      }
+      return true;
+    });
+    
+    if (supported.length === 0) {
+      // Never advertise an empty list - the server would have nothing to send
+      this.config.logger.warn(`[SendspinClient] No format matches the decoder, output and limits (max ${maxSampleRate || 'any'}Hz/${maxBitDepth || 'any'}bit), falling back to PCM 44.1kHz/16-bit`);
+      return [{ codec: 'pcm', channels: 2, sample_rate: 44100, bit_depth: 16 }];
+    }
+    
+    return supported;
+  }
+  
+  /**
+   * Pick a format to fall back to when the current one cannot be played
+   * Prefers switching codec at the same rate (e.g. FLAC -> PCM), then dropping to 48kHz/16-bit
+   * in the same codec, then PCM 48kHz/16-bit. Only advertised formats are considered.
+   * @param {Object} failedFormat - Format that failed (codec, sample_rate, channels, bit_depth)
+   * @param {Array<Object>} exclude - Formats already tried
+   * @returns {Object|null} Format to request, or null if there is nothing left to try
+   */
+  getFallbackFormat(failedFormat, exclude = []) {
+    const sameFormat = (a, b) => a.codec === b.codec &&
+      a.sample_rate === b.sample_rate &&
+      a.bit_depth === b.bit_depth;
+    const supported = this.getSupportedFormats();
+    const candidates = [
+      { codec: 'pcm', sample_rate: failedFormat.sample_rate, bit_depth: failedFormat.bit_depth },
+      { codec: failedFormat.codec, sample_rate: 48000, bit_depth: 16 },
+      { codec: 'pcm', sample_rate: 48000, bit_depth: 16 }
+    ];
+    
+    for (const candidate of candidates) {
+      if (sameFormat(candidate, failedFormat) || exclude.some(format => sameFormat(candidate, format))) {
+        continue;
+      }
+      if (supported.some(format => sameFormat(candidate, format))) {
+        return { ...candidate, channels: failedFormat.channels || 2 };
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Ask the server to switch the stream to a different format
+   * Sends stream/request-format and resolves with the format of the next stream/start
+   * @param {Object} format - Requested format (codec, sample_rate, bit_depth, channels)
+   * @param {number} [timeoutMs] - How long to wait for stream/start
+   * @returns {Promise<Object>} Format the server started streaming
+   */
+  requestFormat(format, timeoutMs = this.formatRequestTimeout) {
+    if (!this.ws || !this.isConnected) {
+      return Promise.reject(new Error('Cannot request format: not connected'));
+    }
+    
+    // Only the latest request is answered by the next stream/start
+    this.rejectFormatRequest(new Error('Superseded by a newer format request'));
+    
+    const player = {};
+    for (const key of ['codec', 'sample_rate', 'bit_depth', 'channels']) {
+      if (format[key] !== undefined && format[key] !== null) {
+        player[key] = format[key];
+      }
+    }
+    
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.rejectFormatRequest(new Error(`No stream/start within ${timeoutMs}ms of format request`));
+      }, timeoutMs);
+      this.pendingFormatRequest = { format: player, resolve, reject, timeout };
+      
+      this.config.logger.info(`[SendspinClient] Requesting format ${player.codec || 'any'}/${player.sample_rate || 'any'}/${player.bit_depth || 'any'}`);
+      this.sendMessage({
+        type: 'stream/request-format',
+        payload: { player }
+      });
+    });
+  }
+  
+  /**
+   * Fail the outstanding format request, if any
+   * @param {Error} error - Rejection reason
+   */
+  rejectFormatRequest(error) {
+    const request = this.pendingFormatRequest;
+    if (!request) {
+      return;
+    }
+    this.pendingFormatRequest = null;
+    clearTimeout(request.timeout);
+    this.config.logger.warn(`[SendspinClient] Format request failed: ${error.message}`);
+    request.reject(error);
+  }
+  
   /**
    * Send client/hello message with full protocol format
    */
   sendClientHello() {
     // Build supported formats array (used by both versioned and legacy formats)
-    const supportedFormats = [
-      // PCM hi-res - highest quality first
-      { codec: 'pcm', channels: 2, sample_rate: 192000, bit_depth: 24 },
-      { codec: 'pcm', channels: 2, sample_rate: 176400, bit_depth: 24 },
-      { codec: 'pcm', channels: 2, sample_rate: 96000, bit_depth: 24 },
-      { codec: 'pcm', channels: 2, sample_rate: 88200, bit_depth: 24 },
-      // PCM standard quality
-      { codec: 'pcm', channels: 2, sample_rate: 48000, bit_depth: 16 },
-      { codec: 'pcm', channels: 2, sample_rate: 44100, bit_depth: 16 },
-      // Opus fallback (48kHz only - Opus spec requirement)
-      { codec: 'opus', channels: 2, sample_rate: 48000, bit_depth: 16 }
-    ];
+    const supportedFormats = this.getSupportedFormats();
+    this.config.logger.info(`[SendspinClient] Advertising ${supportedFormats.length} formats: ${supportedFormats.map(f => `${f.codec}/${f.sample_rate}/${f.bit_depth}`).join(', ')}`);
     
     // Extract unique values for Music Assistant compatibility fields
     const codecs = [...new Set(supportedFormats.map(f => f.codec))];
@@ -691,7 +1094,7 @@ class SendspinClient {
       client_id: this.clientId,
       name: this.config.playerName,
       version: 1,
-      supported_roles: ['player@v1', 'metadata@v1', 'artwork@v1', 'visualizer@v1'],
+      supported_roles: SUPPORTED_ROLES,
       device_info: {
         product_name: this.config.deviceInfo.productName,
         manufacturer: this.config.deviceInfo.manufacturer,
@@ -720,7 +1123,7 @@ class SendspinClient {
         ]
       },
       'visualizer@v1_support': {
-        buffer_capacity: 1048576
+        buffer_capacity: VISUALIZER_BUFFER_CAPACITY
       },
       // Legacy support fields for Music Assistant backward compatibility
       // Uses unversioned keys like "player_support" instead of "player@v1_support"
@@ -749,7 +1152,7 @@ class SendspinClient {
         ]
       },
       visualizer_support: {
-        buffer_capacity: 1048576
+        buffer_capacity: VISUALIZER_BUFFER_CAPACITY
       }
     };
     
@@ -766,7 +1169,103 @@ class SendspinClient {
    * Send initial client/state message after handshake
    */
   sendInitialState() {
-    this.sendState('synchronized', this.config.volume, false);
+    this.sendState('synchronized', this.config.volume, this.config.muted);
+  }
+  
+  /**
+   * Report a local volume/mute change (e.g. from the Volumio mixer) to the server
+   * Unchanged values are not sent, so applying a server command locally never echoes back
+   * @param {number} volume - Volume 0-100
+   * @param {boolean} muted - Mute state
+   * @returns {boolean} True if client/state was sent
+   */
+  setVolume(volume, muted) {
+    const newVolume = Math.max(0, Math.min(100, Math.round(Number(volume))));
+    const newMuted = Boolean(muted);
+    if (!Number.isFinite(newVolume) || (newVolume === this.config.volume && newMuted === this.config.muted)) {
+      return false;
+    }
+    this.config.volume = newVolume;
+    this.config.muted = newMuted;
+    this.gainStage.setVolume(newVolume, newMuted);
+    this.config.logger.info(`[SendspinClient] Local volume change: volume=${newVolume}, muted=${newMuted}`);
+    if (!this.isConnected) {
+      return false;
+    }
+    this.sendState('synchronized', newVolume, newMuted);
+    return true;
+  }
+  
+  /**
+   * Apply the current volume/mute (changed by a server command): software gain and the player
+   */
+  applyVolumeChange() {
+    this.gainStage.setVolume(this.config.volume, this.config.muted);
+    if (!this.onVolumeChange) {
+      return;
+    }
+    try {
+      this.onVolumeChange({ volume: this.config.volume, muted: this.config.muted });
+    } catch (error) {
+      this.config.logger.error('[SendspinClient] Error in volume change callback:', error);
+    }
+  }
+  
+  /**
+   * Set the static delay of the playback device (speaker DSP, AV receiver)
+   * Applied by the scheduler to the running stream and reported to the server in client/state
+   * @param {number} delayMs - Delay in milliseconds (0 = none)
+   */
+  setStaticDelay(delayMs) {
+    const staticDelayMs = Math.max(0, Math.round(Number(delayMs) || 0));
+    if (staticDelayMs === this.config.staticDelayMs) {
+      return;
+    }
+    this.config.staticDelayMs = staticDelayMs;
+    this.config.logger.info(`[SendspinClient] Static delay set to ${staticDelayMs}ms`);
+    
+    if (this.scheduler) {
+      this.scheduler.setStaticDelay(staticDelayMs);
+      // The output timeline moves - let drift correction start from the new one
+      this.driftCorrector.reset();
+    }
+    if (this.isConnected) {
+      this.sendState('synchronized', this.config.volume, this.config.muted);
+    }
+  }
+  
+  /**
+   * Set the jitter buffer size
+   * Used for the next stream; the running stream picks it up at its next buffering phase
+   * @param {number} bufferMs - Audio to buffer before playback starts, in milliseconds
+   */
+  setBufferSize(bufferMs) {
+    const newBufferMs = Math.round(Number(bufferMs));
+    if (!Number.isFinite(newBufferMs) || newBufferMs <= 0 || newBufferMs === this.config.bufferMs) {
+      return;
+    }
+    this.config.bufferMs = newBufferMs;
+    this.config.logger.info(`[SendspinClient] Buffer size set to ${newBufferMs}ms`);
+    if (this.scheduler) {
+      this.scheduler.setBufferTarget(newBufferMs);
+    }
+  }
+  
+  /**
+   * Change settings that are part of the session (server address, player name, format limits)
+   * These are only sent in client/hello or used to connect, so the client reconnects with a new
+   * hello. Volume, static delay and callbacks carry over.
+   * @param {Object} changes - Client config values to replace
+   */
+  async reconfigure(changes) {
+    Object.assign(this.config, changes);
+    if (changes.serverAddr !== undefined || changes.serverId !== undefined) {
+      this.serverIdentity = null; // Don't follow the previous server
+    }
+    this.discovery.interfaceName = this.config.interfaceName;
+    this.config.logger.info(`[SendspinClient] Reconnecting with new settings: ${Object.keys(changes).join(', ')}`);
+    await this.stop();
+    await this.start();
   }
   
   /**
@@ -777,7 +1276,8 @@ class SendspinClient {
       player: {
         state: state,
         volume: volume,
-        muted: muted
+        muted: muted,
+        static_delay_ms: this.config.staticDelayMs
       }
     };
     
@@ -805,15 +1305,98 @@ class SendspinClient {
     this.config.logger.info('[SendspinClient] Sent client/goodbye');
   }
 
+  /**
+   * Send a controller command (client/command) to control playback of the whole group
+   * Requires the controller role; commands the server does not list in supported_commands
+   * are not sent
+   * @param {string} command - Controller command (play, pause, stop, next, previous, seek, ...)
+   * @param {Object} [params] - Extra command fields (e.g. position_ms for seek)
+   * @returns {boolean} True if the command was sent
+   */
+  sendCommand(command, params = {}) {
+    if (!this.ws || !this.isConnected) {
+      this.config.logger.warn(`[SendspinClient] Cannot send ${command}: not connected`);
+      return false;
+    }
+    if (!this.hasActiveRole('controller')) {
+      this.config.logger.warn(`[SendspinClient] Cannot send ${command}: controller role not active`);
+      return false;
+    }
+    const supported = this.controllerState && this.controllerState.supportedCommands;
+    if (supported && !supported.includes(command)) {
+      this.config.logger.warn(`[SendspinClient] Server does not support ${command} (supported: ${supported.join(', ')})`);
+      return false;
+    }
+    
+    this.sendMessage({
+      type: 'client/command',
+      payload: {
+        controller: { command, ...params }
+      }
+    });
+    this.config.logger.info(`[SendspinClient] Sent client/command: ${command}`);
+    return true;
+  }
+  
+  play() {
+    return this.sendCommand('play');
+  }
+  
+  pause() {
+    return this.sendCommand('pause');
+  }
+  
+  /**
+   * Stop group playback (stop() disconnects the client)
+   */
+  stopPlayback() {
+    return this.sendCommand('stop');
+  }
+  
+  next() {
+    return this.sendCommand('next');
+  }
+  
+  previous() {
+    return this.sendCommand('previous');
+  }
+  
+  /**
+   * Seek within the current track
+   * @param {number} positionMs - Position in milliseconds
+   */
+  seek(positionMs) {
+    return this.sendCommand('seek', { position_ms: Math.max(0, Math.round(positionMs)) });
+  }
+  
+  /**
+   * @param {boolean} enabled - Shuffle on or off
+   */
+  setShuffle(enabled) {
+    return this.sendCommand(enabled ? 'shuffle' : 'unshuffle');
+  }
+  
+  /**
+   * @param {string} mode - 'off', 'one' or 'all'
+   */
+  setRepeat(mode) {
+    const command = REPEAT_COMMANDS[mode];
+    if (!command) {
+      this.config.logger.warn(`[SendspinClient] Unknown repeat mode: ${mode}`);
+      return false;
+    }
+    return this.sendCommand(command);
+  }
+  
   /**
    * Send client/time message for synchronization
    */
   sendClientTime(clientTransmitted) {
-    // Use Date.now() * 1000 for Unix microseconds (not process.hrtime which is monotonic)
-    const timeUs = clientTransmitted || (Date.now() * 1000);
+    // Monotonic microseconds - the server echoes this back, so it only needs to be consistent locally
+    const timeUs = clientTransmitted || monotonicClock.nowMicros();
     
     // Store the request timestamp for matching with response
-    this.pendingSyncRequests.set(timeUs, Date.now());
+    this.pendingSyncRequests.set(timeUs, monotonicClock.nowMs());
     
     const message = {
       type: 'client/time',
@@ -848,8 +1431,8 @@ class SendspinClient {
     // Remove from pending requests
     this.pendingSyncRequests.delete(clientTransmitted);
     
-    // Calculate client receive time (now) - use Unix microseconds
-    const clientReceived = Date.now() * 1000;
+    // Calculate client receive time (now) - monotonic microseconds, same base as client_transmitted
+    const clientReceived = monotonicClock.nowMicros();
     
     // Process sync response
     const rtt = (clientReceived - clientTransmitted) - (serverTransmitted - serverReceived);
@@ -870,8 +1453,8 @@ class SendspinClient {
     this.config.logger.info('[SendspinClient] Performing initial clock synchronization...');
     
     for (let i = 0; i < 5; i++) {
-      // Use Date.now() * 1000 for Unix microseconds
-      const t1 = Date.now() * 1000;
+      // Monotonic microseconds (unaffected by system clock steps)
+      const t1 = monotonicClock.nowMicros();
       
       // Create a promise that resolves when we get the response
       const syncPromise = new Promise((resolve) => {
@@ -905,7 +1488,7 @@ class SendspinClient {
     
     const stats = this.clockSync.getStats();
     const syncStatus = this.clockSync.isSynced() ? 'SYNCED' : 'NOT SYNCED';
-    this.config.logger.info(`[SendspinClient] Initial clock sync complete: ${syncStatus}, rtt=${stats.rtt}μs, quality=${stats.quality}, serverLoopStart=${this.clockSync.serverLoopStartUnix}`);
+    this.config.logger.info(`[SendspinClient] Initial clock sync complete: ${syncStatus}, rtt=${stats.rtt}μs, quality=${stats.quality}, offset=${stats.offset}μs, drift=${stats.drift.toFixed(2)}ppm, serverLoopStart=${this.clockSync.serverLoopStartUnix}`);
     this.initialSyncComplete = true;
   }
   
@@ -921,7 +1504,7 @@ class SendspinClient {
     
     this.clockSyncLoopInterval = setInterval(() => {
       // Drain stale responses before sending new request
-      const now = Date.now();
+      const now = monotonicClock.nowMs();
       const staleThreshold = 2000; // 2 seconds
       let drained = 0;
       
@@ -971,6 +1554,31 @@ class SendspinClient {
     }
   }
 
+  /**
+   * Get the sample size of decoded PCM for a stream format
+   * Asks the decoder for its output layout (Opus decodes to 16-bit, PCM/FLAC keep their bit depth)
+   * @param {Object} format - Stream format
+   * @returns {number} Bytes per sample
+   */
+  getPcmBytesPerSample(format) {
+    return this.getPcmSampleFormat(format).bytesPerSample;
+  }
+  
+  /**
+   * Sample format of the decoded PCM for a stream format
+   */
+  getPcmSampleFormat(format) {
+    try {
+      const outputFormat = this.decoder && typeof this.decoder.getOutputFormat === 'function'
+        ? this.decoder.getOutputFormat(format)
+        : format;
+      return pcmFormat.fromStreamFormat(outputFormat);
+    } catch (error) {
+      this.config.logger.warn(`[SendspinClient] ${error.message}, assuming 16-bit PCM`);
+      return pcmFormat.SAMPLE_FORMATS.s16;
+    }
+  }
+  
   /**
    * Handle incoming text messages (protocol messages)
    */
@@ -987,9 +1595,12 @@ class SendspinClient {
         case 'server/hello':
           this.config.logger.info('[SendspinClient] Received server/hello');
           this.config.logger.debug(`[SendspinClient] Server info: ${JSON.stringify(payload, null, 2)}`);
+          this.handleServerHello(payload);
           // Send initial state after handshake
           this.sendInitialState();
-          // Start initial clock sync (5 rounds)
+          // Start initial clock sync (5 rounds) - a new session may be a different or restarted
+          // server, so don't carry over the previous clock estimate
+          this.clockSync.reset();
           this.performInitialSync().then(() => {
             // Start continuous sync loop after initial sync
             this.startClockSyncLoop();
@@ -1007,7 +1618,9 @@ class SendspinClient {
         case 'server/state':
           // Server state update (metadata, controller state)
           this.config.logger.info(`[SendspinClient] <<< server/state: has_metadata=${!!payload.metadata}, has_controller=${!!payload.controller}`);
-          if (payload.metadata) {
+          if (payload.metadata && !this.hasActiveRole('metadata')) {
+            this.config.logger.debug('[SendspinClient] Ignoring metadata: metadata role not active');
+          } else if (payload.metadata) {
             this.config.logger.info(`[SendspinClient] <<< server/state metadata payload: ${JSON.stringify(payload.metadata, null, 2)}`);
             this.handleMetadata(payload.metadata);
           } else {
@@ -1015,6 +1628,13 @@ class SendspinClient {
           }
           if (payload.controller) {
             this.config.logger.debug(`[SendspinClient] Controller state: ${JSON.stringify(payload.controller, null, 2)}`);
+            this.controllerState = {
+              supportedCommands: Array.isArray(payload.controller.supported_commands)
+                ? payload.controller.supported_commands
+                : null,
+              volume: payload.controller.volume !== undefined ? payload.controller.volume : null,
+              muted: payload.controller.muted !== undefined ? payload.controller.muted : null
+            };
           }
           break;
           
@@ -1060,24 +1680,62 @@ class SendspinClient {
               this.config.logger.warn(`[SendspinClient] Decoder not available for initialization: decoder=${!!this.decoder}, hasInitialize=${!!(this.decoder && this.decoder.initialize)}`);
             }
             
-            // Create scheduler for this stream
+            // A stream/start without stream/end in between (format change): retire the previous
+            // stream's scheduler so its queued chunks don't reach stages configured for the new format
+            if (this.scheduler) {
+              this.scheduler.stop();
+              this.scheduler = null;
+            }
+            this.visualizerScheduler.clear();
+            
+            // Create scheduler for this stream (chunk durations are derived from the decoded PCM format)
+            const pcmBytesPerSample = this.getPcmBytesPerSample(format);
             this.scheduler = new AudioScheduler(
               this.clockSync,
               this.config.bufferMs,
               this.config.logger
             );
+            this.scheduler.setFormat(format, pcmBytesPerSample);
+            this.scheduler.setStaticDelay(this.config.staticDelayMs);
+            
+            // New stream - new playout timeline
+            this.driftCorrector.configure(format, pcmBytesPerSample);
+            this.gainStage.configure(this.getPcmSampleFormat(format), format.channels, format.sample_rate);
+            this.levelMeter.configure(this.getPcmSampleFormat(format), format.channels, format.sample_rate);
             
             // Start scheduler with callback for ready buffers (already decoded PCM)
-            this.scheduler.start((pcmData) => {
+            this.scheduler.start((pcmData, playAt) => {
+              if (this.metering) {
+                this.levelMeter.process(pcmData);
+              }
+              
+              // Keep the sound card aligned with server timestamps, measured from its position.
+              // The card plays the buffer the static delay early (the speakers add it back)
+              const correctedData = this.driftCorrection
+                ? this.driftCorrector.process(pcmData, playAt - this.config.staticDelayMs, this.getPlayoutDelay())
+                : pcmData;
+              const outputData = this.softwareVolume
+                ? this.gainStage.process(correctedData)
+                : correctedData;
+              
               // Buffer is ready to play - call the audio chunk callback with decoded PCM
               if (this.onAudioChunk) {
-                this.onAudioChunk(pcmData, format);
+                this.onAudioChunk(outputData, format);
               }
             });
             
             if (this.onStreamStart) {
               this.onStreamStart(format);
             }
+            
+            // Answer an outstanding stream/request-format
+            if (this.pendingFormatRequest) {
+              const request = this.pendingFormatRequest;
+              this.pendingFormatRequest = null;
+              clearTimeout(request.timeout);
+              this.config.logger.info(`[SendspinClient] Format request answered with ${format.codec}/${format.sample_rate}/${format.bit_depth}`);
+              request.resolve(format);
+            }
           }
           break;
           
@@ -1089,6 +1747,8 @@ class SendspinClient {
             this.scheduler.stop();
             this.scheduler = null;
           }
+          this.visualizerScheduler.clear();
+          this.levelMeter.reset();
           this.currentStreamFormat = null;
           if (this.onStreamEnd) {
             this.onStreamEnd();
@@ -1102,6 +1762,8 @@ class SendspinClient {
           if (this.scheduler) {
             this.scheduler.clear();
           }
+          this.visualizerScheduler.clear();
+          this.driftCorrector.reset();
           // Notify callback to clear audio player buffer
           if (this.onStreamClear) {
             this.onStreamClear();
@@ -1115,14 +1777,16 @@ class SendspinClient {
           if (payload.player) {
             const cmd = payload.player.command;
             if (cmd === 'volume' && payload.player.volume !== undefined) {
-              this.config.volume = payload.player.volume;
+              this.config.volume = Math.max(0, Math.min(100, Math.round(Number(payload.player.volume) || 0)));
               this.config.logger.info(`[SendspinClient] Volume command: ${payload.player.volume}`);
-              // Send updated state
-              this.sendState('synchronized', this.config.volume, false);
+              this.applyVolumeChange();
+              // Acknowledge with the new state
+              this.sendState('synchronized', this.config.volume, this.config.muted);
             } else if (cmd === 'mute' && payload.player.mute !== undefined) {
-              this.config.muted = payload.player.mute;
+              this.config.muted = Boolean(payload.player.mute);
               this.config.logger.info(`[SendspinClient] Mute command: ${payload.player.mute}`);
-              // Send updated state
+              this.applyVolumeChange();
+              // Acknowledge with the new state
               this.sendState('synchronized', this.config.volume, this.config.muted);
             } else {
               this.config.logger.warn(`[SendspinClient] Unknown command: ${cmd}`);
@@ -1179,6 +1843,9 @@ class SendspinClient {
         this.config.logger.info(`[SendspinClient] Processing audio chunk #${this._binaryMessageCount}: scheduler=${!!this.scheduler}, decoder=${!!this.decoder}, scheduler.running=${this.scheduler?.running}`);
       }
       
+      // Release time depends on the current output latency (player may have started since the last chunk)
+      this.updateOutputLatency();
+      
       // Decode and schedule audio chunk
       if (this.scheduler && this.decoder) {
         try {
@@ -1201,6 +1868,11 @@ class SendspinClient {
             this.config.logger.debug(`[SendspinClient] Decoded audio: ${encodedAudioData.length} bytes -> ${pcmData.length} bytes PCM`);
           }
           
+          // Nothing to play (e.g. an in-band FLAC stream header)
+          if (pcmData.length === 0) {
+            return;
+          }
+          
           // Schedule decoded PCM with timestamp
           if (this._binaryMessageCount <= 5) {
             this.config.logger.info(`[SendspinClient] Scheduling chunk #${this._binaryMessageCount}: timestamp=${timestamp}μs`);
@@ -1243,14 +1915,71 @@ class SendspinClient {
           }
         }
       }
-    } else if (messageType === 8) {
-      // Type 8: Likely artwork or other metadata
-      this.config.logger.debug(`[SendspinClient] Received binary message type 8 (artwork/metadata?): ${data.length} bytes`);
-      // For now, just log it - we can handle artwork later if needed
+    } else if (messageType >= 8 && messageType <= 11) {
+      // Types 8-11: artwork channels
+      if (!this.hasActiveRole('artwork')) {
+        this.config.logger.debug(`[SendspinClient] Ignoring artwork message: artwork role not active`);
+        return;
+      }
+      const channel = messageType - 8;
+      const image = data.slice(9);
+      this.config.logger.debug(`[SendspinClient] Received artwork for channel ${channel}: ${image.length} bytes, timestamp=${timestamp}μs`);
+      this.scheduleArtwork(channel, image.length > 0 ? image : null, timestamp);
+    } else if (messageType >= 16 && messageType <= 23) {
+      // Types 16-23: visualizer data
+      if (!this.hasActiveRole('visualizer')) {
+        this.config.logger.debug(`[SendspinClient] Ignoring visualizer message: visualizer role not active`);
+        return;
+      }
+      this.visualizerScheduler.schedule(messageType, data.slice(9), timestamp);
     } else {
       this.config.logger.warn(`[SendspinClient] Unknown binary message type: ${messageType}`);
     }
   }
+  
+  /**
+   * Deliver artwork at its display time
+   * The timestamp is when the image should appear, which for a new track lies a buffer's worth
+   * ahead of now. Images already due, or received before clock sync, are shown immediately.
+   * @param {number} channel - Artwork channel (0-3)
+   * @param {Buffer|null} image - Encoded image, null to clear the channel
+   * @param {number} timestamp - Server loop microseconds
+   */
+  scheduleArtwork(channel, image, timestamp) {
+    if (!this.onArtwork) {
+      return;
+    }
+    const deliver = () => {
+      try {
+        this.onArtwork(channel, image);
+      } catch (error) {
+        this.config.logger.error('[SendspinClient] Error in onArtwork callback:', error);
+      }
+    };
+    
+    const delayMs = this.clockSync.isSynced()
+      ? this.clockSync.serverToLocalTime(timestamp) / 1000 - monotonicClock.nowMs()
+      : 0;
+    if (delayMs <= 0) {
+      deliver();
+      return;
+    }
+    const timer = setTimeout(() => {
+      this.artworkTimers.delete(timer);
+      deliver();
+    }, Math.min(delayMs, MAX_ARTWORK_DELAY_MS));
+    this.artworkTimers.add(timer);
+  }
+  
+  /**
+   * Drop artwork still waiting for its display time
+   */
+  clearArtworkTimers() {
+    for (const timer of this.artworkTimers) {
+      clearTimeout(timer);
+    }
+    this.artworkTimers.clear();
+  }
 
   /**
    * Send a JSON message
@@ -1274,6 +2003,37 @@ class SendspinClient {
     return this.stop();
   }
   
+  /**
+   * Audio the player has queued ahead of the sound card, for drift correction
+   * @returns {{delayMs: number, atMs: number}|null} null for players that cannot measure it (MPD)
+   */
+  getPlayoutDelay() {
+    if (!this.player || typeof this.player.getPlayoutDelay !== 'function') {
+      return null;
+    }
+    try {
+      return this.player.getPlayoutDelay();
+    } catch (error) {
+      this.config.logger.debug(`[SendspinClient] Could not read playout delay: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Pass the player's output latency to the scheduler, which releases buffers that much early
+   * Players without getOutputLatency leave it at 0 (buffers released at their play time)
+   */
+  updateOutputLatency() {
+    if (!this.scheduler || !this.player || typeof this.player.getOutputLatency !== 'function') {
+      return;
+    }
+    try {
+      this.scheduler.setOutputLatency(this.player.getOutputLatency());
+    } catch (error) {
+      this.config.logger.debug(`[SendspinClient] Could not read output latency: ${error.message}`);
+    }
+  }
+  
   /**
    * Get player statistics
    * @returns {Object} Player statistics
@@ -1284,8 +2044,16 @@ class SendspinClient {
       played: 0,
       dropped: 0,
       bufferDepth: 0,
+      outputLatencyMs: 0,
       syncRTT: 0,
-      syncQuality: 'lost'
+      syncQuality: 'lost',
+      syncOffset: 0,
+      syncDrift: 0,
+      syncError: null,
+      driftCorrection: null,
+      softwareVolume: null,
+      visualizer: this.visualizerScheduler.getStats(),
+      levels: this.getLevels()
     };
     
     // Get scheduler stats if available
@@ -1295,16 +2063,38 @@ class SendspinClient {
       stats.played = schedulerStats.played;
       stats.dropped = schedulerStats.dropped;
       stats.bufferDepth = this.scheduler.getBufferDepth();
+      stats.outputLatencyMs = schedulerStats.outputLatencyMs;
     }
     
     // Get clock sync stats
     const syncStats = this.clockSync.getStats();
     stats.syncRTT = syncStats.rtt;
     stats.syncQuality = syncStats.quality;
+    stats.syncOffset = syncStats.offset;
+    stats.syncDrift = syncStats.drift;
+    stats.syncError = syncStats.error;
+    
+    // Current playout correction (errorMs, correctionPpm, inserted/dropped frames)
+    if (this.driftCorrection) {
+      stats.driftCorrection = this.driftCorrector.getStats();
+    }
+    
+    // Software volume (volume, muted, gainDb)
+    if (this.softwareVolume) {
+      stats.softwareVolume = this.gainStage.getStats();
+    }
     
     return stats;
   }
   
+  /**
+   * Current audio levels
+   * @returns {Object|null} Last level meter reading (see LevelMeter.getReading), null when no audio is flowing
+   */
+  getLevels() {
+    return this.metering ? this.levelMeter.getReading() : null;
+  }
+  
   /**
    * Handle metadata updates
    */
@@ -1351,6 +2141,58 @@ class SendspinClient {
     }
   }
   
+  /**
+   * Store server identity and the roles it activated for this client
+   * Servers that predate active_roles are assumed to accept every role we asked for
+   * @param {Object} payload - server/hello payload
+   */
+  handleServerHello(payload) {
+    let activeRoles = payload.active_roles;
+    if (!Array.isArray(activeRoles)) {
+      activeRoles = [...SUPPORTED_ROLES];
+      this.config.logger.warn('[SendspinClient] server/hello has no active_roles, assuming all requested roles are active');
+    }
+    
+    this.serverInfo = {
+      id: payload.server_id || null,
+      name: payload.name || null,
+      version: payload.version !== undefined ? payload.version : null,
+      activeRoles: activeRoles
+    };
+    
+    // Servers that don't advertise server_id in TXT are known by it from now on
+    const serviceName = this.connectionSource === 'outbound' && this.discoveredServer
+      ? this.discoveredServer.serviceName
+      : null;
+    if (serviceName && this.serverInfo.id) {
+      this.discovery.setServerId(serviceName, this.serverInfo.id);
+    }
+    
+    // Remembered to find the server again if its address changes
+    if (this.serverInfo.id || serviceName) {
+      this.serverIdentity = { id: this.serverInfo.id, serviceName };
+    }
+    
+    this.config.logger.info(`[SendspinClient] Connected to server "${this.serverInfo.name || 'unknown'}" (${this.serverInfo.id || 'no id'}, version ${this.serverInfo.version}), active roles: ${activeRoles.join(', ') || 'none'}`);
+    
+    const inactive = SUPPORTED_ROLES.filter(role => !activeRoles.includes(role));
+    if (inactive.length > 0) {
+      this.config.logger.info(`[SendspinClient] Server did not activate: ${inactive.join(', ')}`);
+    }
+  }
+  
+  /**
+   * Check whether the server activated a role (any version)
+   * @param {string} role - Role family, e.g. 'metadata' or 'artwork'
+   * @returns {boolean}
+   */
+  hasActiveRole(role) {
+    if (!this.serverInfo) {
+      return false;
+    }
+    return this.serverInfo.activeRoles.some(active => active === role || active.startsWith(`${role}@`));
+  }
+  
   /**
    * Get current player state
    * @returns {Object} Player state
@@ -1358,14 +2200,18 @@ class SendspinClient {
   getState() {
     return {
       connected: this.isConnected,
+      connectionSource: this.connectionSource,
       state: this.currentStreamFormat ? 'playing' : 'idle',
       volume: this.config.volume,
       muted: this.config.muted,
+      staticDelayMs: this.config.staticDelayMs,
       codec: this.currentStreamFormat?.codec || null,
       sampleRate: this.currentStreamFormat?.sample_rate || null,
       channels: this.currentStreamFormat?.channels || null,
       bitDepth: this.currentStreamFormat?.bit_depth || null,
-      metadata: this.currentMetadata
+      metadata: this.currentMetadata,
+      server: this.serverInfo ? { ...this.serverInfo, activeRoles: [...this.serverInfo.activeRoles] } : null,
+      controller: this.controllerState
     };
   }
 }
@@ -0,0 +1,400 @@
+'use strict';
+
+const net = require('net');
+const MdnsTransport = require('./mdns-transport');
+const monotonicClock = require('./monotonic-clock');
+const { formatHostPort, isLinkLocal } = require('./network-address');
+
+// Service type Sendspin servers advertise
+const SERVER_SERVICE_TYPE = '_sendspin-server._tcp.local';
+
+// Query schedule: right away, then at doubling intervals (RFC 6762 continuous querying)
+const INITIAL_QUERY_INTERVAL_MS = 1000;
+const MAX_QUERY_INTERVAL_MS = 60000;
+
+/**
+ * Server Discovery Module
+ * Keeps a live list of the Sendspin servers on the network by browsing for
+ * _sendspin-server._tcp.local (over IPv4 and IPv6). Services are assembled from PTR, SRV, TXT,
+ * A and AAAA records (which may arrive in separate responses), expire with their TTL and are
+ * removed on goodbye (TTL 0). IPv4 addresses are preferred for connecting, IPv6 link-local
+ * addresses are never used (a URL can't carry their zone index).
+ *
+ * Each server is identified by its server id: the server_id TXT key, else the id learned from
+ * server/hello after connecting, else its mDNS service name - never by address, so a saved
+ * choice survives DHCP changes.
+ */
+class ServerDiscovery {
+  constructor(config = {}) {
+    this.serviceType = config.serviceType || SERVER_SERVICE_TYPE;
+    this.interfaceName = config.interfaceName || null; // Network interface to browse on (null = all)
+    this.logger = config.logger || console;
+    this.onServersChanged = config.onServersChanged || null; // Callback with the server list when it changes
+
+    this.transport = null;
+    this.queryTimer = null;
+    this.queryIntervalMs = INITIAL_QUERY_INTERVAL_MS;
+
+    this.services = new Map(); // Service name -> { serviceName, port, target, txt, expiresAt, addressQuery }
+    this.hosts = new Map(); // Target host name -> Map of address -> expiresAt
+    this.learnedIds = new Map(); // Service name -> server id from server/hello (kept across restarts)
+    this.waiters = new Set(); // Pending waitForServer() calls
+    this.listKey = ''; // Last published list, to report changes only
+  }
+
+  /**
+   * Start browsing (no-op if already running)
+   */
+  start() {
+    if (this.transport) {
+      return;
+    }
+
+    this.openTransport();
+    this.logger.info(`[ServerDiscovery] Browsing for ${this.serviceType}${this.interfaceName ? ` on ${this.interfaceName}` : ''}`);
+    this.restartQueries();
+  }
+
+  /**
+   * Create the mDNS sockets
+   */
+  openTransport() {
+    this.transport = new MdnsTransport({ interfaceName: this.interfaceName, logger: this.logger });
+    this.transport.on('response', (response) => {
+      try {
+        this.handleResponse(response);
+      } catch (error) {
+        this.logger.warn('[ServerDiscovery] Error handling mDNS response:', error.message || error);
+      }
+    });
+  }
+
+  /**
+   * Recreate the mDNS sockets for the current network interfaces (the server list is kept)
+   */
+  restartTransport() {
+    if (!this.transport) {
+      return;
+    }
+    this.transport.destroy();
+    this.openTransport();
+    this.restartQueries();
+  }
+
+  /**
+   * Stop browsing and forget the servers seen (pending waits resolve with null)
+   */
+  stop() {
+    if (this.queryTimer) {
+      clearTimeout(this.queryTimer);
+      this.queryTimer = null;
+    }
+    this.cancelWaits();
+
+    if (this.transport) {
+      try {
+        this.transport.destroy();
+      } catch (error) {
+        this.logger.warn('[ServerDiscovery] Error closing mDNS sockets:', error);
+      }
+      this.transport = null;
+    }
+
+    this.services.clear();
+    this.hosts.clear();
+    this.listKey = '';
+  }
+
+  /**
+   * Query now and restart the back-off (used when a server is needed quickly)
+   */
+  restartQueries() {
+    if (!this.transport) {
+      return;
+    }
+    if (this.queryTimer) {
+      clearTimeout(this.queryTimer);
+    }
+    this.queryIntervalMs = INITIAL_QUERY_INTERVAL_MS;
+
+    const query = () => {
+      this.queryTimer = null;
+      if (!this.transport) {
+        return;
+      }
+      this.prune();
+      try {
+        this.transport.query(this.serviceType, 'PTR');
+      } catch (error) {
+        this.logger.warn('[ServerDiscovery] Error sending mDNS query:', error.message || error);
+      }
+      this.queryAddresses(monotonicClock.nowMs()); // Retry unresolved hosts on a quiet network
+      this.queryTimer = setTimeout(query, this.queryIntervalMs);
+      this.queryIntervalMs = Math.min(this.queryIntervalMs * 2, MAX_QUERY_INTERVAL_MS);
+    };
+    query();
+  }
+
+  /**
+   * Update the service and host records from an mDNS response
+   * @param {Object} response - multicast-dns response packet
+   */
+  handleResponse(response) {
+    const records = [...(response.answers || []), ...(response.additionals || [])];
+    const now = monotonicClock.nowMs();
+    const suffix = `.${this.serviceType}`;
+
+    for (const record of records) {
+      const expiresAt = now + (record.ttl || 0) * 1000;
+
+      if (record.type === 'PTR' && record.name === this.serviceType) {
+        if (record.ttl === 0) {
+          this.services.delete(record.data); // Goodbye
+        } else {
+          this.getService(record.data).expiresAt = expiresAt;
+        }
+      } else if ((record.type === 'SRV' || record.type === 'TXT') && record.name.endsWith(suffix)) {
+        if (record.ttl === 0) {
+          this.services.delete(record.name);
+          continue;
+        }
+        const service = this.getService(record.name);
+        service.expiresAt = Math.max(service.expiresAt, expiresAt);
+        if (record.type === 'SRV') {
+          service.port = record.data.port;
+          service.target = record.data.target;
+        } else {
+          service.txt = ServerDiscovery.parseTxt(record.data);
+        }
+      } else if (record.type === 'A' || record.type === 'AAAA') {
+        const addresses = this.hosts.get(record.name) || new Map();
+        if (record.ttl === 0) {
+          addresses.delete(record.data);
+        } else {
+          addresses.set(record.data, expiresAt);
+        }
+        this.hosts.set(record.name, addresses);
+      }
+    }
+
+    this.queryAddresses(now);
+    this.publish();
+  }
+
+  /**
+   * Ask for the addresses of servers whose host records were not included
+   * Sent when an SRV names a new target, then at doubling intervals while it stays unresolved -
+   * not for every response seen on the network
+   * @param {number} now - Monotonic ms
+   */
+  queryAddresses(now) {
+    for (const service of this.services.values()) {
+      if (!service.target || this.getAddresses(service.target).length) {
+        service.addressQuery = null;
+        continue;
+      }
+      if (!service.addressQuery || service.addressQuery.target !== service.target) {
+        service.addressQuery = { target: service.target, nextAt: now, intervalMs: INITIAL_QUERY_INTERVAL_MS };
+      }
+      const addressQuery = service.addressQuery;
+      if (now < addressQuery.nextAt || !this.transport) {
+        continue;
+      }
+      try {
+        this.transport.query([{ name: service.target, type: 'A' }, { name: service.target, type: 'AAAA' }]);
+      } catch (error) {
+        this.logger.warn('[ServerDiscovery] Error sending mDNS query:', error.message || error);
+      }
+      addressQuery.nextAt = now + addressQuery.intervalMs;
+      addressQuery.intervalMs = Math.min(addressQuery.intervalMs * 2, MAX_QUERY_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Get (or create) the record for a service name
+   */
+  getService(serviceName) {
+    let service = this.services.get(serviceName);
+    if (!service) {
+      service = { serviceName, port: null, target: null, txt: {}, expiresAt: 0, addressQuery: null };
+      this.services.set(serviceName, service);
+    }
+    return service;
+  }
+
+  /**
+   * Current addresses of a host name, in order of preference: IPv4, IPv6, IPv6 link-local
+   */
+  getAddresses(target) {
+    const addresses = this.hosts.get(target);
+    const rank = (address) => (net.isIPv4(address) ? 0 : isLinkLocal(address) ? 2 : 1);
+    return addresses ? [...addresses.keys()].sort((a, b) => rank(a) - rank(b)) : [];
+  }
+
+  /**
+   * Drop records whose TTL has run out
+   */
+  prune() {
+    const now = monotonicClock.nowMs();
+    for (const [serviceName, service] of this.services) {
+      if (service.expiresAt <= now) {
+        this.services.delete(serviceName);
+      }
+    }
+    for (const [target, addresses] of this.hosts) {
+      for (const [address, expiresAt] of addresses) {
+        if (expiresAt <= now) {
+          addresses.delete(address);
+        }
+      }
+      if (addresses.size === 0) {
+        this.hosts.delete(target);
+      }
+    }
+    this.publish();
+  }
+
+  /**
+   * Report list changes (log, callback) and hand servers to pending waits
+   */
+  publish() {
+    const servers = this.getServers();
+    const listKey = servers.map(server => `${server.id}@${server.address}`).join(',');
+    if (listKey === this.listKey) {
+      return;
+    }
+
+    const previous = new Set(this.listKey ? this.listKey.split(',') : []);
+    for (const server of servers) {
+      if (!previous.has(`${server.id}@${server.address}`)) {
+        this.logger.info(`[ServerDiscovery] Discovered server "${server.name}" (${server.id}) at ${server.address}`);
+      }
+    }
+    if (servers.length < previous.size) {
+      this.logger.info(`[ServerDiscovery] ${servers.length} server(s) on the network`);
+    }
+    this.listKey = listKey;
+
+    if (this.onServersChanged) {
+      this.onServersChanged(servers);
+    }
+
+    for (const waiter of [...this.waiters]) {
+      const server = this.findServer(waiter.serverId);
+      if (server) {
+        waiter.resolve(server);
+      }
+    }
+  }
+
+  /**
+   * Servers with a known address and port
+   * address is host:port of the preferred address (IPv6 in brackets); addresses lists them all
+   * @returns {Array<{id: string, name: string, serviceName: string, host: string, addresses: string[], port: number, address: string, txt: Object}>}
+   */
+  getServers() {
+    const servers = [];
+    for (const service of this.services.values()) {
+      const addresses = service.target ? this.getAddresses(service.target) : [];
+      if (!service.port || addresses.length === 0 || isLinkLocal(addresses[0])) {
+        continue;
+      }
+      servers.push({
+        id: service.txt.server_id || this.learnedIds.get(service.serviceName) || service.serviceName,
+        name: service.txt.name || service.serviceName.slice(0, -(this.serviceType.length + 1)),
+        serviceName: service.serviceName,
+        host: addresses[0],
+        addresses: addresses,
+        port: service.port,
+        address: formatHostPort(addresses[0], service.port),
+        txt: service.txt
+      });
+    }
+    return servers;
+  }
+
+  /**
+   * Find a server by id (or service name)
+   * @param {string|null} serverId - Server to find, null for the first one seen
+   * @returns {Object|null} Server from getServers()
+   */
+  findServer(serverId) {
+    const servers = this.getServers();
+    if (!serverId) {
+      return servers[0] || null;
+    }
+    return servers.find(server => server.id === serverId || server.serviceName === serverId) || null;
+  }
+
+  /**
+   * Wait until a server is on the network
+   * @param {string|null} serverId - Server to wait for, null for any
+   * @param {number} timeoutMs - Give up after this long
+   * @returns {Promise<Object|null>} Server from getServers(), null on timeout or cancelWaits()
+   */
+  waitForServer(serverId, timeoutMs) {
+    const server = this.findServer(serverId);
+    if (server) {
+      return Promise.resolve(server);
+    }
+
+    this.restartQueries();
+    return new Promise((resolve) => {
+      const waiter = {
+        serverId,
+        resolve: (result) => {
+          clearTimeout(waiter.timer);
+          this.waiters.delete(waiter);
+          resolve(result);
+        }
+      };
+      waiter.timer = setTimeout(() => waiter.resolve(null), timeoutMs);
+      this.waiters.add(waiter);
+    });
+  }
+
+  /**
+   * Resolve pending waits with null (a server connected to us instead, or stopping)
+   */
+  cancelWaits() {
+    for (const waiter of [...this.waiters]) {
+      waiter.resolve(null);
+    }
+  }
+
+  /**
+   * Remember the server id a service reported in server/hello (for servers without server_id in TXT)
+   * @param {string} serviceName - mDNS service name
+   * @param {string} serverId - server_id from server/hello
+   */
+  setServerId(serviceName, serverId) {
+    if (serviceName && serverId && this.learnedIds.get(serviceName) !== serverId) {
+      this.learnedIds.set(serviceName, serverId);
+      this.publish();
+    }
+  }
+
+  /**
+   * Parse TXT record strings (key=value) into an object
+   * @param {Array<Buffer|string>} data - TXT record data
+   * @returns {Object} Keys lower-cased; keys without a value map to true
+   */
+  static parseTxt(data) {
+    const txt = {};
+    for (const entry of [].concat(data || [])) {
+      const text = entry.toString();
+      const separator = text.indexOf('=');
+      if (separator === 0 || text.length === 0) {
+        continue;
+      }
+      if (separator === -1) {
+        txt[text.toLowerCase()] = true;
+      } else {
+        txt[text.slice(0, separator).toLowerCase()] = text.slice(separator + 1);
+      }
+    }
+    return txt;
+  }
+}
+
+module.exports = ServerDiscovery;
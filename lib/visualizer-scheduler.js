@@ -0,0 +1,141 @@
+'use strict';
+
+const monotonicClock = require('./monotonic-clock');
+
+/**
+ * Visualizer frame scheduler
+ * Holds visualizer frames (binary message types 16-23) until the audio they describe is heard,
+ * so levels and spectrum stay in step with playback. Frames carry the same server timestamps as
+ * audio chunks and the audio scheduler already compensates output latency and static delay, so
+ * a frame is due at its timestamp converted to local time.
+ *
+ * Queued bytes are capped at the buffer_capacity advertised in client/hello; the oldest frames
+ * are dropped beyond it. Frames that are already too late are dropped rather than shown.
+ */
+class VisualizerScheduler {
+  /**
+   * @param {ClockSync} clockSync - Clock synchronization
+   * @param {Object} [config]
+   * @param {number} [config.capacityBytes] - Max queued payload bytes
+   * @param {number} [config.lateToleranceMs] - Frames later than this are dropped
+   * @param {Object} [config.logger] - Logger
+   */
+  constructor(clockSync, config = {}) {
+    this.clockSync = clockSync;
+    this.logger = config.logger || console;
+    this.capacityBytes = config.capacityBytes || 1048576;
+    this.lateToleranceMs = config.lateToleranceMs !== undefined ? config.lateToleranceMs : 50;
+
+    this.onFrame = null; // (type, payload, timestamp) when a frame is due
+
+    this.queue = []; // { type, payload, timestamp, dueMs } ordered by dueMs
+    this.queuedBytes = 0;
+    this.timer = null;
+
+    this.stats = {
+      received: 0,
+      delivered: 0,
+      dropped: 0
+    };
+  }
+
+  /**
+   * Queue a frame for its display time
+   * @param {number} type - Binary message type (16-23)
+   * @param {Buffer} payload - Frame data
+   * @param {number} timestamp - Server loop microseconds
+   */
+  schedule(type, payload, timestamp) {
+    this.stats.received++;
+    const dueMs = this.clockSync.serverToLocalTime(timestamp) / 1000;
+
+    if (dueMs < monotonicClock.nowMs() - this.lateToleranceMs) {
+      this.stats.dropped++;
+      return;
+    }
+
+    // Frames arrive in timestamp order - search from the back
+    let index = this.queue.length;
+    while (index > 0 && this.queue[index - 1].dueMs > dueMs) {
+      index--;
+    }
+    this.queue.splice(index, 0, { type, payload, timestamp, dueMs });
+    this.queuedBytes += payload.length;
+
+    while (this.queuedBytes > this.capacityBytes && this.queue.length > 1) {
+      const dropped = this.queue.shift();
+      this.queuedBytes -= dropped.payload.length;
+      this.stats.dropped++;
+    }
+
+    this.armTimer();
+  }
+
+  /**
+   * Set the timer for the earliest queued frame
+   */
+  armTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.queue.length === 0) {
+      return;
+    }
+    const delayMs = Math.max(0, this.queue[0].dueMs - monotonicClock.nowMs());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.deliverDue();
+    }, delayMs);
+  }
+
+  /**
+   * Hand out every frame that is due, dropping those that are too late
+   */
+  deliverDue() {
+    const now = monotonicClock.nowMs();
+    while (this.queue.length > 0 && this.queue[0].dueMs <= now) {
+      const frame = this.queue.shift();
+      this.queuedBytes -= frame.payload.length;
+      if (frame.dueMs < now - this.lateToleranceMs) {
+        this.stats.dropped++;
+        continue;
+      }
+      this.stats.delivered++;
+      if (this.onFrame) {
+        try {
+          this.onFrame(frame.type, frame.payload, frame.timestamp);
+        } catch (error) {
+          this.logger.error('[VisualizerScheduler] Error in frame callback:', error);
+        }
+      }
+    }
+    this.armTimer();
+  }
+
+  /**
+   * Drop all queued frames (stream end, seek, disconnect)
+   */
+  clear() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.queue = [];
+    this.queuedBytes = 0;
+  }
+
+  /**
+   * Get scheduler statistics
+   */
+  getStats() {
+    return {
+      received: this.stats.received,
+      delivered: this.stats.delivered,
+      dropped: this.stats.dropped,
+      queued: this.queue.length
+    };
+  }
+}
+
+module.exports = VisualizerScheduler;
@@ -0,0 +1,165 @@
+'use strict';
+
+const WebSocket = require('ws');
+const { getLocalAddress, formatHost } = require('./network-address');
+
+/**
+ * Visualizer Server Module
+ * Re-publishes visualizer frames from the Sendspin server to local displays (a Volumio UI
+ * widget, a third-party level meter or spectrum display) over WebSocket, at the moment the
+ * audio they describe is heard, along with the locally measured levels.
+ *
+ * Connect to ws://<device>:<port>/visualizer. Each frame is one binary message: the Sendspin
+ * visualizer message type (1 byte, 16-23) followed by the frame payload exactly as the server
+ * sent it. Everything else is a JSON text message:
+ * { "type": "visualizer/state", "payload": { "active": boolean } } - stream changes
+ * { "type": "visualizer/levels", "payload": <LevelMeter reading> } - every meter interval
+ */
+class VisualizerServer {
+  constructor(config = {}) {
+    this.config = {
+      ...config,
+      port: config.port !== undefined ? config.port : 8928, // 0 = auto-assign
+      host: config.host || '0.0.0.0', // Listen address
+      interfaceName: config.interfaceName || null // Interface whose address goes in the URL (null = first found)
+    };
+
+    this.logger = config.logger || console;
+
+    this.wsServer = null;
+    this.port = null;
+    this.active = false; // Frames are flowing (stream running with the visualizer role)
+  }
+
+  /**
+   * Start the WebSocket server
+   */
+  start() {
+    if (this.wsServer) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const wsServer = new WebSocket.Server({
+        port: this.config.port,
+        host: this.config.host,
+        path: '/visualizer'
+      });
+
+      wsServer.once('listening', () => {
+        this.port = wsServer.address().port;
+        this.logger.info(`[VisualizerServer] Serving visualizer frames on port ${this.port} (path: /visualizer)`);
+        resolve();
+      });
+
+      wsServer.on('connection', (ws, req) => {
+        this.logger.info(`[VisualizerServer] Display connected from ${req.socket.remoteAddress}`);
+        this.sendState(ws);
+      });
+
+      wsServer.on('error', (error) => {
+        this.logger.error('[VisualizerServer] WebSocket server error:', error.message || error);
+        if (this.wsServer === wsServer) {
+          this.wsServer = null;
+        }
+        reject(error);
+      });
+
+      this.wsServer = wsServer;
+    });
+  }
+
+  /**
+   * Disconnect displays and stop the server
+   */
+  stop() {
+    const wsServer = this.wsServer;
+    this.wsServer = null;
+    this.port = null;
+    this.active = false;
+    if (!wsServer) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      for (const ws of wsServer.clients) {
+        ws.terminate();
+      }
+      wsServer.close(() => resolve());
+    });
+  }
+
+  /**
+   * Send a frame to every connected display
+   * @param {number} type - Visualizer message type (16-23)
+   * @param {Buffer} payload - Frame payload
+   */
+  publish(type, payload) {
+    if (!this.wsServer) {
+      return;
+    }
+    if (!this.active) {
+      this.setActive(true);
+    }
+    const message = Buffer.concat([Buffer.from([type]), payload]);
+    for (const ws of this.wsServer.clients) {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(message);
+      }
+    }
+  }
+
+  /**
+   * Send a level meter reading to every connected display
+   * @param {Object} reading - LevelMeter reading
+   */
+  publishLevels(reading) {
+    if (!this.wsServer) {
+      return;
+    }
+    const message = JSON.stringify({ type: 'visualizer/levels', payload: reading });
+    for (const ws of this.wsServer.clients) {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(message);
+      }
+    }
+  }
+
+  /**
+   * Tell displays whether frames are flowing (so they can blank when the stream stops)
+   * @param {boolean} active - Stream running with the visualizer role
+   */
+  setActive(active) {
+    if (this.active === Boolean(active)) {
+      return;
+    }
+    this.active = Boolean(active);
+    if (this.wsServer) {
+      for (const ws of this.wsServer.clients) {
+        this.sendState(ws);
+      }
+    }
+  }
+
+  /**
+   * Send the current state to one display
+   */
+  sendState(ws) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'visualizer/state', payload: { active: this.active } }));
+    }
+  }
+
+  /**
+   * Endpoint URL for displays
+   * @returns {string|null} URL reachable from the network, null if the server is not running
+   */
+  getUrl() {
+    if (!this.port) {
+      return null;
+    }
+    const host = this.config.host !== '0.0.0.0' ? this.config.host : getLocalAddress(this.config.interfaceName);
+    return `ws://${formatHost(host)}:${this.port}/visualizer`;
+  }
+}
+
+module.exports = VisualizerServer;
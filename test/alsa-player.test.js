@@ -0,0 +1,259 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AlsaPlayer = require('../lib/alsa-player');
+
+// Runs against test/fixtures/fake-aplay.js instead of a real ALSA device
+const FAKE_SINK = path.join(__dirname, 'fixtures', 'fake-aplay.js');
+
+describe('AlsaPlayer', () => {
+  let player;
+  let mockLogger;
+  let outputFile;
+
+  const createPlayer = (config = {}, sinkArgs = []) => new AlsaPlayer({
+    logger: mockLogger,
+    command: process.execPath,
+    commandArgs: [FAKE_SINK, '--output', outputFile, ...sinkArgs],
+    ...config
+  });
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    outputFile = path.join(os.tmpdir(), `sendspin-fake-sink-${process.pid}-${Date.now()}.raw`);
+  });
+
+  afterEach(async () => {
+    if (player) {
+      await player.stop();
+      player = null;
+    }
+    if (fs.existsSync(outputFile)) {
+      fs.unlinkSync(outputFile);
+    }
+  });
+
+  describe('start', () => {
+    it('should open the device with the stream format and read back the hardware buffer', async () => {
+      player = createPlayer({ device: 'hw:1,0', bufferTimeMs: 80 });
+
+      await player.start({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 });
+
+      expect(player.isActive()).toBe(true);
+      expect(player.buildArgs()).toEqual(expect.arrayContaining(['-D', 'hw:1,0', '-f', 'S16_LE', '-r', '48000', '-B', '80000']));
+      expect(player.hwParams).toEqual({ rate: 48000, bufferSize: 3840, periodSize: 960 });
+      expect(player.getOutputLatency()).toBeCloseTo(80, 5);
+    });
+
+    it('should play packed 24-bit as S24_3LE', async () => {
+      player = createPlayer();
+
+      await player.start({ codec: 'flac', sample_rate: 96000, channels: 2, bit_depth: 24 });
+
+      expect(player.buildArgs()).toEqual(expect.arrayContaining(['-f', 'S24_3LE', '-r', '96000']));
+    });
+
+    it('should reject when the device cannot be opened', async () => {
+      player = createPlayer({ device: 'hw:9,0' }, ['--fail']);
+
+      await expect(player.start({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 }))
+        .rejects.toThrow('ALSA device hw:9,0 failed to open (exit code 1): aplay: main:831: audio open error');
+      expect(player.isActive()).toBe(false);
+    });
+
+    it('should reject when the sink command does not exist', async () => {
+      player = createPlayer({ command: '/nonexistent/aplay', commandArgs: [] });
+
+      await expect(player.start({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 }))
+        .rejects.toThrow('Failed to start /nonexistent/aplay');
+    });
+  });
+
+  describe('play', () => {
+    beforeEach(async () => {
+      player = createPlayer();
+      await player.start({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 });
+    });
+
+    it('should write PCM to the sink unchanged', async () => {
+      const first = Buffer.alloc(3840, 1);
+      const second = Buffer.alloc(3840, 2);
+
+      await player.play(first);
+      await player.play(second);
+      await player.stop();
+
+      expect(fs.readFileSync(outputFile).equals(Buffer.concat([first, second]))).toBe(true);
+    });
+
+    it('should convert to the configured output sample format', async () => {
+      await player.stop();
+      player = createPlayer({ outputSampleFormat: 's24_32' });
+      await player.start({ codec: 'flac', sample_rate: 96000, channels: 2, bit_depth: 24 });
+
+      // One stereo frame: 0x123456, -1
+      await player.play(Buffer.from([0x56, 0x34, 0x12, 0xff, 0xff, 0xff]));
+      await player.stop();
+
+      expect(player.buildArgs()).toEqual(expect.arrayContaining(['-f', 'S32_LE']));
+      const output = fs.readFileSync(outputFile);
+      expect(output.readInt32LE(0)).toBe(0x12345600);
+      expect(output.readInt32LE(4)).toBe(-256);
+    });
+
+    it('should drop chunks once the sink is more than a few chunks behind', async () => {
+      jest.spyOn(player, 'getBacklogMs').mockReturnValue(120);
+
+      await player.play(Buffer.alloc(3840));
+      await player.stop();
+
+      expect(fs.readFileSync(outputFile).length).toBe(0);
+      expect(mockLogger.warn).toHaveBeenCalledWith('[AlsaPlayer] Sink backlog over 100ms, dropping chunk (warning #1)');
+    });
+
+    it('should drop chunks that are not a whole number of frames', async () => {
+      await player.play(Buffer.alloc(6));
+      await player.stop();
+
+      expect(fs.readFileSync(outputFile).length).toBe(0);
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('not a whole number of s16 frames'));
+    });
+  });
+
+  describe('getPlayoutDelay', () => {
+    let procRoot;
+
+    // /proc/asound/card0/pcm0p/sub0 as the kernel reports it for aplay's PCM
+    const writePcmStatus = ({ state = 'RUNNING', ownerPid = player.process.pid, hwPtr, delay = 0, rate = 48000 }) => {
+      const dir = path.join(procRoot, 'card0', 'pcm0p', 'sub0');
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'hw_params'), `access: RW_INTERLEAVED\nformat: S16_LE\nchannels: 2\nrate: ${rate} (${rate}/1)\n`);
+      fs.writeFileSync(path.join(dir, 'status'), [
+        `state: ${state}`,
+        `owner_pid   : ${ownerPid}`,
+        'tstamp      : 1234.567890',
+        `delay       : ${delay}`,
+        '-----',
+        `hw_ptr      : ${hwPtr}`,
+        ''
+      ].join('\n'));
+    };
+
+    beforeEach(async () => {
+      procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'sendspin-asound-'));
+      player = createPlayer({ procRoot, positionIntervalMs: 60000 }); // Read by hand below
+      await player.start({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 });
+      jest.spyOn(player, 'getBacklogMs').mockReturnValue(0);
+    });
+
+    afterEach(() => {
+      fs.rmSync(procRoot, { recursive: true, force: true });
+    });
+
+    it('should report the audio written but not yet played by the sound card', async () => {
+      await player.play(Buffer.alloc(4800 * 4)); // 100ms
+      writePcmStatus({ hwPtr: 2400 });
+      await player.refreshPosition();
+
+      expect(player.getPlayoutDelay()).toEqual({ delayMs: 50, atMs: expect.any(Number) });
+
+      // Audio written after the reading counts without reading the status again
+      fs.rmSync(procRoot, { recursive: true, force: true });
+      await player.play(Buffer.alloc(960 * 4));
+      expect(player.getPlayoutDelay().delayMs).toBe(70);
+    });
+
+    it('should read the position in the background while playing', async () => {
+      await player.stop();
+      player = createPlayer({ procRoot, positionIntervalMs: 10 });
+      await player.start({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 });
+      await player.play(Buffer.alloc(4800 * 4));
+      writePcmStatus({ hwPtr: 4800 });
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(player.getPlayoutDelay()).toEqual({ delayMs: 0, atMs: expect.any(Number) });
+
+      await player.stop();
+      expect(player.getPlayoutDelay()).toBeNull();
+    });
+
+    it('should count the position in the card\'s frames when the plug layer resamples', async () => {
+      await player.play(Buffer.alloc(4800 * 4));
+      writePcmStatus({ hwPtr: 4800, rate: 96000 });
+      await player.refreshPosition();
+
+      expect(player.getPlayoutDelay().delayMs).toBe(50);
+    });
+
+    it('should not report a position before the device is running', async () => {
+      await player.play(Buffer.alloc(4800 * 4));
+      writePcmStatus({ state: 'PREPARED', hwPtr: 0 });
+      await player.refreshPosition();
+
+      expect(player.getPlayoutDelay()).toBeNull();
+    });
+
+    it('should not report a position when another process owns the PCM', async () => {
+      writePcmStatus({ ownerPid: 1, hwPtr: 0 });
+      await player.refreshPosition();
+
+      expect(player.getPlayoutDelay()).toBeNull();
+      await player.refreshPosition();
+      expect(player.getPlayoutDelay()).toBeNull();
+      expect(mockLogger.info.mock.calls.filter(([message]) => message.includes('not available'))).toEqual([
+        [expect.stringContaining('(PCM owned by process 1), drift correction disabled')]
+      ]);
+    });
+
+    it('should rebase the position when the device restarts after an underrun', async () => {
+      await player.play(Buffer.alloc(9600 * 4)); // 200ms
+      writePcmStatus({ hwPtr: 9600 });
+      await player.refreshPosition();
+      expect(player.getPlayoutDelay().delayMs).toBe(0);
+
+      // Underrun, then 40ms more written: hw_ptr counts from 0 again
+      await player.play(Buffer.alloc(1920 * 4));
+      writePcmStatus({ hwPtr: 480, delay: 960 });
+      await player.refreshPosition();
+      expect(player.getPlayoutDelay().delayMs).toBe(20);
+
+      writePcmStatus({ hwPtr: 960, delay: 480 });
+      await player.refreshPosition();
+      expect(player.getPlayoutDelay().delayMs).toBe(10);
+    });
+  });
+
+  describe('clearBuffer', () => {
+    it('should restart the sink with the same format', async () => {
+      player = createPlayer();
+      await player.start({ codec: 'pcm', sample_rate: 44100, channels: 2, bit_depth: 16 });
+      const firstProcess = player.process;
+
+      await player.clearBuffer();
+
+      expect(player.isActive()).toBe(true);
+      expect(player.process).not.toBe(firstProcess);
+      expect(player.config.sampleRate).toBe(44100);
+    });
+  });
+
+  describe('stop', () => {
+    it('should stop the sink process', async () => {
+      player = createPlayer();
+      await player.start({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 });
+      const child = player.process;
+
+      await player.stop();
+
+      expect(player.isActive()).toBe(false);
+      expect(child.exitCode !== null || child.signalCode !== null).toBe(true);
+    });
+  });
+});
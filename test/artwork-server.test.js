@@ -0,0 +1,79 @@
+'use strict';
+
+const http = require('http');
+const ArtworkServer = require('../lib/artwork-server');
+
+describe('ArtworkServer', () => {
+  let server;
+  let mockLogger;
+
+  const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+  const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+
+  const get = (url) => new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+
+  beforeEach(async () => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    server = new ArtworkServer({ host: '127.0.0.1', logger: mockLogger });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it('should serve the cached image with its content type', async () => {
+    expect(server.setImage(0, JPEG)).toBe(true);
+
+    const response = await get(server.getUrl(0));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/jpeg');
+    expect(response.body.equals(JPEG)).toBe(true);
+  });
+
+  it('should change the URL when the image changes', () => {
+    server.setImage(0, JPEG);
+    const first = server.getUrl(0);
+    server.setImage(0, PNG);
+
+    expect(server.getUrl(0)).not.toBe(first);
+    expect(server.getUrl(0)).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/artwork\/0\?v=\d+$/);
+  });
+
+  it('should clear a channel on an empty image', async () => {
+    server.setImage(1, PNG);
+    const url = server.getUrl(1);
+
+    expect(server.setImage(1, Buffer.alloc(0))).toBe(false);
+
+    expect(server.getUrl(1)).toBeNull();
+    expect((await get(url)).status).toBe(404);
+  });
+
+  it('should reject data that is not an image', async () => {
+    expect(server.setImage(0, Buffer.from('not an image'))).toBe(false);
+
+    expect(server.getUrl(0)).toBeNull();
+    expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('unknown image format'));
+  });
+
+  it('should return no URL once stopped', async () => {
+    server.setImage(0, JPEG);
+
+    await server.stop();
+
+    expect(server.getUrl(0)).toBeNull();
+  });
+});
@@ -1,10 +1,8 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const AudioDecoder = require('../lib/audio-decoder');
-const { spawn } = require('child_process');
-
-// Mock child_process
-jest.mock('child_process');
 
 describe('AudioDecoder', () => {
   let decoder;
@@ -140,6 +138,15 @@ describe('AudioDecoder', () => {
       expect(decoded).toEqual(Buffer.from(inputData));
     });
 
+    it('should reject PCM chunks that do not match the stream/start format', async () => {
+      decoder = new AudioDecoder({ logger: mockLogger });
+      await decoder.initialize({ codec: 'pcm', sample_rate: 96000, channels: 2, bit_depth: 24 });
+
+      // 8 bytes is one 16-bit stereo frame + half, but not a whole 24-bit stereo frame
+      await expect(decoder.decode(Buffer.alloc(8))).rejects.toThrow('not a whole number of s24 frames');
+      await expect(decoder.decode(Buffer.alloc(12))).resolves.toHaveLength(12);
+    });
+
     it('should throw if not initialized', async () => {
       decoder = new AudioDecoder({
         codec: 'opus',
@@ -150,6 +157,112 @@ describe('AudioDecoder', () => {
     });
   });
 
+  describe('getOutputFormat', () => {
+    it('should describe the decoded sample layout', () => {
+      decoder = new AudioDecoder({ logger: mockLogger });
+
+      expect(decoder.getOutputFormat({ codec: 'flac', sample_rate: 96000, channels: 2, bit_depth: 24 }))
+        .toEqual({ sample_rate: 96000, channels: 2, bit_depth: 24, sample_format: 's24' });
+      expect(decoder.getOutputFormat({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 }).sample_format)
+        .toBe('s16');
+      expect(decoder.getOutputFormat({ codec: 'opus', sample_rate: 48000, channels: 2, bit_depth: 16 }).sample_format)
+        .toBe('s16');
+    });
+
+    it('should reject unsupported bit depths on initialize', async () => {
+      decoder = new AudioDecoder({ logger: mockLogger });
+
+      await expect(decoder.initialize({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 20 }))
+        .rejects.toThrow('Unsupported bit depth');
+      expect(decoder.isInitialized).toBe(false);
+    });
+  });
+
+  describe('getSupportedFormats', () => {
+    it('should include FLAC, PCM and Opus in order of preference', () => {
+      decoder = new AudioDecoder({ logger: mockLogger });
+
+      const formats = decoder.getSupportedFormats();
+      const codecs = [...new Set(formats.map(f => f.codec))];
+
+      expect(codecs).toEqual(['flac', 'pcm', 'opus']);
+      expect(formats).toContainEqual({ codec: 'flac', channels: 2, sample_rate: 192000, bit_depth: 24 });
+      expect(formats).toContainEqual({ codec: 'pcm', channels: 2, sample_rate: 44100, bit_depth: 16 });
+    });
+
+    it('should look up the Opus decoder module only once', () => {
+      const checkSpy = jest.spyOn(AudioDecoder.prototype, 'checkOpusAvailable');
+      decoder = new AudioDecoder({ logger: mockLogger });
+
+      decoder.getSupportedFormats();
+      decoder.getSupportedFormats();
+
+      expect(checkSpy).toHaveBeenCalledTimes(1);
+      checkSpy.mockRestore();
+    });
+
+    it('should not advertise Opus when the module is missing', () => {
+      decoder = new AudioDecoder({ logger: mockLogger });
+      jest.spyOn(decoder, 'isOpusAvailable').mockReturnValue(false);
+
+      const formats = decoder.getSupportedFormats();
+
+      expect(formats.some(f => f.codec === 'opus')).toBe(false);
+      expect(formats.some(f => f.codec === 'flac')).toBe(true);
+    });
+  });
+
+  describe('FLAC', () => {
+    // Real libFLAC-encoded stream: "fLaC" header, then a 4096-sample frame and a 704-sample frame
+    const flac = fs.readFileSync(path.join(__dirname, 'fixtures', 'sine-48000-16-stereo.flac'));
+    const pcm = fs.readFileSync(path.join(__dirname, 'fixtures', 'sine-48000-16-stereo.pcm'));
+    const headerLength = 8 + 34 + 4 + 40; // marker + STREAMINFO + VORBIS_COMMENT
+    const format = {
+      codec: 'flac',
+      sample_rate: 48000,
+      channels: 2,
+      bit_depth: 16,
+      codec_header: flac.subarray(0, headerLength).toString('base64')
+    };
+
+    it('should initialize from codec_header without an external binary', async () => {
+      decoder = new AudioDecoder({ logger: mockLogger });
+
+      await decoder.initialize(format);
+
+      expect(decoder.isInitialized).toBe(true);
+      expect(decoder.flacDecoder.streamInfo).toEqual(expect.objectContaining({
+        sampleRate: 48000,
+        channels: 2,
+        bitsPerSample: 16
+      }));
+    });
+
+    it('should decode a whole chunk of frames to PCM', async () => {
+      decoder = new AudioDecoder({ logger: mockLogger });
+      await decoder.initialize(format);
+
+      const decoded = await decoder.decode(flac.subarray(headerLength));
+
+      expect(decoded.equals(pcm)).toBe(true);
+    });
+
+    it('should reject a codec_header that contradicts stream/start', async () => {
+      decoder = new AudioDecoder({ logger: mockLogger });
+
+      await expect(decoder.initialize({ ...format, bit_depth: 24 }))
+        .rejects.toThrow('STREAMINFO format 48000Hz/2ch/16bit does not match stream/start 48000Hz/2ch/24bit');
+    });
+
+    it('should fail initialization on an invalid codec_header', async () => {
+      decoder = new AudioDecoder({ logger: mockLogger });
+
+      await expect(decoder.initialize({ ...format, codec_header: Buffer.from('nope').toString('base64') }))
+        .rejects.toThrow('Failed to initialize FLAC decoder');
+      expect(decoder.isInitialized).toBe(false);
+    });
+  });
+
   describe('cleanup', () => {
     it('should cleanup resources', () => {
       decoder = new AudioDecoder({
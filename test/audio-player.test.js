@@ -1,6 +1,7 @@
 'use strict';
 
 const AudioPlayer = require('../lib/audio-player');
+const AudioDecoder = require('../lib/audio-decoder');
 const http = require('http');
 
 // Mock http
@@ -181,6 +182,20 @@ describe('AudioPlayer', () => {
       expect(mockStream.push).toHaveBeenCalledWith(audioData);
     });
 
+    it('should drop chunks that are not a whole number of frames', async () => {
+      const mockStream = {
+        push: jest.fn().mockReturnValue(true),
+        pipe: jest.fn(),
+        on: jest.fn()
+      };
+      player.audioStream = mockStream;
+
+      await player.play(Buffer.from([1, 2, 3, 4, 5, 6]));
+
+      expect(mockStream.push).not.toHaveBeenCalled();
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('not a whole number of s16 frames'));
+    });
+
     it('should not play if not active', async () => {
       player.isPlaying = false;
       const audioData = Buffer.from([1, 2, 3, 4]);
@@ -192,6 +207,104 @@ describe('AudioPlayer', () => {
     });
   });
 
+  describe('sample formats', () => {
+    const startPlayer = async (format, config = {}) => {
+      player = new AudioPlayer({
+        commandRouter: mockCommandRouter,
+        logger: mockLogger,
+        ...config
+      });
+      await player.start({ codec: 'pcm', sample_rate: 96000, channels: 2, ...format });
+      return player.createWAVHeader();
+    };
+
+    it('should write a plain PCM header for 16-bit', async () => {
+      const header = await startPlayer({ bit_depth: 16 });
+
+      expect(header.length).toBe(44);
+      expect(header.readUInt16LE(20)).toBe(1); // WAVE_FORMAT_PCM
+      expect(header.readUInt16LE(32)).toBe(4); // block align
+      expect(header.readUInt16LE(34)).toBe(16);
+      expect(header.toString('ascii', 36, 40)).toBe('data');
+    });
+
+    it('should write an extensible header for packed 24-bit', async () => {
+      const header = await startPlayer({ bit_depth: 24 });
+
+      expect(header.length).toBe(68);
+      expect(header.readUInt32LE(16)).toBe(40); // fmt chunk size
+      expect(header.readUInt16LE(20)).toBe(0xFFFE); // WAVE_FORMAT_EXTENSIBLE
+      expect(header.readUInt32LE(28)).toBe(96000 * 6); // byte rate
+      expect(header.readUInt16LE(32)).toBe(6); // block align
+      expect(header.readUInt16LE(34)).toBe(24); // container bits
+      expect(header.readUInt16LE(38)).toBe(24); // valid bits
+      expect(header.readUInt32LE(40)).toBe(0x3); // front left + front right
+      expect(header.readUInt16LE(44)).toBe(1); // KSDATAFORMAT_SUBTYPE_PCM
+      expect(header.toString('ascii', 60, 64)).toBe('data');
+    });
+
+    it('should describe 24-in-32 as 24 valid bits in a 32-bit container', async () => {
+      const header = await startPlayer({ bit_depth: 24 }, { outputSampleFormat: 's24_32' });
+
+      expect(header.readUInt16LE(32)).toBe(8);
+      expect(header.readUInt16LE(34)).toBe(32);
+      expect(header.readUInt16LE(38)).toBe(24);
+    });
+
+    it('should use the IEEE float subformat for 32-bit float', async () => {
+      const header = await startPlayer({ bit_depth: 16 }, { outputSampleFormat: 'f32' });
+
+      expect(header.readUInt16LE(20)).toBe(0xFFFE);
+      expect(header.readUInt16LE(34)).toBe(32);
+      expect(header.readUInt16LE(44)).toBe(3); // KSDATAFORMAT_SUBTYPE_IEEE_FLOAT
+    });
+
+    it('should convert packed 24-bit to 24-in-32 on output', async () => {
+      await startPlayer({ bit_depth: 24 }, { outputSampleFormat: 's24_32' });
+      const mockStream = { push: jest.fn().mockReturnValue(true), pipe: jest.fn(), on: jest.fn() };
+      player.audioStream = mockStream;
+
+      // One stereo frame: 0x123456, -1
+      await player.play(Buffer.from([0x56, 0x34, 0x12, 0xff, 0xff, 0xff]));
+
+      const output = mockStream.push.mock.calls[0][0];
+      expect(output.readInt32LE(0)).toBe(0x12345600);
+      expect(output.readInt32LE(4)).toBe(-256);
+    });
+
+    it('should carry a hi-res stream/start format to the WAV header of each output format', async () => {
+      // payload.player of stream/start, started the way the plugin does: with the decoder's PCM layout
+      const streamFormat = { codec: 'flac', sample_rate: 96000, channels: 2, bit_depth: 24 };
+      const decoded = { ...streamFormat, ...new AudioDecoder({ logger: mockLogger }).getOutputFormat(streamFormat) };
+      const expected = {
+        '': { format: 0xFFFE, container: 24, valid: 24, subtype: 1 }, // As received: packed 24-bit
+        s16: { format: 1, container: 16 },
+        s24: { format: 0xFFFE, container: 24, valid: 24, subtype: 1 },
+        s24_32: { format: 0xFFFE, container: 32, valid: 24, subtype: 1 },
+        s32: { format: 0xFFFE, container: 32, valid: 32, subtype: 1 },
+        f32: { format: 0xFFFE, container: 32, valid: 32, subtype: 3 }
+      };
+
+      for (const [outputSampleFormat, wav] of Object.entries(expected)) {
+        const header = await startPlayer(decoded, { outputSampleFormat: outputSampleFormat || null });
+        await player.stop();
+
+        const extensible = header.readUInt16LE(20) === 0xFFFE;
+        const actual = {
+          format: header.readUInt16LE(20),
+          container: header.readUInt16LE(34),
+          ...(extensible ? { valid: header.readUInt16LE(38), subtype: header.readUInt16LE(44) } : {})
+        };
+        expect({ [outputSampleFormat || 'as received']: actual }).toEqual({ [outputSampleFormat || 'as received']: wav });
+        expect(header.readUInt16LE(32)).toBe(2 * wav.container / 8); // block align
+      }
+    });
+
+    it('should refuse to start with an unsupported bit depth', async () => {
+      await expect(startPlayer({ bit_depth: 20 })).rejects.toThrow('Unsupported bit depth');
+    });
+  });
+
   describe('stop', () => {
     beforeEach(async () => {
       player = new AudioPlayer({
@@ -222,6 +335,39 @@ describe('AudioPlayer', () => {
     });
   });
 
+  describe('getCapabilities', () => {
+    it('should report the PCM formats the WAV stream can carry', () => {
+      player = new AudioPlayer({
+        commandRouter: mockCommandRouter,
+        logger: mockLogger
+      });
+
+      const capabilities = player.getCapabilities();
+
+      expect(capabilities.sampleRates).toContain(192000);
+      expect(capabilities.sampleRates).toContain(44100);
+      expect(capabilities.bitDepths).toEqual([24, 16]);
+      expect(capabilities.channels).toContain(2);
+    });
+  });
+
+  describe('getOutputLatency', () => {
+    it('should report the configured MPD pipeline delay', () => {
+      player = new AudioPlayer({
+        commandRouter: mockCommandRouter,
+        logger: mockLogger
+      });
+      expect(player.getOutputLatency()).toBe(500);
+
+      player = new AudioPlayer({
+        commandRouter: mockCommandRouter,
+        logger: mockLogger,
+        outputLatencyMs: 350
+      });
+      expect(player.getOutputLatency()).toBe(350);
+    });
+  });
+
   describe('isActive', () => {
     it('should return false when not playing', () => {
       player = new AudioPlayer({
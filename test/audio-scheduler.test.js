@@ -0,0 +1,248 @@
+'use strict';
+
+const AudioScheduler = require('../lib/audio-scheduler');
+const ClockSync = require('../lib/clock-sync');
+const monotonicClock = require('../lib/monotonic-clock');
+
+describe('AudioScheduler', () => {
+  let scheduler;
+  let clockSync;
+  let mockLogger;
+
+  // Server loop clock is 5s ahead of our monotonic clock
+  const SERVER_OFFSET = 5000000;
+
+  // 20ms of 48kHz stereo 16-bit PCM, tagged with an id in the first byte
+  const createChunk = (id = 0, frames = 960) => {
+    const buffer = Buffer.alloc(frames * 4);
+    buffer[0] = id;
+    return buffer;
+  };
+
+  const syncClock = () => {
+    const t1 = monotonicClock.nowMicros();
+    clockSync.processSyncResponse(t1, t1 + SERVER_OFFSET + 1000, t1 + SERVER_OFFSET + 1100, t1 + 2100);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+
+    clockSync = new ClockSync(mockLogger);
+    syncClock();
+  });
+
+  afterEach(() => {
+    if (scheduler) {
+      scheduler.stop();
+      scheduler = null;
+    }
+    jest.useRealTimers();
+  });
+
+  describe('schedule', () => {
+    it('should queue chunks by play time', () => {
+      scheduler = new AudioScheduler(clockSync, 100, mockLogger);
+      const serverNow = clockSync.serverMicrosNow();
+
+      scheduler.schedule(Buffer.alloc(4), serverNow + 200000);
+      scheduler.schedule(Buffer.alloc(4), serverNow + 100000);
+
+      expect(scheduler.bufferQueue.length).toBe(2);
+      expect(scheduler.peek().timestamp).toBe(serverNow + 100000);
+    });
+
+    it('should drop chunks that are already late', () => {
+      scheduler = new AudioScheduler(clockSync, 100, mockLogger);
+      const serverNow = clockSync.serverMicrosNow();
+
+      scheduler.schedule(Buffer.alloc(4), serverNow - 100000);
+
+      expect(scheduler.bufferQueue.length).toBe(0);
+      expect(scheduler.getStats().dropped).toBe(1);
+    });
+  });
+
+  describe('playback', () => {
+    it('should play chunks when their time arrives', () => {
+      const played = [];
+      scheduler = new AudioScheduler(clockSync, 20, mockLogger);
+      scheduler.start((samples) => played.push(samples));
+
+      const serverNow = clockSync.serverMicrosNow();
+      for (let i = 0; i < 5; i++) {
+        scheduler.schedule(createChunk(i), serverNow + 100000 + i * 20000);
+      }
+
+      jest.advanceTimersByTime(40);
+      expect(played.length).toBe(0);
+
+      jest.advanceTimersByTime(200);
+      expect(played.map(b => b[0])).toEqual([0, 1, 2, 3, 4]);
+      expect(scheduler.getStats().dropped).toBe(0);
+    });
+
+    it('should release chunks early by the output latency', () => {
+      const released = [];
+      scheduler = new AudioScheduler(clockSync, 20, mockLogger);
+      scheduler.setOutputLatency(300);
+      scheduler.start((samples, playAt) => released.push({ id: samples[0], playAt, at: monotonicClock.nowMs() }));
+
+      const serverNow = clockSync.serverMicrosNow();
+      scheduler.schedule(createChunk(0), serverNow + 400000);
+      scheduler.schedule(createChunk(1), serverNow + 420000);
+
+      jest.advanceTimersByTime(40);
+      expect(released.length).toBe(0);
+
+      jest.advanceTimersByTime(100);
+      expect(released.map(r => r.id)).toEqual([0, 1]);
+      // Handed over ~300ms ahead, still tagged with the time they should be heard
+      expect(released[0].playAt - released[0].at).toBeGreaterThan(250);
+      expect(scheduler.getStats().outputLatencyMs).toBe(300);
+    });
+
+    it('should add the static delay to the output latency', () => {
+      const released = [];
+      scheduler = new AudioScheduler(clockSync, 20, mockLogger);
+      scheduler.setOutputLatency(100);
+      scheduler.setStaticDelay(150);
+      scheduler.start((samples) => released.push(samples[0]));
+
+      scheduler.schedule(createChunk(0), clockSync.serverMicrosNow() + 400000);
+
+      // Due 250ms before playAt
+      jest.advanceTimersByTime(90);
+      expect(released).toEqual([]);
+      jest.advanceTimersByTime(40);
+      expect(released).toEqual([0]);
+    });
+
+    it('should drop chunks that arrive too late to cover the output latency', () => {
+      scheduler = new AudioScheduler(clockSync, 20, mockLogger);
+      scheduler.setOutputLatency(300);
+
+      // Would still be on time without the output pipeline delay
+      scheduler.schedule(createChunk(0), clockSync.serverMicrosNow() + 100000);
+
+      expect(scheduler.getStats().dropped).toBe(1);
+    });
+  });
+
+  describe('system clock steps', () => {
+    const runStreamWithClockStep = (stepMs) => {
+      const played = [];
+      scheduler = new AudioScheduler(clockSync, 100, mockLogger);
+      scheduler.start((samples) => played.push(samples));
+
+      // 50 x 20ms chunks starting 200ms from now
+      const serverStart = clockSync.serverMicrosNow() + 200000;
+      for (let i = 0; i < 50; i++) {
+        scheduler.schedule(createChunk(i), serverStart + i * 20000);
+      }
+
+      // Play part of the stream, then NTP steps the system clock
+      jest.advanceTimersByTime(500);
+      const playedBeforeStep = played.length;
+      jest.setSystemTime(Date.now() + stepMs);
+
+      // Keep receiving chunks after the step
+      for (let i = 50; i < 60; i++) {
+        scheduler.schedule(createChunk(i), serverStart + i * 20000);
+      }
+      jest.advanceTimersByTime(1000);
+
+      return { played, playedBeforeStep };
+    };
+
+    it('should keep playing on time when the clock steps forward', () => {
+      const { played, playedBeforeStep } = runStreamWithClockStep(3600000);
+
+      expect(playedBeforeStep).toBeGreaterThan(0);
+      expect(playedBeforeStep).toBeLessThan(50);
+      expect(played.length).toBe(60);
+      expect(scheduler.getStats().dropped).toBe(0);
+    });
+
+    it('should keep playing on time when the clock steps backward', () => {
+      const { played } = runStreamWithClockStep(-3600000);
+
+      expect(played.length).toBe(60);
+      expect(scheduler.getStats().dropped).toBe(0);
+    });
+  });
+
+  describe('chunk duration', () => {
+    it('should derive duration from byte length and format', () => {
+      scheduler = new AudioScheduler(clockSync, 100, mockLogger);
+      scheduler.setFormat({ sample_rate: 192000, channels: 2, bit_depth: 24 });
+
+      // 25ms at 192kHz stereo 24-bit
+      expect(scheduler.getChunkDuration(Buffer.alloc(4800 * 6))).toBe(25);
+
+      // Decoded sample size can differ from the stream's bit depth
+      scheduler.setFormat({ sample_rate: 48000, channels: 2, bit_depth: 24 }, 4);
+      expect(scheduler.getChunkDuration(Buffer.alloc(480 * 8))).toBe(10);
+    });
+
+    it('should finish buffering once the target duration is queued', () => {
+      const played = [];
+      scheduler = new AudioScheduler(clockSync, 100, mockLogger, { sample_rate: 96000, channels: 2, bit_depth: 16 });
+      scheduler.start((samples) => played.push(samples));
+      const serverNow = clockSync.serverMicrosNow();
+
+      // 50ms chunks - two reach the 100ms target
+      scheduler.schedule(Buffer.alloc(4800 * 4), serverNow + 40000);
+      jest.advanceTimersByTime(10);
+      expect(scheduler.buffering).toBe(true);
+
+      scheduler.schedule(Buffer.alloc(4800 * 4), serverNow + 90000);
+      jest.advanceTimersByTime(10);
+      expect(scheduler.buffering).toBe(false);
+    });
+
+    it('should limit the queue by duration', () => {
+      scheduler = new AudioScheduler(clockSync, 100, mockLogger);
+      const serverNow = clockSync.serverMicrosNow();
+
+      // 200ms chunks against a 1100ms limit
+      for (let i = 0; i < 8; i++) {
+        scheduler.schedule(createChunk(i, 9600), serverNow + 100000 + i * 200000);
+      }
+
+      expect(scheduler.bufferQueue.length).toBe(5);
+      expect(scheduler.getStats().dropped).toBe(3);
+    });
+  });
+
+  describe('getBufferDepth', () => {
+    it('should report queued duration', () => {
+      scheduler = new AudioScheduler(clockSync, 100, mockLogger);
+      const serverNow = clockSync.serverMicrosNow();
+
+      scheduler.schedule(createChunk(), serverNow + 100000);
+      scheduler.schedule(createChunk(), serverNow + 120000);
+
+      expect(scheduler.getBufferDepth()).toBe(40);
+    });
+
+    it('should report real duration for chunks that are not 20ms', () => {
+      scheduler = new AudioScheduler(clockSync, 100, mockLogger, { sample_rate: 192000, channels: 2, bit_depth: 24 });
+      const serverNow = clockSync.serverMicrosNow();
+
+      // Two 25ms chunks at 192kHz/24-bit
+      scheduler.schedule(Buffer.alloc(4800 * 6), serverNow + 100000);
+      scheduler.schedule(Buffer.alloc(4800 * 6), serverNow + 125000);
+      expect(scheduler.getBufferDepth()).toBe(50);
+
+      scheduler.pop();
+      expect(scheduler.getBufferDepth()).toBe(25);
+    });
+  });
+});
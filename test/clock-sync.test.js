@@ -0,0 +1,203 @@
+'use strict';
+
+const ClockSync = require('../lib/clock-sync');
+const monotonicClock = require('../lib/monotonic-clock');
+
+describe('ClockSync', () => {
+  let clockSync;
+  let mockLogger;
+
+  // Deterministic pseudo-random generator so network jitter is reproducible
+  const createRandom = (seed) => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  /**
+   * Simulate an NTP-style exchange against a server clock with a fixed offset and drift
+   * @returns {number[]} [t1, t2, t3, t4]
+   */
+  const exchange = (localTime, server, upDelay, downDelay) => {
+    const t1 = localTime;
+    const t2 = server(t1 + upDelay);
+    const t3 = t2 + 100; // 100μs server processing
+    const t4 = t1 + upDelay + 100 + downDelay;
+    return [t1, t2, t3, t4];
+  };
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    clockSync = new ClockSync(mockLogger);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('processSyncResponse', () => {
+    it('should use the midpoint of t1/t4 for the first sample', () => {
+      // Server is 1s ahead, symmetric 5ms path
+      const server = (local) => local + 1000000;
+      clockSync.processSyncResponse(...exchange(10000000, server, 5000, 5000));
+
+      expect(clockSync.isSynced()).toBe(true);
+      expect(clockSync.getStats().offset).toBe(1000000);
+      expect(clockSync.serverLoopStartUnix).toBe(-1000000);
+    });
+
+    it('should discard samples with RTT above 100ms', () => {
+      const server = (local) => local + 1000000;
+      clockSync.processSyncResponse(...exchange(10000000, server, 60000, 60000));
+
+      expect(clockSync.isSynced()).toBe(false);
+      expect(clockSync.getStats().samples).toBe(0);
+    });
+
+    it('should lose sync when only high-RTT samples arrive', () => {
+      const server = (local) => local + 1000000;
+      let nowMs = 10000;
+      jest.spyOn(monotonicClock, 'nowMs').mockImplementation(() => nowMs);
+      clockSync.processSyncResponse(...exchange(10000000, server, 5000, 5000));
+      expect(clockSync.getStats()).toEqual(expect.objectContaining({ quality: 'good', rtt: 10000 }));
+
+      // Congested network for 6s: every answer is discarded
+      for (let i = 1; i <= 6; i++) {
+        nowMs += 1000;
+        clockSync.processSyncResponse(...exchange(10000000 + i * 1000000, server, 60000, 60000));
+      }
+
+      expect(clockSync.lastSync).toBe(10000);
+      expect(clockSync.getStats()).toEqual(expect.objectContaining({ quality: 'lost', rtt: 10000 }));
+    });
+
+    it('should converge on offset and drift from jittery samples', () => {
+      const random = createRandom(42);
+      const driftPpm = 50;
+      const server = (local) => local * (1 + driftPpm / 1e6) + 7000000;
+
+      let localTime = 1000000000;
+      for (let i = 0; i < 120; i++) {
+        // Asymmetric jitter: 1-20ms each way
+        const up = 1000 + random() * 19000;
+        const down = 1000 + random() * 19000;
+        clockSync.processSyncResponse(...exchange(localTime, server, up, down));
+        localTime += 1000000;
+      }
+
+      const stats = clockSync.getStats();
+      const expectedOffset = server(clockSync.lastUpdateTime) - clockSync.lastUpdateTime;
+
+      expect(Math.abs(stats.offset - expectedOffset)).toBeLessThan(2000);
+      expect(Math.abs(stats.drift - driftPpm)).toBeLessThan(10);
+      expect(stats.error).toBeGreaterThan(0);
+      expect(stats.error).toBeLessThan(5000);
+      expect(stats.samples).toBe(120);
+    });
+
+    it('should weight low-RTT samples more than high-RTT samples', () => {
+      const server = (local) => local + 2000000;
+
+      let localTime = 1000000000;
+      for (let i = 0; i < 20; i++) {
+        clockSync.processSyncResponse(...exchange(localTime, server, 1000, 1000));
+        localTime += 1000000;
+      }
+      const before = clockSync.getStats().offset;
+
+      // High-RTT sample with a very asymmetric path (measurement is ~40ms off)
+      clockSync.processSyncResponse(...exchange(localTime, server, 80000, 0));
+
+      expect(Math.abs(clockSync.getStats().offset - before)).toBeLessThan(2000);
+    });
+  });
+
+  describe('reset', () => {
+    it('should follow a new server clock immediately after a switch mid-stream', () => {
+      const first = (local) => local + 5000000;
+      const second = (local) => local - 120000000; // Restarted server: loop time starts over
+
+      let localTime = monotonicClock.nowMicros() - 61000000;
+      for (let i = 0; i < 60; i++) {
+        clockSync.processSyncResponse(...exchange(localTime, first, 2000, 2000));
+        localTime += 1000000;
+      }
+      expect(clockSync.getStats().offset).toBe(5000000);
+
+      // New session
+      clockSync.reset();
+      expect(clockSync.isSynced()).toBe(false);
+      expect(clockSync.getStats()).toEqual(expect.objectContaining({ quality: 'lost', samples: 0 }));
+
+      for (let i = 0; i < 5; i++) {
+        clockSync.processSyncResponse(...exchange(localTime, second, 2000, 2000));
+        localTime += 100000;
+      }
+
+      const stats = clockSync.getStats();
+      expect(stats.offset).toBe(-120000000);
+      expect(Math.abs(stats.drift)).toBeLessThan(1);
+      expect(clockSync.serverToLocalTime(second(localTime))).toBeCloseTo(localTime, -3);
+    });
+  });
+
+  describe('getStats', () => {
+    it('should report no offset or error before sync', () => {
+      const stats = clockSync.getStats();
+
+      expect(stats.quality).toBe('lost');
+      expect(stats.offset).toBe(0);
+      expect(stats.drift).toBe(0);
+      expect(stats.error).toBeNull();
+    });
+  });
+
+  describe('time conversion', () => {
+    it('should round-trip between server and local time', () => {
+      const server = (local) => local * (1 + 20 / 1e6) + 3000000;
+
+      let localTime = monotonicClock.nowMicros() - 30000000;
+      for (let i = 0; i < 30; i++) {
+        clockSync.processSyncResponse(...exchange(localTime, server, 2000, 2000));
+        localTime += 1000000;
+      }
+
+      // Reference times taken together, so time spent in the assertions doesn't count
+      const serverNow = clockSync.serverMicrosNow();
+      const localNow = monotonicClock.nowMicros();
+      const unixNow = Date.now() * 1000;
+
+      expect(Math.abs(serverNow - server(localNow))).toBeLessThan(5000);
+      expect(Math.abs(clockSync.serverToLocalTime(serverNow) - localNow)).toBeLessThan(5000);
+      expect(Math.abs(clockSync.serverToUnixTime(serverNow) - unixNow)).toBeLessThan(5000);
+    });
+  });
+
+  describe('system clock steps', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should not shift conversions when the wall clock is stepped', () => {
+      jest.useFakeTimers();
+      const server = (local) => local + 3000000;
+
+      let localTime = monotonicClock.nowMicros();
+      for (let i = 0; i < 10; i++) {
+        clockSync.processSyncResponse(...exchange(localTime, server, 2000, 2000));
+        localTime += 1000;
+      }
+      const localBefore = clockSync.serverToLocalTime(server(localTime));
+
+      // NTP steps the system clock forward by an hour
+      jest.setSystemTime(Date.now() + 3600000);
+
+      expect(clockSync.serverToLocalTime(server(localTime))).toBe(localBefore);
+      expect(clockSync.getStats().quality).toBe('good');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const DriftCorrector = require('../lib/drift-corrector');
+
+describe('DriftCorrector', () => {
+  let corrector;
+  let mockLogger;
+
+  const FORMAT = { codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 };
+  const FRAMES_PER_CHUNK = 960; // 20ms at 48kHz
+  const FRAME_SIZE = 4; // 2 channels x 16-bit
+
+  /**
+   * Create a chunk whose frames are numbered so inserted/dropped frames can be detected
+   */
+  const createChunk = (frames = FRAMES_PER_CHUNK) => {
+    const buffer = Buffer.alloc(frames * FRAME_SIZE);
+    for (let i = 0; i < frames; i++) {
+      buffer.writeInt16LE(i, i * FRAME_SIZE);
+      buffer.writeInt16LE(i, i * FRAME_SIZE + 2);
+    }
+    return buffer;
+  };
+
+  /**
+   * Play a stream to a simulated sound card whose clock runs fast or slow
+   * Chunks are written 100ms ahead of their play time; the card starts with the first chunk
+   * and reports what is still queued the way AlsaPlayer.getPlayoutDelay() does.
+   * @param {number} cardPpm - Sound card runs this much faster than the local clock (positive = insert)
+   * @param {number} seconds - Stream duration
+   */
+  const runStream = (cardPpm, seconds) => {
+    const chunkMs = (FRAMES_PER_CHUNK / 48000) * 1000;
+    const chunks = Math.round((seconds * 1000) / chunkMs);
+    const chunk = createChunk();
+    const leadMs = 100;
+    const startMs = 1000;
+    let outputFrames = 0;
+    for (let i = 0; i < chunks; i++) {
+      const playAt = startMs + i * chunkMs;
+      const now = playAt - leadMs;
+      const played = Math.min(outputFrames, (now - startMs) * 48 * (1 + cardPpm / 1e6));
+      const playout = now < startMs ? null : { delayMs: (outputFrames - played) / 48, atMs: now };
+      outputFrames += corrector.process(chunk, playAt, playout).length / FRAME_SIZE;
+    }
+    return { outputFrames, inputFrames: chunks * FRAMES_PER_CHUNK };
+  };
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    corrector = new DriftCorrector({ logger: mockLogger });
+    corrector.configure(FORMAT);
+  });
+
+  describe('process', () => {
+    it('should pass chunks through while the output position is unknown', () => {
+      const chunk = createChunk();
+
+      expect(corrector.process(chunk, 1000, null)).toBe(chunk);
+      expect(corrector.getStats()).toEqual(expect.objectContaining({ measured: false, correctionPpm: 0 }));
+    });
+
+    it('should not correct a sound card that runs on time', () => {
+      runStream(0, 30);
+
+      const stats = corrector.getStats();
+      expect(stats.measured).toBe(true);
+      expect(stats.framesInserted).toBe(0);
+      expect(stats.framesDropped).toBe(0);
+      expect(stats.correctionPpm).toBe(0);
+    });
+
+    it('should insert frames when the sound card runs fast', () => {
+      const { outputFrames, inputFrames } = runStream(200, 120);
+
+      const stats = corrector.getStats();
+      expect(stats.framesInserted).toBeGreaterThan(0);
+      expect(stats.framesDropped).toBe(0);
+      expect(stats.correctionPpm).toBeLessThan(0);
+      expect(outputFrames).toBeGreaterThan(inputFrames);
+      // Converged: residual error well under a millisecond
+      expect(Math.abs(stats.errorMs)).toBeLessThan(1);
+    });
+
+    it('should drop frames when the sound card runs slow', () => {
+      const { outputFrames, inputFrames } = runStream(-200, 120);
+
+      const stats = corrector.getStats();
+      expect(stats.framesDropped).toBeGreaterThan(0);
+      expect(stats.framesInserted).toBe(0);
+      expect(stats.correctionPpm).toBeGreaterThan(0);
+      expect(outputFrames).toBeLessThan(inputFrames);
+      expect(Math.abs(stats.errorMs)).toBeLessThan(1);
+    });
+
+    it('should never change a chunk by more than one frame', () => {
+      const chunk = createChunk();
+
+      // Heard 30ms late - large but within the resync threshold
+      const output = corrector.process(chunk, 1000, { delayMs: 130, atMs: 900 });
+      expect(Math.abs(output.length - chunk.length)).toBeLessThanOrEqual(FRAME_SIZE);
+    });
+
+    it('should duplicate the middle frame when inserting', () => {
+      const chunk = createChunk(8);
+      const output = corrector.insertFrame(chunk, 8, FRAME_SIZE);
+
+      const frames = [];
+      for (let i = 0; i < output.length / FRAME_SIZE; i++) {
+        frames.push(output.readInt16LE(i * FRAME_SIZE));
+      }
+      expect(frames).toEqual([0, 1, 2, 3, 4, 4, 5, 6, 7]);
+    });
+
+    it('should resync instead of slewing large errors', () => {
+      const chunk = createChunk();
+      corrector.process(chunk, 1000, { delayMs: 110, atMs: 900 });
+      expect(corrector.getStats().errorMs).not.toBe(0);
+
+      // Device queue 200ms longer than the play time allows (e.g. after an underrun)
+      expect(corrector.process(chunk, 1020, { delayMs: 300, atMs: 920 })).toBe(chunk);
+      expect(corrector.process(chunk, 1040, { delayMs: 300, atMs: 940 })).toBe(chunk);
+
+      const stats = corrector.getStats();
+      expect(stats.resyncs).toBe(1);
+      expect(stats.errorMs).toBe(0);
+      expect(stats.correctionPpm).toBe(0);
+    });
+  });
+
+  describe('reset', () => {
+    it('should clear the controller and statistics', () => {
+      runStream(200, 30);
+      corrector.reset();
+
+      const stats = corrector.getStats();
+      expect(stats.measured).toBe(false);
+      expect(stats.errorMs).toBe(0);
+      expect(stats.framesInserted).toBe(0);
+      expect(stats.correctionPpm).toBe(0);
+    });
+  });
+});
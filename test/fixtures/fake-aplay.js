@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+'use strict';
+
+// Stand-in for aplay in AlsaPlayer tests
+// Usage: fake-aplay.js [--output <file>] [--fail] <aplay options>
+// Prints an aplay -v style hardware setup for the requested format and writes everything it
+// receives on stdin to the output file. --fail simulates a device that cannot be opened.
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+const option = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : null);
+
+if (args.includes('--fail')) {
+  process.stderr.write('aplay: main:831: audio open error: No such file or directory\n');
+  process.exit(1);
+}
+
+const outputFile = option('--output');
+const output = outputFile ? fs.createWriteStream(outputFile) : null;
+const finish = () => {
+  if (output) {
+    output.end(() => process.exit(0));
+  } else {
+    process.exit(0);
+  }
+};
+process.stdin.on('data', (data) => {
+  if (output) {
+    output.write(data);
+  }
+});
+process.stdin.on('end', finish);
+process.on('SIGTERM', finish);
+
+const rate = Number(option('-r'));
+const bufferSize = Math.round(Number(option('-B')) / 1e6 * rate);
+process.stderr.write([
+  `Playing raw data 'stdin' : ${option('-f')}, Rate ${rate} Hz, Channels ${option('-c')}`,
+  'Plug PCM: Hardware PCM card 0 \'Fake\' device 0 subdevice 0',
+  'Its setup is:',
+  '  stream       : PLAYBACK',
+  `  format       : ${option('-f')}`,
+  `  channels     : ${option('-c')}`,
+  `  rate         : ${rate}`,
+  `  buffer_size  : ${bufferSize}`,
+  `  period_size  : ${Math.round(bufferSize / 4)}`,
+  ''
+].join('\n'));
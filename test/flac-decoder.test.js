@@ -0,0 +1,142 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const FlacDecoder = require('../lib/flac-decoder');
+
+// Fixtures were encoded with libFLAC (default compression: LPC subframes, mid/side stereo).
+// Each .pcm file holds the expected decoder output (interleaved little-endian).
+const loadFixture = (name) => ({
+  flac: fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.flac`)),
+  pcm: fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.pcm`))
+});
+
+/**
+ * Split a FLAC file into its stream header and individual frames
+ */
+const splitFrames = (flac) => {
+  const parser = new FlacDecoder({ logger: { info: jest.fn(), warn: jest.fn() } });
+  const headerLength = parser.setHeader(flac);
+  const frames = [];
+  let offset = headerLength;
+  while (offset < flac.length) {
+    const end = parser.decodeFrame(flac, offset).end;
+    frames.push(flac.subarray(offset, end));
+    offset = end;
+  }
+  return { header: flac.subarray(0, headerLength), frames };
+};
+
+describe('FlacDecoder', () => {
+  let decoder;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    decoder = new FlacDecoder({ logger: mockLogger });
+  });
+
+  describe('setHeader', () => {
+    it('should parse STREAMINFO', () => {
+      const { flac } = loadFixture('sine-48000-16-stereo');
+      decoder.setHeader(flac);
+
+      expect(decoder.streamInfo).toEqual(expect.objectContaining({
+        sampleRate: 48000,
+        channels: 2,
+        bitsPerSample: 16
+      }));
+    });
+
+    it('should reject data without the fLaC marker', () => {
+      expect(() => decoder.setHeader(Buffer.from('OggS0000'))).toThrow('missing fLaC marker');
+    });
+  });
+
+  describe('decode', () => {
+    it('should decode 16-bit stereo frames chunk by chunk', () => {
+      const { flac, pcm } = loadFixture('sine-48000-16-stereo');
+      const { header, frames } = splitFrames(flac);
+      decoder.setHeader(header);
+
+      expect(frames.length).toBeGreaterThan(1);
+
+      // Each chunk decodes to exactly its own samples, in order
+      let offset = 0;
+      for (const frame of frames) {
+        const output = decoder.decode(frame);
+        expect(output.equals(pcm.subarray(offset, offset + output.length))).toBe(true);
+        offset += output.length;
+      }
+      expect(offset).toBe(pcm.length);
+      expect(decoder.getStats()).toEqual({ frames: frames.length, samples: 4800, errors: 0 });
+    });
+
+    it('should decode 24-bit mono frames to packed 24-bit PCM', () => {
+      const { flac, pcm } = loadFixture('sine-96000-24-mono');
+      const { header, frames } = splitFrames(flac);
+      decoder.setHeader(header);
+
+      const output = Buffer.concat(frames.map(frame => decoder.decode(frame)));
+
+      expect(output.length).toBe(2400 * 3);
+      expect(output.equals(pcm)).toBe(true);
+    });
+
+    it('should decode several frames in one chunk', () => {
+      const { flac, pcm } = loadFixture('sine-48000-16-stereo');
+      const { header, frames } = splitFrames(flac);
+      decoder.setHeader(header);
+
+      expect(decoder.decode(Buffer.concat(frames)).equals(pcm)).toBe(true);
+    });
+
+    it('should accept an in-band stream header', () => {
+      const { flac, pcm } = loadFixture('sine-48000-16-stereo');
+
+      expect(decoder.decode(flac).equals(pcm)).toBe(true);
+      expect(decoder.streamInfo.sampleRate).toBe(48000);
+    });
+
+    it('should reject frames that do not match the stream/start format', () => {
+      const { flac } = loadFixture('sine-48000-16-stereo');
+      const { frames } = splitFrames(flac);
+      decoder = new FlacDecoder({
+        logger: mockLogger,
+        expectedFormat: { sampleRate: 48000, channels: 2, bitsPerSample: 24 }
+      });
+
+      expect(() => decoder.decode(frames[0])).toThrow('Frame format 48000Hz/2ch/16bit does not match stream/start');
+    });
+
+    it('should reject corrupted frames', () => {
+      const { flac } = loadFixture('sine-48000-16-stereo');
+      const { header, frames } = splitFrames(flac);
+      decoder.setHeader(header);
+
+      const corrupted = Buffer.from(frames[0]);
+      corrupted[corrupted.length - 100] ^= 0xff;
+
+      expect(() => decoder.decode(corrupted)).toThrow(/CRC/);
+      expect(decoder.getStats().errors).toBe(1);
+    });
+
+    it('should drop a truncated frame without failing the chunk', () => {
+      const { flac, pcm } = loadFixture('sine-48000-16-stereo');
+      const { header, frames } = splitFrames(flac);
+      decoder.setHeader(header);
+
+      const firstFrameBytes = 4096 * 4;
+      const chunk = Buffer.concat([frames[0], frames[1].subarray(0, 20)]);
+      const output = decoder.decode(chunk);
+
+      expect(output.equals(pcm.subarray(0, firstFrameBytes))).toBe(true);
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('incomplete frame'));
+    });
+  });
+});
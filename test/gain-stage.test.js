@@ -0,0 +1,97 @@
+'use strict';
+
+const GainStage = require('../lib/gain-stage');
+
+describe('GainStage', () => {
+  let gainStage;
+  let mockLogger;
+
+  // Interleaved stereo frames of a constant value
+  const constant16 = (value, frames) => {
+    const buffer = Buffer.alloc(frames * 4);
+    for (let i = 0; i < frames * 2; i++) {
+      buffer.writeInt16LE(value, i * 2);
+    }
+    return buffer;
+  };
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    gainStage = new GainStage({ logger: mockLogger });
+    gainStage.configure('s16', 2, 48000);
+  });
+
+  describe('volumeToGain', () => {
+    it('should map volume onto a dB curve', () => {
+      expect(GainStage.volumeToGain(100, -60)).toBe(1);
+      expect(GainStage.volumeToGain(1, -60)).toBeCloseTo(0.001, 6);
+      expect(20 * Math.log10(GainStage.volumeToGain(50.5, -60))).toBeCloseTo(-30, 6);
+      expect(GainStage.volumeToGain(0, -60)).toBe(0);
+    });
+  });
+
+  describe('process', () => {
+    it('should pass audio through untouched at full volume', () => {
+      const input = constant16(1000, 10);
+
+      expect(gainStage.process(input)).toBe(input);
+    });
+
+    it('should ramp to the new gain instead of stepping', () => {
+      gainStage.setVolume(0, false);
+
+      // 50ms ramp = 2400 frames at 48kHz
+      const output = gainStage.process(constant16(10000, 4800));
+      const first = output.readInt16LE(0);
+      const middle = output.readInt16LE(1200 * 4);
+      const end = output.readInt16LE(2400 * 4);
+
+      expect(first).toBeGreaterThan(9990);
+      expect(middle).toBeGreaterThan(4000);
+      expect(middle).toBeLessThan(6000);
+      expect(end).toBe(0);
+      expect(output.readInt16LE(4799 * 4 + 2)).toBe(0);
+    });
+
+    it('should silence muted audio and keep the volume for unmute', () => {
+      gainStage.setVolume(80, true);
+      gainStage.process(constant16(10000, 4800));
+
+      expect(gainStage.process(constant16(10000, 10)).equals(constant16(0, 10))).toBe(true);
+      expect(gainStage.getStats()).toEqual({ volume: 80, muted: true, gainDb: null });
+    });
+
+    it('should scale packed 24-bit samples', () => {
+      gainStage.configure('s24', 1, 48000);
+      gainStage.setVolume(50.5, false);
+      gainStage.process(Buffer.alloc(2400 * 3));
+
+      const input = Buffer.alloc(6);
+      input.writeIntLE(8000000, 0, 3);
+      input.writeIntLE(-8000000, 3, 3);
+      const output = gainStage.process(input);
+
+      // -30dB
+      expect(output.readIntLE(0, 3)).toBe(Math.round(8000000 * Math.pow(10, -1.5)));
+      expect(output.readIntLE(3, 3)).toBe(Math.round(-8000000 * Math.pow(10, -1.5)));
+    });
+
+    it('should keep the low byte of 24-in-32 samples zero', () => {
+      gainStage.configure('s24_32', 1, 48000);
+      gainStage.setVolume(50.5, false);
+      gainStage.process(Buffer.alloc(2400 * 4));
+
+      const input = Buffer.alloc(4);
+      input.writeInt32LE(0x12345600, 0);
+      const output = gainStage.process(input);
+
+      expect(output[0]).toBe(0);
+      expect(output.readInt32LE(0) / 256).toBe(Math.round(0x123456 * Math.pow(10, -1.5)));
+    });
+  });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const LevelLogger = require('../lib/level-logger');
+
+describe('LevelLogger', () => {
+  let target;
+
+  beforeEach(() => {
+    target = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+  });
+
+  it('should pass messages at or above the level', () => {
+    const logger = new LevelLogger(target, 'warn');
+
+    logger.error('e', 1);
+    logger.warn('w');
+    logger.info('i');
+    logger.debug('d');
+
+    expect(target.error).toHaveBeenCalledWith('e', 1);
+    expect(target.warn).toHaveBeenCalledWith('w');
+    expect(target.info).not.toHaveBeenCalled();
+    expect(target.debug).not.toHaveBeenCalled();
+  });
+
+  it('should change level at runtime and ignore unknown levels', () => {
+    const logger = new LevelLogger(target);
+
+    logger.debug('hidden');
+    expect(logger.setLevel('debug')).toBe(true);
+    logger.debug('shown');
+    expect(logger.setLevel('verbose')).toBe(false);
+
+    expect(logger.level).toBe('debug');
+    expect(target.debug.mock.calls).toEqual([['shown']]);
+  });
+
+  it('should tolerate loggers without every method', () => {
+    const logger = new LevelLogger({ info: jest.fn() }, 'debug');
+
+    expect(() => logger.debug('d')).not.toThrow();
+  });
+});
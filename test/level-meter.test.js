@@ -0,0 +1,94 @@
+'use strict';
+
+const LevelMeter = require('../lib/level-meter');
+
+describe('LevelMeter', () => {
+  let meter;
+  let readings;
+  let mockLogger;
+
+  // Interleaved stereo 16-bit frames: left and right constant values
+  const stereo16 = (left, right, frames) => {
+    const buffer = Buffer.alloc(frames * 4);
+    for (let i = 0; i < frames; i++) {
+      buffer.writeInt16LE(left, i * 4);
+      buffer.writeInt16LE(right, i * 4 + 2);
+    }
+    return buffer;
+  };
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    readings = [];
+    meter = new LevelMeter({ intervalMs: 10, silenceMs: 30, logger: mockLogger });
+    meter.configure('s16', 2, 48000);
+    meter.onReading = (reading) => readings.push(reading);
+  });
+
+  it('should report per-channel RMS and peak every interval', () => {
+    // 10ms = 480 frames at 48kHz
+    meter.process(stereo16(16384, -8192, 960));
+
+    expect(readings).toHaveLength(2);
+    expect(readings[0].rms[0]).toBeCloseTo(-6.02, 1);
+    expect(readings[0].peak[0]).toBeCloseTo(-6.02, 1);
+    expect(readings[0].rms[1]).toBeCloseTo(-12.04, 1);
+    expect(readings[0].clipping).toBe(false);
+    expect(meter.getReading()).toBe(readings[1]);
+  });
+
+  it('should carry partial intervals across buffers', () => {
+    meter.process(stereo16(1000, 1000, 300));
+    expect(readings).toHaveLength(0);
+
+    meter.process(stereo16(1000, 1000, 300));
+    expect(readings).toHaveLength(1);
+  });
+
+  it('should detect clipping at full scale', () => {
+    meter.process(stereo16(32767, -32768, 480));
+
+    expect(readings[0].clipping).toBe(true);
+    expect(readings[0].clippedSamples).toBe(960);
+    expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('Clipping'));
+  });
+
+  it('should report long runs of digital silence', () => {
+    meter.process(stereo16(0, 0, 480 * 2));
+    expect(readings[1].silence).toBe(false);
+
+    meter.process(stereo16(0, 0, 480));
+    expect(readings[2]).toEqual(expect.objectContaining({ silence: true, silentMs: 30, rms: [-120, -120] }));
+
+    meter.process(stereo16(1, 0, 480));
+    expect(readings[3].silence).toBe(false);
+    expect(mockLogger.info).toHaveBeenCalledWith(expect.stringContaining('resumed'));
+  });
+
+  it('should measure float samples', () => {
+    meter.configure('f32', 1, 48000);
+    const buffer = Buffer.alloc(480 * 4);
+    for (let i = 0; i < 480; i++) {
+      buffer.writeFloatLE(i % 2 === 0 ? 0.1 : -0.1, i * 4);
+    }
+
+    meter.process(buffer);
+
+    expect(readings[0].rms[0]).toBeCloseTo(-20, 1);
+    expect(readings[0].peak[0]).toBeCloseTo(-20, 1);
+  });
+
+  it('should have no reading before audio or after reset', () => {
+    expect(meter.getReading()).toBeNull();
+
+    meter.process(stereo16(1000, 1000, 480));
+    meter.reset();
+
+    expect(meter.getReading()).toBeNull();
+  });
+});
@@ -0,0 +1,238 @@
+'use strict';
+
+const os = require('os');
+const MdnsResponder = require('../lib/mdns-responder');
+
+describe('MdnsResponder', () => {
+  let transport;
+  let handlers;
+  let mockLogger;
+  let responder;
+
+  const createTransport = () => {
+    const created = {
+      on: jest.fn((event, handler) => {
+        handlers[event] = handler;
+      }),
+      query: jest.fn(),
+      respond: jest.fn(() => Promise.resolve())
+    };
+    return created;
+  };
+
+  const createResponder = (addresses = [{ address: '192.168.1.5', family: 'IPv4' }]) => new MdnsResponder({
+    transport,
+    serviceType: '_sendspin._tcp.local',
+    instanceName: 'Kitchen',
+    hostname: 'volumio',
+    port: 8927,
+    txt: ['path=/sendspin'],
+    addresses,
+    logger: mockLogger
+  });
+
+  // Other device on the network
+  const peer = { address: '192.168.1.9', port: 5353 };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.spyOn(os, 'networkInterfaces').mockReturnValue({
+      eth0: [{ address: '192.168.1.5', family: 'IPv4', internal: false }]
+    });
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    handlers = {};
+    transport = createTransport();
+    responder = createResponder();
+  });
+
+  afterEach(() => {
+    responder.clearTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should probe three times, announce three times, then stay quiet', () => {
+    responder.start();
+
+    jest.advanceTimersByTime(500);
+    expect(transport.query).toHaveBeenCalledTimes(3);
+    expect(transport.query.mock.calls[0][0]).toEqual({
+      questions: [
+        { name: 'Kitchen._sendspin._tcp.local', type: 'ANY' },
+        { name: 'volumio.local', type: 'ANY' }
+      ],
+      authorities: expect.arrayContaining([
+        expect.objectContaining({ type: 'SRV', data: expect.objectContaining({ port: 8927, target: 'volumio.local' }) }),
+        expect.objectContaining({ type: 'A', data: '192.168.1.5' })
+      ])
+    });
+    expect(transport.respond).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(250);
+    expect(transport.respond).toHaveBeenCalledTimes(1);
+    const answers = transport.respond.mock.calls[0][0].answers;
+    expect(answers).toEqual([
+      { name: '_sendspin._tcp.local', type: 'PTR', data: 'Kitchen._sendspin._tcp.local', ttl: 120 },
+      expect.objectContaining({ name: 'Kitchen._sendspin._tcp.local', type: 'SRV', flush: true }),
+      expect.objectContaining({ name: 'Kitchen._sendspin._tcp.local', type: 'TXT', flush: true }),
+      { name: 'volumio.local', type: 'A', flush: true, data: '192.168.1.5', ttl: 120 }
+    ]);
+
+    jest.advanceTimersByTime(1000);
+    expect(transport.respond).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(2000);
+    expect(transport.respond).toHaveBeenCalledTimes(3);
+    expect(responder.state).toBe('announced');
+
+    jest.advanceTimersByTime(60000);
+    expect(transport.respond).toHaveBeenCalledTimes(3);
+    expect(transport.query).toHaveBeenCalledTimes(3);
+  });
+
+  it('should rename the service and host when their names are taken while probing', () => {
+    responder.start();
+    jest.advanceTimersByTime(0);
+
+    handlers.response({
+      answers: [
+        { name: 'Kitchen._sendspin._tcp.local', type: 'SRV', data: { port: 8927, target: 'other.local', priority: 0, weight: 0 }, ttl: 120 },
+        { name: 'volumio.local', type: 'A', data: '192.168.1.9', ttl: 120 }
+      ]
+    }, peer);
+
+    expect(responder.instanceName).toBe('Kitchen (2)');
+    expect(responder.hostname).toBe('volumio-2');
+    expect(mockLogger.warn).toHaveBeenCalledWith('[MdnsResponder] Service name "Kitchen" is already in use, renaming to "Kitchen (2)"');
+
+    jest.advanceTimersByTime(750);
+    expect(transport.respond.mock.calls[0][0].answers[0].data).toBe('Kitchen (2)._sendspin._tcp.local');
+  });
+
+  it('should ignore its own packets and matching records', () => {
+    responder.start();
+    jest.advanceTimersByTime(0);
+
+    const own = { answers: [{ name: 'Kitchen._sendspin._tcp.local', type: 'SRV', data: { port: 1, target: 'x.local' }, ttl: 120 }] };
+    handlers.response(own, { address: '192.168.1.5', port: 5353 });
+    handlers.response({
+      answers: [
+        { name: 'Kitchen._sendspin._tcp.local', type: 'TXT', data: [Buffer.from('path=/sendspin')], ttl: 120 },
+        { name: 'volumio.local', type: 'A', data: '192.168.1.5', ttl: 120 }
+      ]
+    }, peer);
+
+    expect(responder.instanceName).toBe('Kitchen');
+    expect(responder.hostname).toBe('volumio');
+  });
+
+  it('should probe again after losing a simultaneous probe tiebreak', () => {
+    responder.start();
+    jest.advanceTimersByTime(0);
+    expect(transport.query).toHaveBeenCalledTimes(1);
+
+    // Same name proposed by a device with a later address: it wins
+    handlers.query({
+      questions: [{ name: 'volumio.local', type: 'ANY' }],
+      authorities: [{ name: 'volumio.local', type: 'A', data: '192.168.1.9', ttl: 120 }]
+    }, peer);
+
+    jest.advanceTimersByTime(999);
+    expect(transport.query).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    expect(transport.query).toHaveBeenCalledTimes(2);
+
+    // An earlier address loses to us: keep probing as planned
+    handlers.query({
+      questions: [{ name: 'volumio.local', type: 'ANY' }],
+      authorities: [{ name: 'volumio.local', type: 'A', data: '192.168.1.2', ttl: 120 }]
+    }, peer);
+    jest.advanceTimersByTime(750);
+    expect(transport.respond).toHaveBeenCalledTimes(1);
+  });
+
+  it('should answer only questions about its records', () => {
+    responder.start();
+    jest.advanceTimersByTime(750);
+    transport.respond.mockClear();
+
+    handlers.query({ questions: [{ name: '_other._tcp.local', type: 'PTR' }] }, peer);
+    handlers.query({ questions: [{ name: 'volumio.local', type: 'AAAA' }] }, peer);
+    jest.advanceTimersByTime(200);
+    expect(transport.respond).not.toHaveBeenCalled();
+
+    handlers.query({ questions: [{ name: '_sendspin._tcp.local', type: 'PTR' }] }, peer);
+    expect(transport.respond).not.toHaveBeenCalled(); // Shared answers are delayed
+    jest.advanceTimersByTime(20);
+    expect(transport.respond).toHaveBeenCalledTimes(1);
+    const response = transport.respond.mock.calls[0][0];
+    expect(response.answers).toEqual([expect.objectContaining({ type: 'PTR', data: 'Kitchen._sendspin._tcp.local' })]);
+    expect(response.additionals.map(record => record.type)).toEqual(['SRV', 'TXT', 'A']);
+
+    handlers.query({ questions: [{ name: 'volumio.local', type: 'A' }] }, peer);
+    jest.advanceTimersByTime(0);
+    expect(transport.respond.mock.calls[1][0].answers).toEqual([expect.objectContaining({ type: 'A', data: '192.168.1.5' })]);
+  });
+
+  it('should skip known answers and reply directly to legacy unicast queries', () => {
+    responder.start();
+    jest.advanceTimersByTime(750);
+    transport.respond.mockClear();
+
+    handlers.query({
+      questions: [{ name: '_sendspin._tcp.local', type: 'PTR' }],
+      answers: [{ name: '_sendspin._tcp.local', type: 'PTR', data: 'Kitchen._sendspin._tcp.local', ttl: 100 }]
+    }, peer);
+    jest.advanceTimersByTime(200);
+    expect(transport.respond).not.toHaveBeenCalled();
+
+    const legacy = { address: '192.168.1.9', port: 41000 };
+    handlers.query({ id: 7, questions: [{ name: 'Kitchen._sendspin._tcp.local', type: 'SRV' }] }, legacy);
+    expect(transport.respond).toHaveBeenCalledWith(expect.objectContaining({
+      id: 7,
+      questions: [{ name: 'Kitchen._sendspin._tcp.local', type: 'SRV' }],
+      answers: [expect.objectContaining({ type: 'SRV', ttl: 10, flush: false })]
+    }), legacy);
+  });
+
+  it('should send goodbyes when stopped', async () => {
+    responder.start();
+    jest.advanceTimersByTime(750);
+    transport.respond.mockClear();
+
+    await responder.stop();
+
+    const answers = transport.respond.mock.calls[0][0].answers;
+    expect(answers).toHaveLength(4);
+    expect(answers.every(record => record.ttl === 0)).toBe(true);
+    expect(mockLogger.info).toHaveBeenCalledWith('[MdnsResponder] Sent goodbye for Kitchen._sendspin._tcp.local');
+
+    handlers.query({ questions: [{ name: '_sendspin._tcp.local', type: 'PTR' }] }, peer);
+    jest.advanceTimersByTime(200);
+    expect(transport.respond).toHaveBeenCalledTimes(1);
+  });
+
+  it('should say goodbye to removed addresses and probe again on restart', async () => {
+    responder.start();
+    jest.advanceTimersByTime(750);
+    const oldTransport = transport;
+    oldTransport.respond.mockClear();
+    transport = createTransport();
+
+    await responder.restart(transport, [{ address: '192.168.2.7', family: 'IPv4' }]);
+
+    expect(oldTransport.respond).toHaveBeenCalledWith({
+      answers: [{ name: 'volumio.local', type: 'A', flush: true, data: '192.168.1.5', ttl: 0 }]
+    });
+    jest.advanceTimersByTime(750);
+    expect(transport.query).toHaveBeenCalledTimes(3);
+    expect(transport.respond.mock.calls[0][0].answers).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'A', data: '192.168.2.7', ttl: 120 })
+    ]));
+  });
+});
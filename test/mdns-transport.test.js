@@ -0,0 +1,91 @@
+'use strict';
+
+jest.mock('multicast-dns');
+
+const os = require('os');
+const mdns = require('multicast-dns');
+const MdnsTransport = require('../lib/mdns-transport');
+
+describe('MdnsTransport', () => {
+  let instances;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    instances = [];
+    mdns.mockClear();
+    mdns.mockImplementation(() => {
+      const instance = { on: jest.fn(), query: jest.fn(), respond: jest.fn(), destroy: jest.fn() };
+      instances.push(instance);
+      return instance;
+    });
+    jest.spyOn(os, 'networkInterfaces').mockReturnValue({
+      lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }],
+      eth0: [
+        { address: '192.168.1.5', family: 'IPv4', internal: false },
+        { address: 'fe80::5', family: 'IPv6', internal: false }
+      ],
+      wlan0: [{ address: '192.168.2.5', family: 'IPv4', internal: false }]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should open IPv4 and IPv6 sockets on every interface', () => {
+    const transport = new MdnsTransport({ logger: mockLogger });
+
+    expect(mdns.mock.calls).toEqual([
+      [{}],
+      [{ type: 'udp6', ip: 'ff02::fb', interface: '::%eth0', bind: '::' }]
+    ]);
+
+    transport.query('_sendspin-server._tcp.local', 'PTR');
+    expect(instances[0].query).toHaveBeenCalledWith('_sendspin-server._tcp.local', 'PTR');
+    expect(instances[1].query).toHaveBeenCalledWith('_sendspin-server._tcp.local', 'PTR');
+
+    transport.destroy();
+    expect(instances[1].destroy).toHaveBeenCalled();
+  });
+
+  it('should limit the sockets to the chosen interface', () => {
+    new MdnsTransport({ interfaceName: 'wlan0', logger: mockLogger });
+
+    expect(mdns.mock.calls).toEqual([[{ interface: '192.168.2.5' }]]);
+  });
+
+  it('should answer on the socket a packet arrived on', async () => {
+    const transport = new MdnsTransport({ logger: mockLogger });
+    const handler = jest.fn();
+    transport.on('query', handler);
+    instances[1].on.mock.calls.find(call => call[0] === 'query')[1]({ questions: [] }, { address: 'fd00::9', port: 5353 });
+
+    const rinfo = handler.mock.calls[0][1];
+    expect(rinfo).toEqual({ address: 'fd00::9', port: 5353, mdns: instances[1] });
+
+    instances[1].respond.mockImplementation((response, target, callback) => callback());
+    await transport.respond({ answers: [] }, { mdns: rinfo.mdns });
+    expect(instances[1].respond).toHaveBeenCalledWith({ answers: [] }, null, expect.any(Function));
+    expect(instances[0].respond).not.toHaveBeenCalled();
+
+    await transport.respond({ answers: [] }, rinfo);
+    expect(instances[1].respond).toHaveBeenLastCalledWith({ answers: [] }, { address: 'fd00::9', port: 5353 }, expect.any(Function));
+  });
+
+  it('should keep working when a socket fails', () => {
+    mdns.mockImplementationOnce(() => {
+      throw new Error('EADDRINUSE');
+    });
+
+    const transport = new MdnsTransport({ logger: mockLogger });
+
+    expect(transport.instances).toHaveLength(1);
+    expect(mockLogger.warn).toHaveBeenCalledWith('[MdnsTransport] Failed to open IPv4 mDNS socket:', 'EADDRINUSE');
+  });
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const os = require('os');
+const { parseHostPort, formatHostPort, getLocalAddress } = require('../lib/network-address');
+
+describe('network-address', () => {
+  describe('parseHostPort', () => {
+    it('should split host names and IPv4 addresses', () => {
+      expect(parseHostPort('192.168.1.10:8927')).toEqual({ host: '192.168.1.10', port: 8927 });
+      expect(parseHostPort('music.local')).toEqual({ host: 'music.local', port: null });
+    });
+
+    it('should strip the brackets of IPv6 addresses', () => {
+      expect(parseHostPort('[fe80::1]:8927')).toEqual({ host: 'fe80::1', port: 8927 });
+      expect(parseHostPort('fe80::1')).toEqual({ host: 'fe80::1', port: null });
+    });
+  });
+
+  describe('formatHostPort', () => {
+    it('should put IPv6 addresses in brackets', () => {
+      expect(formatHostPort('fd00::10', 8927)).toBe('[fd00::10]:8927');
+      expect(formatHostPort('192.168.1.10', 8927)).toBe('192.168.1.10:8927');
+    });
+  });
+
+  describe('getLocalAddress', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should prefer IPv4, then routable IPv6, on the chosen interface', () => {
+      jest.spyOn(os, 'networkInterfaces').mockReturnValue({
+        eth0: [{ address: '192.168.1.5', family: 'IPv4', internal: false }],
+        wlan0: [
+          { address: 'fe80::5', family: 'IPv6', internal: false },
+          { address: 'fd00::5', family: 'IPv6', internal: false }
+        ]
+      });
+
+      expect(getLocalAddress()).toBe('192.168.1.5');
+      expect(getLocalAddress('wlan0')).toBe('fd00::5');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const pcmFormat = require('../lib/pcm-format');
+
+describe('pcmFormat', () => {
+  describe('fromStreamFormat', () => {
+    it('should map stream bit depths to sample formats', () => {
+      expect(pcmFormat.fromStreamFormat({ codec: 'pcm', bit_depth: 16 }).id).toBe('s16');
+      expect(pcmFormat.fromStreamFormat({ codec: 'pcm', bit_depth: 24 }).id).toBe('s24');
+      expect(pcmFormat.fromStreamFormat({ codec: 'flac', bit_depth: 32 }).id).toBe('s32');
+    });
+
+    it('should always decode Opus to 16-bit', () => {
+      expect(pcmFormat.fromStreamFormat({ codec: 'opus', bit_depth: 24 }).id).toBe('s16');
+    });
+
+    it('should prefer an explicit sample_format', () => {
+      expect(pcmFormat.fromStreamFormat({ codec: 'pcm', bit_depth: 24, sample_format: 's24_32' }).id).toBe('s24_32');
+    });
+
+    it('should reject unsupported bit depths', () => {
+      expect(() => pcmFormat.fromStreamFormat({ codec: 'pcm', bit_depth: 20 })).toThrow('Unsupported bit depth for pcm: 20');
+    });
+  });
+
+  describe('isAligned', () => {
+    it('should check for whole frames', () => {
+      expect(pcmFormat.isAligned(Buffer.alloc(12), 's24', 2)).toBe(true);
+      expect(pcmFormat.isAligned(Buffer.alloc(8), 's24', 2)).toBe(false);
+      expect(pcmFormat.isAligned(Buffer.alloc(8), 's24_32', 2)).toBe(true);
+    });
+  });
+
+  describe('convert', () => {
+    const s24 = (values) => {
+      const buffer = Buffer.alloc(values.length * 3);
+      values.forEach((value, i) => buffer.writeIntLE(value, i * 3, 3));
+      return buffer;
+    };
+
+    it('should return the input when formats match', () => {
+      const buffer = Buffer.alloc(6);
+      expect(pcmFormat.convert(buffer, 's24', 's24')).toBe(buffer);
+    });
+
+    it('should round-trip packed 24-bit through 24-in-32 losslessly', () => {
+      const input = s24([8388607, -8388608, 1, -1, 0]);
+
+      const wide = pcmFormat.convert(input, 's24', 's24_32');
+      expect(wide.length).toBe(20);
+      expect(wide.readInt32LE(0)).toBe(8388607 * 256);
+      expect(wide.readInt32LE(4)).toBe(-2147483648);
+
+      expect(pcmFormat.convert(wide, 's24_32', 's24').equals(input)).toBe(true);
+    });
+
+    it('should round-trip packed 24-bit through float losslessly', () => {
+      const input = s24([8388607, -8388608, 123456, -654321]);
+
+      const float = pcmFormat.convert(input, 's24', 'f32');
+      expect(float.readFloatLE(4)).toBe(-1);
+
+      expect(pcmFormat.convert(float, 'f32', 's24').equals(input)).toBe(true);
+    });
+
+    it('should truncate 24-bit to 16-bit by dropping the low byte', () => {
+      const output = pcmFormat.convert(s24([0x123456, -0x123456]), 's24', 's16');
+
+      expect(output.readInt16LE(0)).toBe(0x1234);
+      expect(output.readInt16LE(2)).toBe(-0x1235);
+    });
+
+    it('should clip out-of-range float samples', () => {
+      const input = Buffer.alloc(8);
+      input.writeFloatLE(1.5, 0);
+      input.writeFloatLE(-2, 4);
+
+      const output = pcmFormat.convert(input, 'f32', 's16');
+
+      expect(output.readInt16LE(0)).toBe(32767);
+      expect(output.readInt16LE(2)).toBe(-32768);
+    });
+  });
+});
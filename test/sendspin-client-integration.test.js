@@ -4,6 +4,8 @@
 jest.mock('../lib/sendspin-client');
 jest.mock('../lib/audio-decoder');
 jest.mock('../lib/audio-player');
+jest.mock('../lib/artwork-server');
+jest.mock('../lib/visualizer-server');
 jest.mock('v-conf');
 jest.mock('os', () => ({
   hostname: jest.fn(() => 'test-device')
@@ -13,7 +15,10 @@ const ControllerSendspin = require('../lib/index');
 const SendspinClient = require('../lib/sendspin-client');
 const AudioDecoder = require('../lib/audio-decoder');
 const AudioPlayer = require('../lib/audio-player');
+const ArtworkServer = require('../lib/artwork-server');
+const VisualizerServer = require('../lib/visualizer-server');
 const vconf = require('v-conf');
+const kew = require('kew');
 
 describe('Sendspin Plugin Integration (Client Mode)', () => {
   let controller;
@@ -113,7 +118,8 @@ describe('Sendspin Plugin Integration (Client Mode)', () => {
       logger: {
         info: jest.fn(),
         warn: jest.fn(),
-        error: jest.fn()
+        error: jest.fn(),
+        debug: jest.fn()
       }
     };
 
@@ -291,7 +297,7 @@ describe('Sendspin Plugin Integration (Client Mode)', () => {
       mockClient.serverAddress = null;
       const state = controller.getState();
 
-      expect(state.status).toBe('disconnected');
+      expect(state.connection).toBe('disconnected');
       expect(state.serverAddress).toBeNull();
     });
 
@@ -301,18 +307,242 @@ describe('Sendspin Plugin Integration (Client Mode)', () => {
       mockClient.serverAddress = '192.168.1.100:8927';
       const state = controller.getState();
 
-      expect(state.status).toBe('connected');
+      expect(state.connection).toBe('connected');
       expect(state.serverAddress).toBe('192.168.1.100:8927');
     });
 
     it('should return disconnected state when not started', () => {
       const state = controller.getState();
 
-      expect(state.status).toBe('disconnected');
+      expect(state.connection).toBe('disconnected');
+      expect(state.status).toBe('stop');
+      expect(state.service).toBe('sendspin');
       expect(state.serverAddress).toBeNull();
     });
   });
 
+  describe('music service', () => {
+    let mockMpd;
+    let mockStateMachine;
+
+    beforeEach(async () => {
+      mockMpd = {
+        sendMpdCommand: jest.fn(() => kew.resolve())
+      };
+      mockStateMachine = {
+        setConsumeUpdateService: jest.fn(),
+        setVolatile: jest.fn(),
+        unSetVolatile: jest.fn()
+      };
+      mockContext.coreCommand.pluginManager.getPlugin = jest.fn().mockReturnValue(mockMpd);
+      mockContext.coreCommand.stateMachine = mockStateMachine;
+      Object.assign(mockClient, {
+        play: jest.fn(),
+        pause: jest.fn(),
+        stopPlayback: jest.fn(),
+        seek: jest.fn()
+      });
+
+      await controller.onStart();
+    });
+
+    it('should take over the state machine and play the stream URL through MPD', async () => {
+      await controller.clearAddPlayTrack({ uri: 'http://127.0.0.1:40000/stream', service: 'sendspin' });
+
+      expect(mockStateMachine.setConsumeUpdateService).toHaveBeenCalledWith(undefined);
+      expect(mockStateMachine.setVolatile).toHaveBeenCalledWith(expect.objectContaining({ service: 'sendspin' }));
+      expect(mockMpd.sendMpdCommand.mock.calls.map(call => call[0])).toEqual([
+        'stop',
+        'clear',
+        'add "http://127.0.0.1:40000/stream"',
+        'play'
+      ]);
+      expect(mockContext.coreCommand.servicePushState).toHaveBeenCalledWith(
+        expect.objectContaining({ service: 'sendspin' }),
+        'sendspin'
+      );
+    });
+
+    it('should report track state from server metadata', () => {
+      controller.currentPlaybackState = 'playing';
+      controller.currentStreamFormat = { codec: 'flac', sample_rate: 96000, channels: 2, bit_depth: 24 };
+      controller.currentMetadata = {
+        title: 'Song',
+        artist: 'Artist',
+        album: 'Album',
+        artworkUrl: 'http://server/art.jpg',
+        progress: { trackProgress: 12000, trackDuration: 180000 },
+        repeat: 'one',
+        shuffle: true
+      };
+
+      expect(controller.getState()).toEqual(expect.objectContaining({
+        status: 'play',
+        service: 'sendspin',
+        title: 'Song',
+        albumart: 'http://server/art.jpg',
+        seek: 12000,
+        duration: 180,
+        samplerate: '96 kHz',
+        bitdepth: '24 bit',
+        random: true,
+        repeatSingle: true,
+        stream: false
+      }));
+    });
+
+    it('should fall back to artwork received as images when metadata has no artwork_url', () => {
+      const artworkServer = ArtworkServer.mock.instances[ArtworkServer.mock.instances.length - 1];
+      artworkServer.getUrl.mockReturnValue('http://192.168.1.10:40001/artwork/0?v=1');
+      const onArtwork = SendspinClient.mock.calls[SendspinClient.mock.calls.length - 1][0].onArtwork;
+      const image = Buffer.from([0xff, 0xd8, 0xff]);
+
+      onArtwork(0, image);
+      controller.currentMetadata = { title: 'Song', artworkUrl: null };
+
+      expect(artworkServer.setImage).toHaveBeenCalledWith(0, image);
+      expect(controller.getState().albumart).toBe('http://192.168.1.10:40001/artwork/0?v=1');
+
+      controller.currentMetadata.artworkUrl = 'http://server/art.jpg';
+      expect(controller.getState().albumart).toBe('http://server/art.jpg');
+    });
+
+    it('should report levels and forward them to the visualizer endpoint', () => {
+      const visualizerServer = VisualizerServer.mock.instances[VisualizerServer.mock.instances.length - 1];
+      const onLevels = SendspinClient.mock.calls[SendspinClient.mock.calls.length - 1][0].onLevels;
+      const reading = { rms: [-20, -20], peak: [-14, -14], clipping: false, silence: false };
+      mockClient.getLevels = jest.fn().mockReturnValue(reading);
+
+      onLevels(reading);
+
+      expect(visualizerServer.publishLevels).toHaveBeenCalledWith(reading);
+      expect(controller.getState().levels).toBe(reading);
+    });
+
+    it('should follow server playback state on MPD and in Volumio', async () => {
+      await controller.clearAddPlayTrack({ uri: 'http://127.0.0.1:40000/stream' });
+      mockMpd.sendMpdCommand.mockClear();
+      mockContext.coreCommand.servicePushState.mockClear();
+
+      controller.handlePlaybackStateChange('paused');
+
+      expect(mockMpd.sendMpdCommand).toHaveBeenCalledWith('pause', ['1']);
+      expect(mockContext.coreCommand.servicePushState).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'pause' }),
+        'sendspin'
+      );
+      // Volumio echoing the pause back must not reach the server
+      await controller.pause();
+      expect(mockClient.pause).not.toHaveBeenCalled();
+
+      await controller.resume();
+      expect(mockClient.play).toHaveBeenCalled();
+    });
+
+    it('should not push state while another source owns playback', async () => {
+      await controller.clearAddPlayTrack({ uri: 'http://127.0.0.1:40000/stream' });
+      const callback = mockStateMachine.setVolatile.mock.calls[0][0].callback;
+      mockContext.coreCommand.servicePushState.mockClear();
+
+      callback();
+      controller.handlePlaybackStateChange('playing');
+
+      expect(mockContext.coreCommand.servicePushState).not.toHaveBeenCalled();
+    });
+
+    it('should release the state machine on stop', async () => {
+      await controller.clearAddPlayTrack({ uri: 'http://127.0.0.1:40000/stream' });
+
+      await controller.onStop();
+
+      expect(mockStateMachine.unSetVolatile).toHaveBeenCalled();
+      expect(controller.ownsPlayback).toBe(false);
+    });
+  });
+
+  describe('volume sync', () => {
+    let volumioState;
+    let volumeCallback;
+
+    beforeEach(async () => {
+      volumioState = { volume: 35, mute: false };
+      Object.assign(mockContext.coreCommand, {
+        volumioGetState: jest.fn(() => volumioState),
+        volumiosetvolume: jest.fn(),
+        addCallback: jest.fn((name, callback) => {
+          volumeCallback = callback;
+        })
+      });
+      mockClient.setVolume = jest.fn();
+
+      await controller.onStart();
+    });
+
+    const serverVolume = (volume) => SendspinClient.mock.calls[SendspinClient.mock.calls.length - 1][0].onVolumeChange(volume);
+
+    it('should start from the mixer volume and follow Volumio volume changes', () => {
+      expect(SendspinClient).toHaveBeenLastCalledWith(expect.objectContaining({ volume: 35, muted: false }));
+      expect(mockContext.coreCommand.addCallback).toHaveBeenCalledWith('volumioupdatevolume', expect.any(Function));
+
+      volumeCallback({ vol: 20, mute: false });
+
+      expect(mockClient.setVolume).toHaveBeenCalledWith(20, false);
+    });
+
+    it('should apply server volume and mute to the mixer', () => {
+      serverVolume({ volume: 60, muted: false });
+      expect(mockContext.coreCommand.volumiosetvolume).toHaveBeenLastCalledWith(60);
+
+      serverVolume({ volume: 60, muted: true });
+      expect(mockContext.coreCommand.volumiosetvolume).toHaveBeenLastCalledWith('mute');
+    });
+
+    it('should not echo mixer updates caused by server commands', () => {
+      // Two quick server changes - the mixer reports both, the first one after the second was sent
+      serverVolume({ volume: 40, muted: false });
+      serverVolume({ volume: 50, muted: false });
+      volumeCallback({ vol: 40, mute: false });
+      volumeCallback({ vol: 50, mute: false });
+
+      expect(mockClient.setVolume).not.toHaveBeenCalled();
+
+      // A real change afterwards is reported again
+      volumeCallback({ vol: 45, mute: false });
+      expect(mockClient.setVolume).toHaveBeenCalledWith(45, false);
+    });
+  });
+
+  describe('software volume', () => {
+    it('should use software volume when the Volumio mixer is None', async () => {
+      Object.assign(mockContext.coreCommand, {
+        executeOnPlugin: jest.fn(() => 'None'),
+        volumioGetState: jest.fn(() => ({ volume: 35, mute: false })),
+        volumiosetvolume: jest.fn(),
+        addCallback: jest.fn()
+      });
+      mockClient.setVolume = jest.fn();
+
+      await controller.onStart();
+      expect(mockContext.coreCommand.executeOnPlugin).toHaveBeenCalledWith('audio_interface', 'alsa_controller', 'getConfigParam', 'mixer_type');
+      expect(SendspinClient).toHaveBeenLastCalledWith(expect.objectContaining({ softwareVolume: true, volume: 100 }));
+
+      // The client's gain stage handles server volume - the mixer is left alone
+      SendspinClient.mock.calls[SendspinClient.mock.calls.length - 1][0].onVolumeChange({ volume: 30, muted: false });
+      controller.onVolumioVolumeChange({ vol: 20, mute: false });
+      expect(mockContext.coreCommand.volumiosetvolume).not.toHaveBeenCalled();
+      expect(mockClient.setVolume).not.toHaveBeenCalled();
+    });
+
+    it('should follow the configured volume control', async () => {
+      mockConfig.get.mockImplementation((key) => ({ enabled: true, volumeControl: 'mixer' })[key]);
+      mockContext.coreCommand.executeOnPlugin = jest.fn(() => 'None');
+
+      await controller.onStart();
+
+      expect(SendspinClient).toHaveBeenLastCalledWith(expect.objectContaining({ softwareVolume: false }));
+    });
+  });
+
   describe('saveConfiguration', () => {
     it('should update enabled state', async () => {
       await controller.onStart();
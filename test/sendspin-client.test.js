@@ -3,7 +3,12 @@
 const SendspinClient = require('../lib/sendspin-client');
 const WebSocket = require('ws');
 const ClockSync = require('../lib/clock-sync');
+const monotonicClock = require('../lib/monotonic-clock');
 const AudioScheduler = require('../lib/audio-scheduler');
+const AudioDecoder = require('../lib/audio-decoder');
+const FlacDecoder = require('../lib/flac-decoder');
+const fs = require('fs');
+const path = require('path');
 
 // Mock dependencies
 jest.mock('ws');
@@ -163,7 +168,103 @@ describe('SendspinClient', () => {
       // Should timeout and reject (since reconnection is disabled)
       await expect(startPromise).rejects.toThrow(/No server found|timeout/i);
     }, 10000);
+    
+    it('should connect to the preferred discovered server and learn its id', async () => {
+      let responseHandler;
+      mockMdnsInstance.on.mockImplementation((event, handler) => {
+        if (event === 'response') {
+          responseHandler = handler;
+        }
+      });
+      const announce = (instance, host, address) => responseHandler({
+        answers: [{ name: '_sendspin-server._tcp.local', type: 'PTR', data: `${instance}._sendspin-server._tcp.local`, ttl: 120 }],
+        additionals: [
+          { name: `${instance}._sendspin-server._tcp.local`, type: 'SRV', data: { port: 8927, target: host }, ttl: 120 },
+          { name: host, type: 'A', data: address, ttl: 120 }
+        ]
+      });
+      
+      client = new SendspinClient({
+        serverId: 'Test MA._sendspin-server._tcp.local',
+        logger: mockLogger,
+        discoveryTimeout: 1000
+      });
+      
+      const startPromise = client.start();
+      announce('Prod MA', 'prod.local', '192.168.1.10');
+      announce('Test MA', 'test.local', '192.168.1.11');
+      await startPromise;
+      
+      expect(WebSocket).toHaveBeenCalledWith('ws://192.168.1.11:8927/sendspin');
+      expect(client.getDiscoveredServers().map(server => server.name)).toEqual(['Prod MA', 'Test MA']);
+      
+      client.handleSocketMessage(JSON.stringify({ type: 'server/hello', payload: { server_id: 'test-server-id' } }), false);
+      expect(client.getDiscoveredServers()[1].id).toBe('test-server-id');
+    });
 
+    it('should put IPv6 server addresses in brackets', async () => {
+      client = new SendspinClient({ serverAddr: 'fd00::10', logger: mockLogger });
+      
+      const startPromise = client.start();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await startPromise;
+      
+      expect(WebSocket).toHaveBeenCalledWith('ws://[fd00::10]:8927/sendspin');
+    });
+    
+    it('should advertise IPv4 and IPv6 addresses and re-advertise when they change', async () => {
+      const os = require('os');
+      os.networkInterfaces = jest.fn(() => ({
+        eth0: [
+          { address: '192.168.1.5', family: 'IPv4', internal: false },
+          { address: 'fd00::5', family: 'IPv6', internal: false }
+        ]
+      }));
+      mockMdnsInstance.respond = jest.fn((response, rinfo, callback) => callback());
+      jest.useFakeTimers();
+      
+      try {
+        client = new SendspinClient({ playerName: 'Kitchen', logger: mockLogger });
+        client.startMDNSAdvertisement();
+        expect(mockMdnsInstance.respond).not.toHaveBeenCalled(); // Probing first
+        
+        jest.advanceTimersByTime(1000);
+        const announcement = mockMdnsInstance.respond.mock.calls[0][0];
+        expect(announcement.answers).toEqual(expect.arrayContaining([
+          expect.objectContaining({ name: 'test-hostname.local', type: 'A', data: '192.168.1.5' }),
+          expect.objectContaining({ name: 'test-hostname.local', type: 'AAAA', data: 'fd00::5' })
+        ]));
+        
+        mockMdnsInstance.respond.mockClear();
+        client.checkNetworkInterfaces();
+        expect(mockMdnsInstance.respond).not.toHaveBeenCalled();
+        
+        os.networkInterfaces.mockReturnValue({
+          wlan0: [{ address: '192.168.2.7', family: 'IPv4', internal: false }]
+        });
+        client.checkNetworkInterfaces();
+        expect(mockLogger.info).toHaveBeenCalledWith(expect.stringContaining('Network addresses changed (192.168.1.5, fd00::5 -> 192.168.2.7)'));
+        await Promise.resolve();
+        
+        // Goodbyes for the old addresses, then probe and announce the new one
+        expect(mockMdnsInstance.respond.mock.calls[0][0].answers).toEqual([
+          expect.objectContaining({ type: 'A', data: '192.168.1.5', ttl: 0 }),
+          expect.objectContaining({ type: 'AAAA', data: 'fd00::5', ttl: 0 })
+        ]);
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(mockMdnsInstance.respond.mock.lastCall[0].answers).toEqual(expect.arrayContaining([
+          expect.objectContaining({ type: 'A', data: '192.168.2.7', ttl: 120 })
+        ]));
+        
+        mockMdnsInstance.respond.mockClear();
+        await client.stopMDNSAdvertisement();
+        expect(mockMdnsInstance.respond.mock.calls[0][0].answers.every(record => record.ttl === 0)).toBe(true);
+      } finally {
+        jest.useRealTimers();
+        delete os.networkInterfaces;
+      }
+    });
+    
     it('should send client/hello after connection', async () => {
       let wsInstance;
       WebSocket.mockImplementationOnce((url) => {
@@ -242,6 +343,203 @@ describe('SendspinClient', () => {
       );
     });
   });
+  
+  describe('server-initiated connections', () => {
+    let mockServer;
+    
+    const createInboundSocket = () => ({
+      on: jest.fn(),
+      send: jest.fn(),
+      close: jest.fn(),
+      readyState: WebSocket.OPEN
+    });
+    
+    const createUpgradeRequest = (address) => ({
+      socket: { remoteAddress: address, remotePort: 54321 }
+    });
+    
+    beforeEach(() => {
+      mockServer = {
+        on: jest.fn(),
+        close: jest.fn()
+      };
+      WebSocket.Server.mockImplementation(() => mockServer);
+      
+      client = new SendspinClient({
+        serverAddr: null,
+        logger: mockLogger
+      });
+      client.shouldReconnect = true;
+      client.startServer();
+    });
+    
+    const connectionHandler = () => mockServer.on.mock.calls
+      .find(call => call[0] === 'connection')[1];
+    
+    it('should listen on the advertised port and path', () => {
+      expect(WebSocket.Server).toHaveBeenCalledWith({
+        port: 8927,
+        path: '/sendspin'
+      });
+    });
+    
+    it('should accept a server connection and send client/hello', () => {
+      const inbound = createInboundSocket();
+      
+      connectionHandler()(inbound, createUpgradeRequest('192.168.1.50'));
+      
+      expect(client.ws).toBe(inbound);
+      expect(client.isConnected).toBe(true);
+      expect(client.connectionSource).toBe('inbound');
+      expect(client.serverAddress).toBe('192.168.1.50:54321');
+      
+      const hello = JSON.parse(inbound.send.mock.calls[0][0]);
+      expect(hello.type).toBe('client/hello');
+    });
+    
+    it('should run protocol handling on the inbound connection', () => {
+      const inbound = createInboundSocket();
+      connectionHandler()(inbound, createUpgradeRequest('192.168.1.50'));
+      const sendInitialStateSpy = jest.spyOn(client, 'sendInitialState');
+      jest.spyOn(client, 'performInitialSync').mockResolvedValue();
+      
+      const messageHandler = inbound.on.mock.calls
+        .find(call => call[0] === 'message')[1];
+      messageHandler(JSON.stringify({ type: 'server/hello', payload: {} }), false);
+      
+      expect(sendInitialStateSpy).toHaveBeenCalled();
+    });
+    
+    it('should refuse a second server while a session is active', () => {
+      const first = createInboundSocket();
+      const second = createInboundSocket();
+      
+      connectionHandler()(first, createUpgradeRequest('192.168.1.50'));
+      connectionHandler()(second, createUpgradeRequest('192.168.1.60'));
+      
+      expect(second.close).toHaveBeenCalledWith(1013, 'Already connected to a server');
+      expect(second.send).not.toHaveBeenCalled();
+      expect(client.ws).toBe(first);
+    });
+    
+    it('should accept a new server after the session closes', () => {
+      jest.spyOn(client, 'scheduleReconnect').mockImplementation(() => {});
+      const first = createInboundSocket();
+      const second = createInboundSocket();
+      
+      connectionHandler()(first, createUpgradeRequest('192.168.1.50'));
+      const closeHandler = first.on.mock.calls.find(call => call[0] === 'close')[1];
+      closeHandler(1000, '');
+      
+      expect(client.isConnected).toBe(false);
+      expect(client.ws).toBeNull();
+      expect(client.scheduleReconnect).toHaveBeenCalled();
+      
+      connectionHandler()(second, createUpgradeRequest('192.168.1.60'));
+      
+      expect(second.close).not.toHaveBeenCalled();
+      expect(client.ws).toBe(second);
+    });
+    
+    it('should close the server on stop', async () => {
+      await client.stop();
+      
+      expect(mockServer.close).toHaveBeenCalled();
+      expect(client.wsServer).toBeNull();
+    });
+  });
+  
+  describe('supported formats', () => {
+    const createPlayer = (capabilities = {}) => ({
+      getCapabilities: jest.fn(() => ({
+        sampleRates: [192000, 176400, 96000, 88200, 48000, 44100],
+        bitDepths: [24, 16],
+        channels: [1, 2],
+        ...capabilities
+      }))
+    });
+    
+    it('should advertise FLAC when the decoder supports it', () => {
+      client = new SendspinClient({
+        logger: mockLogger,
+        decoder: new AudioDecoder({ logger: mockLogger }),
+        player: createPlayer()
+      });
+      
+      const formats = client.getSupportedFormats();
+      
+      expect(formats[0]).toEqual({ codec: 'flac', channels: 2, sample_rate: 192000, bit_depth: 24 });
+      expect(formats).toContainEqual({ codec: 'pcm', channels: 2, sample_rate: 44100, bit_depth: 16 });
+      expect(formats).toContainEqual({ codec: 'opus', channels: 2, sample_rate: 48000, bit_depth: 16 });
+    });
+    
+    it('should only advertise formats the output can play', () => {
+      client = new SendspinClient({
+        logger: mockLogger,
+        decoder: new AudioDecoder({ logger: mockLogger }),
+        player: createPlayer({ sampleRates: [48000, 44100], bitDepths: [16] })
+      });
+      
+      const formats = client.getSupportedFormats();
+      
+      expect(formats.every(f => f.sample_rate <= 48000 && f.bit_depth === 16)).toBe(true);
+      expect(formats.map(f => f.codec)).toEqual(expect.arrayContaining(['flac', 'pcm', 'opus']));
+    });
+    
+    it('should respect the configured max sample rate and bit depth', () => {
+      client = new SendspinClient({
+        logger: mockLogger,
+        decoder: new AudioDecoder({ logger: mockLogger }),
+        player: createPlayer(),
+        maxSampleRate: 96000,
+        maxBitDepth: 16
+      });
+      
+      const formats = client.getSupportedFormats();
+      
+      expect(formats.length).toBeGreaterThan(0);
+      expect(Math.max(...formats.map(f => f.sample_rate))).toBe(96000);
+      expect(Math.max(...formats.map(f => f.bit_depth))).toBe(16);
+    });
+    
+    it('should only advertise PCM without a decoder', () => {
+      client = new SendspinClient({ logger: mockLogger });
+      
+      const formats = client.getSupportedFormats();
+      
+      expect(formats.every(f => f.codec === 'pcm')).toBe(true);
+    });
+    
+    it('should fall back to PCM 44.1kHz/16-bit when nothing matches', () => {
+      client = new SendspinClient({
+        logger: mockLogger,
+        decoder: new AudioDecoder({ logger: mockLogger }),
+        player: createPlayer({ sampleRates: [32000] })
+      });
+      
+      expect(client.getSupportedFormats()).toEqual([
+        { codec: 'pcm', channels: 2, sample_rate: 44100, bit_depth: 16 }
+      ]);
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('No format matches'));
+    });
+    
+    it('should send the filtered formats in client/hello', () => {
+      client = new SendspinClient({
+        logger: mockLogger,
+        decoder: new AudioDecoder({ logger: mockLogger }),
+        player: createPlayer(),
+        maxSampleRate: 48000
+      });
+      const sendSpy = jest.spyOn(client, 'sendMessage').mockImplementation(() => {});
+      
+      client.sendClientHello();
+      
+      const support = sendSpy.mock.calls[0][0].payload['player@v1_support'];
+      expect(support.supported_formats).toEqual(client.getSupportedFormats());
+      expect(support.support_codecs).toEqual(['flac', 'pcm', 'opus']);
+      expect(support.support_sample_rates).toEqual([48000, 44100]);
+    });
+  });
 
   describe('protocol messages', () => {
     let wsInstance;
@@ -320,6 +618,71 @@ describe('SendspinClient', () => {
       expect(onStreamStart).toHaveBeenCalled();
     });
 
+    it('should pass scheduled buffers through drift correction', () => {
+      const onAudioChunk = jest.fn();
+      client.onAudioChunk = onAudioChunk;
+      const startSpy = jest.spyOn(AudioScheduler.prototype, 'start').mockImplementation(() => {});
+      const processSpy = jest.spyOn(client.driftCorrector, 'process');
+      client.player = { getPlayoutDelay: jest.fn(() => ({ delayMs: 100, atMs: 900 })) };
+      
+      const messageHandler = wsInstance.on.mock.calls
+        .find(call => call[0] === 'message')[1];
+      
+      messageHandler(JSON.stringify({
+        type: 'stream/start',
+        payload: {
+          player: { codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 }
+        }
+      }), false);
+      
+      const onBufferReady = startSpy.mock.calls[0][0];
+      const pcmData = Buffer.alloc(960 * 4);
+      onBufferReady(pcmData, 1000);
+      
+      expect(processSpy).toHaveBeenCalledWith(pcmData, 1000, { delayMs: 100, atMs: 900 });
+      expect(onAudioChunk).toHaveBeenCalledWith(pcmData, expect.objectContaining({ codec: 'pcm' }));
+      expect(client.getStats().driftCorrection).toEqual(expect.objectContaining({
+        measured: true,
+        correctionPpm: 0
+      }));
+      
+      startSpy.mockRestore();
+    });
+    
+    it('should aim drift correction the static delay ahead of the play time', () => {
+      const startSpy = jest.spyOn(AudioScheduler.prototype, 'start').mockImplementation(() => {});
+      const processSpy = jest.spyOn(client.driftCorrector, 'process');
+      client.setStaticDelay(150);
+      // Released at playAt - 100ms output latency - 150ms static delay, heard by the card 150ms early
+      let now = 750;
+      client.player = { getPlayoutDelay: () => ({ delayMs: 100, atMs: now }) };
+      
+      const messageHandler = wsInstance.on.mock.calls
+        .find(call => call[0] === 'message')[1];
+      messageHandler(JSON.stringify({
+        type: 'stream/start',
+        payload: {
+          player: { codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 }
+        }
+      }), false);
+      
+      const onBufferReady = startSpy.mock.calls[0][0];
+      for (let playAt = 1000; playAt < 3000; playAt += 20) {
+        now = playAt - 250;
+        onBufferReady(Buffer.alloc(960 * 4), playAt);
+      }
+      
+      expect(processSpy.mock.calls[0][1]).toBe(850);
+      expect(client.getStats().driftCorrection).toEqual(expect.objectContaining({
+        measured: true,
+        errorMs: 0,
+        correctionPpm: 0,
+        resyncs: 0
+      }));
+      
+      startSpy.mockRestore();
+    });
+    
     it('should handle stream/end and stop scheduler', () => {
       const onStreamEnd = jest.fn();
       client.onStreamEnd = onStreamEnd;
@@ -396,7 +759,251 @@ describe('SendspinClient', () => {
       expect(client.config.muted).toBe(true);
       expect(sendStateSpy).toHaveBeenCalledWith('synchronized', 100, true);
     });
+    
+    it('should pass server volume commands to onVolumeChange', () => {
+      client.onVolumeChange = jest.fn();
+      
+      const messageHandler = wsInstance.on.mock.calls
+        .find(call => call[0] === 'message')[1];
+      
+      messageHandler(JSON.stringify({
+        type: 'server/command',
+        payload: { player: { command: 'volume', volume: 42 } }
+      }), false);
+      messageHandler(JSON.stringify({
+        type: 'server/command',
+        payload: { player: { command: 'mute', mute: true } }
+      }), false);
+      
+      expect(client.onVolumeChange.mock.calls).toEqual([
+        [{ volume: 42, muted: false }],
+        [{ volume: 42, muted: true }]
+      ]);
+    });
+    
+    it('should apply server volume to the PCM with software volume', () => {
+      client.softwareVolume = true;
+      client.onAudioChunk = jest.fn();
+      const startSpy = jest.spyOn(AudioScheduler.prototype, 'start').mockImplementation(() => {});
+      
+      const messageHandler = wsInstance.on.mock.calls
+        .find(call => call[0] === 'message')[1];
+      
+      messageHandler(JSON.stringify({
+        type: 'stream/start',
+        payload: { player: { codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 } }
+      }), false);
+      messageHandler(JSON.stringify({
+        type: 'server/command',
+        payload: { player: { command: 'mute', mute: true } }
+      }), false);
+      
+      // Past the mute ramp - silence
+      const onBufferReady = startSpy.mock.calls[0][0];
+      const pcmData = Buffer.alloc(4800 * 4, 0x10);
+      onBufferReady(pcmData, 1000);
+      const output = client.onAudioChunk.mock.calls[0][0];
+      
+      expect(output.subarray(2400 * 4).equals(Buffer.alloc(2400 * 4))).toBe(true);
+      expect(client.getStats().softwareVolume).toEqual(expect.objectContaining({ muted: true }));
+      
+      startSpy.mockRestore();
+    });
+    
+    it('should meter the scheduled PCM before software volume', () => {
+      client.softwareVolume = true;
+      client.onLevels = jest.fn();
+      const startSpy = jest.spyOn(AudioScheduler.prototype, 'start').mockImplementation(() => {});
+      
+      const messageHandler = wsInstance.on.mock.calls
+        .find(call => call[0] === 'message')[1];
+      
+      messageHandler(JSON.stringify({
+        type: 'stream/start',
+        payload: { player: { codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 } }
+      }), false);
+      messageHandler(JSON.stringify({
+        type: 'server/command',
+        payload: { player: { command: 'mute', mute: true } }
+      }), false);
+      
+      const onBufferReady = startSpy.mock.calls[0][0];
+      const pcmData = Buffer.alloc(4800 * 4);
+      for (let i = 0; i < 4800 * 2; i++) {
+        pcmData.writeInt16LE(16384, i * 2);
+      }
+      onBufferReady(pcmData, 1000);
+      
+      // 100ms of audio = one reading at the default interval, at the source level
+      expect(client.onLevels).toHaveBeenCalledTimes(1);
+      expect(client.getLevels().peak[0]).toBeCloseTo(-6.02, 1);
+      
+      messageHandler(JSON.stringify({ type: 'stream/end', payload: {} }), false);
+      expect(client.getLevels()).toBeNull();
+      
+      startSpy.mockRestore();
+    });
+    
+    it('should report local volume changes once', () => {
+      const sendStateSpy = jest.spyOn(client, 'sendState');
+      
+      expect(client.setVolume(30, false)).toBe(true);
+      // Same value again (e.g. the mixer echoing a server command) - nothing to send
+      expect(client.setVolume(30, false)).toBe(false);
+      
+      expect(sendStateSpy).toHaveBeenCalledTimes(1);
+      expect(sendStateSpy).toHaveBeenCalledWith('synchronized', 30, false);
+    });
 
+    it('should store server info and active roles from server/hello', () => {
+      const messageHandler = wsInstance.on.mock.calls
+        .find(call => call[0] === 'message')[1];
+      
+      messageHandler(JSON.stringify({
+        type: 'server/hello',
+        payload: {
+          server_id: 'server-123',
+          name: 'Test Server',
+          version: 1,
+          active_roles: ['player@v1', 'metadata@v1']
+        }
+      }), false);
+      
+      expect(client.getState().server).toEqual({
+        id: 'server-123',
+        name: 'Test Server',
+        version: 1,
+        activeRoles: ['player@v1', 'metadata@v1']
+      });
+      expect(client.hasActiveRole('metadata')).toBe(true);
+      expect(client.hasActiveRole('artwork')).toBe(false);
+      expect(client.hasActiveRole('visualizer')).toBe(false);
+    });
+    
+    it('should assume all requested roles when server/hello has no active_roles', () => {
+      const messageHandler = wsInstance.on.mock.calls
+        .find(call => call[0] === 'message')[1];
+      
+      messageHandler(JSON.stringify({
+        type: 'server/hello',
+        payload: { server_id: 'server-123', name: 'Old Server', version: 1 }
+      }), false);
+      
+      expect(client.hasActiveRole('artwork')).toBe(true);
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('no active_roles'));
+    });
+    
+    it('should ignore metadata when the metadata role is not active', () => {
+      const onMetadata = jest.fn();
+      client.onMetadata = onMetadata;
+      
+      const messageHandler = wsInstance.on.mock.calls
+        .find(call => call[0] === 'message')[1];
+      
+      messageHandler(JSON.stringify({
+        type: 'server/hello',
+        payload: { server_id: 'server-123', name: 'Test Server', version: 1, active_roles: ['player@v1'] }
+      }), false);
+      messageHandler(JSON.stringify({
+        type: 'server/state',
+        payload: { metadata: { title: 'Test Song' } }
+      }), false);
+      
+      expect(client.currentMetadata).toBeNull();
+      expect(onMetadata).not.toHaveBeenCalled();
+    });
+    
+    it('should ignore artwork and visualizer data when those roles are not active', async () => {
+      client.serverInfo = { id: 'server-123', name: 'Test Server', version: 1, activeRoles: ['player@v1'] };
+      const header = Buffer.alloc(9);
+      
+      header[0] = 8;
+      await client.handleBinaryMessage(Buffer.concat([header, Buffer.from([1, 2, 3])]));
+      header[0] = 16;
+      await client.handleBinaryMessage(Buffer.concat([header, Buffer.from([1, 2, 3])]));
+      
+      expect(mockLogger.debug).toHaveBeenCalledWith(expect.stringContaining('artwork role not active'));
+      expect(mockLogger.debug).toHaveBeenCalledWith(expect.stringContaining('visualizer role not active'));
+    });
+    
+    it('should pass binary artwork to onArtwork by channel', async () => {
+      const onArtwork = jest.fn();
+      client.onArtwork = onArtwork;
+      client.serverInfo = { id: 'server-123', name: 'Test Server', version: 1, activeRoles: ['player@v1', 'artwork@v1'] };
+      const header = Buffer.alloc(9);
+      const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 4]);
+      
+      header[0] = 8;
+      await client.handleBinaryMessage(Buffer.concat([header, jpeg]));
+      header[0] = 9;
+      await client.handleBinaryMessage(header);
+      
+      expect(onArtwork).toHaveBeenNthCalledWith(1, 0, jpeg);
+      expect(onArtwork).toHaveBeenNthCalledWith(2, 1, null);
+    });
+    
+    it('should hold artwork until its display time', async () => {
+      jest.useFakeTimers();
+      try {
+        const onArtwork = jest.fn();
+        client.onArtwork = onArtwork;
+        client.serverInfo = { id: 'server-123', name: 'Test Server', version: 1, activeRoles: ['artwork@v1'] };
+        jest.spyOn(client.clockSync, 'isSynced').mockReturnValue(true);
+        jest.spyOn(client.clockSync, 'serverToLocalTime').mockImplementation(() => monotonicClock.nowMicros() + 2000000);
+        const header = Buffer.alloc(9);
+        header[0] = 8;
+        
+        await client.handleBinaryMessage(Buffer.concat([header, Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 4])]));
+        expect(onArtwork).not.toHaveBeenCalled();
+        
+        jest.advanceTimersByTime(2100);
+        expect(onArtwork).toHaveBeenCalledTimes(1);
+        
+        // Pending artwork is dropped when the client stops
+        await client.handleBinaryMessage(Buffer.concat([header, Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 4])]));
+        client.clearArtworkTimers();
+        jest.advanceTimersByTime(2100);
+        expect(onArtwork).toHaveBeenCalledTimes(1);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+    
+    it('should schedule visualizer frames and drop them on stream clear', async () => {
+      jest.useFakeTimers();
+      try {
+        const onVisualizerFrame = jest.fn();
+        client.onVisualizerFrame = onVisualizerFrame;
+        client.serverInfo = { id: 'server-123', name: 'Test Server', version: 1, activeRoles: ['player@v1', 'visualizer@v1'] };
+        jest.spyOn(client.clockSync, 'serverToLocalTime').mockImplementation(() => monotonicClock.nowMicros() + 100000);
+        const messageHandler = wsInstance.on.mock.calls.find(call => call[0] === 'message')[1];
+        const header = Buffer.alloc(9);
+        header[0] = 16;
+        
+        await client.handleBinaryMessage(Buffer.concat([header, Buffer.from([1, 2])]));
+        expect(onVisualizerFrame).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(150);
+        expect(onVisualizerFrame).toHaveBeenCalledWith(16, Buffer.from([1, 2]));
+        
+        await client.handleBinaryMessage(Buffer.concat([header, Buffer.from([3])]));
+        messageHandler(JSON.stringify({ type: 'stream/clear', payload: {} }), false);
+        jest.advanceTimersByTime(150);
+        expect(onVisualizerFrame).toHaveBeenCalledTimes(1);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+    
+    it('should clear server info when the connection closes', () => {
+      client.serverInfo = { id: 'server-123', name: 'Test Server', version: 1, activeRoles: ['player@v1'] };
+      client.shouldReconnect = false;
+      const closeHandler = wsInstance.on.mock.calls.find(call => call[0] === 'close')[1];
+      
+      closeHandler(1000, '');
+      
+      expect(client.getState().server).toBeNull();
+    });
+    
     it('should handle server/state metadata', () => {
       const onMetadata = jest.fn();
       client.onMetadata = onMetadata;
@@ -404,6 +1011,10 @@ describe('SendspinClient', () => {
       const messageHandler = wsInstance.on.mock.calls
         .find(call => call[0] === 'message')[1];
       
+      messageHandler(JSON.stringify({
+        type: 'server/hello',
+        payload: { server_id: 'server-123', name: 'Test Server', version: 1, active_roles: ['player@v1', 'metadata@v1'] }
+      }), false);
       messageHandler(JSON.stringify({
         type: 'server/state',
         payload: {
@@ -432,6 +1043,395 @@ describe('SendspinClient', () => {
     });
   });
 
+  describe('controller commands', () => {
+    let wsInstance;
+    
+    const lastSent = () => JSON.parse(wsInstance.send.mock.calls[wsInstance.send.mock.calls.length - 1][0]);
+    
+    beforeEach(async () => {
+      wsInstance = {
+        on: jest.fn((event, handler) => {
+          if (event === 'open') {
+            setImmediate(() => handler());
+          }
+        }),
+        send: jest.fn(),
+        close: jest.fn(),
+        readyState: WebSocket.OPEN
+      };
+      
+      WebSocket.mockImplementationOnce(() => wsInstance);
+      
+      client = new SendspinClient({
+        serverAddr: 'localhost:8927',
+        logger: mockLogger
+      });
+      
+      const startPromise = client.start();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await startPromise;
+      
+      client.serverInfo = { id: 'server-123', name: 'Test Server', version: 1, activeRoles: ['player@v1', 'controller@v1'] };
+    });
+    
+    it('should advertise the controller role', () => {
+      client.sendClientHello();
+      
+      expect(lastSent().payload.supported_roles).toContain('controller@v1');
+    });
+    
+    it('should send transport commands as client/command', () => {
+      expect(client.play()).toBe(true);
+      expect(lastSent()).toEqual({ type: 'client/command', payload: { controller: { command: 'play' } } });
+      
+      client.pause();
+      expect(lastSent().payload.controller.command).toBe('pause');
+      client.stopPlayback();
+      expect(lastSent().payload.controller.command).toBe('stop');
+      client.next();
+      expect(lastSent().payload.controller.command).toBe('next');
+      client.previous();
+      expect(lastSent().payload.controller.command).toBe('previous');
+    });
+    
+    it('should send seek, shuffle and repeat with their parameters', () => {
+      client.seek(61234.6);
+      expect(lastSent().payload.controller).toEqual({ command: 'seek', position_ms: 61235 });
+      
+      client.setShuffle(false);
+      expect(lastSent().payload.controller.command).toBe('unshuffle');
+      
+      client.setRepeat('one');
+      expect(lastSent().payload.controller.command).toBe('repeat_one');
+      
+      const sends = wsInstance.send.mock.calls.length;
+      expect(client.setRepeat('sometimes')).toBe(false);
+      expect(wsInstance.send.mock.calls.length).toBe(sends);
+    });
+    
+    it('should not send commands when the controller role is not active', () => {
+      client.serverInfo.activeRoles = ['player@v1'];
+      const sends = wsInstance.send.mock.calls.length;
+      
+      expect(client.next()).toBe(false);
+      expect(wsInstance.send.mock.calls.length).toBe(sends);
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('controller role not active'));
+    });
+    
+    it('should respect supported_commands from server/state', () => {
+      const messageHandler = wsInstance.on.mock.calls
+        .find(call => call[0] === 'message')[1];
+      messageHandler(JSON.stringify({
+        type: 'server/state',
+        payload: { controller: { supported_commands: ['play', 'pause'], volume: 50, muted: false } }
+      }), false);
+      
+      expect(client.getState().controller).toEqual({ supportedCommands: ['play', 'pause'], volume: 50, muted: false });
+      expect(client.play()).toBe(true);
+      expect(client.seek(1000)).toBe(false);
+    });
+  });
+  
+  describe('format requests', () => {
+    let wsInstance;
+    let messageHandler;
+    
+    beforeEach(async () => {
+      wsInstance = {
+        on: jest.fn((event, handler) => {
+          if (event === 'open') {
+            setImmediate(() => handler());
+          }
+        }),
+        send: jest.fn(),
+        close: jest.fn(),
+        readyState: WebSocket.OPEN
+      };
+      
+      WebSocket.mockImplementationOnce(() => wsInstance);
+      
+      client = new SendspinClient({
+        serverAddr: 'localhost:8927',
+        logger: mockLogger,
+        decoder: new AudioDecoder({ logger: mockLogger })
+      });
+      
+      const startPromise = client.start();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await startPromise;
+      
+      messageHandler = wsInstance.on.mock.calls.find(call => call[0] === 'message')[1];
+    });
+    
+    it('should send stream/request-format and resolve on the next stream/start', async () => {
+      const request = client.requestFormat({ codec: 'pcm', sample_rate: 48000, bit_depth: 16, channels: 2 });
+      
+      const sent = JSON.parse(wsInstance.send.mock.calls[wsInstance.send.mock.calls.length - 1][0]);
+      expect(sent).toEqual({
+        type: 'stream/request-format',
+        payload: { player: { codec: 'pcm', sample_rate: 48000, bit_depth: 16, channels: 2 } }
+      });
+      
+      messageHandler(JSON.stringify({
+        type: 'stream/start',
+        payload: { player: { codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 } }
+      }), false);
+      
+      await expect(request).resolves.toEqual(expect.objectContaining({ codec: 'pcm', sample_rate: 48000 }));
+      expect(client.pendingFormatRequest).toBeNull();
+    });
+    
+    it('should stop the previous scheduler when the new format starts', () => {
+      messageHandler(JSON.stringify({
+        type: 'stream/start',
+        payload: { player: { codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 } }
+      }), false);
+      const firstScheduler = client.scheduler;
+      const stopSpy = jest.spyOn(firstScheduler, 'stop');
+      const visualizerClearSpy = jest.spyOn(client.visualizerScheduler, 'clear');
+      
+      client.requestFormat({ codec: 'pcm', sample_rate: 96000, bit_depth: 24, channels: 2 }).catch(() => {});
+      messageHandler(JSON.stringify({
+        type: 'stream/start',
+        payload: { player: { codec: 'pcm', sample_rate: 96000, channels: 2, bit_depth: 24 } }
+      }), false);
+      
+      expect(stopSpy).toHaveBeenCalled();
+      expect(visualizerClearSpy).toHaveBeenCalled();
+      expect(client.scheduler).not.toBe(firstScheduler);
+      expect(client.currentStreamFormat.sample_rate).toBe(96000);
+    });
+    
+    it('should reject when no stream/start follows', async () => {
+      await expect(client.requestFormat({ codec: 'pcm' }, 20)).rejects.toThrow('No stream/start within 20ms');
+    });
+    
+    it('should reject when the connection closes', async () => {
+      const request = client.requestFormat({ codec: 'pcm' });
+      const closeHandler = wsInstance.on.mock.calls.find(call => call[0] === 'close')[1];
+      client.shouldReconnect = false;
+      
+      closeHandler(1006, '');
+      
+      await expect(request).rejects.toThrow('Connection closed');
+    });
+    
+    it('should reject when not connected', async () => {
+      await client.stop();
+      
+      await expect(client.requestFormat({ codec: 'pcm' })).rejects.toThrow('not connected');
+    });
+    
+    it('should fall back from FLAC to PCM at the same rate first', () => {
+      const failed = { codec: 'flac', sample_rate: 192000, channels: 2, bit_depth: 24 };
+      
+      expect(client.getFallbackFormat(failed)).toEqual({ codec: 'pcm', sample_rate: 192000, channels: 2, bit_depth: 24 });
+    });
+    
+    it('should drop to 48kHz/16-bit when the rate cannot be played', () => {
+      const failed = { codec: 'pcm', sample_rate: 192000, channels: 2, bit_depth: 24 };
+      
+      expect(client.getFallbackFormat(failed)).toEqual({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 });
+    });
+    
+    it('should skip formats that already failed', () => {
+      const failed = { codec: 'flac', sample_rate: 192000, channels: 2, bit_depth: 24 };
+      const tried = [{ codec: 'pcm', sample_rate: 192000, bit_depth: 24 }, { codec: 'flac', sample_rate: 48000, bit_depth: 16 }];
+      
+      expect(client.getFallbackFormat(failed, tried)).toEqual({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 });
+      expect(client.getFallbackFormat({ codec: 'pcm', sample_rate: 48000, bit_depth: 16 })).toBeNull();
+    });
+  });
+  
+  describe('static delay', () => {
+    let wsInstance;
+    let messageHandler;
+    
+    const sentStates = () => wsInstance.send.mock.calls
+      .map(call => JSON.parse(call[0]))
+      .filter(message => message.type === 'client/state');
+    
+    beforeEach(async () => {
+      wsInstance = {
+        on: jest.fn((event, handler) => {
+          if (event === 'open') {
+            setImmediate(() => handler());
+          }
+        }),
+        send: jest.fn(),
+        close: jest.fn(),
+        readyState: WebSocket.OPEN
+      };
+      
+      WebSocket.mockImplementationOnce(() => wsInstance);
+      
+      client = new SendspinClient({
+        serverAddr: 'localhost:8927',
+        logger: mockLogger,
+        staticDelayMs: 120
+      });
+      
+      const startPromise = client.start();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await startPromise;
+      
+      messageHandler = wsInstance.on.mock.calls.find(call => call[0] === 'message')[1];
+      messageHandler(JSON.stringify({
+        type: 'server/hello',
+        payload: { server_id: 'server-123', name: 'Test Server', version: 1, active_roles: ['player@v1'] }
+      }), false);
+    });
+    
+    it('should report the static delay in client/state', () => {
+      expect(sentStates()[0].payload.player).toEqual(expect.objectContaining({
+        state: 'synchronized',
+        static_delay_ms: 120
+      }));
+    });
+    
+    it('should apply a new static delay to the running stream and report it', () => {
+      messageHandler(JSON.stringify({
+        type: 'stream/start',
+        payload: { player: { codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 } }
+      }), false);
+      const scheduler = client.scheduler;
+      expect(scheduler.staticDelayMs).toBe(120);
+      
+      client.setStaticDelay(200);
+      
+      // Same stream, same scheduler - only the release times move
+      expect(client.scheduler).toBe(scheduler);
+      expect(scheduler.staticDelayMs).toBe(200);
+      expect(sentStates().pop().payload.player.static_delay_ms).toBe(200);
+      expect(client.getState().staticDelayMs).toBe(200);
+    });
+    
+    it('should not resend client/state when the delay is unchanged', () => {
+      const count = sentStates().length;
+      
+      client.setStaticDelay(120);
+      
+      expect(sentStates().length).toBe(count);
+    });
+  });
+  
+  describe('settings', () => {
+    const createSocket = () => ({
+      on: jest.fn((event, handler) => {
+        if (event === 'open') {
+          setImmediate(() => handler());
+        }
+      }),
+      send: jest.fn(),
+      close: jest.fn(),
+      readyState: WebSocket.OPEN
+    });
+    
+    it('should reconnect with a new hello when reconfigured', async () => {
+      const firstSocket = createSocket();
+      const secondSocket = createSocket();
+      WebSocket.mockImplementationOnce(() => firstSocket).mockImplementationOnce(() => secondSocket);
+      
+      client = new SendspinClient({
+        serverAddr: 'localhost:8927',
+        playerName: 'Old Name',
+        logger: mockLogger
+      });
+      const startPromise = client.start();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await startPromise;
+      
+      const reconfigurePromise = client.reconfigure({ serverAddr: 'otherhost:8927', playerName: 'Kitchen' });
+      await new Promise(resolve => setTimeout(resolve, 150));
+      await reconfigurePromise;
+      
+      expect(firstSocket.close).toHaveBeenCalled();
+      expect(WebSocket).toHaveBeenLastCalledWith('ws://otherhost:8927/sendspin');
+      const hello = secondSocket.send.mock.calls
+        .map(call => JSON.parse(call[0]))
+        .find(message => message.type === 'client/hello');
+      expect(hello.payload.name).toBe('Kitchen');
+    });
+    
+    it('should apply a new buffer size to the running scheduler', () => {
+      client = new SendspinClient({ logger: mockLogger, bufferMs: 11000 });
+      client.scheduler = new AudioScheduler(client.clockSync, 11000, mockLogger);
+      
+      client.setBufferSize(3000);
+      
+      expect(client.config.bufferMs).toBe(3000);
+      expect(client.scheduler.bufferTarget).toBe(3000);
+      expect(client.scheduler.maxQueueMs).toBe(4000);
+    });
+  });
+  
+  describe('reconnection', () => {
+    // Discovery announcement of a server with a known server_id
+    const announce = (address) => client.discovery.handleResponse({
+      answers: [{ name: '_sendspin-server._tcp.local', type: 'PTR', data: 'MA._sendspin-server._tcp.local', ttl: 120 }],
+      additionals: [
+        { name: 'MA._sendspin-server._tcp.local', type: 'SRV', data: { port: 8927, target: 'ma.local' }, ttl: 120 },
+        { name: 'MA._sendspin-server._tcp.local', type: 'TXT', data: [Buffer.from('server_id=ma-id')], ttl: 120 },
+        { name: 'ma.local', type: 'A', data: address, ttl: 120 }
+      ]
+    });
+    
+    it('should follow a discovered server to its new address', async () => {
+      client = new SendspinClient({ logger: mockLogger });
+      client.serverAddress = '192.168.1.10:8927';
+      client.serverIdentity = { id: 'ma-id', serviceName: null };
+      client.reconnectAttempts = 1;
+      announce('192.168.1.42');
+      
+      await client.resolveServerAddress();
+      
+      expect(client.serverAddress).toBe('192.168.1.42:8927');
+      expect(mockLogger.info).toHaveBeenCalledWith(expect.stringContaining('changed address: 192.168.1.10:8927 -> 192.168.1.42:8927'));
+    });
+    
+    it('should leave a manual address only after repeated failures', async () => {
+      client = new SendspinClient({ serverAddr: '192.168.1.10:8927', logger: mockLogger, rediscoverAfter: 2 });
+      client.serverAddress = '192.168.1.10:8927';
+      client.serverIdentity = { id: 'ma-id', serviceName: null };
+      announce('192.168.1.42');
+      
+      client.reconnectAttempts = 2;
+      await client.resolveServerAddress();
+      expect(client.serverAddress).toBe('192.168.1.10:8927');
+      
+      client.reconnectAttempts = 3;
+      await client.resolveServerAddress();
+      expect(client.serverAddress).toBe('192.168.1.42:8927');
+    });
+    
+    it('should rediscover after repeated failures when the server is gone', async () => {
+      client = new SendspinClient({ logger: mockLogger, rediscoverAfter: 2 });
+      client.serverAddress = '192.168.1.10:8927';
+      client.serverIdentity = { id: 'ma-id', serviceName: null };
+      jest.spyOn(client, 'discoverServer').mockResolvedValue('192.168.1.77:8927');
+      
+      client.reconnectAttempts = 2;
+      await client.resolveServerAddress();
+      expect(client.discoverServer).not.toHaveBeenCalled();
+      expect(client.serverAddress).toBe('192.168.1.10:8927');
+      
+      client.reconnectAttempts = 3;
+      await client.resolveServerAddress();
+      expect(client.discoverServer).toHaveBeenCalled();
+      expect(client.serverAddress).toBe('192.168.1.77:8927');
+    });
+    
+    it('should remember the server identity from server/hello', () => {
+      client = new SendspinClient({ logger: mockLogger });
+      client.connectionSource = 'outbound';
+      client.discoveredServer = { serviceName: 'MA._sendspin-server._tcp.local' };
+      
+      client.handleServerHello({ server_id: 'ma-id', name: 'MA' });
+      
+      expect(client.serverIdentity).toEqual({ id: 'ma-id', serviceName: 'MA._sendspin-server._tcp.local' });
+    });
+  });
+  
   describe('clock synchronization', () => {
     let wsInstance;
     
@@ -504,6 +1504,25 @@ describe('SendspinClient', () => {
 
       expect(performInitialSyncSpy).toHaveBeenCalled();
     });
+    
+    it('should start each session with a fresh clock estimate', () => {
+      jest.spyOn(client, 'performInitialSync').mockResolvedValue();
+      jest.spyOn(client, 'scheduleReconnect').mockImplementation(() => {});
+      const resetSpy = jest.spyOn(client.clockSync, 'reset');
+      const handler = (event) => wsInstance.on.mock.calls.find(call => call[0] === event)[1];
+      
+      // Synced to the previous server
+      client.clockSync.processSyncResponse(1000000, 9000000, 9000100, 1002100);
+      expect(client.clockSync.isSynced()).toBe(true);
+      
+      handler('close')(1006, '');
+      expect(resetSpy).toHaveBeenCalledTimes(1);
+      expect(client.clockSync.isSynced()).toBe(false);
+      
+      handler('message')(JSON.stringify({ type: 'server/hello', payload: {} }), false);
+      expect(resetSpy).toHaveBeenCalledTimes(2);
+      expect(resetSpy.mock.invocationCallOrder[1]).toBeLessThan(client.performInitialSync.mock.invocationCallOrder[0]);
+    });
   });
 
   describe('audio handling', () => {
@@ -566,6 +1585,65 @@ describe('SendspinClient', () => {
       expect(scheduleSpy).toHaveBeenCalled();
     });
 
+    it('should pass the player output latency to the scheduler before scheduling', async () => {
+      client.player = { getOutputLatency: jest.fn().mockReturnValue(85.5) };
+      
+      const messageHandler = wsInstance.on.mock.calls
+        .find(call => call[0] === 'message')[1];
+      
+      const timestamp = Buffer.alloc(8);
+      timestamp.writeBigUInt64BE(BigInt(1234567890), 0);
+      await messageHandler(Buffer.concat([Buffer.from([4]), timestamp, Buffer.from([1, 2, 3, 4])]), true);
+      
+      expect(client.scheduler.outputLatencyMs).toBe(85.5);
+      expect(client.getStats().outputLatencyMs).toBe(85.5);
+    });
+    
+    it('should schedule decoded FLAC frames at the timestamp of their chunk', async () => {
+      const flac = fs.readFileSync(path.join(__dirname, 'fixtures', 'sine-48000-16-stereo.flac'));
+      const pcm = fs.readFileSync(path.join(__dirname, 'fixtures', 'sine-48000-16-stereo.pcm'));
+      const flacDecoder = new FlacDecoder({ logger: mockLogger });
+      const headerLength = flacDecoder.setHeader(flac);
+      const firstFrameEnd = flacDecoder.decodeFrame(flac, headerLength).end;
+      
+      client.decoder = new AudioDecoder({ logger: mockLogger });
+      const scheduleSpy = jest.spyOn(AudioScheduler.prototype, 'schedule').mockImplementation(() => {});
+      
+      const messageHandler = wsInstance.on.mock.calls
+        .find(call => call[0] === 'message')[1];
+      
+      messageHandler(JSON.stringify({
+        type: 'stream/start',
+        payload: {
+          player: {
+            codec: 'flac',
+            sample_rate: 48000,
+            channels: 2,
+            bit_depth: 16,
+            codec_header: flac.subarray(0, headerLength).toString('base64')
+          }
+        }
+      }), false);
+      await new Promise(resolve => setImmediate(resolve));
+      
+      const createChunk = (timestamp, frame) => {
+        const header = Buffer.alloc(9);
+        header[0] = 4;
+        header.writeBigUInt64BE(BigInt(timestamp), 1);
+        return Buffer.concat([header, frame]);
+      };
+      await client.handleBinaryMessage(createChunk(1000000, flac.subarray(headerLength, firstFrameEnd)));
+      await client.handleBinaryMessage(createChunk(1085333, flac.subarray(firstFrameEnd)));
+      
+      expect(scheduleSpy).toHaveBeenCalledTimes(2);
+      expect(scheduleSpy.mock.calls[0][1]).toBe(1000000);
+      expect(scheduleSpy.mock.calls[0][0].equals(pcm.subarray(0, 4096 * 4))).toBe(true);
+      expect(scheduleSpy.mock.calls[1][1]).toBe(1085333);
+      expect(scheduleSpy.mock.calls[1][0].equals(pcm.subarray(4096 * 4))).toBe(true);
+      
+      scheduleSpy.mockRestore();
+    });
+    
     it('should handle binary messages that are too short', async () => {
       const shortMessage = Buffer.from([4, 1, 2, 3]);
       
@@ -679,6 +1757,9 @@ describe('SendspinClient', () => {
       expect(stats).toHaveProperty('bufferDepth');
       expect(stats).toHaveProperty('syncRTT');
       expect(stats).toHaveProperty('syncQuality');
+      expect(stats).toHaveProperty('syncOffset');
+      expect(stats).toHaveProperty('syncDrift');
+      expect(stats).toHaveProperty('syncError');
     });
   });
 
@@ -713,6 +1794,7 @@ describe('SendspinClient', () => {
       expect(state).toHaveProperty('volume');
       expect(state).toHaveProperty('muted');
       expect(state.connected).toBe(true);
+      expect(state.server).toBeNull(); // No server/hello yet
     });
   });
 });
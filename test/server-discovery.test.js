@@ -0,0 +1,172 @@
+'use strict';
+
+jest.mock('multicast-dns');
+
+const os = require('os');
+const mdns = require('multicast-dns');
+const monotonicClock = require('../lib/monotonic-clock');
+const ServerDiscovery = require('../lib/server-discovery');
+
+describe('ServerDiscovery', () => {
+  let discovery;
+  let mockMdnsInstance;
+  let respond;
+  let mockLogger;
+
+  // Response with the PTR, SRV, TXT and A records of one server
+  const serverResponse = (instance, host, address, txt = [], ttl = 120) => ({
+    answers: [{ name: '_sendspin-server._tcp.local', type: 'PTR', data: `${instance}._sendspin-server._tcp.local`, ttl }],
+    additionals: [
+      { name: `${instance}._sendspin-server._tcp.local`, type: 'SRV', data: { port: 8927, target: host }, ttl },
+      { name: `${instance}._sendspin-server._tcp.local`, type: 'TXT', data: txt.map(entry => Buffer.from(entry)), ttl },
+      { name: host, type: 'A', data: address, ttl }
+    ]
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    mockMdnsInstance = {
+      on: jest.fn((event, handler) => {
+        if (event === 'response') {
+          respond = handler;
+        }
+      }),
+      query: jest.fn(),
+      destroy: jest.fn()
+    };
+    mdns.mockImplementation(() => mockMdnsInstance);
+    // IPv4 only - one socket
+    jest.spyOn(os, 'networkInterfaces').mockReturnValue({
+      eth0: [{ address: '192.168.1.5', family: 'IPv4', internal: false }]
+    });
+
+    discovery = new ServerDiscovery({ logger: mockLogger });
+    discovery.start();
+  });
+
+  afterEach(() => {
+    discovery.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should list every server with its name, address and TXT data', () => {
+    respond(serverResponse('Prod', 'prod.local', '192.168.1.10', ['path=/sendspin', 'server_id=prod-id', 'name=Music Assistant']));
+    respond(serverResponse('Test', 'test.local', '192.168.1.11'));
+
+    expect(discovery.getServers()).toEqual([
+      expect.objectContaining({
+        id: 'prod-id',
+        name: 'Music Assistant',
+        address: '192.168.1.10:8927',
+        txt: { path: '/sendspin', server_id: 'prod-id', name: 'Music Assistant' }
+      }),
+      expect.objectContaining({ id: 'Test._sendspin-server._tcp.local', name: 'Test', address: '192.168.1.11:8927' })
+    ]);
+  });
+
+  it('should assemble servers from records in separate responses', () => {
+    const { answers, additionals } = serverResponse('Prod', 'prod.local', '192.168.1.10');
+    respond({ answers, additionals: additionals.slice(0, 2) });
+
+    expect(discovery.getServers()).toEqual([]);
+    expect(mockMdnsInstance.query).toHaveBeenCalledWith([{ name: 'prod.local', type: 'A' }, { name: 'prod.local', type: 'AAAA' }]);
+
+    respond({ answers: [additionals[2]] });
+    expect(discovery.getServers()).toHaveLength(1);
+  });
+
+  it('should back off address queries for a host that stays unresolved', () => {
+    const nowSpy = jest.spyOn(monotonicClock, 'nowMs').mockReturnValue(0);
+    const addressQueries = () => mockMdnsInstance.query.mock.calls.filter(([questions]) => Array.isArray(questions));
+    const { answers, additionals } = serverResponse('Prod', 'prod.local', '192.168.1.10');
+    respond({ answers, additionals: additionals.slice(0, 2) });
+    expect(addressQueries()).toHaveLength(1);
+
+    // Unrelated traffic on a busy network
+    nowSpy.mockReturnValue(900);
+    for (let i = 0; i < 10; i++) {
+      respond({ answers: [{ name: 'printer.local', type: 'A', data: '192.168.1.20', ttl: 120 }] });
+    }
+    expect(addressQueries()).toHaveLength(1);
+
+    nowSpy.mockReturnValue(1000);
+    respond({ answers: [] });
+    expect(addressQueries()).toHaveLength(2);
+    nowSpy.mockReturnValue(2999);
+    respond({ answers: [] });
+    expect(addressQueries()).toHaveLength(2);
+    nowSpy.mockReturnValue(3000);
+    respond({ answers: [] });
+    expect(addressQueries()).toHaveLength(3);
+
+    // New SRV target: asked for right away
+    respond({ answers: [{ ...additionals[0], data: { port: 8927, target: 'prod-2.local' } }] });
+    expect(addressQueries()).toHaveLength(4);
+    expect(mockMdnsInstance.query).toHaveBeenLastCalledWith([{ name: 'prod-2.local', type: 'A' }, { name: 'prod-2.local', type: 'AAAA' }]);
+  });
+
+  it('should prefer IPv4, bracket IPv6 addresses and skip link-local ones', () => {
+    const response = serverResponse('Prod', 'prod.local', '192.168.1.10');
+    respond({
+      answers: response.answers,
+      additionals: [
+        ...response.additionals.slice(0, 2),
+        { name: 'prod.local', type: 'AAAA', data: 'fe80::1', ttl: 120 },
+        { name: 'prod.local', type: 'AAAA', data: 'fd00::10', ttl: 120 }
+      ]
+    });
+    expect(discovery.getServers()[0]).toEqual(expect.objectContaining({
+      address: '[fd00::10]:8927',
+      addresses: ['fd00::10', 'fe80::1']
+    }));
+
+    respond({ answers: [response.additionals[2]] });
+    expect(discovery.getServers()[0].address).toBe('192.168.1.10:8927');
+  });
+
+  it('should drop servers on goodbye and when their records expire', () => {
+    const nowSpy = jest.spyOn(monotonicClock, 'nowMs').mockReturnValue(0);
+    respond(serverResponse('Prod', 'prod.local', '192.168.1.10'));
+    respond(serverResponse('Test', 'test.local', '192.168.1.11', [], 10));
+    respond(serverResponse('Prod', 'prod.local', '192.168.1.10', [], 0));
+    expect(discovery.getServers().map(server => server.name)).toEqual(['Test']);
+
+    nowSpy.mockReturnValue(11000);
+    discovery.prune();
+    expect(discovery.getServers()).toEqual([]);
+    nowSpy.mockRestore();
+  });
+
+  it('should wait for a server by id, including ids learned from server/hello', async () => {
+    respond(serverResponse('Prod', 'prod.local', '192.168.1.10'));
+    discovery.setServerId('Prod._sendspin-server._tcp.local', 'prod-id');
+
+    await expect(discovery.waitForServer('prod-id', 1000)).resolves.toEqual(expect.objectContaining({ name: 'Prod' }));
+
+    const waiting = discovery.waitForServer('test-id', 1000);
+    respond(serverResponse('Test', 'test.local', '192.168.1.11', ['server_id=test-id']));
+    await expect(waiting).resolves.toEqual(expect.objectContaining({ address: '192.168.1.11:8927' }));
+
+    const timedOut = discovery.waitForServer('other-id', 1000);
+    jest.advanceTimersByTime(1000);
+    await expect(timedOut).resolves.toBeNull();
+  });
+
+  it('should re-query with a growing interval', () => {
+    expect(mockMdnsInstance.query).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1000);
+    expect(mockMdnsInstance.query).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(2000);
+    expect(mockMdnsInstance.query).toHaveBeenCalledTimes(3);
+    jest.advanceTimersByTime(3999);
+    expect(mockMdnsInstance.query).toHaveBeenCalledTimes(3);
+    expect(mockMdnsInstance.query).toHaveBeenLastCalledWith('_sendspin-server._tcp.local', 'PTR');
+  });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const VisualizerScheduler = require('../lib/visualizer-scheduler');
+const monotonicClock = require('../lib/monotonic-clock');
+
+describe('VisualizerScheduler', () => {
+  let scheduler;
+  let clockSync;
+  let frames;
+  let mockLogger;
+
+  // Server timestamps are offsets from "now" in microseconds
+  const inMs = (ms) => ms * 1000;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    const origin = monotonicClock.nowMicros();
+    clockSync = {
+      serverToLocalTime: jest.fn((serverTime) => origin + serverTime)
+    };
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    frames = [];
+    scheduler = new VisualizerScheduler(clockSync, { capacityBytes: 10, logger: mockLogger });
+    scheduler.onFrame = (type, payload) => frames.push([type, payload[0]]);
+  });
+
+  afterEach(() => {
+    scheduler.clear();
+    jest.useRealTimers();
+  });
+
+  it('should deliver frames at their timestamps in order', () => {
+    scheduler.schedule(16, Buffer.from([2]), inMs(200));
+    scheduler.schedule(16, Buffer.from([1]), inMs(100));
+
+    jest.advanceTimersByTime(50);
+    expect(frames).toEqual([]);
+
+    jest.advanceTimersByTime(60);
+    expect(frames).toEqual([[16, 1]]);
+
+    jest.advanceTimersByTime(100);
+    expect(frames).toEqual([[16, 1], [16, 2]]);
+  });
+
+  it('should drop frames that are already late', () => {
+    jest.advanceTimersByTime(1000);
+
+    scheduler.schedule(17, Buffer.from([1]), inMs(500));
+    jest.advanceTimersByTime(10);
+
+    expect(frames).toEqual([]);
+    expect(scheduler.getStats()).toEqual(expect.objectContaining({ received: 1, delivered: 0, dropped: 1 }));
+  });
+
+  it('should drop the oldest frames beyond the buffer capacity', () => {
+    for (let i = 0; i < 4; i++) {
+      scheduler.schedule(16, Buffer.from([i, 0, 0, 0]), inMs(100 + i));
+    }
+
+    jest.advanceTimersByTime(200);
+
+    expect(frames).toEqual([[16, 2], [16, 3]]);
+    expect(scheduler.getStats().dropped).toBe(2);
+  });
+
+  it('should discard queued frames on clear', () => {
+    scheduler.schedule(16, Buffer.from([1]), inMs(100));
+
+    scheduler.clear();
+    jest.advanceTimersByTime(200);
+
+    expect(frames).toEqual([]);
+    expect(scheduler.getStats().queued).toBe(0);
+  });
+});
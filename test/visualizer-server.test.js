@@ -0,0 +1,80 @@
+'use strict';
+
+const WebSocket = require('ws');
+const VisualizerServer = require('../lib/visualizer-server');
+
+describe('VisualizerServer', () => {
+  let server;
+  let display;
+  let mockLogger;
+
+  // Connect a display and collect what it receives
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(server.getUrl());
+    ws.messages = [];
+    ws.on('message', (data, isBinary) => {
+      ws.messages.push(isBinary ? Buffer.from(data) : JSON.parse(data.toString()));
+    });
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+  });
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  beforeEach(async () => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    server = new VisualizerServer({ port: 0, host: '127.0.0.1', logger: mockLogger });
+    await server.start();
+    display = await connect();
+  });
+
+  afterEach(async () => {
+    display.terminate();
+    await server.stop();
+  });
+
+  it('should send the current state on connect', async () => {
+    await waitFor(() => display.messages.length > 0);
+
+    expect(display.messages[0]).toEqual({ type: 'visualizer/state', payload: { active: false } });
+  });
+
+  it('should publish frames prefixed with their message type', async () => {
+    server.publish(18, Buffer.from([1, 2, 3]));
+    await waitFor(() => display.messages.length >= 3);
+
+    expect(display.messages[1]).toEqual({ type: 'visualizer/state', payload: { active: true } });
+    expect(display.messages[2].equals(Buffer.from([18, 1, 2, 3]))).toBe(true);
+  });
+
+  it('should tell displays when frames stop', async () => {
+    server.publish(16, Buffer.from([1]));
+    server.setActive(false);
+    await waitFor(() => display.messages.length >= 4);
+
+    expect(display.messages[3]).toEqual({ type: 'visualizer/state', payload: { active: false } });
+  });
+
+  it('should publish level readings as JSON', async () => {
+    server.publishLevels({ rms: [-20, -20], peak: [-14, -14], clipping: false });
+    await waitFor(() => display.messages.length >= 2);
+
+    expect(display.messages[1]).toEqual({
+      type: 'visualizer/levels',
+      payload: { rms: [-20, -20], peak: [-14, -14], clipping: false }
+    });
+  });
+
+  it('should report a ws:// endpoint URL', () => {
+    expect(server.getUrl()).toMatch(/^ws:\/\/127\.0\.0\.1:\d+\/visualizer$/);
+  });
+});
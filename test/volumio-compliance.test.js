@@ -7,6 +7,9 @@ const path = require('path');
 jest.mock('../lib/sendspin-client');
 jest.mock('../lib/audio-decoder');
 jest.mock('../lib/audio-player');
+jest.mock('../lib/artwork-server');
+jest.mock('../lib/visualizer-server');
+jest.mock('../lib/alsa-player');
 jest.mock('v-conf');
 jest.mock('os', () => ({
   hostname: jest.fn(() => 'test-device')
@@ -16,6 +19,7 @@ const ControllerSendspin = require('../lib/index');
 const SendspinClient = require('../lib/sendspin-client');
 const AudioDecoder = require('../lib/audio-decoder');
 const AudioPlayer = require('../lib/audio-player');
+const AlsaPlayer = require('../lib/alsa-player');
 const vconf = require('v-conf');
 
 describe('Volumio Plugin Compliance', () => {
@@ -192,6 +196,294 @@ describe('Volumio Plugin Compliance', () => {
       expect(controller.sendspinPlayer).toBeNull();
     });
 
+    it('should pass format limits to the client and reconnect when they change', async () => {
+      const values = { enabled: true, maxSampleRate: 192000, maxBitDepth: 24 };
+      mockConfig.get.mockImplementation((key) => values[key]);
+      mockConfig.set.mockImplementation((key, value) => { values[key] = value; });
+      mockClient.reconfigure = jest.fn().mockResolvedValue(undefined);
+
+      await controller.onStart();
+      expect(SendspinClient).toHaveBeenLastCalledWith(expect.objectContaining({
+        maxSampleRate: 192000,
+        maxBitDepth: 24,
+        player: mockPlayer
+      }));
+      SendspinClient.mockClear();
+
+      await controller.saveConfiguration({
+        enabled: true,
+        maxSampleRate: { value: 48000, label: '48 kHz' },
+        maxBitDepth: { value: 16, label: '16-bit' }
+      });
+
+      expect(mockConfig.set).toHaveBeenCalledWith('maxSampleRate', 48000);
+      expect(mockConfig.set).toHaveBeenCalledWith('maxBitDepth', 16);
+      // client/hello re-sends the formats: reconnect the running client instead of restarting
+      expect(mockClient.reconfigure).toHaveBeenCalledWith({ maxSampleRate: 48000, maxBitDepth: 16 });
+      expect(SendspinClient).not.toHaveBeenCalled();
+      expect(controller.sendspinPlayer).toBe(mockClient);
+    });
+
+    it('should apply a static delay change without reconnecting', async () => {
+      const values = { enabled: true, staticDelayMs: 0 };
+      mockConfig.get.mockImplementation((key) => values[key]);
+      mockConfig.set.mockImplementation((key, value) => { values[key] = value; });
+      mockClient.setStaticDelay = jest.fn();
+
+      await controller.onStart();
+      expect(SendspinClient).toHaveBeenLastCalledWith(expect.objectContaining({ staticDelayMs: 0 }));
+
+      await controller.saveConfiguration({ enabled: true, staticDelayMs: '150' });
+      expect(mockConfig.set).toHaveBeenCalledWith('staticDelayMs', 150);
+      expect(mockClient.setStaticDelay).toHaveBeenCalledWith(150);
+      expect(mockClient.stop).not.toHaveBeenCalled();
+
+      await controller.saveConfiguration({ enabled: true, staticDelayMs: '-20' });
+      expect(values.staticDelayMs).toBe(150);
+      expect(mockContext.logger.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring invalid staticDelayMs'));
+    });
+
+    it('should reconnect the running client for a new server address and player name', async () => {
+      const values = { enabled: true, serverAddr: '', playerName: '' };
+      mockConfig.get.mockImplementation((key) => values[key]);
+      mockConfig.set.mockImplementation((key, value) => { values[key] = value; });
+      mockClient.reconfigure = jest.fn().mockResolvedValue(undefined);
+
+      await controller.onStart();
+      expect(SendspinClient).toHaveBeenLastCalledWith(expect.objectContaining({ serverAddr: null, playerName: 'test-device' }));
+      SendspinClient.mockClear();
+
+      await controller.saveConfiguration({ enabled: true, serverAddr: ' 192.168.1.20 ', playerName: 'Kitchen' });
+
+      expect(values.serverAddr).toBe('192.168.1.20:8927');
+      expect(mockClient.reconfigure).toHaveBeenCalledWith({ serverAddr: '192.168.1.20:8927', playerName: 'Kitchen' });
+      expect(mockClient.stop).not.toHaveBeenCalled();
+      expect(SendspinClient).not.toHaveBeenCalled();
+
+      // Invalid input is rejected and nothing changes
+      mockClient.reconfigure.mockClear();
+      await controller.saveConfiguration({ enabled: true, serverAddr: 'http://server', playerName: 'a.b' });
+      expect(values).toEqual(expect.objectContaining({ serverAddr: '192.168.1.20:8927', playerName: 'Kitchen' }));
+      expect(mockClient.reconfigure).not.toHaveBeenCalled();
+      expect(mockContext.logger.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring invalid serverAddr'));
+      expect(mockContext.logger.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring invalid playerName'));
+    });
+
+    it('should list discovered servers and remember the chosen one by server id', async () => {
+      const values = { enabled: true, serverId: 'ma-test', serverName: 'MA Test' };
+      mockConfig.get.mockImplementation((key) => values[key]);
+      mockConfig.set.mockImplementation((key, value) => { values[key] = value; });
+      mockClient.reconfigure = jest.fn().mockResolvedValue(undefined);
+      mockClient.getDiscoveredServers = jest.fn(() => [
+        { id: 'ma-prod', name: 'MA Prod', address: '192.168.1.10:8927' }
+      ]);
+
+      await controller.onStart();
+      expect(SendspinClient).toHaveBeenLastCalledWith(expect.objectContaining({ serverId: 'ma-test' }));
+
+      const select = controller.getUIConfig().sections[0].content.find(e => e.id === 'serverId');
+      expect(select.options.map(o => o.value)).toEqual(['', 'ma-prod', 'ma-test']);
+      expect(select.options[1].label).toBe('MA Prod (192.168.1.10:8927)');
+      expect(select.value).toEqual({ value: 'ma-test', label: 'MA Test (not found)' });
+
+      await controller.saveConfiguration({ enabled: true, serverId: { value: 'ma-prod', label: 'MA Prod (192.168.1.10:8927)' } });
+      expect(values).toEqual(expect.objectContaining({ serverId: 'ma-prod', serverName: 'MA Prod' }));
+      expect(mockClient.reconfigure).toHaveBeenCalledWith({ serverId: 'ma-prod' });
+      expect(mockClient.stop).not.toHaveBeenCalled();
+    });
+
+    it('should bind to a chosen network interface and accept IPv6 server addresses', async () => {
+      const values = { enabled: true };
+      mockConfig.get.mockImplementation((key) => values[key]);
+      mockConfig.set.mockImplementation((key, value) => { values[key] = value; });
+      mockClient.reconfigure = jest.fn().mockResolvedValue(undefined);
+
+      await controller.onStart();
+      expect(SendspinClient).toHaveBeenLastCalledWith(expect.objectContaining({ interfaceName: null }));
+
+      await controller.saveConfiguration({ enabled: true, networkInterface: { value: 'wlan0', label: 'wlan0' }, serverAddr: 'fd00::10' });
+      expect(values).toEqual(expect.objectContaining({ networkInterface: 'wlan0', serverAddr: '[fd00::10]:8927' }));
+      expect(mockClient.reconfigure).toHaveBeenCalledWith({ interfaceName: 'wlan0', serverAddr: '[fd00::10]:8927' });
+
+      mockClient.reconfigure.mockClear();
+      await controller.saveConfiguration({ enabled: true, networkInterface: { value: 'eth0; reboot' }, serverAddr: '[not:ipv6]' });
+      expect(values).toEqual(expect.objectContaining({ networkInterface: 'wlan0', serverAddr: '[fd00::10]:8927' }));
+      expect(mockClient.reconfigure).not.toHaveBeenCalled();
+    });
+
+    it('should apply buffer size and log level without reconnecting', async () => {
+      const values = { enabled: true };
+      mockConfig.get.mockImplementation((key) => values[key]);
+      mockConfig.set.mockImplementation((key, value) => { values[key] = value; });
+      mockClient.setBufferSize = jest.fn();
+      mockClient.reconfigure = jest.fn();
+
+      await controller.onStart();
+      expect(SendspinClient).toHaveBeenLastCalledWith(expect.objectContaining({ bufferMs: 11000 }));
+
+      await controller.saveConfiguration({ enabled: true, bufferMs: '4000', logLevel: { value: 'error', label: 'Errors only' } });
+      expect(mockClient.setBufferSize).toHaveBeenCalledWith(4000);
+      expect(values.logLevel).toBe('error');
+      expect(mockClient.reconfigure).not.toHaveBeenCalled();
+      expect(mockClient.stop).not.toHaveBeenCalled();
+
+      // Below the configured level - not passed to Volumio's logger
+      mockContext.logger.warn.mockClear();
+      await controller.saveConfiguration({ enabled: true, bufferMs: '100' });
+      expect(values.bufferMs).toBe(4000);
+      expect(mockContext.logger.warn).not.toHaveBeenCalled();
+    });
+
+    it('should switch the output backend in place', async () => {
+      const values = { enabled: true, outputBackend: 'mpd' };
+      mockConfig.get.mockImplementation((key) => values[key]);
+      mockConfig.set.mockImplementation((key, value) => { values[key] = value; });
+      mockClient.reconfigure = jest.fn().mockResolvedValue(undefined);
+      const alsaPlayer = { ...mockPlayer, stop: jest.fn().mockResolvedValue(undefined) };
+      AlsaPlayer.mockImplementation(() => alsaPlayer);
+
+      await controller.onStart();
+      await controller.saveConfiguration({ enabled: true, outputBackend: { value: 'alsa', label: 'Direct ALSA' }, alsaDevice: 'hw:1,0' });
+
+      expect(mockPlayer.stop).toHaveBeenCalled();
+      expect(AlsaPlayer).toHaveBeenCalledWith(expect.objectContaining({ device: 'hw:1,0' }));
+      expect(controller.audioPlayer).toBe(alsaPlayer);
+      expect(mockClient.player).toBe(alsaPlayer);
+      expect(mockClient.reconfigure).toHaveBeenCalledWith({});
+      expect(mockClient.stop).not.toHaveBeenCalled();
+    });
+
+    it('should replace the audio player when the output sample format changes', async () => {
+      const values = { enabled: true, outputBackend: 'mpd' };
+      mockConfig.get.mockImplementation((key) => values[key]);
+      mockConfig.set.mockImplementation((key, value) => { values[key] = value; });
+      mockClient.reconfigure = jest.fn().mockResolvedValue(undefined);
+
+      await controller.onStart();
+      AudioPlayer.mockClear();
+      await controller.saveConfiguration({ enabled: true, outputSampleFormat: { value: 's24_32', label: '24-bit in 32-bit container' } });
+
+      expect(values.outputSampleFormat).toBe('s24_32');
+      expect(AudioPlayer).toHaveBeenCalledWith(expect.objectContaining({ outputSampleFormat: 's24_32' }));
+      expect(mockClient.reconfigure).toHaveBeenCalledWith({});
+
+      await controller.saveConfiguration({ enabled: true, outputSampleFormat: 'u8' });
+      expect(values.outputSampleFormat).toBe('s24_32');
+    });
+
+    it('should expose the connected server and its active roles in getState', async () => {
+      await controller.onStart();
+      mockClient.isConnected = true;
+      mockClient.serverInfo = { id: 'server-123', name: 'Test Server', version: 1, activeRoles: ['player@v1'] };
+
+      expect(controller.getState().server).toEqual({
+        id: 'server-123',
+        name: 'Test Server',
+        version: 1,
+        activeRoles: ['player@v1']
+      });
+    });
+
+    it('should request a fallback format when playback cannot start', async () => {
+      const fallback = { codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 };
+      mockClient.getFallbackFormat = jest.fn().mockReturnValue(fallback);
+      mockClient.requestFormat = jest.fn().mockResolvedValue(fallback);
+      mockDecoder.initialize.mockRejectedValueOnce(new Error('Failed to initialize FLAC decoder'));
+
+      await controller.onStart();
+      const { onStreamStart } = SendspinClient.mock.calls[SendspinClient.mock.calls.length - 1][0];
+      const failed = { codec: 'flac', sample_rate: 192000, channels: 2, bit_depth: 24 };
+      await onStreamStart(failed);
+
+      expect(mockClient.getFallbackFormat).toHaveBeenCalledWith(failed, [failed]);
+      expect(mockClient.requestFormat).toHaveBeenCalledWith(fallback);
+
+      // The fallback stream starts normally and ends the chain
+      await onStreamStart(fallback);
+      expect(mockPlayer.start).toHaveBeenCalledWith(expect.objectContaining({ codec: 'pcm', sample_rate: 48000 }));
+      expect(controller.failedFormats).toEqual([]);
+    });
+
+    it('should reopen the output when the stream format changes while playing', async () => {
+      let active = false;
+      mockPlayer.start.mockImplementation(async () => { active = true; });
+      mockPlayer.stop.mockImplementation(async () => { active = false; });
+      mockPlayer.isActive.mockImplementation(() => active);
+
+      await controller.onStart();
+      const { onStreamStart } = SendspinClient.mock.calls[SendspinClient.mock.calls.length - 1][0];
+      await onStreamStart({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 });
+      expect(mockPlayer.stop).not.toHaveBeenCalled();
+
+      // New stream/start (e.g. requestFormat) without stream/end in between
+      await onStreamStart({ codec: 'flac', sample_rate: 96000, channels: 2, bit_depth: 24 });
+      expect(mockPlayer.stop).toHaveBeenCalledTimes(1);
+      expect(mockPlayer.start).toHaveBeenCalledTimes(2);
+      expect(mockPlayer.start).toHaveBeenLastCalledWith(expect.objectContaining({ sample_rate: 96000, bit_depth: 24 }));
+
+      // Same PCM layout again: the running output is kept
+      await onStreamStart({ codec: 'pcm', sample_rate: 96000, channels: 2, bit_depth: 24 });
+      expect(mockPlayer.stop).toHaveBeenCalledTimes(1);
+      expect(mockPlayer.start).toHaveBeenCalledTimes(2);
+    });
+
+    it('should route Volumio transport controls to the Sendspin server', async () => {
+      Object.assign(mockClient, {
+        play: jest.fn(),
+        pause: jest.fn(),
+        stopPlayback: jest.fn(),
+        next: jest.fn(),
+        previous: jest.fn(),
+        seek: jest.fn()
+      });
+      await controller.onStart();
+      controller.currentPlaybackState = 'playing';
+
+      await controller.pause();
+      await controller.next();
+      await controller.previous();
+      await controller.seek(30000);
+      await controller.stop();
+
+      expect(mockClient.pause).toHaveBeenCalled();
+      expect(mockClient.next).toHaveBeenCalled();
+      expect(mockClient.previous).toHaveBeenCalled();
+      expect(mockClient.seek).toHaveBeenCalledWith(30000);
+      expect(mockClient.stopPlayback).toHaveBeenCalled();
+
+      // Already playing - nothing to send (avoids echoing server state changes back)
+      await controller.play();
+      expect(mockClient.play).not.toHaveBeenCalled();
+    });
+
+    it('should play through the direct ALSA backend when configured', async () => {
+      const values = { enabled: true, outputBackend: 'alsa', alsaDevice: 'hw:1,0' };
+      mockConfig.get.mockImplementation((key) => values[key]);
+      AlsaPlayer.mockImplementation(() => mockPlayer);
+      const mpdPlugin = { sendMpdCommand: jest.fn() };
+      mockContext.coreCommand.pluginManager.getPlugin = jest.fn().mockReturnValue(mpdPlugin);
+      mockContext.coreCommand.stateMachine = {
+        setConsumeUpdateService: jest.fn(),
+        setVolatile: jest.fn(),
+        unSetVolatile: jest.fn()
+      };
+
+      AudioPlayer.mockClear();
+      await controller.onStart();
+      expect(AlsaPlayer).toHaveBeenCalledWith(expect.objectContaining({ device: 'hw:1,0' }));
+      expect(AudioPlayer).not.toHaveBeenCalled();
+
+      // No MPD track to hand over - the plugin takes Volumio's state itself
+      const { onStreamStart } = SendspinClient.mock.calls[SendspinClient.mock.calls.length - 1][0];
+      await onStreamStart({ codec: 'pcm', sample_rate: 48000, channels: 2, bit_depth: 16 });
+      controller.handlePlaybackStateChange('paused');
+
+      expect(mockPlayer.start).toHaveBeenCalled();
+      expect(controller.ownsPlayback).toBe(true);
+      expect(mockContext.coreCommand.stateMachine.setVolatile).toHaveBeenCalled();
+      expect(mpdPlugin.sendMpdCommand).not.toHaveBeenCalled();
+    });
+
     it('should not require configuration before starting', async () => {
       // Plugin should work with default config
       const defaultConfig = {
@@ -313,7 +605,7 @@ describe('Volumio Plugin Compliance', () => {
   describe('PACKAGE.JSON', () => {
     it('should have required volumio_info fields', () => {
       expect(packageJson.volumio_info).toBeDefined();
-      expect(packageJson.volumio_info.plugin_type).toBe('audio_interface');
+      expect(packageJson.volumio_info.plugin_type).toBe('music_service');
       expect(packageJson.volumio_info.architectures).toBeDefined();
       expect(Array.isArray(packageJson.volumio_info.architectures)).toBe(true);
     });